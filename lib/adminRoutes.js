@@ -0,0 +1,294 @@
+/**
+ * Admin Routes - /api/admin/*
+ *
+ * REST-API för tenant-administration (se tenantAdmin.js):
+ *
+ *   GET    /api/admin/customers                          (egna kunder, superadmin: alla)
+ *   POST   /api/admin/customers                          customers:manage
+ *   GET    /api/admin/customers/:id                      tenant:read (inkl. config + companions)
+ *   PATCH  /api/admin/customers/:id                      tenant:write (plan/organisation: customers:manage)
+ *   DELETE /api/admin/customers/:id                      customers:manage
+ *   GET    /api/admin/customers/:id/ai-config            tenant:read
+ *   PUT    /api/admin/customers/:id/ai-config            tenant:write
+ *   GET    /api/admin/customers/:id/analysis-config      tenant:read
+ *   PUT    /api/admin/customers/:id/analysis-config      tenant:write
+ *   GET    /api/admin/customers/:id/companions           tenant:read
+ *   POST   /api/admin/customers/:id/companions           tenant:write
+ *   PATCH  /api/admin/customers/:id/companions/:key      tenant:write
+ *   DELETE /api/admin/customers/:id/companions/:key      tenant:write
+ *   GET    /api/admin/customers/:id/api-keys             api_keys:manage
+ *   POST   /api/admin/customers/:id/api-keys             api_keys:manage
+ *   DELETE /api/admin/customers/:id/api-keys/:keyId      api_keys:manage
+ *   GET    /api/admin/customers/:id/actions              tenant:read
+ *   POST   /api/admin/customers/:id/actions              tenant:write
+ *   PATCH  /api/admin/customers/:id/actions/:actionId    tenant:write
+ *   DELETE /api/admin/customers/:id/actions/:actionId    tenant:write
+ *   GET    /api/admin/customers/:id/teams                tenant:read
+ *   POST   /api/admin/customers/:id/teams                tenant:write
+ *   PATCH  /api/admin/customers/:id/teams/:teamId        tenant:write
+ *   DELETE /api/admin/customers/:id/teams/:teamId        tenant:write
+ *   GET    /api/admin/customers/:id/routing-rules        tenant:read
+ *   POST   /api/admin/customers/:id/routing-rules        tenant:write
+ *   PATCH  /api/admin/customers/:id/routing-rules/:ruleId  tenant:write
+ *   DELETE /api/admin/customers/:id/routing-rules/:ruleId  tenant:write
+ *   GET    /api/admin/customers/:id/email-templates      tenant:read
+ *   POST   /api/admin/customers/:id/email-templates      tenant:write
+ *   PATCH  /api/admin/customers/:id/email-templates/:templateId  tenant:write
+ *   DELETE /api/admin/customers/:id/email-templates/:templateId  tenant:write
+ *   GET    /api/admin/customers/:id/security-events      security:read (se securityEvents.js)
+ *
+ * Kräver staff-token eller API-nyckel (se auth.js).
+ */
+
+import { authenticate, authorize, accessibleCustomerIds, describePrincipal } from './auth.js';
+import {
+  listCustomers,
+  getCustomerDetails,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  getCustomerConfig,
+  upsertCustomerConfig,
+  listCompanions,
+  createCompanion,
+  updateCompanion,
+  deleteCompanion,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listActions,
+  createAction,
+  updateAction,
+  deleteAction,
+  listTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  listRoutingRules,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  listEmailTemplates,
+  createEmailTemplate,
+  updateEmailTemplate,
+  deleteEmailTemplate
+} from './tenantAdmin.js';
+import { listSecurityEvents } from './securityEvents.js';
+
+const CONFIG_KINDS = {
+  'ai-config': 'aiConfig',
+  'analysis-config': 'analysisConfig'
+};
+
+// Fält på customers som bara superadmin får ändra
+const MANAGED_CUSTOMER_FIELDS = ['plan', 'organization_id'];
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  return res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return body ? JSON.parse(body) : {};
+}
+
+/**
+ * Map method + path to a permission and a tenantAdmin call
+ *
+ * @returns {{ permission, customerId?, run: Function } | null} null om ingen route matchar
+ */
+function route(method, segments, { body, query, principal, requestId }) {
+  const [resource, customerId, sub, subKey] = segments;
+  if (resource !== 'customers') return null;
+
+  if (!customerId) {
+    if (method === 'GET') {
+      return { permission: null, run: () => listCustomers(accessibleCustomerIds(principal), requestId) };
+    }
+    if (method === 'POST') {
+      return { permission: 'customers:manage', run: async () => createCustomer(await body(), requestId) };
+    }
+    return null;
+  }
+
+  const scoped = (permission, run) => ({ permission, customerId, run });
+
+  if (!sub) {
+    if (method === 'GET') return scoped('tenant:read', () => getCustomerDetails(customerId, requestId));
+    if (method === 'DELETE') return scoped('customers:manage', () => deleteCustomer(customerId, requestId));
+    if (method === 'PATCH') {
+      return scoped('tenant:write', async () => {
+        const input = await body();
+        const managed = MANAGED_CUSTOMER_FIELDS.filter(field => input && input[field] !== undefined);
+        if (managed.length > 0 && !authorize(principal, 'customers:manage', customerId)) {
+          return { error: `Only superadmins may change: ${managed.join(', ')}`, status: 403 };
+        }
+        return updateCustomer(customerId, input, requestId);
+      });
+    }
+    return null;
+  }
+
+  const kind = CONFIG_KINDS[sub];
+  if (kind && !subKey) {
+    if (method === 'GET') return scoped('tenant:read', () => getCustomerConfig(kind, customerId, requestId));
+    if (method === 'PUT') return scoped('tenant:write', async () => upsertCustomerConfig(kind, customerId, await body(), requestId));
+    return null;
+  }
+
+  if (sub === 'companions') {
+    if (!subKey) {
+      if (method === 'GET') return scoped('tenant:read', () => listCompanions(customerId, requestId));
+      if (method === 'POST') return scoped('tenant:write', async () => createCompanion(customerId, await body(), requestId));
+      return null;
+    }
+    if (method === 'PATCH') return scoped('tenant:write', async () => updateCompanion(customerId, subKey, await body(), requestId));
+    if (method === 'DELETE') return scoped('tenant:write', () => deleteCompanion(customerId, subKey, requestId));
+    return null;
+  }
+
+  if (sub === 'api-keys') {
+    if (!subKey) {
+      if (method === 'GET') return scoped('api_keys:manage', () => listApiKeys(customerId, requestId));
+      if (method === 'POST') return scoped('api_keys:manage', async () => createApiKey(customerId, await body(), principal.userId, requestId));
+      return null;
+    }
+    if (method === 'DELETE') return scoped('api_keys:manage', () => revokeApiKey(customerId, subKey, requestId));
+  }
+
+  if (sub === 'actions') {
+    if (!subKey) {
+      if (method === 'GET') return scoped('tenant:read', () => listActions(customerId, requestId));
+      if (method === 'POST') return scoped('tenant:write', async () => createAction(customerId, await body(), requestId));
+      return null;
+    }
+    if (method === 'PATCH') return scoped('tenant:write', async () => updateAction(customerId, subKey, await body(), requestId));
+    if (method === 'DELETE') return scoped('tenant:write', () => deleteAction(customerId, subKey, requestId));
+  }
+
+  if (sub === 'teams') {
+    if (!subKey) {
+      if (method === 'GET') return scoped('tenant:read', () => listTeams(customerId, requestId));
+      if (method === 'POST') return scoped('tenant:write', async () => createTeam(customerId, await body(), requestId));
+      return null;
+    }
+    if (method === 'PATCH') return scoped('tenant:write', async () => updateTeam(customerId, subKey, await body(), requestId));
+    if (method === 'DELETE') return scoped('tenant:write', () => deleteTeam(customerId, subKey, requestId));
+  }
+
+  if (sub === 'routing-rules') {
+    if (!subKey) {
+      if (method === 'GET') return scoped('tenant:read', () => listRoutingRules(customerId, requestId));
+      if (method === 'POST') return scoped('tenant:write', async () => createRoutingRule(customerId, await body(), principal.userId, requestId));
+      return null;
+    }
+    if (method === 'PATCH') return scoped('tenant:write', async () => updateRoutingRule(customerId, subKey, await body(), requestId));
+    if (method === 'DELETE') return scoped('tenant:write', () => deleteRoutingRule(customerId, subKey, requestId));
+  }
+
+  if (sub === 'email-templates') {
+    if (!subKey) {
+      if (method === 'GET') return scoped('tenant:read', () => listEmailTemplates(customerId, requestId));
+      if (method === 'POST') return scoped('tenant:write', async () => createEmailTemplate(customerId, await body(), requestId));
+      return null;
+    }
+    if (method === 'PATCH') return scoped('tenant:write', async () => updateEmailTemplate(customerId, subKey, await body(), requestId));
+    if (method === 'DELETE') return scoped('tenant:write', () => deleteEmailTemplate(customerId, subKey, requestId));
+  }
+
+  if (sub === 'security-events' && !subKey && method === 'GET') {
+    return scoped('security:read', () => listSecurityEvents(customerId, query, requestId));
+  }
+
+  return null;
+}
+
+/**
+ * Path segments after /api/admin, URL-decoded - null om kodningen är trasig (t.ex. %E0)
+ */
+function pathSegments(path) {
+  try {
+    return path.replace(/^\/api\/admin\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Handle /api/admin/* requests
+ */
+export async function handleAdminRequest(req, res, { path, logger, requestTimer, requestId }) {
+  const auth = await authenticate(req, requestId);
+  if (auth.error || !auth.principal) {
+    const statusCode = auth.status || 401;
+    logger.warn({ event: 'AUTH_REQUIRED', path, statusCode }, `🔒 Admin request rejected: ${auth.error || 'no credentials'}`);
+    return sendJson(res, statusCode, { error: auth.error || 'Authentication required' });
+  }
+
+  const { principal } = auth;
+  const segments = pathSegments(path);
+  const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+
+  let invalidJson = false;
+  const body = () => readJson(req).catch(() => {
+    invalidJson = true;
+    return null;
+  });
+
+  const matched = segments && route(req.method, segments, { body, query, principal, requestId });
+  if (!matched) {
+    logger.warn({ event: 'NOT_FOUND', path, method: req.method }, `Route not found: ${req.method} ${path}`);
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  if (matched.permission && !authorize(principal, matched.permission, matched.customerId)) {
+    logger.warn({
+      event: 'FORBIDDEN',
+      path,
+      method: req.method,
+      permission: matched.permission,
+      principal: describePrincipal(principal)
+    }, `⛔ ${req.method} ${path} requires ${matched.permission}`);
+    return sendJson(res, 403, { error: 'Forbidden' });
+  }
+
+  const result = await matched.run();
+
+  if (invalidJson) {
+    logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid JSON' }, 'Invalid JSON body');
+    return sendJson(res, 400, { error: 'Invalid JSON body' });
+  }
+
+  if (result.error) {
+    logger.warn({
+      event: 'ADMIN_REQUEST_REJECTED',
+      path,
+      method: req.method,
+      statusCode: result.status,
+      error: result.error,
+      details: result.details
+    }, `◀ ${req.method} ${path} ${result.status} - ${result.error}`);
+
+    return sendJson(res, result.status, {
+      error: result.error,
+      ...(result.details && { details: result.details })
+    });
+  }
+
+  const statusCode = req.method === 'POST' || result.created ? 201 : 200;
+
+  logger.info({
+    event: 'ADMIN_REQUEST_END',
+    path,
+    method: req.method,
+    statusCode,
+    principal: describePrincipal(principal),
+    latencyMs: requestTimer.elapsed()
+  }, `◀ ${req.method} ${path} ${statusCode} (${requestTimer.elapsed()}ms)`);
+
+  return sendJson(res, statusCode, result);
+}
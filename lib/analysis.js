@@ -0,0 +1,269 @@
+/**
+ * Conversation analysis - customer_analysis_config per tur
+ *
+ * När sessionen har minst min_messages_before_analysis meddelanden matchas
+ * varje besvarad tur mot kundens config:
+ *
+ * | type            | Matchar                 | Config-fält               | priority |
+ * |-----------------|-------------------------|---------------------------|----------|
+ * | complaint       | besökarens meddelande   | complaint_keywords        | high     |
+ * | human_request   | besökarens meddelande   | human_request_keywords    | high     |
+ * | special_request | besökarens meddelande   | special_request_keywords  | normal   |
+ * | ai_unsure       | AI:ns svar              | ai_unsure_patterns        | normal   |
+ *
+ * En träff sätter chat_sessions.needs_human och skapar en notifications-rad
+ * (högst en oläst per typ och session - ingen ny rad för varje tur).
+ * email_pattern / phone_pattern plockar besökarens kontaktuppgifter till
+ * notifikationen. Saknar kunden config används kolumn-defaults från 001.
+ * En träff på dem (oavsett tröskeln) gör att chatEngine skapar/uppdaterar
+ * sessionens lead-notifikation (se leads.js).
+ */
+
+import { getDb, createNotification } from './db.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const analysisLogger = createComponentLogger('analysis');
+
+// Samma som kolumn-defaults i migrations/001_initial_schema.up.sql
+const DEFAULT_ANALYSIS_CONFIG = {
+  enable_analysis: true,
+  min_messages_before_analysis: 4,
+  email_pattern: '/@/',
+  phone_pattern: null,
+  complaint_keywords: 'klagomål,missnöjd,dålig,besviken,arg,fel,problem,klaga',
+  human_request_keywords: 'prata med,tala med,personal,chef,människa,riktig person',
+  special_request_keywords: 'kosher,halal,vegan,privat event,kalas,bröllop,firmafest,allergisk',
+  ai_unsure_patterns: 'vet tyvärr inte,kan inte svara på,får du kontakta,rekommenderar att du ringer'
+};
+
+export const ANALYSIS_RULES = [
+  { type: 'complaint', source: 'user', field: 'complaint_keywords', priority: 'high', label: 'Klagomål' },
+  { type: 'human_request', source: 'user', field: 'human_request_keywords', priority: 'high', label: 'Vill prata med personal' },
+  { type: 'special_request', source: 'user', field: 'special_request_keywords', priority: 'normal', label: 'Särskild förfrågan' },
+  { type: 'ai_unsure', source: 'assistant', field: 'ai_unsure_patterns', priority: 'normal', label: 'AI:n kunde inte svara' }
+];
+
+const SUMMARY_EXCERPT_LENGTH = 200;
+
+// Tenant-mönster körs på varje meddelande i den gemensamma event-loopen -
+// texten kapas så att även ett långsamt (polynomiellt) mönster har ett tak
+export const PATTERN_MAX_INPUT = 2000;
+
+/**
+ * Kvantifierad grupp som själv innehåller en kvantifierare - "(a+)+", "(\w*x?)*",
+ * "(a{2,})+" - kan backtracka exponentiellt och frysa servern för alla kunder
+ */
+function hasNestedQuantifier(source) {
+  const groups = [{ quantified: false }];
+  let closed = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const previous = closed;
+    closed = null;
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false });
+      // (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      if (source[i + 1] === '?') i += source[i + 2] === '<' ? (/^<[=!]/.test(source.slice(i + 2)) ? 3 : 2) : 2;
+    } else if (char === ')' && groups.length > 1) {
+      closed = groups.pop();
+      if (closed.quantified) groups[groups.length - 1].quantified = true;
+    } else if (char === '*' || char === '+' || char === '?' || char === '{') {
+      const range = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i)) : null;
+      if (char === '{' && !range) continue;
+
+      const repeats = char === '*' || char === '+' || (range && (range[2] ? range[3] === '' || Number(range[3]) > 1 : Number(range[1]) > 1));
+      if (repeats && previous?.quantified) return true;
+      groups[groups.length - 1].quantified = true;
+
+      if (range) i += range[0].length - 1;
+      if (source[i + 1] === '?') i++;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile a config pattern - "/@/i" eller bara "@"
+ *
+ * @returns {RegExp|null} null om mönstret saknas, är ogiltigt eller har nästlade kvantifierare
+ */
+export function compilePattern(value) {
+  if (!value) return null;
+  const match = /^\/(.*)\/([a-z]*)$/.exec(value);
+  const source = match ? match[1] : value;
+  if (hasNestedQuantifier(source)) return null;
+  try {
+    return new RegExp(source, match ? match[2] : undefined);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Test a tenant pattern against visitor/AI text - högst PATTERN_MAX_INPUT tecken
+ */
+export function testPattern(pattern, text) {
+  return !!pattern && !!text && pattern.test(text.substring(0, PATTERN_MAX_INPUT));
+}
+
+export function parseKeywords(text) {
+  return (text || '')
+    .split(',')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Keywords found at the start of a word ("arg" matchar "arga" men inte "Margareta")
+ */
+export function findKeywords(text, keywords) {
+  if (!text) return [];
+  return keywords.filter(keyword => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}`, 'iu').test(text));
+}
+
+function excerpt(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > SUMMARY_EXCERPT_LENGTH ? `${clean.substring(0, SUMMARY_EXCERPT_LENGTH)}…` : clean;
+}
+
+/**
+ * Visitor contact details from the message (email_pattern / phone_pattern)
+ */
+function extractContact(config, message) {
+  const emailPattern = compilePattern(config.email_pattern);
+  const phonePattern = compilePattern(config.phone_pattern);
+  const userMessage = message.substring(0, PATTERN_MAX_INPUT);
+
+  // email_pattern är ofta bara "/@/" - testa ord för ord istället för att ta själva träffen
+  const guestEmail = emailPattern
+    ? userMessage.split(/\s+/).map(word => word.replace(/^[<(]+|[>),.;:!?]+$/g, '')).find(word => emailPattern.test(word)) || null
+    : null;
+  const guestPhone = phonePattern ? userMessage.match(phonePattern)?.[0]?.trim() || null : null;
+
+  return { guestEmail, guestPhone };
+}
+
+/**
+ * Match one turn against the analysis config (ingen I/O)
+ *
+ * @returns {{ matches: Array<{ type, priority, keywords, summary }>, guestEmail, guestPhone }}
+ */
+export function analyzeTurn(config, { userMessage, aiResponse }) {
+  const matches = [];
+
+  for (const rule of ANALYSIS_RULES) {
+    const text = rule.source === 'user' ? userMessage : aiResponse;
+    const keywords = findKeywords(text, parseKeywords(config[rule.field]));
+    if (keywords.length === 0) continue;
+
+    const summary = rule.source === 'user'
+      ? `${rule.label}: "${excerpt(userMessage)}" (matchade: ${keywords.join(', ')})`
+      : `${rule.label} på: "${excerpt(userMessage)}" (svar: "${excerpt(aiResponse)}")`;
+
+    matches.push({ type: rule.type, priority: rule.priority, keywords, summary });
+  }
+
+  return { matches, ...extractContact(config, userMessage) };
+}
+
+/**
+ * Analyze the latest turn and flag the session for staff
+ *
+ * @param {object} turn
+ * @param {string} turn.customerId
+ * @param {string} turn.sessionId
+ * @param {string} turn.userMessage
+ * @param {string} turn.aiResponse
+ * @param {number} [turn.extraMessages] - Meddelanden som inte finns i DB (klienthistorik i stateless-läge)
+ * @returns {Promise<{ analyzed: boolean, reason?, matches, intents: string[], contact, notifications, needsHuman, dbTime }>}
+ *   intents = typerna som matchade, även under tröskeln (används av customer_actions).
+ *   contact = { guestEmail, guestPhone } från email_pattern / phone_pattern, även under
+ *   tröskeln (träff → leads.js), null när analysen är avstängd
+ */
+export async function runConversationAnalysis(turn, requestId) {
+  const { customerId, sessionId, userMessage, aiResponse, extraMessages = 0 } = turn;
+  const db = getDb();
+  const logger = analysisLogger.child({ requestId, operation: 'analyzeConversation' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', {
+    query: 'SELECT analysis_config + message count',
+    sessionId: sessionId?.substring(0, 8)
+  });
+
+  try {
+    const [row] = await db`
+      SELECT
+        (SELECT row_to_json(cfg) FROM customer_analysis_config cfg WHERE cfg.customer_id = ${customerId}) AS config,
+        (SELECT COUNT(*)::int FROM chat_messages WHERE session_id = ${sessionId}) AS message_count
+    `;
+
+    const config = row.config || DEFAULT_ANALYSIS_CONFIG;
+    const messageCount = row.message_count + extraMessages;
+
+    if (!config.enable_analysis) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { analyzed: false });
+      return { analyzed: false, reason: 'disabled', matches: [], intents: [], contact: null, notifications: [], needsHuman: false, dbTime: timer.elapsed() };
+    }
+
+    const { matches, guestEmail, guestPhone } = analyzeTurn(config, { userMessage, aiResponse });
+    // Intents används av customer_actions oavsett tröskeln
+    const intents = matches.map(match => match.type);
+    const contact = { guestEmail, guestPhone };
+
+    if (messageCount < (config.min_messages_before_analysis ?? 0)) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { analyzed: false, messageCount });
+      return { analyzed: false, reason: 'below_threshold', matches: [], intents, contact, notifications: [], needsHuman: false, dbTime: timer.elapsed() };
+    }
+
+    if (matches.length === 0) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { analyzed: true, matches: 0 });
+      return { analyzed: true, matches, intents, contact, notifications: [], needsHuman: false, dbTime: timer.elapsed() };
+    }
+
+    await db`
+      UPDATE chat_sessions SET needs_human = true, updated_at = NOW()
+      WHERE id = ${sessionId}
+    `;
+
+    // En oläst notifikation per typ och session räcker
+    const notifications = [];
+    for (const match of matches) {
+      const result = await createNotification({
+        customerId,
+        sessionId,
+        type: match.type,
+        priority: match.priority,
+        summary: match.summary,
+        guestEmail,
+        guestPhone
+      }, requestId, { dedupeUnread: true });
+      if (result.notification) notifications.push(result.notification);
+    }
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, {
+      analyzed: true,
+      matches: matches.length,
+      notificationsCreated: notifications.length
+    });
+
+    return { analyzed: true, matches, intents, contact, notifications, needsHuman: true, dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'analyzeConversation', sessionId: sessionId?.substring(0, 8) });
+    throw error;
+  }
+}
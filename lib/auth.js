@@ -0,0 +1,415 @@
+/**
+ * Auth - signerade bearer tokens, per-tenant API-nycklar och rollkontroller
+ *
+ * Tre sorters credentials i Authorization: Bearer <...>:
+ * - Staff-token: HS256-signerad JWT (AUTH_TOKEN_SECRET) med sub = user_id
+ *   och/eller email. Skapas med `npm run auth:token`.
+ * - API-nyckel: "ery_..." kopplad till en kund (tabellen api_keys).
+ * - Besökartoken: samma signering med scope "visitor" och sid = sessionens id.
+ *   Skickas med chat-svaret och ger bara läsrätt till den egna sessionen.
+ *
+ * Roller läses från databasen vid varje request (superadmins,
+ * user_memberships, dashboard_users) - en borttagen membership slår igenom
+ * direkt utan att tokens behöver återkallas.
+ *
+ * Publika widget-routes (greeting, chat) är fortsatt anonyma.
+ */
+
+import { createHmac, createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { getDb } from './db.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const authLogger = createComponentLogger('auth');
+
+const TOKEN_ISSUER = 'eryai-engine';
+export const DEFAULT_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+export const VISITOR_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+const VISITOR_SCOPE = 'visitor';
+
+const API_KEY_PREFIX = 'ery_';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Högre = mer behörighet. Okända roller ger ingen behörighet alls.
+export const ROLE_RANK = {
+  member: 1,
+  admin: 2,
+  owner: 3
+};
+
+/**
+ * Minsta roll per permission.
+ * user_memberships.permissions kan överstyra per kund: { "tenant:write": false }
+ */
+export const PERMISSIONS = {
+  'messages:read': 'member',
+  'messages:write': 'member',
+  'escalations:read': 'admin',
+  'security:read': 'admin',
+  'tenant:read': 'member',
+  'tenant:write': 'admin',
+  'api_keys:manage': 'admin',
+  'customers:manage': 'superadmin',
+  'setup:run': 'superadmin'
+};
+
+// API-nycklar får aldrig skapa nya nycklar
+const USER_ONLY_PERMISSIONS = new Set(['api_keys:manage']);
+
+// ============================================
+// SIGNED TOKENS (HS256)
+// ============================================
+
+function getTokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret || secret.length < 32) {
+    return null;
+  }
+  return secret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return createHmac('sha256', secret).update(data).digest();
+}
+
+function encodeToken(claims, ttlSeconds, secret) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iss: TOKEN_ISSUER, iat: now, exp: now + ttlSeconds }));
+  const signature = hmac(`${header}.${payload}`, secret).toString('base64url');
+
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Sign a staff token
+ *
+ * @param {{ sub?: string, email?: string }} claims
+ * @returns {string}
+ */
+export function signToken(claims, { ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS } = {}) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    throw new Error('AUTH_TOKEN_SECRET must be set (at least 32 characters) to sign tokens');
+  }
+  if (!claims.sub && !claims.email) {
+    throw new Error('Token needs a sub (user_id) or an email');
+  }
+
+  // scope är reserverat för besökartokens
+  const { scope, ...staffClaims } = claims;
+  return encodeToken(staffClaims, ttlSeconds, secret);
+}
+
+/**
+ * Sign a visitor token for one session (widgeten läser sina meddelanden med den)
+ *
+ * @returns {string|null} null när AUTH_TOKEN_SECRET saknas
+ */
+export function signVisitorToken(sessionId) {
+  const secret = getTokenSecret();
+  if (!secret || !UUID_PATTERN.test(sessionId || '')) return null;
+  return encodeToken({ scope: VISITOR_SCOPE, sid: sessionId }, VISITOR_TOKEN_TTL_SECONDS, secret);
+}
+
+/**
+ * Verify a staff token
+ *
+ * @returns {{ claims: object } | { error: string }}
+ */
+export function verifyToken(token) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    return { error: 'Token auth not configured' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { error: 'Malformed token' };
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = hmac(`${header}.${payload}`, secret);
+  const provided = Buffer.from(signature, 'base64url');
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return { error: 'Invalid token signature' };
+  }
+
+  let claims;
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (decodedHeader.alg !== 'HS256') {
+      return { error: 'Unsupported token algorithm' };
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return { error: 'Malformed token' };
+  }
+
+  if (claims.iss !== TOKEN_ISSUER) {
+    return { error: 'Invalid token issuer' };
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return { error: 'Token expired' };
+  }
+
+  return { claims };
+}
+
+// ============================================
+// API KEYS
+// ============================================
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new API key - klartexten returneras bara här
+ *
+ * @returns {{ key, prefix, hash }}
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.substring(0, 12), hash: hashApiKey(key) };
+}
+
+async function loadApiKeyPrincipal(key, requestId) {
+  const db = getDb();
+  const logger = authLogger.child({ requestId, operation: 'loadApiKey' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT api_key', prefix: key.substring(0, 12) });
+
+  try {
+    const rows = await db`
+      SELECT id, customer_id, name, role
+      FROM api_keys
+      WHERE key_hash = ${hashApiKey(key)}
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+      LIMIT 1
+    `;
+
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { found: rows.length > 0 });
+
+    const apiKey = rows[0];
+    if (!apiKey) return null;
+
+    // Best-effort, max en skrivning per minut och nyckel
+    db`
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE id = ${apiKey.id} AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+    `.catch(error => logError(logger, error, { operation: 'touchApiKey' }));
+
+    return {
+      type: 'api_key',
+      keyId: apiKey.id,
+      name: apiKey.name,
+      isSuperadmin: false,
+      memberships: [{ customerId: apiKey.customer_id, role: apiKey.role, permissions: {} }]
+    };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'loadApiKey' });
+    throw error;
+  }
+}
+
+// ============================================
+// PRINCIPALS
+// ============================================
+
+/**
+ * Slå ihop flera memberships för samma kund - högsta rollen vinner,
+ * permissions-överstyrningar slås ihop
+ */
+function mergeMemberships(rows) {
+  const byCustomer = new Map();
+
+  for (const row of rows) {
+    const existing = byCustomer.get(row.customer_id);
+    const permissions = row.permissions || {};
+
+    if (!existing) {
+      byCustomer.set(row.customer_id, { customerId: row.customer_id, role: row.role, permissions: { ...permissions } });
+      continue;
+    }
+
+    if ((ROLE_RANK[row.role] || 0) > (ROLE_RANK[existing.role] || 0)) {
+      existing.role = row.role;
+    }
+    Object.assign(existing.permissions, permissions);
+  }
+
+  return [...byCustomer.values()];
+}
+
+/**
+ * Load roles for token claims - null om användaren saknar all behörighet
+ */
+export async function loadUserPrincipal(claims, requestId) {
+  const db = getDb();
+  const logger = authLogger.child({ requestId, operation: 'loadUser' });
+  const timer = createTimer();
+
+  const userId = UUID_PATTERN.test(claims.sub || '') ? claims.sub : null;
+  const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT superadmin + memberships', userId: userId?.substring(0, 8) });
+
+  try {
+    const superadmins = await db`
+      SELECT id FROM superadmins
+      WHERE (${userId}::uuid IS NOT NULL AND user_id = ${userId}::uuid)
+         OR (${email}::text IS NOT NULL AND LOWER(email) = ${email}::text)
+      LIMIT 1
+    `;
+
+    // Membership kan gälla en kund, ett team (→ teamets kund) eller en hel organisation
+    const memberships = userId ? await db`
+      SELECT c.id AS customer_id, m.role, m.permissions
+      FROM user_memberships m
+      LEFT JOIN teams t ON t.id = m.team_id
+      JOIN customers c ON c.id = COALESCE(m.customer_id, t.customer_id)
+        OR (m.customer_id IS NULL AND m.team_id IS NULL AND c.organization_id = m.organization_id)
+      WHERE m.user_id = ${userId}
+      UNION ALL
+      SELECT d.customer_id, d.role, '{}'::jsonb AS permissions
+      FROM dashboard_users d
+      WHERE d.user_id = ${userId} AND d.status = 'active' AND d.customer_id IS NOT NULL
+    ` : [];
+
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), {
+      superadmin: superadmins.length > 0,
+      memberships: memberships.length
+    });
+
+    if (superadmins.length === 0 && memberships.length === 0) {
+      return null;
+    }
+
+    return {
+      type: 'user',
+      userId,
+      email,
+      isSuperadmin: superadmins.length > 0,
+      memberships: mergeMemberships(memberships)
+    };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'loadUser' });
+    throw error;
+  }
+}
+
+/**
+ * Resolve the caller from the Authorization header
+ *
+ * options.allowQueryToken tar även ?access_token= - bara för SSE-strömmar,
+ * EventSource kan inte skicka headers.
+ *
+ * @returns {Promise<{ principal: object|null } | { error, status }>}
+ *   principal = null betyder anonym (ingen header)
+ */
+export async function authenticate(req, requestId, options = {}) {
+  const queryToken = options.allowQueryToken ? new URL(req.url, 'http://localhost').searchParams.get('access_token') : null;
+  const header = req.headers.authorization || (queryToken && `Bearer ${queryToken}`);
+  if (!header) {
+    return { principal: null };
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) {
+    return { error: 'Invalid Authorization header', status: 401 };
+  }
+
+  const credential = match[1];
+
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    const principal = await loadApiKeyPrincipal(credential, requestId);
+    if (!principal) {
+      authLogger.warn({ event: 'AUTH_FAILED', requestId, reason: 'Unknown or revoked API key' }, '🔒 Unknown or revoked API key');
+      return { error: 'Invalid API key', status: 401 };
+    }
+    return { principal };
+  }
+
+  const verified = verifyToken(credential);
+  if (verified.error) {
+    authLogger.warn({ event: 'AUTH_FAILED', requestId, reason: verified.error }, `🔒 ${verified.error}`);
+    return { error: 'Invalid or expired token', status: 401 };
+  }
+
+  // Besökare har inga roller - bara sin egen session (isSessionVisitor)
+  if (verified.claims.scope === VISITOR_SCOPE) {
+    if (!UUID_PATTERN.test(verified.claims.sid || '')) {
+      return { error: 'Invalid or expired token', status: 401 };
+    }
+    return { principal: { type: 'visitor', sessionId: verified.claims.sid, isSuperadmin: false, memberships: [] } };
+  }
+
+  const principal = await loadUserPrincipal(verified.claims, requestId);
+  if (!principal) {
+    authLogger.warn({ event: 'AUTH_FAILED', requestId, reason: 'No roles for user' }, '🔒 Token valid but user has no access');
+    return { error: 'Invalid or expired token', status: 401 };
+  }
+
+  return { principal };
+}
+
+/**
+ * Role check for one permission on one customer
+ *
+ * @param {object|null} principal
+ * @param {keyof PERMISSIONS} permission
+ * @param {string} [customerId] - Krävs för alla permissions utom superadmin-permissions
+ */
+export function authorize(principal, permission, customerId) {
+  if (!principal) return false;
+  if (principal.isSuperadmin) return true;
+
+  const minRole = PERMISSIONS[permission];
+  if (!minRole || minRole === 'superadmin') return false;
+  if (principal.type === 'api_key' && USER_ONLY_PERMISSIONS.has(permission)) return false;
+
+  const membership = principal.memberships.find(m => m.customerId === customerId);
+  if (!membership) return false;
+
+  const override = membership.permissions?.[permission];
+  if (typeof override === 'boolean') return override;
+
+  return (ROLE_RANK[membership.role] || 0) >= ROLE_RANK[minRole];
+}
+
+/**
+ * Is the principal the visitor who owns this session?
+ */
+export function isSessionVisitor(principal, sessionId) {
+  return principal?.type === 'visitor' && principal.sessionId === sessionId;
+}
+
+/**
+ * Customers the principal may see - null = alla (superadmin)
+ */
+export function accessibleCustomerIds(principal) {
+  if (principal.isSuperadmin) return null;
+  return principal.memberships
+    .filter(m => authorize(principal, 'tenant:read', m.customerId))
+    .map(m => m.customerId);
+}
+
+/**
+ * Short description for logs (aldrig själva credentialen)
+ */
+export function describePrincipal(principal) {
+  if (!principal) return { type: 'anonymous' };
+  if (principal.type === 'visitor') return { type: 'visitor', sessionId: principal.sessionId.substring(0, 8) };
+  if (principal.type === 'api_key') {
+    return { type: 'api_key', keyId: principal.keyId.substring(0, 8), customerId: principal.memberships[0].customerId.substring(0, 8) };
+  }
+  return { type: 'user', userId: principal.userId?.substring(0, 8), superadmin: principal.isSuperadmin };
+}
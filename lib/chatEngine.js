@@ -13,10 +13,24 @@ import {
   getOrCreateSession,
   saveMessage,
   getMessages,
-  updateSession
+  updateSession,
+  updateSessionSummary,
+  createNotification,
+  getRecentUserTurns
 } from './db.js';
 import { callMistral, buildSystemPrompt } from './mistral.js';
-import { analyzePromptSafety, getCustomerType, quickSafetyCheck } from './securityJudge.js';
+import { resolveModel } from './providers/index.js';
+import { resolveGenerationSettings } from './generationSettings.js';
+import { getHistoryBudget, fitHistory, summarizeHistory } from './contextWindow.js';
+import { judgePrompt, getCustomerType, JUDGE_WINDOW_TURNS } from './securityJudge.js';
+import { getCustomerUsage, recordCustomerUsage, getUsageLimitResponse } from './usage.js';
+import { runConversationAnalysis } from './analysis.js';
+import { captureLead } from './leads.js';
+import { createOutputGuard, createStreamGuard, scanReply } from './outputGuard.js';
+import { recordSecurityEvent, judgeEventDetails } from './securityEvents.js';
+import { loadCustomerActions, runCustomerActions } from './customerActions.js';
+import { routeSession } from './routing.js';
+import { publishMessageEvent, publishSessionState } from './events.js';
 import { createComponentLogger, createTimer, logError } from './logger.js';
 
 const engineLogger = createComponentLogger('chatEngine');
@@ -37,11 +51,126 @@ function getBlockedResponse(customerType) {
   }
 }
 
+/**
+ * Add one LLM call's tokens to the turn total
+ */
+function addTokens(sum, tokens) {
+  if (!tokens) return;
+  sum.input += tokens.input;
+  sum.output += tokens.output;
+  sum.total += tokens.total;
+  sum.costEur += tokens.costEur;
+}
+
+/**
+ * Count the turn's LLM usage against the customer's caps
+ *
+ * Svaret är redan genererat - ett fel här ska inte fälla chatten.
+ * requests = 0 för extra anrop i en tur som redan räknats (t.ex. lead-extraktion).
+ */
+async function recordTurnUsage(customerId, turnTokens, logger, requestId, { requests = 1 } = {}) {
+  if (turnTokens.total === 0) return 0;
+  try {
+    const result = await recordCustomerUsage(customerId, turnTokens, requestId, { requests });
+    return result.dbTime;
+  } catch (error) {
+    logger.warn({ event: 'USAGE_RECORD_FAILED', error: error.message, tokens: turnTokens }, '⚠️ Failed to record customer usage');
+    return 0;
+  }
+}
+
+/**
+ * Route the session to staff - fel loggas men fäller aldrig chatten
+ *
+ * @returns {Promise<number>} dbTime
+ */
+async function routeTurn(turn, logger, requestId) {
+  try {
+    const result = await routeSession(turn, requestId);
+
+    if (result.routed) {
+      logger.info({
+        event: 'SESSION_ROUTED',
+        sessionId: turn.sessionId?.substring(0, 8),
+        teamId: result.assignment.teamId?.substring(0, 8) || null,
+        userId: result.assignment.userId?.substring(0, 8) || null,
+        ruleId: result.assignment.ruleId?.substring(0, 8) || null,
+        escalationLevel: result.assignment.escalationLevel,
+        recipients: result.recipients?.userIds.length || 0
+      }, `🧭 Session routed ${result.rule ? `by rule "${result.rule.name}"` : 'to default team'}`);
+    }
+
+    return result.dbTime || 0;
+  } catch (error) {
+    logger.warn({ event: 'ROUTING_FAILED', error: error.message }, '⚠️ Session routing failed');
+    return 0;
+  }
+}
+
+/**
+ * Larma personalen om ett blockerat meddelande (e-post/push via notificationWorker)
+ *
+ * Som routeTurn - ett fel här får inte ändra svaret till besökaren.
+ *
+ * @returns {Promise<number>} dbTime
+ */
+async function notifySuspicious(customerId, sessionId, securityResult, logger, requestId) {
+  try {
+    const result = await createNotification({
+      customerId,
+      sessionId,
+      type: 'suspicious',
+      priority: securityResult.riskLevel >= 8 ? 'urgent' : 'high',
+      summary: `Risk ${securityResult.riskLevel}/10: ${securityResult.reason || 'okänd anledning'}`
+    }, requestId, { dedupeUnread: true });
+    return result.dbTime;
+  } catch (error) {
+    logger.warn({ event: 'SUSPICIOUS_NOTIFICATION_FAILED', error: error.message }, '⚠️ Could not notify staff about blocked message');
+    return 0;
+  }
+}
+
+/**
+ * Push a saved message to the session's event stream (events.js)
+ *
+ * @returns {Promise<number>} dbTime
+ */
+async function publishMessage(customerId, sessionId, { role, senderType, content }, saved, requestId) {
+  const result = await publishMessageEvent(customerId, sessionId, {
+    id: saved.id,
+    role,
+    content,
+    sender_type: senderType,
+    created_at: saved.created_at
+  }, requestId);
+  return result.dbTime;
+}
+
 /**
  * Handle chat request
+ *
+ * Med params.onDelta strömmas svaret token för token (SSE). Assistentens
+ * meddelande sparas först när strömmen har avslutats utan fel.
+ *
+ * Historiken läses från chat_messages. params.history används bara när
+ * params.stateless är satt - den ska redan vara validerad (validateClientHistory).
+ *
+ * Har personalen tagit över sessionen (sessions.js) bedöms besökarens
+ * meddelande som vanligt, sparas med sitt omdöme och svaret blir
+ * { response: null, humanActive: true }. Stoppade meddelanden når inte personalen.
+ *
+ * Sparade meddelanden och ändrade flaggor/tilldelning publiceras på
+ * sessionens händelseström (events.js).
+ *
+ * Läcker AI:ns svar systemprompten, en hemlighet eller en annan kunds
+ * identitet (outputGuard.js) byts det mot det blockerade svaret och
+ * resultatet får outputBlocked: true.
+ *
+ * sessionCreated = sessionen skapades av det här anropet. Bara då (eller med
+ * besökarens egen token) får klienten en besökartoken för sessionen.
  */
 export async function handleChat(params) {
-  const { prompt, history, sessionId, customerId, slug, companion, isTestMode, requestId } = params;
+  const { prompt, history, stateless = false, sessionId, customerId, slug, companion, isTestMode, requestId, onDelta, signal } = params;
   
   const logger = engineLogger.child({ requestId, slug, companion });
   const totalTimer = createTimer();
@@ -49,34 +178,18 @@ export async function handleChat(params) {
   let totalDbTime = 0;
   const metrics = {};
   const steps = [];
+  // Alla LLM-anrop under turen (judge, sammanfattning, chat) - räknas mot kundens tak
+  const turnTokens = { input: 0, output: 0, total: 0, costEur: 0 };
 
   logger.info({ 
     event: 'CHAT_FLOW_START',
     promptLength: prompt.length,
-    hasHistory: !!history?.length,
+    stateless,
+    clientHistoryLength: stateless ? history?.length || 0 : 0,
     hasSessionId: !!sessionId
   }, '🚀 Starting chat flow');
 
   try {
-    // ============================================
-    // STEP 0: QUICK SAFETY CHECK (no API call)
-    // ============================================
-    const quickCheck = quickSafetyCheck(prompt);
-    if (quickCheck.blocked) {
-      logger.warn({
-        event: 'QUICK_BLOCK',
-        reason: quickCheck.reason
-      }, `⛔ Quick safety check blocked message: ${quickCheck.reason}`);
-      
-      return {
-        response: 'Jag kan tyvärr inte hjälpa till med det. Kan jag hjälpa dig med något annat?',
-        sessionId: sessionId || 'blocked',
-        blocked: true,
-        riskLevel: 10,
-        metrics: { totalTime: totalTimer.elapsed() }
-      };
-    }
-
     // ============================================
     // STEP 1: RESOLVE CUSTOMER
     // ============================================
@@ -109,9 +222,10 @@ export async function handleChat(params) {
     let systemPrompt = customer.system_prompt;
     let greeting = customer.greeting;
     let aiName = customer.ai_name;
+    let companionConfig = null;
 
     if (companion) {
-      const companionConfig = await getCompanion(customer.id, companion, requestId);
+      companionConfig = await getCompanion(customer.id, companion, requestId);
       
       if (companionConfig) {
         systemPrompt = companionConfig.system_prompt || systemPrompt;
@@ -134,10 +248,54 @@ export async function handleChat(params) {
     }
     steps.push({ step: 'getConfig', latencyMs: step2Timer.elapsed() });
 
+    // Provider + modell väljs per tenant (customer_ai_config)
+    const { provider, model } = resolveModel(customer);
+
+    // temperature/max_tokens/language/personality: companion > tenant > default
+    const settings = resolveGenerationSettings(customer, companionConfig, requestId);
+    const generationSettings = {
+      provider: provider.name,
+      model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      language: settings.language,
+      personality: settings.personality,
+      sources: settings.sources
+    };
+
+    // ============================================
+    // STEP 2.5: USAGE CAPS (customers.plan)
+    // ============================================
+    const usageTimer = createTimer();
+    const usageResult = await getCustomerUsage(customer.id, requestId);
+    totalDbTime += usageResult.dbTime || 0;
+    steps.push({ step: 'checkUsage', latencyMs: usageTimer.elapsed() });
+
+    const exceeded = usageResult.status.exceeded;
+    if (exceeded) {
+      logger.warn({
+        event: 'USAGE_LIMIT_REACHED',
+        customerId: customer.id?.substring(0, 8),
+        plan: usageResult.status.plan,
+        ...exceeded
+      }, `🛑 ${customer.name} reached ${exceeded.period} ${exceeded.metric} cap (${exceeded.used}/${exceeded.limit})`);
+
+      return {
+        response: getUsageLimitResponse(settings.language),
+        sessionId: sessionId || null,
+        limitReached: exceeded,
+        metrics: {
+          totalTime: totalTimer.elapsed(),
+          dbTime: totalDbTime
+        }
+      };
+    }
+
     const fullSystemPrompt = buildSystemPrompt(
       systemPrompt,
       customer.knowledge_base,
-      greeting
+      greeting,
+      settings
     );
 
     // ============================================
@@ -146,12 +304,23 @@ export async function handleChat(params) {
     const step3Timer = createTimer();
     const sessionResult = await getOrCreateSession(sessionId, customer.id, {
       companion: companion || null,
-      ai_name: aiName
+      ai_name: aiName,
+      ...(stateless && { stateless: true })
     }, requestId);
     totalDbTime += sessionResult.dbTime || 0;
     steps.push({ step: 'getSession', latencyMs: step3Timer.elapsed() });
     
     const session = sessionResult.session;
+
+    // En session-UUID från en annan kund får aldrig ge åtkomst till dess historik
+    if (session.customer_id !== customer.id) {
+      logger.warn({
+        event: 'SESSION_CUSTOMER_MISMATCH',
+        sessionId: session.id?.substring(0, 8),
+        customerId: customer.id?.substring(0, 8)
+      }, '⛔ Session belongs to another customer');
+      return { error: 'Session not found', status: 404 };
+    }
     
     logger.info({ 
       event: 'SESSION_READY',
@@ -161,52 +330,134 @@ export async function handleChat(params) {
     }, `💬 Session: ${session.id?.substring(0, 8)} (${sessionResult.isNew ? 'NEW' : 'EXISTING'})`);
 
     // ============================================
-    // STEP 3.5: SECURITY JUDGE (AI-powered)
+    // STEP 3.5: SECURITY JUDGE (prefilter → cache → AI)
     // ============================================
     const securityTimer = createTimer();
     const customerType = getCustomerType(slug);
     
-    logger.info({ event: 'SECURITY_CHECK_START', customerType }, '🔍 Running AI security analysis...');
+    logger.info({ event: 'SECURITY_CHECK_START', customerType }, '🔍 Running security check...');
+
+    // Besökarens senaste meddelanden med sina omdömen - attacker kan vara uppdelade på flera turer
+    let priorTurns = [];
+    if (!sessionResult.isNew) {
+      const turnsResult = await getRecentUserTurns(session.id, JUDGE_WINDOW_TURNS, requestId);
+      priorTurns = turnsResult.turns;
+      totalDbTime += turnsResult.dbTime || 0;
+    }
     
-    const securityResult = await analyzePromptSafety(prompt, {
+    const securityResult = await judgePrompt(prompt, {
+      customerId: customer.id,
       customerType,
+      failurePolicy: customer.judge_failure_policy,
+      priorTurns,
+      sessionRisk: { riskLevel: session.risk_level, suspicious: session.suspicious },
+      provider,
+      model,
       requestId
     });
     
-    steps.push({ step: 'securityJudge', latencyMs: securityTimer.elapsed() });
+    steps.push({ step: 'securityJudge', latencyMs: securityTimer.elapsed(), source: securityResult.source });
     metrics.securityTime = securityTimer.elapsed();
+    metrics.securitySource = securityResult.source;
     metrics.riskLevel = securityResult.riskLevel;
 
+    logger.info({
+      event: 'SECURITY_CHECK_COMPLETE',
+      source: securityResult.source,
+      trigger: securityResult.trigger,
+      riskLevel: securityResult.riskLevel,
+      multiTurn: securityResult.multiTurn,
+      chunks: securityResult.chunks,
+      priorTurns: priorTurns.length,
+      failure: securityResult.failure,
+      policy: securityResult.policy,
+      latencyMs: metrics.securityTime
+    }, `🔍 Security check (${securityResult.source}): risk ${securityResult.riskLevel}/10`);
+
+    // Varje omdöme sparas - även risk 0 och tillåtna (security_events)
+    totalDbTime += (await recordSecurityEvent({
+      customerId: customer.id,
+      sessionId: session.id,
+      stage: securityResult.source,
+      outcome: securityResult.blocked || securityResult.suspicious ? 'blocked' : 'allowed',
+      riskLevel: securityResult.riskLevel,
+      reason: securityResult.reason,
+      prompt,
+      details: judgeEventDetails(securityResult, { priorTurns: priorTurns.length })
+    }, requestId)).dbTime;
+
+    // LLM-tokens som gått åt till att behandla användarens meddelande (judge + ev. sammanfattning)
+    let inputTokensUsed = securityResult.tokens?.total || 0;
+    addTokens(turnTokens, securityResult.tokens);
+
+    // Judge utan omdöme och judge_failure_policy = closed - stoppa utan att flagga sessionen
+    if (securityResult.blocked) {
+      logger.warn({
+        event: 'JUDGE_FAIL_CLOSED',
+        failure: securityResult.failure,
+        sessionId: session.id?.substring(0, 8)
+      }, `⛔ BLOCKED: security judge unavailable (${securityResult.failure}), tenant fails closed`);
+
+      totalDbTime += await recordTurnUsage(customer.id, turnTokens, logger, requestId);
+
+      return {
+        response: getBlockedResponse(customerType),
+        sessionId: session.id,
+        sessionCreated: sessionResult.isNew,
+        blocked: true,
+        riskLevel: securityResult.riskLevel,
+        metrics: {
+          totalTime: totalTimer.elapsed(),
+          securityTime: securityResult.analysisTime,
+          securitySource: securityResult.source,
+          dbTime: totalDbTime
+        }
+      };
+    }
+
     // Handle suspicious messages
-    if (securityResult.isSuspicious) {
+    if (securityResult.suspicious) {
       logger.warn({
         event: 'SUSPICIOUS_BLOCKED',
         riskLevel: securityResult.riskLevel,
         reason: securityResult.reason,
+        multiTurn: securityResult.multiTurn,
         sessionId: session.id?.substring(0, 8)
       }, `🚨 BLOCKED: Risk ${securityResult.riskLevel}/10 - ${securityResult.reason}`);
 
+      totalDbTime += await recordTurnUsage(customer.id, turnTokens, logger, requestId);
+
       // Update session with suspicious flag
       await updateSession(session.id, {
         suspicious: true,
         risk_level: securityResult.riskLevel,
         metadata: {
-          ...session.metadata,
           suspicious_reason: securityResult.reason,
           blocked_at: new Date().toISOString()
         }
       }, requestId);
 
+      totalDbTime += await routeTurn({
+        customerId: customer.id,
+        sessionId: session.id,
+        userMessage: prompt,
+        riskLevel: securityResult.riskLevel
+      }, logger, requestId);
+      totalDbTime += await notifySuspicious(customer.id, session.id, securityResult, logger, requestId);
+      totalDbTime += (await publishSessionState(session.id, requestId, { previous: session })).dbTime;
+
       // Return safe response
       return {
         response: getBlockedResponse(customerType),
         sessionId: session.id,
+        sessionCreated: sessionResult.isNew,
         blocked: true,
         suspicious: true,
         riskLevel: securityResult.riskLevel,
         metrics: {
           totalTime: totalTimer.elapsed(),
           securityTime: securityResult.analysisTime,
+          securitySource: securityResult.source,
           dbTime: totalDbTime
         }
       };
@@ -227,19 +478,146 @@ export async function handleChat(params) {
     }
 
     // ============================================
-    // STEP 4: LOAD HISTORY
+    // STEP 3.6: HUMAN TAKEOVER (AI paused)
+    // ============================================
+    if (session.human_takeover_at) {
+      // Personalen svarar via POST /api/sessions/:id/messages - spara bara besökarens meddelande.
+      // Bedömt som alla andra turer, så att omdömet finns i fönstret efter handback
+      const humanSaveResult = await saveMessage(session.id, 'user', prompt, 'user', requestId, {
+        riskLevel: securityResult.riskLevel,
+        riskReason: securityResult.source === 'prefilter' ? null : securityResult.reason
+      });
+      totalDbTime += humanSaveResult.dbTime || 0;
+      totalDbTime += await publishMessage(customer.id, session.id, { role: 'user', senderType: 'user', content: prompt }, humanSaveResult, requestId);
+      totalDbTime += await recordTurnUsage(customer.id, turnTokens, logger, requestId);
+
+      logger.info({
+        event: 'HUMAN_ACTIVE',
+        sessionId: session.id?.substring(0, 8),
+        takenOverAt: session.human_takeover_at,
+        riskLevel: securityResult.riskLevel
+      }, '🧑 Staff has taken over - message saved, AI paused');
+
+      return {
+        response: null,
+        sessionId: session.id,
+        sessionCreated: sessionResult.isNew,
+        humanActive: true,
+        riskLevel: securityResult.riskLevel,
+        metrics: {
+          totalTime: totalTimer.elapsed(),
+          securityTime: securityResult.analysisTime,
+          securitySource: securityResult.source,
+          dbTime: totalDbTime
+        }
+      };
+    }
+
+    // ============================================
+    // STEP 3.7: CUSTOMER ACTIONS (visitor message)
+    // ============================================
+    const actionsTimer = createTimer();
+    let customerActions = [];
+    let actionContext = null;
+    let cannedReply = null;
+
+    try {
+      const loaded = await loadCustomerActions(customer.id, session.id, requestId);
+      totalDbTime += loaded.dbTime || 0;
+      customerActions = loaded.actions;
+      actionContext = {
+        customerId: customer.id,
+        sessionId: session.id,
+        userMessage: prompt,
+        riskLevel: securityResult.riskLevel,
+        messageCount: loaded.messageCount + (stateless ? history?.length || 0 : 0)
+      };
+
+      if (customerActions.length > 0) {
+        const actionResult = await runCustomerActions('message', customerActions, actionContext, requestId);
+        totalDbTime += actionResult.dbTime || 0;
+        cannedReply = actionResult.reply;
+      }
+    } catch (error) {
+      // Regelmotorn är ett tillägg - chatten ska fungera utan den
+      logger.warn({ event: 'CUSTOMER_ACTIONS_FAILED', phase: 'message', error: error.message }, '⚠️ Customer actions failed');
+    }
+    steps.push({ step: 'customerActions', latencyMs: actionsTimer.elapsed() });
+
+    // ============================================
+    // STEP 4: LOAD HISTORY (within the model's token budget)
     // ============================================
     const step4Timer = createTimer();
     let chatHistory = [];
+    let summary = session.summary || null;
     
-    if (history && Array.isArray(history) && history.length > 0) {
-      chatHistory = history;
-      logger.debug({ event: 'USING_CLIENT_HISTORY', count: history.length }, `Using client history: ${history.length} messages`);
+    if (stateless) {
+      chatHistory = history || [];
+      logger.debug({ event: 'USING_CLIENT_HISTORY', count: chatHistory.length }, `Stateless mode - using validated client history: ${chatHistory.length} messages`);
     } else if (!sessionResult.isNew) {
-      const historyResult = await getMessages(session.id, requestId);
+      // Meddelanden före summarized_until finns redan i sammanfattningen
+      const historyResult = await getMessages(session.id, requestId, { since: session.summarized_until });
       chatHistory = historyResult.messages;
       totalDbTime += historyResult.dbTime || 0;
-      logger.debug({ event: 'LOADED_DB_HISTORY', count: chatHistory.length }, `Loaded DB history: ${chatHistory.length} messages`);
+      logger.debug({ event: 'LOADED_DB_HISTORY', count: chatHistory.length, hasSummary: !!summary }, `Loaded DB history: ${chatHistory.length} messages`);
+    }
+
+    const historyBudget = getHistoryBudget(model);
+    const fitted = fitHistory(chatHistory, summary, historyBudget);
+
+    if (!fitted.withinBudget) {
+      // Stateless-sessioner har ingen historik i DB att sammanfatta - bara trimma.
+      // Med ett fast svar anropas ingen modell, så ingen sammanfattning heller.
+      if (!stateless && !cannedReply) {
+        const summaryTimer = createTimer();
+        try {
+          const summaryResult = await summarizeHistory(summary, fitted.overflow, { provider, model, signal }, requestId);
+          inputTokensUsed += summaryResult.tokens.total;
+          addTokens(turnTokens, summaryResult.tokens);
+
+          // summarized_until flyttas bara fram när det finns en sammanfattning som täcker meddelandena
+          if (!summaryResult.summary) {
+            throw new Error('Summary was empty');
+          }
+
+          const summarizedUntil = fitted.overflow[fitted.overflow.length - 1].created_at;
+          const summarySaveResult = await updateSessionSummary(session.id, {
+            summary: summaryResult.summary,
+            summarizedUntil
+          }, requestId);
+
+          summary = summaryResult.summary;
+          totalDbTime += summarySaveResult.dbTime || 0;
+          metrics.summaryTime = summaryTimer.elapsed();
+          steps.push({ step: 'summarizeHistory', latencyMs: metrics.summaryTime });
+
+          logger.info({
+            event: 'HISTORY_SUMMARIZED',
+            foldedMessages: fitted.overflow.length,
+            summaryLength: summary.length,
+            latencyMs: metrics.summaryTime
+          }, `🗜️ Folded ${fitted.overflow.length} older messages into the session summary`);
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          // Sammanfattningen är en optimering - svara ändå, med trimmad historik
+          logger.warn({
+            event: 'HISTORY_SUMMARY_FAILED',
+            error: error.message,
+            droppedMessages: fitted.overflow.length
+          }, '⚠️ History summary failed - continuing with trimmed history');
+        }
+      }
+
+      logger.info({
+        event: 'HISTORY_TRIMMED',
+        budget: historyBudget,
+        keptMessages: fitted.kept.length,
+        overflowMessages: fitted.overflow.length,
+        estimatedTokens: fitted.estimatedTokens,
+        model
+      }, `✂️ History trimmed to ${fitted.kept.length} messages (budget ${historyBudget} tokens)`);
+
+      chatHistory = fitted.kept;
     }
     steps.push({ step: 'loadHistory', latencyMs: step4Timer.elapsed() });
 
@@ -247,25 +625,127 @@ export async function handleChat(params) {
     // STEP 5: SAVE USER MESSAGE
     // ============================================
     const step5Timer = createTimer();
-    const userSaveResult = await saveMessage(session.id, 'user', prompt, 'user', requestId);
+    const userSaveResult = await saveMessage(session.id, 'user', prompt, 'user', requestId, {
+      tokensUsed: inputTokensUsed || null,
+      responseTimeMs: securityResult.tokens ? securityResult.analysisTime : null,
+      riskLevel: securityResult.riskLevel,
+      riskReason: securityResult.source === 'prefilter' ? null : securityResult.reason
+    });
     totalDbTime += userSaveResult.dbTime || 0;
+    totalDbTime += await publishMessage(customer.id, session.id, { role: 'user', senderType: 'user', content: prompt }, userSaveResult, requestId);
     steps.push({ step: 'saveUserMessage', latencyMs: step5Timer.elapsed() });
 
     // ============================================
     // STEP 6: CALL MISTRAL
     // ============================================
-    logger.info({ event: 'CALLING_AI' }, '🤖 Calling Mistral AI...');
-    
-    const aiResult = await callMistral(fullSystemPrompt, chatHistory, prompt, {
-      temperature: 0.7,
-      maxTokens: 500,
-      model: 'mistral-small-latest'
-    }, requestId);
+    let aiResult;
+    let outputGuard = null;
+    let streamGuard = null;
+
+    if (cannedReply) {
+      logger.info({
+        event: 'CANNED_REPLY',
+        actionId: cannedReply.actionId?.substring(0, 8)
+      }, '📋 Using canned reply from customer action - skipping AI call');
+      aiResult = { response: cannedReply.message, ttft: 0, aiTime: 0, tokens: null };
+    } else {
+      // Kunskapsbasen och hälsningen får citeras - resten av instruktionerna inte
+      outputGuard = await createOutputGuard({
+        systemPrompt: fullSystemPrompt,
+        quotable: [customer.knowledge_base, greeting].filter(Boolean),
+        customerId: customer.id,
+        organizationId: customer.organization_id
+      }, requestId);
+      if (onDelta) streamGuard = createStreamGuard(outputGuard, onDelta);
+
+      logger.info({ event: 'CALLING_AI', provider: provider.name, model }, `🤖 Calling ${provider.serviceName}...`);
+
+      aiResult = await callMistral(fullSystemPrompt, chatHistory, prompt, {
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        summary,
+        provider,
+        model,
+        onDelta: streamGuard?.write,
+        signal
+      }, requestId);
+    }
 
     metrics.aiTime = aiResult.aiTime;
     metrics.ttft = aiResult.ttft;
+    metrics.tokens = aiResult.tokens;
+    addTokens(turnTokens, aiResult.tokens);
     steps.push({ step: 'callMistral', latencyMs: aiResult.aiTime });
 
+    // ============================================
+    // STEP 6.5: OUTPUT GUARD (prompt/secret/tenant leakage)
+    // ============================================
+    const leak = outputGuard && (streamGuard?.leak || scanReply(outputGuard, aiResult.response));
+
+    if (leak) {
+      // Bara en annan kunds slug (kan vara ett vanligt ord) ger lägre risk - flaggas ändå
+      const slugOnly = leak.type === 'tenant' && leak.match === 'slug';
+      const guardResult = { riskLevel: slugOnly ? 5 : 8, reason: `Output guardrail: ${leak.type}` };
+      const blockedResponse = getBlockedResponse(customerType);
+
+      // Aldrig värdet i loggen - bara typ och vad som matchade
+      logger.warn({
+        event: 'OUTPUT_BLOCKED',
+        leakType: leak.type,
+        detail: leak.detail,
+        streamed: !!streamGuard,
+        sessionId: session.id?.substring(0, 8)
+      }, `🚨 OUTPUT BLOCKED: reply leaked ${leak.type}`);
+
+      const blockedSaveResult = await saveMessage(session.id, 'assistant', blockedResponse, 'assistant', requestId, {
+        generationSettings: { ...generationSettings, outputGuard: { blocked: true, type: leak.type } },
+        tokensUsed: aiResult.tokens.total,
+        responseTimeMs: aiResult.aiTime
+      });
+      totalDbTime += blockedSaveResult.dbTime || 0;
+      totalDbTime += await publishMessage(customer.id, session.id, { role: 'assistant', senderType: 'assistant', content: blockedResponse }, blockedSaveResult, requestId);
+      totalDbTime += await recordTurnUsage(customer.id, turnTokens, logger, requestId);
+
+      await updateSession(session.id, {
+        suspicious: true,
+        risk_level: guardResult.riskLevel,
+        metadata: {
+          suspicious_reason: guardResult.reason,
+          blocked_at: new Date().toISOString()
+        }
+      }, requestId);
+
+      totalDbTime += (await recordSecurityEvent({
+        customerId: customer.id,
+        sessionId: session.id,
+        stage: 'output',
+        outcome: 'blocked',
+        riskLevel: guardResult.riskLevel,
+        reason: guardResult.reason,
+        prompt,
+        details: { leakType: leak.type, detail: leak.detail, match: leak.match, streamed: !!streamGuard }
+      }, requestId)).dbTime;
+      totalDbTime += await notifySuspicious(customer.id, session.id, guardResult, logger, requestId);
+      totalDbTime += (await publishSessionState(session.id, requestId, { previous: session })).dbTime;
+
+      metrics.dbTime = totalDbTime;
+      metrics.totalTime = totalTimer.elapsed();
+
+      return {
+        response: blockedResponse,
+        sessionId: session.id,
+        sessionCreated: sessionResult.isNew,
+        blocked: true,
+        outputBlocked: true,
+        suspicious: true,
+        riskLevel: guardResult.riskLevel,
+        metrics
+      };
+    }
+
+    // Svaret är godkänt - skicka det som hölls tillbaka
+    streamGuard?.flush();
+
     // ============================================
     // STEP 7: SAVE ASSISTANT RESPONSE
     // ============================================
@@ -275,11 +755,121 @@ export async function handleChat(params) {
       'assistant', 
       aiResult.response, 
       'assistant',
-      requestId
+      requestId,
+      cannedReply
+        ? { generationSettings: { source: 'customer_action', actionId: cannedReply.actionId } }
+        : {
+          generationSettings,
+          tokensUsed: aiResult.tokens.total,
+          responseTimeMs: aiResult.aiTime
+        }
     );
     totalDbTime += assistantSaveResult.dbTime || 0;
+    totalDbTime += await publishMessage(customer.id, session.id, { role: 'assistant', senderType: 'assistant', content: aiResult.response }, assistantSaveResult, requestId);
+    totalDbTime += await recordTurnUsage(customer.id, turnTokens, logger, requestId);
     steps.push({ step: 'saveAssistantMessage', latencyMs: step7Timer.elapsed() });
 
+    // ============================================
+    // STEP 8: ANALYZE CONVERSATION (customer_analysis_config)
+    // ============================================
+    const step8Timer = createTimer();
+    let intents = [];
+    let contact = null;
+    try {
+      const analysis = await runConversationAnalysis({
+        customerId: customer.id,
+        sessionId: session.id,
+        userMessage: prompt,
+        aiResponse: aiResult.response,
+        extraMessages: stateless ? history?.length || 0 : 0
+      }, requestId);
+      totalDbTime += analysis.dbTime || 0;
+      intents = analysis.intents;
+      contact = analysis.contact;
+
+      if (analysis.needsHuman) {
+        logger.info({
+          event: 'NEEDS_HUMAN',
+          sessionId: session.id?.substring(0, 8),
+          matches: analysis.matches.map(match => ({ type: match.type, keywords: match.keywords })),
+          notificationsCreated: analysis.notifications.length
+        }, `🙋 Session flagged for staff: ${analysis.matches.map(match => match.type).join(', ')}`);
+      }
+    } catch (error) {
+      // Svaret är redan sparat - analysen får inte fälla chatten
+      logger.warn({ event: 'ANALYSIS_FAILED', error: error.message }, '⚠️ Conversation analysis failed');
+    }
+    steps.push({ step: 'analyzeConversation', latencyMs: step8Timer.elapsed() });
+
+    // ============================================
+    // STEP 8.5: CAPTURE LEAD (email_pattern / phone_pattern matchade)
+    // ============================================
+    if (contact?.guestEmail || contact?.guestPhone) {
+      const leadTimer = createTimer();
+      try {
+        const visitorMessages = chatHistory
+          .filter(msg => (msg.sender_type || msg.role) === 'user')
+          .map(msg => msg.content);
+        const lead = await captureLead({
+          customerId: customer.id,
+          sessionId: session.id,
+          visitorMessages: [...visitorMessages, prompt],
+          contact
+        }, { provider, model }, requestId);
+        totalDbTime += lead.dbTime || 0;
+        // Turen är redan räknad - extraktionens tokens läggs till utan en request till
+        if (lead.tokens) totalDbTime += await recordTurnUsage(customer.id, lead.tokens, logger, requestId, { requests: 0 });
+
+        if (lead.changed) {
+          logger.info({
+            event: lead.created ? 'LEAD_CREATED' : 'LEAD_UPDATED',
+            sessionId: session.id?.substring(0, 8),
+            notificationId: lead.notification.id.substring(0, 8),
+            source: lead.source,
+            fields: ['guest_name', 'guest_email', 'guest_phone', 'reservation_details'].filter(key => lead.notification[key])
+          }, `📇 Lead ${lead.created ? 'captured' : 'updated'} (${lead.source})`);
+        }
+      } catch (error) {
+        // Svaret är redan sparat - som analysen
+        logger.warn({ event: 'LEAD_CAPTURE_FAILED', error: error.message }, '⚠️ Lead capture failed');
+      }
+      metrics.leadTime = leadTimer.elapsed();
+      steps.push({ step: 'captureLead', latencyMs: metrics.leadTime });
+    }
+
+    // ============================================
+    // STEP 9: CUSTOMER ACTIONS (AI reply + intents)
+    // ============================================
+    if (customerActions.length > 0) {
+      const step9Timer = createTimer();
+      try {
+        const actionResult = await runCustomerActions('reply', customerActions, {
+          ...actionContext,
+          aiResponse: aiResult.response,
+          intents
+        }, requestId);
+        totalDbTime += actionResult.dbTime || 0;
+      } catch (error) {
+        logger.warn({ event: 'CUSTOMER_ACTIONS_FAILED', phase: 'reply', error: error.message }, '⚠️ Customer actions failed');
+      }
+      steps.push({ step: 'customerReplyActions', latencyMs: step9Timer.elapsed() });
+    }
+
+    // ============================================
+    // STEP 10: ROUTE SESSION (routing_rules)
+    // ============================================
+    const step10Timer = createTimer();
+    totalDbTime += await routeTurn({
+      customerId: customer.id,
+      sessionId: session.id,
+      userMessage: prompt,
+      riskLevel: securityResult.riskLevel,
+      intents
+    }, logger, requestId);
+    // Flaggor från judge/analys/customer_actions och ev. ny tilldelning
+    totalDbTime += (await publishSessionState(session.id, requestId, { previous: session })).dbTime;
+    steps.push({ step: 'routeSession', latencyMs: step10Timer.elapsed() });
+
     metrics.dbTime = totalDbTime;
 
     // ============================================
@@ -292,12 +882,14 @@ export async function handleChat(params) {
       totalMs: totalTime,
       metrics,
       steps,
+      generationSettings,
       responseLength: aiResult.response.length
     }, `✅ Chat flow completed in ${totalTime}ms (TTFT: ${metrics.ttft}ms, DB: ${metrics.dbTime}ms)`);
 
     return {
       response: aiResult.response,
       sessionId: session.id,
+      sessionCreated: sessionResult.isNew,
       metrics
     };
 
@@ -311,6 +903,13 @@ export async function handleChat(params) {
       lastStep: steps[steps.length - 1]?.step
     });
     
+    if (signal?.aborted) {
+      return {
+        error: 'Client disconnected',
+        status: 499
+      };
+    }
+    
     if (error.message === 'RATE_LIMITED') {
       return { 
         error: 'AI service temporarily unavailable. Please wait a moment and try again.',
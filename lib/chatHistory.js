@@ -0,0 +1,84 @@
+/**
+ * Chat history - var historiken till modellen kommer ifrån
+ *
+ * Normalt läses historiken alltid från chat_messages. Klienten kan bara
+ * skicka med egen historik i stateless-läge ({ stateless: true }), och då
+ * valideras den strikt:
+ * - Endast role "user" / "assistant" - system, personal ("human") m.m. avvisas
+ * - Endast fälten role + content (ingen sender_type att smuggla in)
+ * - Gränser för antal meddelanden och längd
+ */
+
+export const HISTORY_LIMITS = {
+  maxMessages: 50,
+  maxMessageLength: 4000,
+  maxTotalLength: 32000
+};
+
+const ALLOWED_ROLES = new Set(['user', 'assistant']);
+const ALLOWED_KEYS = new Set(['role', 'content']);
+
+/**
+ * Validate client-supplied history (stateless mode)
+ *
+ * @param {unknown} history - Request body history
+ * @returns {{ history: Array<{ role, content }>, errors: Array<{ index, message }> }}
+ */
+export function validateClientHistory(history) {
+  const errors = [];
+
+  if (history === undefined || history === null) {
+    return { history: [], errors };
+  }
+
+  if (!Array.isArray(history)) {
+    return { history: [], errors: [{ index: null, message: 'history must be an array' }] };
+  }
+
+  if (history.length > HISTORY_LIMITS.maxMessages) {
+    return {
+      history: [],
+      errors: [{ index: null, message: `history may contain at most ${HISTORY_LIMITS.maxMessages} messages` }]
+    };
+  }
+
+  const validated = [];
+  let totalLength = 0;
+
+  history.forEach((msg, index) => {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      errors.push({ index, message: 'must be an object with role and content' });
+      return;
+    }
+
+    const extraKeys = Object.keys(msg).filter(key => !ALLOWED_KEYS.has(key));
+    if (extraKeys.length > 0) {
+      errors.push({ index, message: `unexpected field(s): ${extraKeys.join(', ')}` });
+      return;
+    }
+
+    if (!ALLOWED_ROLES.has(msg.role)) {
+      errors.push({ index, message: `role must be "user" or "assistant", got ${JSON.stringify(msg.role)}` });
+      return;
+    }
+
+    if (typeof msg.content !== 'string' || !msg.content.trim()) {
+      errors.push({ index, message: 'content must be a non-empty string' });
+      return;
+    }
+
+    if (msg.content.length > HISTORY_LIMITS.maxMessageLength) {
+      errors.push({ index, message: `content may be at most ${HISTORY_LIMITS.maxMessageLength} characters` });
+      return;
+    }
+
+    totalLength += msg.content.length;
+    validated.push({ role: msg.role, content: msg.content });
+  });
+
+  if (totalLength > HISTORY_LIMITS.maxTotalLength) {
+    errors.push({ index: null, message: `history may be at most ${HISTORY_LIMITS.maxTotalLength} characters in total` });
+  }
+
+  return { history: errors.length > 0 ? [] : validated, errors };
+}
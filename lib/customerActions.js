@@ -0,0 +1,374 @@
+/**
+ * Customer actions - regelmotor för customer_actions
+ *
+ * Aktiva regler utvärderas i två faser per tur:
+ * - message: besökarens meddelande innan modellen anropas. Här kan en
+ *   reply-regel ersätta AI-svaret helt.
+ * - reply: efter AI-svaret och konversationsanalysen (analysis.js)
+ *
+ * | trigger_type  | trigger_value                                  | Fas             |
+ * |---------------|------------------------------------------------|-----------------|
+ * | keyword       | Kommaseparerade ord (matchar i början av ord)  | message / reply |
+ * | regex         | "/mönster/flaggor"                             | message / reply |
+ * | risk_level    | 1-10, matchar när judge-risken är minst värdet | message         |
+ * | message_count | Matchar en gång, när sessionen når antalet     | message         |
+ * | intent        | complaint, human_request, special_request, ai_unsure | reply     |
+ *
+ * keyword/regex matchar besökarens meddelande, eller AI-svaret med
+ * action_config.match = "reply" ("both" för båda).
+ *
+ * | action_type | action_config                                         |
+ * |-------------|-------------------------------------------------------|
+ * | flag        | { suspicious? } - needs_human (+ suspicious), larmar  |
+ * | reply       | { message } - fast svar istället för AI:n             |
+ * | notify      | { type?, priority?, summary? }                        |
+ * | webhook     | { url, headers? } - POST med JSON                     |
+ *
+ * Reglerna körs i priority-ordning (lägst värde först). Ett fel i en regel
+ * loggas (ACTION_FAILED) och stoppar inte de övriga. Webhooks väntar turen
+ * inte på - de skickas i bakgrunden och loggas när de är klara. Adressen
+ * kontrolleras vid anropet och redirects följs inte (outbound.js).
+ */
+
+import { getDb, updateSession, createNotification } from './db.js';
+import { compilePattern, testPattern, parseKeywords, findKeywords, ANALYSIS_RULES } from './analysis.js';
+import { isAllowedOutboundUrl, postOutbound } from './outbound.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const actionsLogger = createComponentLogger('customerActions');
+
+export const TRIGGER_TYPES = ['keyword', 'regex', 'risk_level', 'intent', 'message_count'];
+export const ACTION_TYPES = ['flag', 'reply', 'notify', 'webhook'];
+export const MATCH_TARGETS = ['message', 'reply', 'both'];
+
+const INTENTS = ANALYSIS_RULES.map(rule => rule.type);
+const NOTIFICATION_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const WEBHOOK_TIMEOUT_MS = 3000;
+const REPLY_MAX_LENGTH = 2000;
+const SUMMARY_EXCERPT_LENGTH = 200;
+
+// ============================================
+// VALIDATION (används av tenantAdmin)
+// ============================================
+
+/**
+ * Validate trigger_value and action_config against their types
+ *
+ * @param {{ trigger_type, trigger_value, action_type, action_config }} action - Hela raden (efter merge vid PATCH)
+ * @returns {Array<{ field, message }>}
+ */
+export function validateAction(action) {
+  const errors = [];
+  const { trigger_type: triggerType, trigger_value: triggerValue, action_type: actionType } = action;
+  const config = action.action_config || {};
+
+  switch (triggerType) {
+    case 'keyword':
+      if (parseKeywords(triggerValue).length === 0) errors.push({ field: 'trigger_value', message: 'must contain at least one keyword' });
+      break;
+    case 'regex':
+      if (!compilePattern(triggerValue)) errors.push({ field: 'trigger_value', message: 'must be a valid regular expression without nested quantifiers' });
+      break;
+    case 'risk_level': {
+      const level = Number(triggerValue);
+      if (!Number.isInteger(level) || level < 1 || level > 10) errors.push({ field: 'trigger_value', message: 'must be an integer between 1 and 10' });
+      break;
+    }
+    case 'message_count': {
+      const count = Number(triggerValue);
+      if (!Number.isInteger(count) || count < 1) errors.push({ field: 'trigger_value', message: 'must be a positive integer' });
+      break;
+    }
+    case 'intent':
+      if (!INTENTS.includes(triggerValue)) errors.push({ field: 'trigger_value', message: `must be one of: ${INTENTS.join(', ')}` });
+      break;
+  }
+
+  if (config.match !== undefined) {
+    if (!MATCH_TARGETS.includes(config.match)) {
+      errors.push({ field: 'action_config.match', message: `must be one of: ${MATCH_TARGETS.join(', ')}` });
+    } else if (!['keyword', 'regex'].includes(triggerType)) {
+      errors.push({ field: 'action_config.match', message: 'only applies to keyword and regex triggers' });
+    }
+  }
+
+  switch (actionType) {
+    case 'flag':
+      if (config.suspicious !== undefined && typeof config.suspicious !== 'boolean') {
+        errors.push({ field: 'action_config.suspicious', message: 'must be a boolean' });
+      }
+      break;
+    case 'reply':
+      if (typeof config.message !== 'string' || !config.message.trim()) {
+        errors.push({ field: 'action_config.message', message: 'is required' });
+      } else if (config.message.length > REPLY_MAX_LENGTH) {
+        errors.push({ field: 'action_config.message', message: `must be at most ${REPLY_MAX_LENGTH} characters` });
+      }
+      // Ett fast svar måste bestämmas innan modellen anropas
+      if (triggerType === 'intent' || (['keyword', 'regex'].includes(triggerType) && config.match && config.match !== 'message')) {
+        errors.push({ field: 'action_type', message: 'reply actions only work with triggers on the visitor message' });
+      }
+      break;
+    case 'notify':
+      if (config.priority !== undefined && !NOTIFICATION_PRIORITIES.includes(config.priority)) {
+        errors.push({ field: 'action_config.priority', message: `must be one of: ${NOTIFICATION_PRIORITIES.join(', ')}` });
+      }
+      if (config.type !== undefined && (typeof config.type !== 'string' || !config.type.trim())) {
+        errors.push({ field: 'action_config.type', message: 'must be a non-empty string' });
+      }
+      break;
+    case 'webhook':
+      if (typeof config.url !== 'string' || !isAllowedOutboundUrl(config.url)) {
+        errors.push({ field: 'action_config.url', message: 'must be a public https URL' });
+      }
+      if (config.headers !== undefined && (typeof config.headers !== 'object' || config.headers === null || Array.isArray(config.headers) ||
+          Object.values(config.headers).some(value => typeof value !== 'string'))) {
+        errors.push({ field: 'action_config.headers', message: 'must be an object of string values' });
+      }
+      break;
+  }
+
+  return errors;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+function matchTargets(action) {
+  const match = action.action_config?.match || 'message';
+  return {
+    message: match === 'message' || match === 'both',
+    reply: match === 'reply' || match === 'both'
+  };
+}
+
+function matchesText(action, text) {
+  if (!text) return false;
+  if (action.trigger_type === 'keyword') {
+    return findKeywords(text, parseKeywords(action.trigger_value)).length > 0;
+  }
+  return testPattern(compilePattern(action.trigger_value), text);
+}
+
+/**
+ * Does an action trigger in this phase? (ingen I/O)
+ *
+ * @param {'message'|'reply'} phase
+ * @param {object} context - { userMessage, aiResponse, riskLevel, messageCount, intents }
+ */
+export function actionMatches(action, phase, context) {
+  switch (action.trigger_type) {
+    case 'keyword':
+    case 'regex': {
+      const targets = matchTargets(action);
+      if (phase === 'message') return targets.message && matchesText(action, context.userMessage);
+      return targets.reply && matchesText(action, context.aiResponse);
+    }
+    case 'risk_level':
+      return phase === 'message' && (context.riskLevel || 0) >= Number(action.trigger_value);
+    case 'message_count': {
+      // messageCount = meddelanden före turen; turen lägger till besökarens + AI:ns
+      const threshold = Number(action.trigger_value);
+      return phase === 'message' && context.messageCount < threshold && context.messageCount + 2 >= threshold;
+    }
+    case 'intent':
+      return phase === 'reply' && (context.intents || []).includes(action.trigger_value);
+    default:
+      return false;
+  }
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+function buildSummary(action, context) {
+  const text = context.userMessage.replace(/\s+/g, ' ').trim();
+  const excerpt = text.length > SUMMARY_EXCERPT_LENGTH ? `${text.substring(0, SUMMARY_EXCERPT_LENGTH)}…` : text;
+  return `Regel ${action.trigger_type} "${action.trigger_value}": "${excerpt}"`;
+}
+
+async function callWebhook(action, context, phase, logger, requestId) {
+  const { url, headers = {} } = action.action_config;
+  const timer = createTimer();
+  const host = new URL(url).host;
+
+  boundaryLog.outgoing(logger, 'Webhook', { host, actionId: action.id.substring(0, 8) });
+
+  try {
+    const response = await postOutbound(url, {
+      headers: { ...headers, 'Content-Type': 'application/json', 'X-Request-ID': requestId },
+      body: JSON.stringify({
+        event: 'customer_action',
+        actionId: action.id,
+        customerId: context.customerId,
+        sessionId: context.sessionId,
+        phase,
+        trigger: { type: action.trigger_type, value: action.trigger_value },
+        message: context.userMessage,
+        ...(phase === 'reply' && { reply: context.aiResponse }),
+        riskLevel: context.riskLevel ?? null,
+        requestId
+      }),
+      timeoutMs: WEBHOOK_TIMEOUT_MS
+    });
+
+    boundaryLog.incoming(logger, 'Webhook', timer.elapsed(), { host, status: response.status });
+
+    // 3xx räknas som fel - en redirect kan peka mot en intern adress
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Webhook responded ${response.status}`);
+    }
+    return { status: response.status };
+  } catch (error) {
+    if (!error.message?.startsWith('Webhook responded')) {
+      boundaryLog.incoming(logger, 'Webhook', timer.elapsed(), { host, success: false });
+    }
+    throw error;
+  }
+}
+
+async function executeAction(action, context, phase, logger, requestId) {
+  const config = action.action_config || {};
+
+  switch (action.action_type) {
+    case 'flag': {
+      const result = await updateSession(context.sessionId, {
+        needs_human: true,
+        ...(config.suspicious && { suspicious: true })
+      }, requestId);
+      if (result.error) throw new Error(result.error);
+
+      // Flaggan ska synas för personalen direkt (e-post/push), inte först i inkorgen
+      const flagged = await createNotification({
+        customerId: context.customerId,
+        sessionId: context.sessionId,
+        type: config.suspicious ? 'suspicious' : 'flagged',
+        priority: config.suspicious ? 'urgent' : 'high',
+        summary: buildSummary(action, context)
+      }, requestId, { dedupeUnread: true });
+      return { dbTime: result.dbTime + flagged.dbTime, created: !!flagged.notification };
+    }
+    case 'reply':
+      // Bara det första (högst prioriterade) fasta svaret används
+      if (phase !== 'message' || context.reply) return { skipped: true };
+      context.reply = { actionId: action.id, message: config.message.trim() };
+      return {};
+    case 'notify': {
+      const result = await createNotification({
+        customerId: context.customerId,
+        sessionId: context.sessionId,
+        type: config.type || 'action',
+        priority: config.priority || 'normal',
+        summary: config.summary || buildSummary(action, context)
+      }, requestId, { dedupeUnread: true });
+      return { dbTime: result.dbTime, created: !!result.notification };
+    }
+    case 'webhook':
+      // Besökaren ska inte vänta på tenantens mottagare
+      return { background: callWebhook(action, context, phase, logger, requestId) };
+    default:
+      return { skipped: true };
+  }
+}
+
+/**
+ * Load active actions (priority-ordning) and the session's message count
+ *
+ * @returns {Promise<{ actions: Array, messageCount: number, dbTime: number }>}
+ */
+export async function loadCustomerActions(customerId, sessionId, requestId) {
+  const db = getDb();
+  const logger = actionsLogger.child({ requestId, operation: 'loadCustomerActions' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT customer_actions', customerId: customerId?.substring(0, 8) });
+
+  try {
+    const actions = await db`
+      SELECT id, trigger_type, trigger_value, action_type, action_config, priority
+      FROM customer_actions
+      WHERE customer_id = ${customerId} AND is_active = true
+      ORDER BY priority ASC, created_at ASC
+    `;
+    const [{ count }] = await db`
+      SELECT COUNT(*)::int AS count FROM chat_messages WHERE session_id = ${sessionId}
+    `;
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { actions: actions.length });
+
+    return { actions, messageCount: count, dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'loadCustomerActions' });
+    throw error;
+  }
+}
+
+/**
+ * Run all matching actions for one phase, in priority order
+ *
+ * @param {'message'|'reply'} phase
+ * @param {Array} actions - Från loadCustomerActions
+ * @param {object} context - { customerId, sessionId, userMessage, aiResponse?, riskLevel, messageCount, intents? }
+ * @returns {Promise<{ reply: { actionId, message } | null, executed: Array, dbTime: number }>}
+ */
+export async function runCustomerActions(phase, actions, context, requestId) {
+  const logger = actionsLogger.child({ requestId, operation: 'runCustomerActions', phase });
+  const state = { ...context, reply: null };
+  const executed = [];
+  let dbTime = 0;
+
+  for (const action of actions) {
+    if (!actionMatches(action, phase, state)) continue;
+
+    const timer = createTimer();
+    const logFields = {
+      actionId: action.id.substring(0, 8),
+      phase,
+      triggerType: action.trigger_type,
+      triggerValue: action.trigger_value,
+      actionType: action.action_type,
+      priority: action.priority,
+      sessionId: context.sessionId?.substring(0, 8)
+    };
+
+    try {
+      const result = await executeAction(action, state, phase, logger, requestId);
+
+      if (result.background) {
+        executed.push({ actionId: action.id, actionType: action.action_type, success: true, background: true });
+        result.background.then(
+          () => logger.info({ event: 'ACTION_EXECUTED', ...logFields, background: true, latencyMs: timer.elapsed() },
+            `⚙️ Action ${action.action_type} executed (${action.trigger_type}: ${action.trigger_value})`),
+          (error) => logger.warn({ event: 'ACTION_FAILED', ...logFields, background: true, error: error.message, latencyMs: timer.elapsed() },
+            `⚠️ Action ${action.action_type} failed (${action.trigger_type}: ${action.trigger_value}): ${error.message}`)
+        );
+        continue;
+      }
+
+      dbTime += result.dbTime || 0;
+      executed.push({ actionId: action.id, actionType: action.action_type, success: true, skipped: !!result.skipped });
+
+      logger.info({
+        event: result.skipped ? 'ACTION_SKIPPED' : 'ACTION_EXECUTED',
+        ...logFields,
+        latencyMs: timer.elapsed()
+      }, `⚙️ Action ${action.action_type} ${result.skipped ? 'skipped' : 'executed'} (${action.trigger_type}: ${action.trigger_value})`);
+    } catch (error) {
+      executed.push({ actionId: action.id, actionType: action.action_type, success: false });
+
+      logger.warn({
+        event: 'ACTION_FAILED',
+        ...logFields,
+        error: error.message,
+        latencyMs: timer.elapsed()
+      }, `⚠️ Action ${action.action_type} failed (${action.trigger_type}: ${action.trigger_value}): ${error.message}`);
+    }
+  }
+
+  return { reply: state.reply, executed, dbTime };
+}
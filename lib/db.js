@@ -38,6 +38,16 @@ export function getDb() {
   return sql;
 }
 
+/**
+ * Close the connection pool (CLI scripts, graceful shutdown)
+ */
+export async function closeDb() {
+  if (sql) {
+    await sql.end({ timeout: 5 });
+    sql = null;
+  }
+}
+
 // ============================================
 // CUSTOMER QUERIES
 // ============================================
@@ -60,7 +70,13 @@ export async function getCustomerBySlug(slug, requestId) {
         ai.greeting,
         ai.system_prompt,
         ai.knowledge_base,
-        ai.companion_prompts
+        ai.llm_provider,
+        ai.llm_model,
+        ai.temperature,
+        ai.max_tokens,
+        ai.language,
+        ai.personality,
+        ai.judge_failure_policy
       FROM customers c
       LEFT JOIN customer_ai_config ai ON ai.customer_id = c.id
       WHERE c.slug = ${slug}
@@ -127,10 +143,14 @@ export async function getCompanion(customerId, companionKey, requestId) {
     const result = await db`
       SELECT 
         companion_key,
-        name,
-        emoji,
+        ai_name AS name,
+        avatar AS emoji,
         greeting,
-        system_prompt
+        system_prompt,
+        temperature,
+        max_tokens,
+        language,
+        personality
       FROM customer_companions
       WHERE customer_id = ${customerId}
         AND companion_key = ${companionKey}
@@ -157,6 +177,9 @@ export async function getCompanion(customerId, companionKey, requestId) {
 
 /**
  * Update session (suspicious flag, risk_level, metadata)
+ *
+ * risk_level höjs bara - sessionens risk är den högsta hittills (GREATEST ignorerar NULL).
+ * metadata slås ihop med befintliga nycklar (jsonb ||) - skicka bara det som ändras.
  */
 export async function updateSession(sessionId, updates, requestId) {
   const db = getDb();
@@ -174,8 +197,9 @@ export async function updateSession(sessionId, updates, requestId) {
       UPDATE chat_sessions
       SET 
         suspicious = COALESCE(${updates.suspicious ?? null}, suspicious),
-        risk_level = COALESCE(${updates.risk_level ?? null}, risk_level),
+        risk_level = GREATEST(risk_level, ${updates.risk_level ?? null}),
         needs_human = COALESCE(${updates.needs_human ?? null}, needs_human),
+        metadata = COALESCE(metadata, '{}'::jsonb) || ${db.json(updates.metadata || {})},
         updated_at = NOW()
       WHERE id = ${sessionId}
     `;
@@ -192,6 +216,68 @@ export async function updateSession(sessionId, updates, requestId) {
   }
 }
 
+/**
+ * Save the rolling history summary (se contextWindow.js)
+ */
+export async function updateSessionSummary(sessionId, { summary, summarizedUntil }, requestId) {
+  const db = getDb();
+  const logger = dbLogger.child({ requestId, operation: 'updateSessionSummary' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', {
+    query: 'UPDATE session summary',
+    sessionId: sessionId?.substring(0, 8),
+    summaryLength: summary.length
+  });
+
+  try {
+    await db`
+      UPDATE chat_sessions
+      SET
+        summary = ${summary},
+        summarized_until = ${summarizedUntil},
+        summary_updated_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ${sessionId}
+    `;
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { updated: true });
+
+    return { dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'updateSessionSummary' });
+    throw error;
+  }
+}
+
+/**
+ * Which customer owns a session (för behörighetskontroll)
+ */
+export async function getSessionCustomerId(sessionId, requestId) {
+  const db = getDb();
+  const logger = dbLogger.child({ requestId, operation: 'getSessionCustomerId' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT session owner', sessionId: sessionId?.substring(0, 8) });
+
+  try {
+    const result = await db`
+      SELECT customer_id FROM chat_sessions WHERE id = ${sessionId} LIMIT 1
+    `;
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { found: result.length > 0 });
+
+    return result[0]?.customer_id || null;
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'getSessionCustomerId' });
+    throw error;
+  }
+}
+
 export async function getOrCreateSession(sessionId, customerId, metadata = {}, requestId) {
   const db = getDb();
   const logger = dbLogger.child({ requestId, operation: 'getOrCreateSession' });
@@ -203,7 +289,8 @@ export async function getOrCreateSession(sessionId, customerId, metadata = {}, r
     
     try {
       const existing = await db`
-        SELECT id, customer_id, metadata, suspicious, risk_level, needs_human
+        SELECT id, customer_id, metadata, suspicious, risk_level, needs_human, summary, summarized_until, human_takeover_at,
+          assigned_team_id, assigned_user_id, escalation_level, is_read
         FROM chat_sessions
         WHERE id = ${sessionId}
         LIMIT 1
@@ -228,8 +315,9 @@ export async function getOrCreateSession(sessionId, customerId, metadata = {}, r
   try {
     const result = await db`
       INSERT INTO chat_sessions (id, customer_id, metadata)
-      VALUES (${newId}, ${customerId}, ${JSON.stringify(metadata)})
-      RETURNING id, customer_id, metadata, suspicious, risk_level, needs_human
+      VALUES (${newId}, ${customerId}, ${db.json(metadata)})
+      RETURNING id, customer_id, metadata, suspicious, risk_level, needs_human, summary, summarized_until, human_takeover_at,
+        assigned_team_id, assigned_user_id, escalation_level, is_read
     `;
 
     const latencyMs = timer.elapsed();
@@ -247,7 +335,18 @@ export async function getOrCreateSession(sessionId, customerId, metadata = {}, r
 // MESSAGE QUERIES
 // ============================================
 
-export async function saveMessage(sessionId, role, content, senderType = 'user', requestId) {
+/**
+ * Save a chat message
+ *
+ * options.generationSettings sparas på assistentens meddelande så att varje
+ * tur visar vilka inställningar (provider, modell, temperature...) som användes.
+ * options.tokensUsed / options.responseTimeMs är providerns rapporterade
+ * tokens och latens för LLM-anropen som hör till meddelandet.
+ * options.sentBy = personalens user_id (sender_type "human").
+ * options.riskLevel / options.riskReason = judge-omdömet för besökarens meddelande.
+ * Besökarens meddelanden gör sessionen oläst i personalens inkorg.
+ */
+export async function saveMessage(sessionId, role, content, senderType = 'user', requestId, options = {}) {
   const db = getDb();
   const logger = dbLogger.child({ requestId, operation: 'saveMessage' });
   const timer = createTimer();
@@ -260,9 +359,20 @@ export async function saveMessage(sessionId, role, content, senderType = 'user',
 
   try {
     const result = await db`
-      INSERT INTO chat_messages (session_id, role, content, sender_type)
-      VALUES (${sessionId}, ${role}, ${content}, ${senderType})
-      RETURNING id, created_at
+      WITH inserted AS (
+        INSERT INTO chat_messages (session_id, role, content, sender_type, generation_settings, tokens_used, response_time_ms, sent_by, risk_level, risk_reason)
+        VALUES (
+          ${sessionId}, ${role}, ${content}, ${senderType},
+          ${options.generationSettings ? db.json(options.generationSettings) : null},
+          ${options.tokensUsed ?? null}, ${options.responseTimeMs ?? null}, ${options.sentBy ?? null},
+          ${options.riskLevel ?? null}, ${options.riskReason ?? null}
+        )
+        RETURNING id, timestamp AS created_at
+      ), unread AS (
+        UPDATE chat_sessions SET is_read = false
+        WHERE id = ${sessionId} AND ${senderType === 'user'} AND is_read
+      )
+      SELECT id, created_at FROM inserted
     `;
 
     const latencyMs = timer.elapsed();
@@ -276,22 +386,91 @@ export async function saveMessage(sessionId, role, content, senderType = 'user',
   }
 }
 
-export async function getMessages(sessionId, requestId) {
+/**
+ * Create a staff notification
+ *
+ * options.dedupeUnread hoppar över insert om sessionen redan har en oläst
+ * notifikation av samma typ - returnerar då { notification: null }.
+ * recipients sätts av routing.js (vilka som larmas och via vilka kanaler).
+ * Nya rader får delivery_status pending och skickas av notificationWorker.js.
+ */
+export async function createNotification(notification, requestId, options = {}) {
+  const db = getDb();
+  const logger = dbLogger.child({ requestId, operation: 'createNotification' });
+  const timer = createTimer();
+  const {
+    customerId,
+    sessionId = null,
+    type,
+    priority = 'normal',
+    summary = null,
+    guestName = null,
+    guestEmail = null,
+    guestPhone = null,
+    reservationDetails = null,
+    recipients = null
+  } = notification;
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', {
+    query: 'INSERT notification',
+    type,
+    priority,
+    sessionId: sessionId?.substring(0, 8)
+  });
+
+  try {
+    const result = await db`
+      INSERT INTO notifications (
+        customer_id, session_id, type, priority, summary,
+        guest_name, guest_email, guest_phone, reservation_details, recipients
+      )
+      SELECT
+        ${customerId}, ${sessionId}, ${type}, ${priority}, ${summary},
+        ${guestName}, ${guestEmail}, ${guestPhone}, ${reservationDetails ? db.json(reservationDetails) : null},
+        ${recipients ? db.json(recipients) : null}
+      WHERE ${!options.dedupeUnread} OR NOT EXISTS (
+        SELECT 1 FROM notifications
+        WHERE session_id = ${sessionId} AND type = ${type} AND read_at IS NULL AND handled_at IS NULL
+      )
+      RETURNING id, type, priority, created_at
+    `;
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { created: result.length > 0 });
+
+    return { notification: result[0] || null, dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'createNotification', type });
+    throw error;
+  }
+}
+
+/**
+ * Get messages for a session
+ *
+ * options.since hämtar bara meddelanden efter en tidpunkt (t.ex.
+ * chat_sessions.summarized_until - äldre finns redan i sammanfattningen).
+ */
+export async function getMessages(sessionId, requestId, options = {}) {
   const db = getDb();
   const logger = dbLogger.child({ requestId, operation: 'getMessages' });
   const timer = createTimer();
+  const since = options.since || null;
 
   boundaryLog.outgoing(logger, 'PostgreSQL', { 
     query: 'SELECT messages', 
-    sessionId: sessionId?.substring(0, 8) 
+    sessionId: sessionId?.substring(0, 8),
+    since
   });
 
   try {
     const messages = await db`
-      SELECT id, role, content, sender_type, created_at
+      SELECT id, role, content, sender_type, timestamp AS created_at
       FROM chat_messages
       WHERE session_id = ${sessionId}
-      ORDER BY created_at ASC
+        AND (${since}::timestamptz IS NULL OR timestamp > ${since}::timestamptz)
+      ORDER BY timestamp ASC
     `;
 
     const latencyMs = timer.elapsed();
@@ -305,6 +484,39 @@ export async function getMessages(sessionId, requestId) {
   }
 }
 
+/**
+ * The visitor's latest messages with their judge verdicts (oldest first)
+ *
+ * Fönstret som securityJudge bedömer nästa meddelande mot.
+ */
+export async function getRecentUserTurns(sessionId, limit, requestId) {
+  const db = getDb();
+  const logger = dbLogger.child({ requestId, operation: 'getRecentUserTurns' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT recent user turns', sessionId: sessionId?.substring(0, 8), limit });
+
+  try {
+    const rows = await db`
+      SELECT content, risk_level, risk_reason
+      FROM chat_messages
+      WHERE session_id = ${sessionId} AND role = 'user'
+      ORDER BY timestamp DESC
+      LIMIT ${limit}
+    `;
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { count: rows.length });
+
+    const turns = rows.reverse().map(row => ({ content: row.content, riskLevel: row.risk_level, riskReason: row.risk_reason }));
+    return { turns, dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'getRecentUserTurns' });
+    throw error;
+  }
+}
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -339,235 +551,3 @@ export async function testConnection(requestId) {
     };
   }
 }
-
-// ============================================
-// SCHEMA INITIALIZATION
-// ============================================
-
-export async function initSchema(requestId) {
-  const db = getDb();
-  const logger = dbLogger.child({ requestId, operation: 'initSchema' });
-  
-  logger.info({ event: 'SCHEMA_INIT_START' }, '📦 Initializing database schema...');
-  const timer = createTimer();
-
-  try {
-    // Customers table
-    await db`
-      CREATE TABLE IF NOT EXISTS customers (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        name VARCHAR(255) NOT NULL,
-        slug VARCHAR(100) UNIQUE NOT NULL,
-        organization_id UUID,
-        plan VARCHAR(50) DEFAULT 'starter',
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      )
-    `;
-    logger.debug({ table: 'customers' }, 'Created customers table');
-
-    // AI Config table
-    await db`
-      CREATE TABLE IF NOT EXISTS customer_ai_config (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-        ai_name VARCHAR(100) DEFAULT 'AI Assistant',
-        greeting TEXT,
-        system_prompt TEXT,
-        knowledge_base TEXT,
-        companion_prompts JSONB,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        UNIQUE(customer_id)
-      )
-    `;
-    logger.debug({ table: 'customer_ai_config' }, 'Created customer_ai_config table');
-
-    // Companions table
-    await db`
-      CREATE TABLE IF NOT EXISTS customer_companions (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-        companion_key VARCHAR(50) NOT NULL,
-        name VARCHAR(100) NOT NULL,
-        emoji VARCHAR(10),
-        greeting TEXT,
-        system_prompt TEXT,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        UNIQUE(customer_id, companion_key)
-      )
-    `;
-    logger.debug({ table: 'customer_companions' }, 'Created customer_companions table');
-
-    // Chat sessions table
-    await db`
-      CREATE TABLE IF NOT EXISTS chat_sessions (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-        metadata JSONB DEFAULT '{}',
-        suspicious BOOLEAN DEFAULT FALSE,
-        risk_level INTEGER DEFAULT 0,
-        needs_human BOOLEAN DEFAULT FALSE,
-        is_read BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        updated_at TIMESTAMPTZ DEFAULT NOW()
-      )
-    `;
-    logger.debug({ table: 'chat_sessions' }, 'Created chat_sessions table');
-
-    // Chat messages table
-    await db`
-      CREATE TABLE IF NOT EXISTS chat_messages (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        session_id UUID REFERENCES chat_sessions(id) ON DELETE CASCADE,
-        role VARCHAR(20) NOT NULL,
-        content TEXT NOT NULL,
-        sender_type VARCHAR(20) DEFAULT 'user',
-        created_at TIMESTAMPTZ DEFAULT NOW()
-      )
-    `;
-    logger.debug({ table: 'chat_messages' }, 'Created chat_messages table');
-
-    // Indexes (inkl. customer_id för prestanda vid scale)
-    await db`CREATE INDEX IF NOT EXISTS idx_customers_slug ON customers(slug)`;
-    await db`CREATE INDEX IF NOT EXISTS idx_sessions_customer ON chat_sessions(customer_id)`;
-    await db`CREATE INDEX IF NOT EXISTS idx_sessions_customer_created ON chat_sessions(customer_id, created_at DESC)`;
-    await db`CREATE INDEX IF NOT EXISTS idx_messages_session ON chat_messages(session_id, created_at)`;
-    await db`CREATE INDEX IF NOT EXISTS idx_companions_customer ON customer_companions(customer_id, companion_key)`;
-
-    logger.info({ 
-      event: 'SCHEMA_INIT_SUCCESS', 
-      latencyMs: timer.elapsed() 
-    }, `✅ Schema initialized in ${timer.elapsed()}ms`);
-    
-    return true;
-  } catch (error) {
-    logError(logger, error, { event: 'SCHEMA_INIT_FAILED' });
-    throw error;
-  }
-}
-
-export async function seedDemoData(requestId) {
-  const db = getDb();
-  const logger = dbLogger.child({ requestId, operation: 'seedDemoData' });
-
-  // Check if already seeded
-  const existing = await db`SELECT id FROM customers WHERE slug = 'bella-italia' LIMIT 1`;
-  if (existing.length > 0) {
-    logger.info({ event: 'SEED_SKIP' }, '⏭️ Demo data already exists, skipping seed');
-    return false;
-  }
-
-  logger.info({ event: 'SEED_START' }, '🌱 Seeding demo data...');
-  const timer = createTimer();
-
-  try {
-    // Bella Italia
-    const bellaItalia = await db`
-      INSERT INTO customers (name, slug)
-      VALUES ('Bella Italia', 'bella-italia')
-      RETURNING id
-    `;
-
-    await db`
-      INSERT INTO customer_ai_config (customer_id, ai_name, greeting, system_prompt, knowledge_base)
-      VALUES (
-        ${bellaItalia[0].id},
-        'Sofia',
-        'Ciao! 🍝 Välkommen till Bella Italia! Jag är Sofia, hur kan jag hjälpa dig idag?',
-        'Du är Sofia, en vänlig och professionell AI-assistent för Bella Italia, en italiensk restaurang i Sverige.
-
-DINA UPPGIFTER:
-1. Hjälpa gäster med bordsbokningar
-2. Svara på frågor om menyn
-3. Ge information om öppettider och läge
-4. Hantera klagomål med empati
-
-RESTAURANGINFORMATION:
-- Öppettider: Mån-Fre 11-22, Lör-Sön 12-23
-- Adress: Storgatan 1, Stockholm
-- Telefon: 08-123 456 78
-
-TONALITET:
-- Varm och välkomnande
-- Professionell men personlig
-- Använd gärna italienska uttryck
-- Håll svaren koncisa (2-3 meningar)',
-        'MENY: Pizza Margherita 139kr, Pasta Carbonara 169kr, Tiramisu 89kr. Vegetariskt finns. Glutenfri pasta +25kr.'
-      )
-    `;
-    logger.debug({ customer: 'bella-italia' }, 'Seeded Bella Italia');
-
-    // ElderCare
-    const eldercare = await db`
-      INSERT INTO customers (name, slug)
-      VALUES ('ElderCare Pilot', 'eldercare-pilot')
-      RETURNING id
-    `;
-
-    await db`
-      INSERT INTO customer_ai_config (customer_id, ai_name, greeting, system_prompt)
-      VALUES (
-        ${eldercare[0].id},
-        'Astrid',
-        'Hei kjære! 👵 Jeg er Astrid. Hvordan har du det i dag?',
-        'Du er en empatisk AI-assistent for ElderCare.'
-      )
-    `;
-
-    // Astrid companion
-    await db`
-      INSERT INTO customer_companions (customer_id, companion_key, name, emoji, greeting, system_prompt)
-      VALUES (
-        ${eldercare[0].id},
-        'astrid',
-        'Astrid',
-        '👵',
-        'Hei kjære! Jeg er Astrid. Hvordan har du det i dag?',
-        'Du er Astrid 👵, en varm og empatisk AI-samtalskompis. Snakk norsk (bokmål) med varme. Korte setninger (2-3). Én spørsmål om gangen. Fokus på minner fra fortiden. Bekreft følelser, ikke fakta.'
-      )
-    `;
-
-    // Ivar companion
-    await db`
-      INSERT INTO customer_companions (customer_id, companion_key, name, emoji, greeting, system_prompt)
-      VALUES (
-        ${eldercare[0].id},
-        'ivar',
-        'Ivar',
-        '👴',
-        'Hei der! Jeg er Ivar. Hyggelig å snakke med deg!',
-        'Du er Ivar 👴, en vennlig og jordnær AI-samtalskompis. Snakk norsk (bokmål) med ro. Korte setninger (2-3). Én spørsmål om gangen. Fokus på arbeid, friluftsliv, praktiske ting.'
-      )
-    `;
-    logger.debug({ customer: 'eldercare-pilot', companions: ['astrid', 'ivar'] }, 'Seeded ElderCare');
-
-    // Verkstad
-    const verkstad = await db`
-      INSERT INTO customers (name, slug)
-      VALUES ('Anderssons Bilverkstad', 'anderssons-verkstad')
-      RETURNING id
-    `;
-
-    await db`
-      INSERT INTO customer_ai_config (customer_id, ai_name, greeting, system_prompt, knowledge_base)
-      VALUES (
-        ${verkstad[0].id},
-        'Marcus',
-        'Hej! 🔧 Välkommen till Anderssons Bilverkstad. Jag är Marcus, vad kan jag hjälpa dig med?',
-        'Du är Marcus, en kunnig AI-assistent för Anderssons Bilverkstad. Hjälp med bokningar, prisuppskattningar och frågor. Öppet Mån-Fre 07-17. Adress: Industrivägen 5, Göteborg.',
-        'PRISER: Service liten 2495kr, Service stor 4995kr, Bromsbyte fram från 2995kr, Däckbyte 495kr (4 hjul), AC-service 895kr.'
-      )
-    `;
-    logger.debug({ customer: 'anderssons-verkstad' }, 'Seeded Anderssons Verkstad');
-
-    logger.info({ 
-      event: 'SEED_SUCCESS', 
-      latencyMs: timer.elapsed(),
-      customers: ['bella-italia', 'eldercare-pilot', 'anderssons-verkstad']
-    }, `✅ Demo data seeded in ${timer.elapsed()}ms`);
-
-    return true;
-  } catch (error) {
-    logError(logger, error, { event: 'SEED_FAILED' });
-    throw error;
-  }
-}
@@ -0,0 +1,196 @@
+/**
+ * Escalations - flytta en session mellan team och användare
+ *
+ *   POST /api/sessions/:id/escalate      messages:write    { to_team_id?, to_user_id?, reason?, note?, urgent? }
+ *   GET  /api/sessions/:id/escalations   escalations:read  tidslinje för arbetsledare (admin+)
+ *
+ * En eskalering:
+ * - tilldelar sessionen på nytt. Bara to_team_id → teamets kö (assigned_user_id
+ *   nollställs). Bara to_user_id → teamet behålls.
+ * - räknar upp chat_sessions.escalation_level och sätter assigned_by
+ * - skriver en rad i session_escalations (från/till, reason, note, created_by)
+ * - larmar mottagaren med en "escalated"-notifikation. Mottagare räknas ut som
+ *   i routing.js: användaren, annars teamets medlemmar (+ admins/owners med urgent).
+ *
+ * Har personalen tagit över sessionen följer övertagandet med till den nya
+ * användaren (eller släpps till teamet) - AI:n förblir pausad.
+ */
+
+import { getDb, createNotification } from './db.js';
+import { validateInput } from './tenantAdmin.js';
+import { checkAssignmentTargets, resolveRecipientIds } from './routing.js';
+import { publishSessionState } from './events.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const escalationsLogger = createComponentLogger('escalations');
+
+const ESCALATION_FIELDS = {
+  to_team_id: { type: 'uuid', nullable: true },
+  to_user_id: { type: 'uuid', nullable: true },
+  reason: { type: 'string', maxLength: 200, nullable: true },
+  note: { type: 'string', maxLength: 2000, nullable: true },
+  urgent: { type: 'boolean' }
+};
+
+async function runQuery(operation, requestId, details, fn) {
+  const db = getDb();
+  const logger = escalationsLogger.child({ requestId, operation });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', details);
+
+  try {
+    const result = await fn(db);
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: !result?.error });
+    return result;
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation, ...details });
+    throw error;
+  }
+}
+
+function validationError(errors) {
+  return { error: 'Validation failed', status: 400, details: errors };
+}
+
+function buildSummary(targetName, { reason, note }) {
+  const details = [reason, note].filter(Boolean).join(' - ');
+  return `Eskalerad till ${targetName}${details ? `: ${details}` : ''}`;
+}
+
+/**
+ * Escalate a session to another team and/or user
+ *
+ * @param {object} principal - userId sparas som created_by / assigned_by (null för API-nycklar)
+ * @returns {Promise<{ escalation, session, recipients, notification } | { error, status, details? }>}
+ */
+export async function escalateSession(sessionId, principal, input, requestId) {
+  const { values, errors } = validateInput(ESCALATION_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+  if (!values.to_team_id && !values.to_user_id) {
+    return validationError([{ field: null, message: 'to_team_id or to_user_id is required' }]);
+  }
+
+  const createdBy = principal.userId || null;
+  const urgent = values.urgent === true;
+
+  const result = await runQuery('escalateSession', requestId, { query: 'UPDATE session + INSERT session_escalation', sessionId: sessionId.substring(0, 8) }, (db) => db.begin(async (tx) => {
+    const [current] = await tx`
+      SELECT id, customer_id, assigned_team_id, assigned_user_id, human_takeover_at
+      FROM chat_sessions
+      WHERE id = ${sessionId}
+      FOR UPDATE
+    `;
+    if (!current) return { error: 'Session not found', status: 404 };
+
+    const { teamValid, userValid } = await checkAssignmentTargets(tx, current.customer_id, {
+      teamId: values.to_team_id,
+      userId: values.to_user_id
+    });
+    const targetErrors = [];
+    if (!teamValid) targetErrors.push({ field: 'to_team_id', message: 'team not found for this customer' });
+    if (!userValid) targetErrors.push({ field: 'to_user_id', message: 'user has no membership for this customer' });
+    if (targetErrors.length > 0) return validationError(targetErrors);
+
+    const toTeamId = values.to_team_id || current.assigned_team_id || null;
+    const toUserId = values.to_user_id || null;
+
+    if (toTeamId === current.assigned_team_id && toUserId === current.assigned_user_id) {
+      return { error: 'Session is already assigned to this team and user', status: 409 };
+    }
+
+    const [session] = await tx`
+      UPDATE chat_sessions SET
+        assigned_team_id = ${toTeamId},
+        assigned_user_id = ${toUserId},
+        assigned_type = ${toUserId ? 'user' : 'team'},
+        assigned_at = NOW(),
+        assigned_by = ${createdBy},
+        escalation_level = COALESCE(escalation_level, 0) + 1,
+        human_takeover_by = CASE WHEN human_takeover_at IS NOT NULL THEN ${toUserId}::uuid ELSE human_takeover_by END,
+        updated_at = NOW()
+      WHERE id = ${sessionId}
+      RETURNING id, assigned_team_id, assigned_user_id, escalation_level, human_takeover_at, human_takeover_by
+    `;
+
+    const [escalation] = await tx`
+      INSERT INTO session_escalations (
+        session_id, from_user_id, from_team_id, to_user_id, to_team_id, reason, note, created_by
+      ) VALUES (
+        ${sessionId}, ${current.assigned_user_id}, ${current.assigned_team_id}, ${toUserId}, ${toTeamId},
+        ${values.reason ?? null}, ${values.note ?? null}, ${createdBy}
+      )
+      RETURNING id, from_user_id, from_team_id, to_user_id, to_team_id, reason, note, created_by, created_at
+    `;
+
+    const userIds = await resolveRecipientIds(tx, current.customer_id, { teamId: toTeamId, userId: toUserId, urgent });
+    const [team] = toTeamId && !toUserId
+      ? await tx`SELECT name FROM teams WHERE id = ${toTeamId}`
+      : [];
+
+    return {
+      escalation,
+      session,
+      customerId: current.customer_id,
+      recipients: { userIds, teamId: toTeamId, push: true, email: true, urgent },
+      targetName: toUserId ? 'en medarbetare' : `team ${team?.name || toTeamId}`
+    };
+  }));
+
+  if (result.error) return result;
+
+  const { notification } = await createNotification({
+    customerId: result.customerId,
+    sessionId,
+    type: 'escalated',
+    priority: urgent ? 'urgent' : 'high',
+    summary: buildSummary(result.targetName, values),
+    recipients: result.recipients
+  }, requestId);
+
+  await publishSessionState(sessionId, requestId);
+
+  return {
+    escalation: result.escalation,
+    session: result.session,
+    recipients: result.recipients,
+    notification
+  };
+}
+
+/**
+ * Escalation timeline for a session, oldest first, plus the current assignment
+ *
+ * Första tilldelningen kommer från routing (routed_by_rule_id) och finns inte
+ * i session_escalations - den visas i current.
+ */
+export async function getEscalationTimeline(sessionId, requestId) {
+  return runQuery('getEscalationTimeline', requestId, { query: 'SELECT session_escalations', sessionId: sessionId.substring(0, 8) }, async (db) => {
+    const [current] = await db`
+      SELECT
+        s.assigned_team_id, t.name AS assigned_team_name, s.assigned_user_id, s.assigned_type,
+        s.assigned_at, s.assigned_by, s.escalation_level,
+        s.routed_by_rule_id, r.name AS routed_by_rule_name
+      FROM chat_sessions s
+      LEFT JOIN teams t ON t.id = s.assigned_team_id
+      LEFT JOIN routing_rules r ON r.id = s.routed_by_rule_id
+      WHERE s.id = ${sessionId}
+    `;
+    if (!current) return { error: 'Session not found', status: 404 };
+
+    const escalations = await db`
+      SELECT
+        e.id, e.from_user_id, e.from_team_id, ft.name AS from_team_name,
+        e.to_user_id, e.to_team_id, tt.name AS to_team_name,
+        e.reason, e.note, e.created_by, e.created_at
+      FROM session_escalations e
+      LEFT JOIN teams ft ON ft.id = e.from_team_id
+      LEFT JOIN teams tt ON tt.id = e.to_team_id
+      WHERE e.session_id = ${sessionId}
+      ORDER BY e.created_at ASC
+    `;
+
+    return { current, escalations };
+  });
+}
@@ -0,0 +1,425 @@
+/**
+ * Session events - realtidskanal för widgeten och personalens inkorg (SSE)
+ *
+ *   GET /api/sessions/:id/events    besökartoken (egen session) eller messages:read
+ *   GET /api/events?customerId=     messages:read - alla kundens sessioner
+ *
+ * | event    | data                                                              | Besökare |
+ * |----------|-------------------------------------------------------------------|----------|
+ * | message  | { sessionId, message: { id, role, content, sender_type, created_at } } | ja  |
+ * | typing   | { sessionId, by: "visitor" \| "staff", typing }                    | ja       |
+ * | takeover | { sessionId, humanActive }                                        | ja       |
+ * | session  | { sessionId, needsHuman, suspicious, riskLevel, teamId, userId, escalationLevel, humanActive, isRead } | nej |
+ *
+ * Händelser sparas i session_events och radens id skickas som SSE-id.
+ * EventSource skickar tillbaka det som Last-Event-ID när den återansluter och
+ * missade händelser spelas upp från tabellen. Är luckan för stor (fler än
+ * replayLimit, eller äldre än retentionHours) skickas "resync" - klienten
+ * hämtar då om via REST. typing sparas inte och saknar id.
+ *
+ * Andra instanser får händelserna via LISTEN/NOTIFY. Går LISTEN inte att
+ * använda (t.ex. bakom en transaction pooler) levereras bara händelser från
+ * den egna instansen.
+ */
+
+import { getDb } from './db.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const eventsLogger = createComponentLogger('events');
+
+// Det besökaren får se i sin egen session - aldrig flaggor eller tilldelning
+const VISITOR_EVENT_TYPES = new Set(['message', 'typing', 'takeover']);
+// Flyktiga - sparas inte och spelas inte upp igen
+const EPHEMERAL_EVENT_TYPES = new Set(['typing']);
+
+const CONFIG = {
+  channel: 'session_events',
+  replayLimit: 500,
+  retentionHours: 24,
+  pruneIntervalMs: 60 * 60 * 1000,  // Rensa gamla händelser varje timme
+  heartbeatMs: 25 * 1000,           // Håller proxies från att stänga strömmen
+  retryMs: 3000
+};
+
+// Skiljer egna NOTIFY från andra instansers
+const INSTANCE_ID = crypto.randomUUID();
+
+// Öppna strömmar på den här instansen
+const subscribers = new Set();
+let listening = null;
+let pruneTimer = null;
+
+function toEvent(row) {
+  return {
+    id: Number(row.id),
+    customerId: row.customer_id,
+    sessionId: row.session_id,
+    type: row.type,
+    data: row.data,
+    createdAt: row.created_at
+  };
+}
+
+function matchesSubscriber(subscriber, event) {
+  if (subscriber.customerId && subscriber.customerId !== event.customerId) return false;
+  if (subscriber.sessionId && subscriber.sessionId !== event.sessionId) return false;
+  return !subscriber.visitor || VISITOR_EVENT_TYPES.has(event.type);
+}
+
+function writeEvent(res, event) {
+  if (event.id) res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ sessionId: event.sessionId, ...event.data, at: event.createdAt })}\n\n`);
+}
+
+function deliver(event) {
+  for (const subscriber of subscribers) {
+    if (!matchesSubscriber(subscriber, event)) continue;
+    // Strömmen spelar fortfarande upp historik - skickas efteråt
+    if (subscriber.pending) subscriber.pending.push(event);
+    else writeEvent(subscriber.res, event);
+    subscriber.sent++;
+  }
+}
+
+/**
+ * Events published by other instances (NOTIFY payload = { instance, id } eller hela typing-händelsen)
+ */
+async function onNotify(payload) {
+  const notice = JSON.parse(payload);
+  if (notice.instance === INSTANCE_ID || subscribers.size === 0) return;
+  if (notice.event) return deliver(notice.event);
+
+  const db = getDb();
+  const [row] = await db`
+    SELECT id, customer_id, session_id, type, data, created_at
+    FROM session_events
+    WHERE id = ${notice.id}
+  `;
+  if (row) deliver(toEvent(row));
+}
+
+/**
+ * LISTEN once per instance - misslyckas det försöker nästa ström igen
+ */
+function ensureListening() {
+  if (!listening) {
+    listening = getDb()
+      .listen(CONFIG.channel, (payload) => {
+        onNotify(payload).catch(error => {
+          eventsLogger.warn({ event: 'EVENT_NOTIFY_FAILED', error: error.message }, '⚠️ Failed to deliver event from another instance');
+        });
+      })
+      .then(() => {
+        eventsLogger.info({ event: 'EVENTS_LISTENING', channel: CONFIG.channel }, `📡 Listening on ${CONFIG.channel}`);
+      })
+      .catch(error => {
+        listening = null;
+        eventsLogger.warn({ event: 'EVENTS_LISTEN_FAILED', error: error.message }, '⚠️ LISTEN failed - only events from this instance are delivered');
+      });
+  }
+  return listening;
+}
+
+/**
+ * Delete events older than retentionHours
+ */
+async function pruneSessionEvents() {
+  const db = getDb();
+  const logger = eventsLogger.child({ operation: 'pruneSessionEvents' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'DELETE old session_events', retentionHours: CONFIG.retentionHours });
+
+  try {
+    const result = await db`
+      DELETE FROM session_events
+      WHERE created_at < NOW() - make_interval(hours => ${CONFIG.retentionHours})
+    `;
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { deleted: result.count });
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'pruneSessionEvents' });
+  }
+}
+
+function schedulePruning() {
+  if (pruneTimer) return;
+  pruneTimer = setInterval(pruneSessionEvents, CONFIG.pruneIntervalMs);
+  pruneTimer.unref();
+}
+
+/**
+ * Publish an event to everyone listening on the session or its customer
+ *
+ * Fel loggas men kastas aldrig - realtidskanalen är ett tillägg, REST-API:t
+ * är sanningen.
+ *
+ * @param {{ customerId: string, sessionId: string, type: string, data?: object }} event
+ * @returns {Promise<{ event: object|null, dbTime: number }>}
+ */
+export async function publishSessionEvent({ customerId, sessionId, type, data = {} }, requestId) {
+  const db = getDb();
+  const logger = eventsLogger.child({ requestId, operation: 'publishSessionEvent' });
+  const timer = createTimer();
+  const ephemeral = EPHEMERAL_EVENT_TYPES.has(type);
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', {
+    query: ephemeral ? 'NOTIFY session event' : 'INSERT session_event + NOTIFY',
+    type,
+    sessionId: sessionId?.substring(0, 8)
+  });
+
+  try {
+    let event;
+
+    if (ephemeral) {
+      event = { id: null, customerId, sessionId, type, data, createdAt: new Date().toISOString() };
+      deliver(event);
+      await db`SELECT pg_notify(${CONFIG.channel}, ${JSON.stringify({ instance: INSTANCE_ID, event })})`;
+    } else {
+      // NOTIFY skickas när raden är committad - bara id:t, payload är max 8000 bytes
+      const [row] = await db`
+        WITH inserted AS (
+          INSERT INTO session_events (customer_id, session_id, type, data)
+          VALUES (${customerId}, ${sessionId}, ${type}, ${db.json(data)})
+          RETURNING id, customer_id, session_id, type, data, created_at
+        )
+        SELECT inserted.*, pg_notify(${CONFIG.channel}, json_build_object('instance', ${INSTANCE_ID}::text, 'id', inserted.id)::text)
+        FROM inserted
+      `;
+      event = toEvent(row);
+      deliver(event);
+      schedulePruning();
+    }
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { eventId: event.id, subscribers: subscribers.size });
+
+    return { event, dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'publishSessionEvent', type });
+    return { event: null, dbTime: timer.elapsed() };
+  }
+}
+
+/**
+ * Publish a saved chat message ({ id, role, content, sender_type, created_at })
+ */
+export function publishMessageEvent(customerId, sessionId, message, requestId) {
+  return publishSessionEvent({ customerId, sessionId, type: 'message', data: { message } }, requestId);
+}
+
+/**
+ * Flags and assignment as sent in the "session" event
+ */
+export function sessionState(row) {
+  return {
+    needsHuman: !!row.needs_human,
+    suspicious: !!row.suspicious,
+    riskLevel: row.risk_level || 0,
+    teamId: row.assigned_team_id || null,
+    userId: row.assigned_user_id || null,
+    escalationLevel: row.escalation_level || 0,
+    humanActive: !!row.human_takeover_at,
+    isRead: !!row.is_read
+  };
+}
+
+/**
+ * Publish the session's current flags and assignment ("session" event)
+ *
+ * Med options.previous (sessionsraden från början av turen) publiceras bara
+ * om något har ändrats.
+ *
+ * @returns {Promise<{ event: object|null, dbTime: number }>}
+ */
+export async function publishSessionState(sessionId, requestId, options = {}) {
+  const db = getDb();
+  const logger = eventsLogger.child({ requestId, operation: 'publishSessionState' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT session state', sessionId: sessionId?.substring(0, 8) });
+
+  let row;
+  try {
+    [row] = await db`
+      SELECT customer_id, needs_human, suspicious, risk_level, assigned_team_id, assigned_user_id,
+        escalation_level, human_takeover_at, is_read
+      FROM chat_sessions
+      WHERE id = ${sessionId}
+    `;
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { found: !!row });
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'publishSessionState' });
+    return { event: null, dbTime: timer.elapsed() };
+  }
+
+  const state = row && sessionState(row);
+  if (!state || (options.previous && JSON.stringify(state) === JSON.stringify(sessionState(options.previous)))) {
+    return { event: null, dbTime: timer.elapsed() };
+  }
+
+  const result = await publishSessionEvent({ customerId: row.customer_id, sessionId, type: 'session', data: state }, requestId);
+  return { event: result.event, dbTime: timer.elapsed() };
+}
+
+/**
+ * Events after lastEventId for the stream's scope, or a reason to resync
+ *
+ * @returns {Promise<{ events: object[], latestId: number, resync: string|null }>}
+ */
+async function loadMissedEvents(scope, lastEventId, requestId) {
+  const db = getDb();
+  const logger = eventsLogger.child({ requestId, operation: 'loadMissedEvents' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', {
+    query: 'SELECT session_events after Last-Event-ID',
+    lastEventId,
+    sessionId: scope.sessionId?.substring(0, 8) || null
+  });
+
+  try {
+    const [bounds] = await db`
+      SELECT COALESCE(MIN(id), 0) AS oldest_id, COALESCE(MAX(id), 0) AS latest_id FROM session_events
+    `;
+    const latestId = Number(bounds.latest_id);
+
+    if (lastEventId === null) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { replayed: 0 });
+      return { events: [], latestId, resync: null };
+    }
+
+    // Rensade händelser kan ha legat i luckan
+    if (lastEventId < Number(bounds.oldest_id) - 1) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { replayed: 0, resync: 'expired' });
+      return { events: [], latestId, resync: 'expired' };
+    }
+
+    const rows = await db`
+      SELECT id, customer_id, session_id, type, data, created_at
+      FROM session_events
+      WHERE id > ${lastEventId} AND id <= ${latestId}
+        AND (${scope.customerId}::uuid IS NULL OR customer_id = ${scope.customerId}::uuid)
+        AND (${scope.sessionId}::uuid IS NULL OR session_id = ${scope.sessionId}::uuid)
+        AND (${!scope.visitor} OR type IN ${db([...VISITOR_EVENT_TYPES])})
+      ORDER BY id ASC
+      LIMIT ${CONFIG.replayLimit + 1}
+    `;
+
+    const resync = rows.length > CONFIG.replayLimit ? 'too_many' : null;
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { replayed: resync ? 0 : rows.length, resync });
+
+    return { events: resync ? [] : rows.map(toEvent), latestId, resync };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'loadMissedEvents' });
+    throw error;
+  }
+}
+
+/**
+ * Parse Last-Event-ID (header, eller ?lastEventId= för klienter utan EventSource)
+ *
+ * @returns {number|null}
+ */
+export function parseLastEventId(value) {
+  if (typeof value !== 'string' || !/^\d{1,15}$/.test(value)) return null;
+  return Number(value);
+}
+
+/**
+ * Stream events for one session or one customer until the client disconnects
+ *
+ * Ordning: replay av missade händelser → "resync" om luckan var för stor →
+ * "ready" (id = senaste händelsen) → live. Händelser som publiceras under
+ * replay buffras och skickas direkt efter "ready".
+ *
+ * @param {object} scope
+ * @param {string|null} scope.customerId - null = alla kunder (superadmin)
+ * @param {string|null} [scope.sessionId]
+ * @param {boolean} [scope.visitor] - Bara VISITOR_EVENT_TYPES
+ */
+export async function openEventStream(res, scope, { lastEventId = null, logger, requestId }) {
+  const streamTimer = createTimer();
+  const subscriber = { ...scope, res, pending: [], sent: 0 };
+  let closed = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${CONFIG.retryMs}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), CONFIG.heartbeatMs);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+    logger.info({
+      event: 'EVENT_STREAM_CLOSED',
+      sessionId: scope.sessionId?.substring(0, 8) || null,
+      sent: subscriber.sent,
+      durationMs: streamTimer.elapsed()
+    }, `⏹️ Event stream closed after ${streamTimer.elapsed()}ms (${subscriber.sent} events)`);
+  });
+
+  // Prenumerera före replay så att inget faller mellan stolarna
+  subscribers.add(subscriber);
+  await ensureListening();
+
+  let missed;
+  try {
+    missed = await loadMissedEvents(scope, lastEventId, requestId);
+  } catch (error) {
+    res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to load events', requestId })}\n\n`);
+    return res.end();
+  }
+
+  if (closed) return;
+
+  for (const event of missed.events) {
+    writeEvent(res, event);
+  }
+  if (missed.resync) {
+    res.write(`event: resync\ndata: ${JSON.stringify({ reason: missed.resync })}\n\n`);
+  }
+  res.write(`id: ${missed.latestId}\nevent: ready\ndata: ${JSON.stringify({
+    customerId: scope.customerId,
+    sessionId: scope.sessionId || null,
+    replayed: missed.events.length
+  })}\n\n`);
+
+  const { pending } = subscriber;
+  subscriber.pending = null;
+  subscriber.sent += missed.events.length;
+  for (const event of pending) {
+    if (!event.id || event.id > missed.latestId) writeEvent(res, event);
+  }
+
+  logger.info({
+    event: 'EVENT_STREAM_OPEN',
+    customerId: scope.customerId?.substring(0, 8) || null,
+    sessionId: scope.sessionId?.substring(0, 8) || null,
+    visitor: !!scope.visitor,
+    lastEventId,
+    replayed: missed.events.length,
+    resync: missed.resync,
+    subscribers: subscribers.size
+  }, `📡 Event stream open${missed.events.length ? ` - replayed ${missed.events.length}` : ''}`);
+}
+
+/**
+ * End all open streams (graceful shutdown - annars väntar server.close() för evigt)
+ */
+export function closeEventStreams() {
+  for (const subscriber of subscribers) {
+    subscriber.res.end();
+  }
+  subscribers.clear();
+}
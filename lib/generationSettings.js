@@ -0,0 +1,123 @@
+/**
+ * Generation settings - per tenant och per companion
+ *
+ * Läser temperature, max_tokens, language och personality från
+ * customer_companions (vinner) och customer_ai_config, validerar dem mot
+ * rimliga intervall och faller tillbaka till default vid ogiltiga värden.
+ */
+
+import { createComponentLogger } from './logger.js';
+
+const logger = createComponentLogger('generationSettings');
+
+export const DEFAULT_SETTINGS = {
+  temperature: 0.7,
+  maxTokens: 500,
+  language: 'sv',
+  personality: null
+};
+
+export const LIMITS = {
+  temperature: { min: 0, max: 1.5 },
+  maxTokens: { min: 16, max: 2000 },
+  personalityMaxLength: 500
+};
+
+// Språk vi stödjer i prompten (ISO 639-1 → namn i prompten)
+export const LANGUAGES = {
+  sv: 'svenska',
+  no: 'norska (bokmål)',
+  nb: 'norska (bokmål)',
+  nn: 'norska (nynorsk)',
+  da: 'danska',
+  fi: 'finska',
+  en: 'engelska',
+  de: 'tyska'
+};
+
+function validateTemperature(value) {
+  if (value === null || value === undefined) return undefined;
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < LIMITS.temperature.min || num > LIMITS.temperature.max) {
+    return { invalid: value };
+  }
+  return { value: num };
+}
+
+function validateMaxTokens(value) {
+  if (value === null || value === undefined) return undefined;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < LIMITS.maxTokens.min || num > LIMITS.maxTokens.max) {
+    return { invalid: value };
+  }
+  return { value: num };
+}
+
+function validateLanguage(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+  const code = String(value).trim().toLowerCase();
+  if (!LANGUAGES[code]) {
+    return { invalid: value };
+  }
+  return { value: code };
+}
+
+function validatePersonality(value) {
+  if (value === null || value === undefined) return undefined;
+  const text = String(value).trim();
+  if (!text) return undefined;
+  if (text.length > LIMITS.personalityMaxLength) {
+    return { invalid: `${text.substring(0, 20)}... (${text.length} chars)` };
+  }
+  return { value: text };
+}
+
+const VALIDATORS = {
+  temperature: { column: 'temperature', validate: validateTemperature },
+  maxTokens: { column: 'max_tokens', validate: validateMaxTokens },
+  language: { column: 'language', validate: validateLanguage },
+  personality: { column: 'personality', validate: validatePersonality }
+};
+
+/**
+ * Resolve generation settings for one turn
+ *
+ * @param {object} customer - Rad från getCustomerBySlug (customer_ai_config)
+ * @param {object|null} companion - Rad från getCompanion
+ * @returns {{ temperature, maxTokens, language, personality, sources, warnings }}
+ */
+export function resolveGenerationSettings(customer, companion = null, requestId) {
+  const settings = { ...DEFAULT_SETTINGS, sources: {}, warnings: [] };
+
+  for (const [key, { column, validate }] of Object.entries(VALIDATORS)) {
+    settings.sources[key] = 'default';
+
+    // Companion först, sedan tenant
+    for (const [source, row] of [['companion', companion], ['tenant', customer]]) {
+      if (!row) continue;
+      const result = validate(row[column]);
+      if (!result) continue;
+
+      if ('invalid' in result) {
+        settings.warnings.push({ source, column, value: result.invalid });
+        continue;
+      }
+
+      settings[key] = result.value;
+      settings.sources[key] = source;
+      break;
+    }
+  }
+
+  if (settings.warnings.length > 0) {
+    logger.warn({
+      event: 'INVALID_GENERATION_SETTINGS',
+      requestId,
+      customerId: customer?.id?.substring(0, 8),
+      companion: companion?.companion_key,
+      warnings: settings.warnings
+    }, `⚠️ Ignoring ${settings.warnings.length} invalid generation setting(s), using fallback`);
+  }
+
+  return settings;
+}
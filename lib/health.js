@@ -4,13 +4,14 @@
  * Testar alla komponenter och returnerar strukturerad status
  */
 
-import { testConnection, initSchema, seedDemoData } from './db.js';
+import { testConnection } from './db.js';
+import { getMigrationStatus } from './migrations.js';
 import { testMistral, getMistralMetrics } from './mistral.js';
 import { createComponentLogger, createTimer } from './logger.js';
 import { getRateLimitStats } from './rateLimit.js';
+import { getJudgeMetrics } from './securityJudge.js';
 
 const healthLogger = createComponentLogger('health');
-let schemaInitialized = false;
 
 /**
  * Run full health check
@@ -64,25 +65,28 @@ export async function healthCheck(requestId) {
   }
 
   // ============================================
-  // 2. INITIALIZE SCHEMA (once)
+  // 2. CHECK SCHEMA VERSION
   // ============================================
-  if (results.components.database?.status === 'healthy' && !schemaInitialized) {
-    logger.info({ event: 'HEALTH_CHECK_SCHEMA' }, '→ Initializing schema...');
+  if (results.components.database?.status === 'healthy') {
+    logger.info({ event: 'HEALTH_CHECK_SCHEMA' }, '→ Checking schema version...');
     try {
-      await initSchema(requestId);
-      await seedDemoData(requestId);
-      schemaInitialized = true;
-      results.components.database.schemaInitialized = true;
-      results.components.database.demoDataSeeded = true;
+      const migrationStatus = await getMigrationStatus(requestId);
+      results.components.database.schemaVersion = migrationStatus.current;
+      results.components.database.latestSchemaVersion = migrationStatus.latest;
+      results.components.database.schemaUpToDate = migrationStatus.upToDate;
+
+      if (!migrationStatus.upToDate) {
+        results.ok = false;
+        results.components.database.status = 'unhealthy';
+        results.components.database.error = 'Schema is behind - run "npm run db:migrate"';
+      }
     } catch (error) {
       logger.warn({ 
-        event: 'SCHEMA_INIT_WARNING',
+        event: 'SCHEMA_CHECK_WARNING',
         error: error.message 
-      }, `Schema init warning: ${error.message}`);
+      }, `Schema check warning: ${error.message}`);
       results.components.database.schemaError = error.message;
     }
-  } else if (schemaInitialized) {
-    results.components.database.schemaInitialized = true;
   }
 
   // ============================================
@@ -94,6 +98,7 @@ export async function healthCheck(requestId) {
     results.components.mistral = {
       status: mistralResult.ok ? 'healthy' : 'unhealthy',
       latencyMs: mistralResult.latency,
+      provider: mistralResult.provider,
       model: mistralResult.model,
       meetsTarget: mistralResult.latency < 1000
     };
@@ -119,6 +124,7 @@ export async function healthCheck(requestId) {
   results.runtime = {
     mistral: getMistralMetrics(),
     rateLimit: getRateLimitStats(),
+    securityJudge: getJudgeMetrics(),
     uptime: process.uptime()
   };
 
@@ -0,0 +1,250 @@
+/**
+ * Migrations - versionerat databasschema
+ *
+ * Ersätter initSchema() och setupDatabase(). Varje migration är ett par
+ * SQL-filer i migrations/:
+ *
+ *   NNN_beskrivning.up.sql    (krävs)
+ *   NNN_beskrivning.down.sql  (valfri - utan den kan migrationen inte rullas tillbaka)
+ *
+ * Körda migrationer sparas i schema_migrations med en SHA-256 checksum av
+ * up-filen. Ändras en redan körd fil vägrar vi fortsätta - skriv en ny
+ * migration istället.
+ *
+ * Körs via CLI: npm run db:migrate / db:rollback / db:status
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { getDb } from './db.js';
+import { createComponentLogger, createTimer, logError } from './logger.js';
+
+const migrationLogger = createComponentLogger('migrations');
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Godtycklig men fast nyckel så att två instanser inte migrerar samtidigt
+const ADVISORY_LOCK_KEY = 727274;
+
+/**
+ * "003_add_usage" - samma form som filnamnet
+ */
+export function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+function checksum(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Load migration files from disk, sorted by version
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = await readdir(dir);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, versionStr, name, direction] = match;
+    const version = Number(versionStr);
+    const entry = byVersion.get(version) || { version, name };
+
+    if (entry.name !== name) {
+      throw new Error(`Migration ${version} has conflicting names: ${entry.name} / ${name}`);
+    }
+
+    const content = await readFile(path.join(dir, file), 'utf8');
+    entry[direction] = content;
+    if (direction === 'up') {
+      entry.checksum = checksum(content);
+    }
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of migrations) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migrationLabel(migration)} is missing its .up.sql file`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+}
+
+/**
+ * Compare migration files with schema_migrations
+ *
+ * Bara läsning - anropas av /health och vid start. Saknas schema_migrations
+ * (ingen migration körd) är allt pending; tabellen skapas av migrateUp().
+ *
+ * @returns {{ current, latest, applied, pending, mismatched, unknown, upToDate }}
+ */
+export async function getMigrationStatus(requestId) {
+  const db = getDb();
+  const logger = migrationLogger.child({ requestId, operation: 'status' });
+
+  const migrations = await loadMigrations();
+  const [{ exists }] = await db`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+  const rows = exists
+    ? await db`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+    : [];
+
+  const applied = new Map(rows.map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+
+  const pending = migrations.filter(m => !applied.has(m.version));
+  const mismatched = migrations
+    .filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum)
+    .map(m => ({ version: m.version, name: m.name }));
+  const unknown = rows
+    .filter(row => !known.has(row.version))
+    .map(row => ({ version: row.version, name: row.name }));
+
+  const status = {
+    current: rows.length ? rows[rows.length - 1].version : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied: rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: pending.map(m => ({ version: m.version, name: m.name })),
+    mismatched,
+    unknown
+  };
+  status.upToDate = pending.length === 0 && mismatched.length === 0;
+
+  logger.debug({ event: 'MIGRATION_STATUS', ...status, applied: status.applied.length }, 'Migration status checked');
+
+  return status;
+}
+
+/**
+ * Apply pending migrations (optionally up to a target version)
+ */
+export async function migrateUp({ to = Infinity, requestId } = {}) {
+  const db = getDb();
+  const logger = migrationLogger.child({ requestId, operation: 'up' });
+
+  await ensureMigrationsTable(db);
+  const status = await getMigrationStatus(requestId);
+  if (status.mismatched.length > 0) {
+    throw new Error(
+      `Checksum mismatch for applied migration(s): ${status.mismatched.map(migrationLabel).join(', ')} - never edit an applied migration, add a new one`
+    );
+  }
+
+  const migrations = await loadMigrations();
+  const pendingVersions = new Set(status.pending.map(m => m.version));
+  const toApply = migrations.filter(m => pendingVersions.has(m.version) && m.version <= to);
+  const applied = [];
+
+  for (const migration of toApply) {
+    const timer = createTimer();
+    logger.info({ event: 'MIGRATION_UP_START', version: migration.version, name: migration.name }, `⬆️ Applying ${migrationLabel(migration)}`);
+
+    try {
+      await db.begin(async (tx) => {
+        await tx`SELECT pg_advisory_xact_lock(${ADVISORY_LOCK_KEY})`;
+
+        // En annan instans kan ha hunnit före medan vi väntade på låset
+        const already = await tx`SELECT 1 FROM schema_migrations WHERE version = ${migration.version}`;
+        if (already.length > 0) return;
+
+        await tx.unsafe(migration.up);
+        await tx`
+          INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+          VALUES (${migration.version}, ${migration.name}, ${migration.checksum}, ${timer.elapsed()})
+        `;
+      });
+    } catch (error) {
+      logError(logger, error, { event: 'MIGRATION_UP_FAILED', version: migration.version, name: migration.name });
+      throw error;
+    }
+
+    applied.push({ version: migration.version, name: migration.name, latencyMs: timer.elapsed() });
+    logger.info({ event: 'MIGRATION_UP_SUCCESS', version: migration.version, latencyMs: timer.elapsed() }, `✅ Applied ${migrationLabel(migration)} in ${timer.elapsed()}ms`);
+  }
+
+  return applied;
+}
+
+/**
+ * Roll back the most recent migrations
+ */
+export async function migrateDown({ steps = 1, requestId } = {}) {
+  const db = getDb();
+  const logger = migrationLogger.child({ requestId, operation: 'down' });
+
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const status = await getMigrationStatus(requestId);
+  const toRevert = status.applied.slice(-steps).reverse();
+  const reverted = [];
+
+  for (const { version, name } of toRevert) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${migrationLabel({ version, name })} is applied but its files are missing`);
+    }
+    if (migration.down === undefined) {
+      throw new Error(`Migration ${migrationLabel({ version, name })} has no .down.sql file and cannot be rolled back`);
+    }
+
+    const timer = createTimer();
+    logger.info({ event: 'MIGRATION_DOWN_START', version, name }, `⬇️ Reverting ${migrationLabel({ version, name })}`);
+
+    try {
+      await db.begin(async (tx) => {
+        await tx`SELECT pg_advisory_xact_lock(${ADVISORY_LOCK_KEY})`;
+        if (migration.down.trim()) {
+          await tx.unsafe(migration.down);
+        }
+        await tx`DELETE FROM schema_migrations WHERE version = ${version}`;
+      });
+    } catch (error) {
+      logError(logger, error, { event: 'MIGRATION_DOWN_FAILED', version, name });
+      throw error;
+    }
+
+    reverted.push({ version, name, latencyMs: timer.elapsed() });
+    logger.info({ event: 'MIGRATION_DOWN_SUCCESS', version, latencyMs: timer.elapsed() }, `✅ Reverted ${migrationLabel({ version, name })} in ${timer.elapsed()}ms`);
+  }
+
+  return reverted;
+}
+
+/**
+ * Refuse to serve on an outdated schema
+ *
+ * Kastar om det finns ej körda migrationer eller checksum-fel.
+ */
+export async function assertSchemaCurrent(requestId) {
+  const status = await getMigrationStatus(requestId);
+
+  if (status.mismatched.length > 0) {
+    throw new Error(`Schema checksum mismatch: ${status.mismatched.map(migrationLabel).join(', ')}`);
+  }
+  if (status.pending.length > 0) {
+    throw new Error(
+      `Schema is behind (at ${status.current}, latest ${status.latest}) - run "npm run db:migrate" first`
+    );
+  }
+
+  return status;
+}
@@ -5,45 +5,105 @@
  * - Boundary logs för varje API-anrop
  * - TTFT (Time to First Token) mätning
  * - Human-readable errors
+ *
+ * Själva API-anropet går via en provider (se ./providers), så samma flöde
+ * kan köras mot Mistral, en OpenAI-kompatibel EU-endpoint eller mock.
  */
 
-import { Mistral } from '@mistralai/mistralai';
+import { getProvider } from './providers/index.js';
+import { LANGUAGES } from './generationSettings.js';
+import { calculateCostEur } from './pricing.js';
 import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
 
 const aiLogger = createComponentLogger('mistral');
-let client = null;
 
-// Metrics tracking
+// Metrics tracking (totalCalls/successfulCalls/failedCalls gäller chat-anrop,
+// tokens och kostnad räknas för alla LLM-anrop: chat, judge, summary)
 const metrics = {
   totalCalls: 0,
   successfulCalls: 0,
   failedCalls: 0,
   rateLimitHits: 0,
-  totalTokensUsed: 0
+  totalTokensUsed: 0,
+  totalCostEur: 0,
+  byModel: {}
 };
 
 export function getMistralMetrics() {
-  return { ...metrics };
+  const byModel = {};
+  for (const [model, stats] of Object.entries(metrics.byModel)) {
+    byModel[model] = {
+      ...stats,
+      costEur: Number(stats.costEur.toFixed(6)),
+      byPurpose: structuredClone(stats.byPurpose)
+    };
+  }
+  return { ...metrics, totalCostEur: Number(metrics.totalCostEur.toFixed(6)), byModel };
 }
 
-function getClient() {
-  if (!client) {
-    const apiKey = process.env.MISTRAL_API_KEY;
-    if (!apiKey) {
-      throw new Error('MISTRAL_API_KEY not set - check environment variables');
-    }
-    
-    aiLogger.info({ event: 'MISTRAL_INIT' }, '🤖 Initializing Mistral AI client');
-    client = new Mistral({ apiKey });
-  }
-  return client;
+/**
+ * Record token usage for one LLM call
+ *
+ * usage är providerns normaliserade { promptTokens, completionTokens, totalTokens }.
+ * Saknas den (äldre OpenAI-kompatibla endpoints, avbruten ström) används
+ * estimate istället och anropet markeras som estimated.
+ *
+ * @param {{ provider, model, purpose: 'chat'|'judge'|'summary'|'lead'|'health', usage?, estimate? }} call
+ * @returns {{ input, output, total, costEur, estimated }}
+ */
+export function recordUsage({ provider, model, purpose, usage, estimate }) {
+  const estimated = !usage;
+  const source = usage || estimate || { promptTokens: 0, completionTokens: 0 };
+  const input = source.promptTokens || 0;
+  const output = source.completionTokens || 0;
+  const total = source.totalTokens || input + output;
+  const costEur = calculateCostEur({ promptTokens: input, completionTokens: output }, model);
+
+  const stats = metrics.byModel[model] ??= {
+    provider: provider?.name,
+    calls: 0,
+    estimatedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costEur: 0,
+    byPurpose: {}
+  };
+  stats.calls++;
+  if (estimated) stats.estimatedCalls++;
+  stats.promptTokens += input;
+  stats.completionTokens += output;
+  stats.totalTokens += total;
+  stats.costEur += costEur;
+
+  const purposeStats = stats.byPurpose[purpose] ??= { calls: 0, totalTokens: 0 };
+  purposeStats.calls++;
+  purposeStats.totalTokens += total;
+
+  metrics.totalTokensUsed += total;
+  metrics.totalCostEur += costEur;
+
+  return { input, output, total, costEur, estimated };
+}
+
+// Grov uppskattning (~4 tecken per token för nordiska språk) när providern inte rapporterar usage
+function estimateUsage(messages, responseText) {
+  const promptTokens = Math.ceil(messages.reduce((sum, msg) => sum + msg.content.length, 0) / 4);
+  const completionTokens = Math.ceil(responseText.length / 4);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
 }
 
 /**
  * Call Mistral AI with streaming for TTFT measurement
+ *
+ * options.provider väljer backend (default: LLM_PROVIDER / mistral).
+ * options.onDelta(content) anropas för varje token-delta (för SSE till klienten).
+ * options.signal avbryter strömmen, t.ex. när klienten kopplar ner.
+ * options.summary (rullande sammanfattning av äldre meddelanden) läggs direkt
+ * efter system-prompten.
  */
 export async function callMistral(systemPrompt, history, userMessage, options = {}, requestId) {
-  const mistral = getClient();
+  const provider = options.provider || getProvider();
   const logger = aiLogger.child({ requestId, operation: 'chat' });
   const timer = createTimer();
   let ttft = 0;
@@ -51,21 +111,28 @@ export async function callMistral(systemPrompt, history, userMessage, options =
   const {
     temperature = 0.7,
     maxTokens = 500,
-    model = 'mistral-small-latest'
+    model = provider.defaultModel,
+    onDelta = null,
+    signal = null,
+    summary = null
   } = options;
 
   // Build messages array
   const messages = [
-    { role: 'system', content: systemPrompt }
+    {
+      role: 'system',
+      content: summary
+        ? `${systemPrompt}\n\nSAMMANFATTNING AV TIDIGARE SAMTAL (äldre meddelanden visas inte):\n${summary}`
+        : systemPrompt
+    }
   ];
 
   // Add history
   if (history && Array.isArray(history)) {
     for (const msg of history) {
       let role = 'user';
-      if (msg.role === 'assistant' || msg.sender_type === 'assistant') {
-        role = 'assistant';
-      } else if (msg.sender_type === 'human') {
+      // Personalens svar sparas som role "assistant" - kolla sender_type först
+      if (msg.sender_type === 'human') {
         messages.push({
           role: 'user',
           content: `[PERSONALENS SVAR: "${msg.content}"]`
@@ -75,6 +142,8 @@ export async function callMistral(systemPrompt, history, userMessage, options =
           content: 'Jag noterar att personalen har svarat.'
         });
         continue;
+      } else if (msg.role === 'assistant' || msg.sender_type === 'assistant') {
+        role = 'assistant';
       }
       messages.push({ role, content: msg.content });
     }
@@ -83,28 +152,31 @@ export async function callMistral(systemPrompt, history, userMessage, options =
   messages.push({ role: 'user', content: userMessage });
 
   // Log outgoing request
-  boundaryLog.outgoing(logger, 'Mistral AI', {
+  boundaryLog.outgoing(logger, provider.serviceName, {
+    provider: provider.name,
     model,
     temperature,
     maxTokens,
     messageCount: messages.length,
     promptLength: userMessage.length,
-    systemPromptLength: systemPrompt.length
+    systemPromptLength: systemPrompt.length,
+    hasSummary: !!summary
   });
 
   metrics.totalCalls++;
 
   try {
     // Use streaming to measure TTFT
-    const stream = await mistral.chat.stream({
+    const stream = provider.stream({
       model,
       messages,
       temperature,
       maxTokens
-    });
+    }, { signal });
 
     let fullResponse = '';
     let chunkCount = 0;
+    let usage = null;
     
     for await (const chunk of stream) {
       if (ttft === 0) {
@@ -115,59 +187,63 @@ export async function callMistral(systemPrompt, history, userMessage, options =
           ttftSeconds: (ttft / 1000).toFixed(3)
         }, `⚡ First token received in ${ttft}ms`);
       }
-      const content = chunk.data?.choices?.[0]?.delta?.content;
+      if (chunk.usage) usage = chunk.usage;
+      const content = chunk.content;
       if (content) {
         fullResponse += content;
         chunkCount++;
+        if (onDelta) onDelta(content);
       }
     }
 
     const aiTime = timer.elapsed();
 
-    // Estimate token counts (rough: ~4 chars per token for Nordic languages)
-    const estimatedInputTokens = Math.ceil((systemPrompt.length + userMessage.length) / 4);
-    const estimatedOutputTokens = Math.ceil(fullResponse.length / 4);
-    const estimatedTotalTokens = estimatedInputTokens + estimatedOutputTokens;
-    
-    // Estimate cost (Mistral Small: ~€0.2/1M input, ~€0.6/1M output)
-    const estimatedCostEur = (estimatedInputTokens * 0.0000002) + (estimatedOutputTokens * 0.0000006);
+    // Riktiga siffror från providerns usage-chunk (sista chunken i strömmen)
+    const tokens = recordUsage({
+      provider,
+      model,
+      purpose: 'chat',
+      usage,
+      estimate: estimateUsage(messages, fullResponse)
+    });
 
     // Log incoming response with token metrics
-    boundaryLog.incoming(logger, 'Mistral AI', aiTime, {
+    boundaryLog.incoming(logger, provider.serviceName, aiTime, {
       ttftMs: ttft,
       responseLength: fullResponse.length,
       tokens: {
-        estimatedInput: estimatedInputTokens,
-        estimatedOutput: estimatedOutputTokens,
-        estimatedTotal: estimatedTotalTokens,
-        estimatedCostEur: estimatedCostEur.toFixed(6)
+        ...tokens,
+        costEur: tokens.costEur.toFixed(6)
       },
+      provider: provider.name,
       model
     });
 
+    if (tokens.estimated) {
+      logger.warn({
+        event: 'USAGE_MISSING',
+        provider: provider.name,
+        model
+      }, `⚠️ ${provider.name} returned no usage - token counts are estimated`);
+    }
+
     // Log cost warning if response is unusually long
-    if (estimatedOutputTokens > 300) {
+    if (tokens.output > 300) {
       logger.warn({
         event: 'LONG_RESPONSE',
-        outputTokens: estimatedOutputTokens,
+        outputTokens: tokens.output,
         responseLength: fullResponse.length
-      }, `⚠️ Long AI response: ${estimatedOutputTokens} tokens - consider tuning maxTokens`);
+      }, `⚠️ Long AI response: ${tokens.output} tokens - consider tuning maxTokens`);
     }
 
     // Update metrics
     metrics.successfulCalls++;
-    metrics.totalTokensUsed += estimatedTotalTokens;
 
     return {
       response: fullResponse.trim(),
       ttft,
       aiTime,
-      tokens: {
-        input: estimatedInputTokens,
-        output: estimatedOutputTokens,
-        total: estimatedTotalTokens,
-        costEur: estimatedCostEur
-      }
+      tokens
     };
   } catch (error) {
     const aiTime = timer.elapsed();
@@ -176,13 +252,14 @@ export async function callMistral(systemPrompt, history, userMessage, options =
     metrics.failedCalls++;
     
     // Log failed response
-    boundaryLog.incoming(logger, 'Mistral AI', aiTime, { 
+    boundaryLog.incoming(logger, provider.serviceName, aiTime, { 
       success: false,
       errorStatus: error.status || error.statusCode
     });
     
     logError(logger, error, { 
       operation: 'chat',
+      provider: provider.name,
       model,
       promptLength: userMessage.length
     });
@@ -199,10 +276,21 @@ export async function callMistral(systemPrompt, history, userMessage, options =
 
 /**
  * Build chat contents with knowledge base
+ *
+ * settings.personality och settings.language kommer från generation settings
+ * (companion/tenant) och läggs till som egna sektioner.
  */
-export function buildSystemPrompt(basePrompt, knowledgeBase, greeting) {
+export function buildSystemPrompt(basePrompt, knowledgeBase, greeting, settings = {}) {
   let prompt = basePrompt || 'Du är en hjälpsam AI-assistent.';
   
+  if (settings.personality) {
+    prompt += `\n\nPERSONLIGHET: ${settings.personality}`;
+  }
+  
+  if (settings.language && LANGUAGES[settings.language]) {
+    prompt += `\n\nSPRÅK: Svara på ${LANGUAGES[settings.language]} om inte användaren skriver på ett annat språk.`;
+  }
+  
   if (knowledgeBase) {
     prompt += `\n\nKUNSKAPSBAS:\n${knowledgeBase}`;
   }
@@ -215,18 +303,21 @@ export function buildSystemPrompt(basePrompt, knowledgeBase, greeting) {
 }
 
 /**
- * Test Mistral connection
+ * Test Mistral connection (default provider)
  */
 export async function testMistral(requestId) {
   const logger = aiLogger.child({ requestId, operation: 'healthCheck' });
   const timer = createTimer();
-
-  boundaryLog.outgoing(logger, 'Mistral AI', { query: 'health check', model: 'mistral-small-latest' });
+  let provider;
 
   try {
-    const mistral = getClient();
-    const response = await mistral.chat.complete({
-      model: 'mistral-small-latest',
+    provider = getProvider();
+    const model = provider.defaultModel;
+
+    boundaryLog.outgoing(logger, provider.serviceName, { query: 'health check', provider: provider.name, model });
+
+    const response = await provider.complete({
+      model,
       messages: [
         { role: 'user', content: 'Svara med exakt ett ord: Hej' }
       ],
@@ -234,21 +325,24 @@ export async function testMistral(requestId) {
     });
 
     const latency = timer.elapsed();
-    const text = response.choices?.[0]?.message?.content || '';
+    const text = response.content;
+    recordUsage({ provider, model, purpose: 'health', usage: response.usage });
 
-    boundaryLog.incoming(logger, 'Mistral AI', latency, { 
+    boundaryLog.incoming(logger, provider.serviceName, latency, { 
       response: text.substring(0, 20),
-      model: 'mistral-small-latest'
+      provider: provider.name,
+      model
     });
 
     return {
       ok: true,
       response: text.trim(),
       latency,
-      model: 'mistral-small-latest'
+      provider: provider.name,
+      model
     };
   } catch (error) {
-    boundaryLog.incoming(logger, 'Mistral AI', timer.elapsed(), { success: false });
+    boundaryLog.incoming(logger, provider?.serviceName || 'LLM', timer.elapsed(), { success: false });
     logError(logger, error, { operation: 'healthCheck' });
     
     return {
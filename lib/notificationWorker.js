@@ -0,0 +1,486 @@
+/**
+ * Notification worker - skickar notifications som e-post (SMTP, se smtp.js)
+ * och Web Push (se push.js)
+ *
+ * Pollar notifications med delivery_status pending och skickar på varje kanal som
+ * är konfigurerad. Flera instanser kan köra samtidigt - rader tas med
+ * FOR UPDATE SKIP LOCKED och hålls med en lease.
+ *
+ * | delivery_status | Betydelse                                                         |
+ * |-----------------|-------------------------------------------------------------------|
+ * | pending         | Väntar på leverans, eller på nästa försök (next_attempt_at)       |
+ * | sending         | Tagen av en worker. Går leasen ut (kraschad instans) tas den igen |
+ * | sent            | Minst en kanal levererade (sent_at)                               |
+ * | failed          | maxAttempts försök eller permanent fel (5xx) - se last_error      |
+ * | skipped         | Inget att skicka på någon kanal, eller för gammal                 |
+ *
+ * notifications.channels håller utfallet per kanal ({ email, push }: sent,
+ * skipped, failed eller retry). Ett nytt försök skickar bara kanaler som
+ * står på retry - ett mejl går aldrig ut två gånger för att pushen strulade.
+ *
+ * Mottagare: användarna i notifications.recipients.userIds (user_profiles.email)
+ * plus kundens gemensamma staff_email. Avsändare: from_name <from_email> från
+ * customer_analysis_config.
+ *
+ * Mall (email_templates): kundens mall för notifikationens typ, kundens
+ * "default", samma två bland globala mallar (customer_id NULL), annars
+ * DEFAULT_TEMPLATE. Variabler skrivs {{guest_name}} (se TEMPLATE_VARIABLES)
+ * och HTML-escapas i html_body.
+ *
+ * Utan SMTP_HOST räknas e-post som skipped, utan VAPID-nycklar push. Saknas
+ * båda startar inte workern - notifikationerna ligger kvar som pending.
+ */
+
+import { getDb } from './db.js';
+import { getSmtpConfig, sendMail } from './smtp.js';
+import { getVapidConfig } from './webPush.js';
+import { pushNotification, pruneExpiredSubscriptions } from './push.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const workerLogger = createComponentLogger('notificationWorker');
+
+const CONFIG = {
+  pollIntervalMs: 5000,
+  batchSize: 10,
+  maxAttempts: 5,
+  retryBaseMs: 60 * 1000,        // 1, 4, 16, 64 min mellan försöken
+  retryMaxMs: 2 * 60 * 60 * 1000,
+  leaseMs: 5 * 60 * 1000,        // sending längre än så = kraschad worker
+  maxAgeHours: 24,               // Äldre pending skickas inte (t.ex. när SMTP slås på i efterhand)
+  pruneIntervalMs: 60 * 60 * 1000, // Utgångna push-prenumerationer
+  dashboardUrl: (process.env.DASHBOARD_URL || 'https://dashboard.eryai.tech').replace(/\/+$/, ''),
+  defaultFrom: { name: 'Sofia', address: 'sofia@eryai.tech' }
+};
+
+export const TEMPLATE_VARIABLES = [
+  'title',
+  'summary',
+  'guest_name',
+  'guest_email',
+  'guest_phone',
+  'session_link',
+  'session_id',
+  'customer_name',
+  'from_name',
+  'type',
+  'priority',
+  'created_at'
+];
+
+// Rubrik per notifikationstyp ({{title}})
+const TYPE_TITLES = {
+  routed: 'Ny konversation till er',
+  escalated: 'Eskalerad konversation',
+  complaint: 'Klagomål',
+  human_request: 'Gästen vill prata med personal',
+  special_request: 'Särskild förfrågan',
+  ai_unsure: 'AI:n kunde inte svara',
+  action: 'Regel utlöst',
+  flagged: 'Konversation flaggad',
+  suspicious: 'Misstänkt meddelande blockerat',
+  lead: 'Kontaktuppgifter från gäst'
+};
+
+const DEFAULT_TEMPLATE = {
+  subject: '{{title}} - {{customer_name}}',
+  html_body: [
+    '<h2>{{title}}</h2>',
+    '<p>{{summary}}</p>',
+    '<p>Gäst: {{guest_name}}<br>E-post: {{guest_email}}<br>Telefon: {{guest_phone}}</p>',
+    '<p><a href="{{session_link}}">Öppna konversationen</a></p>',
+    '<p style="color:#888">{{from_name}} · {{customer_name}} · {{created_at}}</p>'
+  ].join('\n')
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+let pollTimer = null;
+let polling = false;
+let lastPruneAt = 0;
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * Variabler i en mall som inte finns i TEMPLATE_VARIABLES (används av tenantAdmin)
+ */
+export function findUnknownVariables(text) {
+  const unknown = new Set();
+  for (const [, name] of String(text).matchAll(VARIABLE_PATTERN)) {
+    if (!TEMPLATE_VARIABLES.includes(name)) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render subject + html_body - okända och tomma variabler blir tomma strängar
+ */
+export function renderTemplate(template, variables) {
+  const substitute = (text, escape) => text.replace(VARIABLE_PATTERN, (match, name) => {
+    const value = variables[name] ?? '';
+    return escape ? escapeHtml(value) : String(value);
+  });
+
+  return {
+    subject: substitute(template.subject, false),
+    html: substitute(template.html_body, true)
+  };
+}
+
+function buildVariables(notification, context) {
+  return {
+    title: TYPE_TITLES[notification.type] || 'Ny notifikation',
+    summary: notification.summary || '',
+    guest_name: notification.guest_name || 'Okänd gäst',
+    guest_email: notification.guest_email || '-',
+    guest_phone: notification.guest_phone || '-',
+    session_link: notification.session_id ? `${CONFIG.dashboardUrl}/sessions/${notification.session_id}` : CONFIG.dashboardUrl,
+    session_id: notification.session_id || '',
+    customer_name: context.customer_name,
+    from_name: context.from_name || CONFIG.defaultFrom.name,
+    type: notification.type,
+    priority: notification.priority,
+    created_at: new Date(notification.created_at).toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm' })
+  };
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+/**
+ * Claim due notifications - sending + lease, attempts räknas upp
+ */
+async function claimNotifications(db) {
+  return db`
+    UPDATE notifications SET
+      delivery_status = 'sending',
+      attempts = attempts + 1,
+      next_attempt_at = NOW() + ${CONFIG.leaseMs} * INTERVAL '1 millisecond'
+    WHERE id IN (
+      SELECT id FROM notifications
+      WHERE delivery_status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at ASC
+      LIMIT ${CONFIG.batchSize}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, customer_id, session_id, type, priority, summary,
+              guest_name, guest_email, guest_phone, recipients, channels, attempts, created_at
+  `;
+}
+
+/**
+ * Avsändare, mall och mottagaradresser för en notifikation
+ */
+async function loadDelivery(db, notification) {
+  const [context] = await db`
+    SELECT c.name AS customer_name, a.staff_email, a.from_email, a.from_name
+    FROM customers c
+    LEFT JOIN customer_analysis_config a ON a.customer_id = c.id
+    WHERE c.id = ${notification.customer_id}
+  `;
+
+  const userIds = notification.recipients?.userIds || [];
+  const profiles = userIds.length > 0
+    ? await db`SELECT email FROM user_profiles WHERE user_id = ANY(${userIds}::uuid[])`
+    : [];
+
+  const [template] = await db`
+    SELECT id, subject, html_body FROM email_templates
+    WHERE (customer_id = ${notification.customer_id} OR customer_id IS NULL)
+      AND template_type IN (${notification.type}, 'default')
+    ORDER BY customer_id IS NULL, template_type = 'default', updated_at DESC NULLS LAST
+    LIMIT 1
+  `;
+
+  const addresses = [...profiles.map(profile => profile.email), context?.staff_email]
+    .filter(Boolean)
+    .map(address => address.trim().toLowerCase());
+
+  return {
+    context: context || { customer_name: '' },
+    template: template || DEFAULT_TEMPLATE,
+    to: [...new Set(addresses)]
+  };
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(CONFIG.retryBaseMs * 4 ** (attempts - 1), CONFIG.retryMaxMs);
+}
+
+async function finishDelivery(db, id, status, { channels = {}, error = null, retryInMs = 0 } = {}) {
+  await db`
+    UPDATE notifications SET
+      delivery_status = ${status},
+      channels = ${db.json(channels)},
+      last_error = ${error},
+      sent_at = CASE WHEN ${status} = 'sent' THEN NOW() ELSE sent_at END,
+      next_attempt_at = NOW() + ${retryInMs} * INTERVAL '1 millisecond'
+    WHERE id = ${id}
+  `;
+}
+
+function isTooOld(notification) {
+  return Date.now() - new Date(notification.created_at).getTime() > CONFIG.maxAgeHours * 60 * 60 * 1000;
+}
+
+/**
+ * E-postkanalen
+ *
+ * @returns {Promise<{ outcome: 'sent'|'skipped'|'retry'|'failed', reason?, error? }>}
+ */
+async function deliverEmail(db, smtp, notification, { context, template, to }, logger) {
+  if (notification.recipients?.email === false) return { outcome: 'skipped', reason: 'email disabled for this notification' };
+  if (to.length === 0) return { outcome: 'skipped', reason: 'no recipient email addresses' };
+
+  const { subject, html } = renderTemplate(template, buildVariables(notification, context));
+  const from = {
+    name: context.from_name || CONFIG.defaultFrom.name,
+    address: context.from_email || CONFIG.defaultFrom.address
+  };
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'SMTP', { host: smtp.host, recipients: to.length, attempt: notification.attempts });
+
+  try {
+    const { messageId } = await sendMail(smtp, { from, to, subject, html });
+    boundaryLog.incoming(logger, 'SMTP', timer.elapsed(), { success: true });
+
+    logger.info({
+      event: 'NOTIFICATION_EMAIL_SENT',
+      recipients: to.length,
+      messageId,
+      customTemplate: !!template.id
+    }, `📧 Notification email sent to ${to.length} recipient(s)`);
+    return { outcome: 'sent' };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'SMTP', timer.elapsed(), { success: false });
+    // 5xx = servern kommer aldrig att acceptera meddelandet
+    return { outcome: error.permanent ? 'failed' : 'retry', error: error.message };
+  }
+}
+
+/**
+ * Push-kanalen (se push.js)
+ */
+async function deliverPush(db, vapid, notification, { context }, logger) {
+  const variables = buildVariables(notification, context);
+  const result = await pushNotification(db, vapid, notification, {
+    title: variables.title,
+    customerName: context.customer_name,
+    url: variables.session_link
+  });
+
+  if (result.outcome === 'sent') {
+    logger.info({
+      event: 'NOTIFICATION_PUSH_SENT',
+      devices: result.sent,
+      expired: result.expired
+    }, `📲 Notification push sent to ${result.sent} device(s)`);
+  }
+  return result;
+}
+
+// configKey = nyckeln i processNotifications config (null = kanalen är avstängd)
+const CHANNELS = [
+  { name: 'email', configKey: 'smtp', deliver: deliverEmail },
+  { name: 'push', configKey: 'vapid', deliver: deliverPush }
+];
+
+// Kanaler med slutgiltigt utfall skickas inte igen vid ett nytt försök
+const FINAL_OUTCOMES = ['sent', 'skipped', 'failed'];
+
+/**
+ * Deliver one notification on every channel that is not done yet
+ *
+ * delivery_status blir sent om någon kanal skickade, annars failed om någon
+ * misslyckades, annars skipped. En kanal med tillfälligt fel (retry) håller
+ * raden pending tills maxAttempts - de klara kanalerna skickas inte om.
+ */
+async function deliverNotification(db, config, notification) {
+  const logger = workerLogger.child({
+    operation: 'deliverNotification',
+    notificationId: notification.id.substring(0, 8),
+    type: notification.type
+  });
+  const channels = { ...notification.channels };
+
+  if (notification.attempts > CONFIG.maxAttempts) {
+    // Leasen gick ut på sista försöket
+    await finishDelivery(db, notification.id, 'failed', { channels, error: 'delivery interrupted on last attempt' });
+    return 'failed';
+  }
+
+  if (isTooOld(notification)) {
+    const reason = `older than ${CONFIG.maxAgeHours}h`;
+    await finishDelivery(db, notification.id, 'skipped', { channels, error: reason });
+    logger.info({ event: 'NOTIFICATION_SKIPPED', reason }, `⏭️ Notification skipped: ${reason}`);
+    return 'skipped';
+  }
+
+  const delivery = await loadDelivery(db, notification);
+  const errors = [];
+  const skipReasons = [];
+  const lastAttempt = notification.attempts >= CONFIG.maxAttempts;
+
+  for (const channel of CHANNELS) {
+    if (FINAL_OUTCOMES.includes(channels[channel.name])) continue;
+
+    const channelConfig = config[channel.configKey];
+    const result = channelConfig
+      ? await channel.deliver(db, channelConfig, notification, delivery, logger)
+      : { outcome: 'skipped', reason: `${channel.name} not configured` };
+
+    const outcome = result.outcome === 'retry' && lastAttempt ? 'failed' : result.outcome;
+    channels[channel.name] = outcome;
+    const event = `NOTIFICATION_${channel.name.toUpperCase()}`;
+
+    if (outcome === 'skipped') {
+      skipReasons.push(`${channel.name}: ${result.reason}`);
+      logger.info({ event: `${event}_SKIPPED`, reason: result.reason }, `⏭️ Notification ${channel.name} skipped: ${result.reason}`);
+    } else if (outcome === 'failed') {
+      errors.push(`${channel.name}: ${result.error}`);
+      logger.error({
+        event: `${event}_FAILED`,
+        attempts: notification.attempts,
+        permanent: result.outcome === 'failed',
+        error: result.error
+      }, `❌ Notification ${channel.name} failed after ${notification.attempts} attempt(s): ${result.error}`);
+    } else if (outcome === 'retry') {
+      errors.push(`${channel.name}: ${result.error}`);
+      logger.warn({
+        event: `${event}_RETRY`,
+        attempts: notification.attempts,
+        retryInMs: retryDelayMs(notification.attempts),
+        error: result.error
+      }, `⚠️ Notification ${channel.name} failed, retrying in ${Math.round(retryDelayMs(notification.attempts) / 1000)}s: ${result.error}`);
+    }
+  }
+
+  const outcomes = Object.values(channels);
+
+  if (outcomes.includes('retry')) {
+    await finishDelivery(db, notification.id, 'pending', { channels, error: errors.join('; '), retryInMs: retryDelayMs(notification.attempts) });
+    return 'pending';
+  }
+
+  const status = outcomes.includes('sent') ? 'sent' : outcomes.includes('failed') ? 'failed' : 'skipped';
+  // skipped: varför ingen kanal skickade
+  const error = errors.join('; ') || (status === 'skipped' ? skipReasons.join('; ') : '') || null;
+  await finishDelivery(db, notification.id, status, { channels, error });
+  return status;
+}
+
+/**
+ * Deliver one batch of due notifications
+ *
+ * @returns {Promise<{ claimed: number, sent: number, failed: number, skipped: number, pending: number }>}
+ */
+export async function processNotifications() {
+  const config = { smtp: getSmtpConfig(), vapid: getVapidConfig() };
+  const counts = { claimed: 0, sent: 0, failed: 0, skipped: 0, pending: 0 };
+  if (!config.smtp && !config.vapid) return counts;
+
+  const db = getDb();
+  const logger = workerLogger.child({ operation: 'processNotifications' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'CLAIM notifications', batchSize: CONFIG.batchSize });
+
+  let notifications;
+  try {
+    notifications = await claimNotifications(db);
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { claimed: notifications.length });
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'claimNotifications' });
+    return counts;
+  }
+
+  counts.claimed = notifications.length;
+
+  // En i taget - SMTP-servern, push-tjänsterna och poolen ska inte översvämmas
+  for (const notification of notifications) {
+    try {
+      counts[await deliverNotification(db, config, notification)]++;
+    } catch (error) {
+      // DB-fel mitt i leveransen - leasen går ut och raden tas igen
+      logError(logger, error, { operation: 'deliverNotification', notificationId: notification.id.substring(0, 8) });
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Utgångna push-prenumerationer, högst en gång per pruneIntervalMs
+ */
+async function pruneSubscriptions() {
+  if (!getVapidConfig() || Date.now() - lastPruneAt < CONFIG.pruneIntervalMs) return;
+  lastPruneAt = Date.now();
+
+  try {
+    const pruned = await pruneExpiredSubscriptions();
+    if (pruned > 0) {
+      workerLogger.info({ event: 'PUSH_SUBSCRIPTIONS_PRUNED', pruned }, `🗑️ Pruned ${pruned} expired push subscription(s)`);
+    }
+  } catch {
+    // Loggat i push.js - nästa försök om en timme
+  }
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    // Full batch = det finns troligen fler, kör direkt igen
+    let counts;
+    do {
+      counts = await processNotifications();
+    } while (counts.claimed === CONFIG.batchSize && pollTimer);
+    await pruneSubscriptions();
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling - gör ingenting utan SMTP_HOST och VAPID-nycklar
+ */
+export function startNotificationWorker() {
+  const smtp = getSmtpConfig();
+  const vapid = getVapidConfig();
+  if (!smtp && !vapid) {
+    workerLogger.info({ event: 'NOTIFICATION_WORKER_DISABLED' }, '📭 SMTP_HOST and VAPID keys not set - notifications are not delivered');
+    return false;
+  }
+  if (pollTimer) return true;
+
+  pollTimer = setInterval(poll, CONFIG.pollIntervalMs);
+  pollTimer.unref();
+  workerLogger.info({
+    event: 'NOTIFICATION_WORKER_STARTED',
+    email: smtp ? `${smtp.host}:${smtp.port}` : false,
+    push: !!vapid,
+    pollIntervalMs: CONFIG.pollIntervalMs
+  }, `📬 Notification worker started (email: ${smtp ? `${smtp.host}:${smtp.port}` : 'off'}, push: ${vapid ? 'on' : 'off'})`);
+  poll();
+  return true;
+}
+
+export function stopNotificationWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
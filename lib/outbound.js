@@ -0,0 +1,125 @@
+/**
+ * Outbound - anrop från servern till tenant-styrda URL:er (webhooks, push-endpoints)
+ *
+ * En tenant får aldrig kunna nå interna adresser via servern (SSRF). Därför:
+ * - isAllowedOutboundUrl() när URL:en sparas: https och ett publikt hostnamn
+ * - postOutbound() vid anropet: adressen som hostnamnet faktiskt löser upp till
+ *   kontrolleras när socketen kopplas upp (samma uppslag som används - ingen
+ *   DNS-rebinding mellan kontroll och anrop), och redirects följs aldrig
+ *
+ * Bara med OUTBOUND_ALLOW_PRIVATE=true (lokal utveckling) tillåts http och
+ * lokala adresser (lokala mottagare, npm run push:endpoint) - oavsett NODE_ENV.
+ */
+
+import http from 'http';
+import https from 'https';
+import { lookup } from 'dns';
+import { BlockList, isIP } from 'net';
+
+// Interna adresser som en tenant aldrig ska kunna nå via webhook eller push-endpoint
+const PRIVATE_HOST_PATTERN = /^(localhost|.*\.local|.*\.internal|127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|0\.|\[)/i;
+
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// NAT64 (64:ff9b::), Teredo (2001::/32) och 6to4 (2002::) kan bära en privat IPv4-adress
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['2002::', 16], ['3fff::', 20], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function enforcePublic() {
+  return process.env.OUTBOUND_ALLOW_PRIVATE !== 'true';
+}
+
+/**
+ * URL som servern får anropa - https till publika hosts (utan OUTBOUND_ALLOW_PRIVATE)
+ */
+export function isAllowedOutboundUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!enforcePublic()) {
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    }
+    return url.protocol === 'https:' && !PRIVATE_HOST_PATTERN.test(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Loopback, privata nät, link-local (169.254 = molnens metadata), CGNAT, multicast,
+ * dokumentationsnät och IPv6-prefix som bär IPv4 (NAT64, 6to4, Teredo)...
+ */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+
+  const family = isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup som vägrar privata adresser - anropas av socketen vid uppkoppling
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * POST to a tenant-controlled URL
+ *
+ * Redirects följs inte - en 3xx returneras som vilken status som helst.
+ * Nätverksfel, timeouts och blockerade adresser kastas.
+ *
+ * @param {string} url
+ * @param {{ headers: object, body: string|Buffer, timeoutMs: number }} request
+ * @returns {Promise<{ status: number }>}
+ */
+export function postOutbound(url, { headers, body, timeoutMs }) {
+  const target = new URL(url);
+  const enforce = enforcePublic();
+
+  if (enforce && target.protocol !== 'https:') {
+    return Promise.reject(new Error('Outbound calls require https'));
+  }
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  if (enforce && isIP(hostname) && isPrivateAddress(hostname)) {
+    return Promise.reject(new Error(`${hostname} is a private address`));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(enforce && { lookup: publicOnlyLookup }),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, (res) => {
+      // Svarskroppen används inte - läs ut den så att socketen frigörs
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode }));
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+}
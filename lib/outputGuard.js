@@ -0,0 +1,217 @@
+/**
+ * Output guard - skannar AI:ns svar innan besökaren ser det
+ *
+ * Judge kontrollerar bara input. Slinker en injection igenom stoppas svaret här
+ * om det läcker något av:
+ *
+ * | Typ             | Upptäcks genom                                                     |
+ * |-----------------|--------------------------------------------------------------------|
+ * | `system_prompt` | Minst 3 ordföljder om 8 ord ur buildSystemPrompt() - kunskapsbasen |
+ * |                 | och hälsningen räknas inte, de får AI:n citera                     |
+ * | `env`           | Värdet av en hemlig miljövariabel (*KEY*, *SECRET*, *PASS*...)     |
+ * | `secret`        | API-nycklar (ery_, sk-), JWT:er, privata nycklar, DB-URL:er        |
+ * | `tenant`        | Id eller slug för en annan kund (utom kunder i samma org)          |
+ *
+ * chatEngine.js byter då svaret mot kundtypens blockerade svar och flaggar
+ * sessionen (lägre risk när bara en annan kunds slug matchade - en slug kan
+ * vara ett vanligt ord). Vid SSE hålls de sista HOLDBACK_CHARS tecknen tillbaka medan
+ * svaret skannas, så att en läcka som upptäcks under strömmen inte når klienten.
+ */
+
+import { getDb } from './db.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const guardLogger = createComponentLogger('outputGuard');
+
+const OUTPUT_GUARD = {
+  shingleWords: 8,
+  minPromptMatches: 3,           // 8-ordsföljder = 10 ord i rad ur instruktionerna
+  holdbackChars: 200,            // Längre än ett hemligt värde - syns helt innan något av det skickas
+  minSecretLength: 8,
+  minTenantSlugLength: 6,        // Kortare slugs är ofta vanliga ord
+  tenantCacheMs: 60 * 1000
+};
+
+const SECRET_ENV_PATTERN = /KEY|SECRET|PASS|TOKEN|DATABASE_URL/i;
+
+const SECRET_PATTERNS = [
+  { label: 'API key', pattern: /\bery_[A-Za-z0-9_-]{20,}/ },
+  { label: 'API key', pattern: /\bsk-[A-Za-z0-9_-]{20,}/ },
+  { label: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+  { label: 'private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+  { label: 'database URL', pattern: /\bpostgres(?:ql)?:\/\/[^\s:@/]+:[^\s@/]+@/i }
+];
+
+const UUID_IN_TEXT = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+let secretValues = null;
+let tenantCache = { rows: null, loadedAt: 0 };
+
+/**
+ * Hemliga env-värden (en gång per process) - även lösenordet i DATABASE_URL för sig
+ */
+function getSecretValues() {
+  if (secretValues) return secretValues;
+
+  secretValues = [];
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!SECRET_ENV_PATTERN.test(name) || !value || value.length < OUTPUT_GUARD.minSecretLength) continue;
+    secretValues.push({ name, value });
+
+    try {
+      const password = decodeURIComponent(new URL(value).password);
+      if (password.length >= OUTPUT_GUARD.minSecretLength) secretValues.push({ name, value: password });
+    } catch {
+      // Inte en URL
+    }
+  }
+  return secretValues;
+}
+
+/**
+ * Alla kunder (id, slug, organisation) - cachas en minut
+ */
+async function loadTenants(requestId) {
+  if (tenantCache.rows && Date.now() - tenantCache.loadedAt < OUTPUT_GUARD.tenantCacheMs) {
+    return tenantCache.rows;
+  }
+
+  const db = getDb();
+  const logger = guardLogger.child({ requestId, operation: 'loadTenants' });
+  const timer = createTimer();
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT customers (identifiers)' });
+
+  try {
+    const rows = await db`SELECT id, slug, organization_id FROM customers`;
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { count: rows.length });
+    tenantCache = { rows, loadedAt: Date.now() };
+    return rows;
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'loadTenants' });
+    throw error;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordPattern(text) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(text)}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+function words(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function shingles(text) {
+  const list = words(text);
+  const result = new Set();
+  for (let i = 0; i + OUTPUT_GUARD.shingleWords <= list.length; i++) {
+    result.add(list.slice(i, i + OUTPUT_GUARD.shingleWords).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Build the scan context from the customer rows (ingen I/O)
+ *
+ * @param {{ systemPrompt: string, quotable: string[], customerId: string, organizationId: string|null }} turn
+ *   systemPrompt = buildSystemPrompt(), quotable = text AI:n får citera (kunskapsbas, hälsning)
+ * @param {Array<{ id, slug, organization_id }>} rows - alla kunder
+ * @returns {{ promptShingles: Set<string>, tenants: Array<{ id, slug, pattern: RegExp|null }> }}
+ */
+export function buildOutputGuard({ systemPrompt, quotable = [], customerId, organizationId }, rows) {
+  const allowed = new Set(quotable.flatMap(text => [...shingles(text)]));
+  const promptShingles = new Set([...shingles(systemPrompt)].filter(shingle => !allowed.has(shingle)));
+
+  const tenants = rows
+    .filter(row => row.id !== customerId && !(organizationId && row.organization_id === organizationId))
+    .map(row => ({
+      id: row.id,
+      slug: row.slug,
+      pattern: row.slug && row.slug.length >= OUTPUT_GUARD.minTenantSlugLength ? wordPattern(row.slug) : null
+    }));
+
+  return { promptShingles, tenants };
+}
+
+/**
+ * Build the scan context for one turn - som buildOutputGuard, med kunderna från databasen
+ */
+export async function createOutputGuard(turn, requestId) {
+  return buildOutputGuard(turn, await loadTenants(requestId));
+}
+
+/**
+ * Scan a reply (or the part of it streamed so far)
+ *
+ * @returns {{ type: 'system_prompt'|'env'|'secret'|'tenant', detail: string, match?: 'id'|'slug' } | null}
+ *   detail är säker att logga - aldrig själva värdet. match anger vad som
+ *   träffade för `tenant`
+ */
+export function scanReply(guard, text) {
+  if (!text) return null;
+
+  if (guard.promptShingles.size > 0) {
+    let matches = 0;
+    for (const shingle of shingles(text)) {
+      if (guard.promptShingles.has(shingle) && ++matches >= OUTPUT_GUARD.minPromptMatches) {
+        return { type: 'system_prompt', detail: `${matches}+ phrases from the system prompt` };
+      }
+    }
+  }
+
+  const secret = getSecretValues().find(({ value }) => text.includes(value));
+  if (secret) return { type: 'env', detail: secret.name };
+
+  const match = SECRET_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (match) return { type: 'secret', detail: match.label };
+
+  const ids = new Set((text.match(UUID_IN_TEXT) || []).map(id => id.toLowerCase()));
+  const byId = guard.tenants.find(candidate => ids.has(candidate.id));
+  const tenant = byId || guard.tenants.find(candidate => candidate.pattern?.test(text));
+  if (tenant) {
+    return { type: 'tenant', detail: `customer ${tenant.id.substring(0, 8)} (${tenant.slug})`, match: byId ? 'id' : 'slug' };
+  }
+
+  return null;
+}
+
+/**
+ * Wrap onDelta (SSE) - skicka bara text som skannats och ligger minst
+ * holdbackChars bakom det som kommit från modellen
+ *
+ * @returns {{ write(content): void, flush(): void, leak: object|null }}
+ *   write = ny delta från modellen, flush = skicka resten när hela svaret godkänts.
+ *   Efter en läcka skickas inget mer.
+ */
+export function createStreamGuard(guard, onDelta) {
+  let received = '';
+  let sent = 0;
+
+  const state = {
+    leak: null,
+    write(content) {
+      received += content;
+      if (state.leak) return;
+
+      state.leak = scanReply(guard, received);
+      if (state.leak) return;
+
+      const releasable = received.length - OUTPUT_GUARD.holdbackChars;
+      if (releasable > sent) {
+        onDelta(received.substring(sent, releasable));
+        sent = releasable;
+      }
+    },
+    flush() {
+      if (!state.leak && received.length > sent) {
+        onDelta(received.substring(sent));
+        sent = received.length;
+      }
+    }
+  };
+  return state;
+}
@@ -0,0 +1,35 @@
+/**
+ * Pricing - EUR per 1M tokens per modell
+ *
+ * Används för kostnadsloggning och getMistralMetrics(). Priserna är
+ * listpriser (~Jan 2026) - uppdatera här när Mistral ändrar dem.
+ * Okända modeller (t.ex. egen vLLM bakom OpenAI-providern) räknas med
+ * default-priset så att kostnaden hellre över- än underskattas.
+ */
+
+import { findByModelPrefix } from './providers/index.js';
+
+export const MODEL_PRICING = {
+  'mistral-large': { input: 2.0, output: 6.0 },
+  'mistral-medium': { input: 0.4, output: 2.0 },
+  'mistral-small': { input: 0.2, output: 0.6 },
+  'open-mistral-nemo': { input: 0.15, output: 0.15 },
+  'ministral-8b': { input: 0.1, output: 0.1 },
+  'ministral-3b': { input: 0.04, output: 0.04 },
+  'mock': { input: 0, output: 0 },
+  default: { input: 0.2, output: 0.6 }
+};
+
+export function getModelPricing(model) {
+  return findByModelPrefix(MODEL_PRICING, model);
+}
+
+/**
+ * Cost in EUR for one call
+ *
+ * @param {{ promptTokens, completionTokens }} usage
+ */
+export function calculateCostEur(usage, model) {
+  const pricing = getModelPricing(model);
+  return ((usage.promptTokens || 0) * pricing.input + (usage.completionTokens || 0) * pricing.output) / 1_000_000;
+}
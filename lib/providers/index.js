@@ -0,0 +1,76 @@
+/**
+ * LLM provider registry
+ *
+ * Alla providers implementerar samma interface:
+ * - name, serviceName, defaultModel
+ * - stream(request, { signal })   → async iterator av { content } och { usage }
+ * - complete(request, { signal }) → { content, usage }
+ *
+ * request = { model, messages, temperature, maxTokens, responseFormat? }
+ * usage   = { promptTokens, completionTokens, totalTokens } (eller null)
+ *
+ * Chat-flödet (callMistral) bygger på stream(); judge och health check
+ * använder complete().
+ */
+
+import { createMistralProvider } from './mistral.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const factories = {
+  mistral: createMistralProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const instances = new Map();
+
+export const PROVIDER_NAMES = Object.keys(factories);
+
+/**
+ * Default provider för hela instansen (LLM_PROVIDER, annars mistral)
+ */
+export function getDefaultProviderName() {
+  return process.env.LLM_PROVIDER || 'mistral';
+}
+
+/**
+ * Get provider by name (cached)
+ */
+export function getProvider(name = getDefaultProviderName()) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" - expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Resolve provider + model for a tenant
+ *
+ * customer_ai_config.llm_provider / llm_model vinner, annars instansens default.
+ */
+export function resolveModel(config = {}) {
+  const provider = getProvider(config.llm_provider || getDefaultProviderName());
+  return {
+    provider,
+    model: config.llm_model || provider.defaultModel
+  };
+}
+
+/**
+ * Look up a per-model table entry by name prefix
+ *
+ * "mistral-small-latest" och "mistral-small-2503" matchar nyckeln
+ * "mistral-small"; längsta prefix vinner, annars table.default.
+ */
+export function findByModelPrefix(table, model = '') {
+  const key = Object.keys(table)
+    .filter(prefix => prefix !== 'default' && model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return table[key] ?? table.default;
+}
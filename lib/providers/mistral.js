@@ -0,0 +1,83 @@
+/**
+ * Mistral provider - Mistral La Plateforme via officiell SDK
+ *
+ * Implementerar provider-interfacet (se ./index.js):
+ * - stream(request, options)   → async iterator av { content } / { usage }
+ * - complete(request, options) → { content, usage }
+ */
+
+import { Mistral } from '@mistralai/mistralai';
+import { createComponentLogger } from '../logger.js';
+
+const logger = createComponentLogger('provider:mistral');
+let client = null;
+
+function getClient() {
+  if (!client) {
+    const apiKey = process.env.MISTRAL_API_KEY;
+    if (!apiKey) {
+      throw new Error('MISTRAL_API_KEY not set - check environment variables');
+    }
+
+    logger.info({ event: 'MISTRAL_INIT' }, '🤖 Initializing Mistral AI client');
+    client = new Mistral({ apiKey });
+  }
+  return client;
+}
+
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.promptTokens ?? 0,
+    completionTokens: usage.completionTokens ?? 0,
+    totalTokens: usage.totalTokens ?? ((usage.promptTokens ?? 0) + (usage.completionTokens ?? 0))
+  };
+}
+
+function toMistralRequest(request) {
+  const { model, messages, temperature, maxTokens, responseFormat } = request;
+  return {
+    model,
+    messages,
+    temperature,
+    maxTokens,
+    ...(responseFormat && { responseFormat })
+  };
+}
+
+export function createMistralProvider() {
+  return {
+    name: 'mistral',
+    serviceName: 'Mistral AI',
+    defaultModel: 'mistral-small-latest',
+
+    async *stream(request, { signal } = {}) {
+      const stream = await getClient().chat.stream(
+        toMistralRequest(request),
+        signal ? { signal } : undefined
+      );
+
+      for await (const chunk of stream) {
+        const content = chunk.data?.choices?.[0]?.delta?.content;
+        if (content) {
+          yield { content };
+        }
+        if (chunk.data?.usage) {
+          yield { usage: normalizeUsage(chunk.data.usage) };
+        }
+      }
+    },
+
+    async complete(request, { signal } = {}) {
+      const response = await getClient().chat.complete(
+        toMistralRequest(request),
+        signal ? { signal } : undefined
+      );
+
+      return {
+        content: response.choices?.[0]?.message?.content || '',
+        usage: normalizeUsage(response.usage)
+      };
+    }
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Mock provider - deterministisk, helt offline
+ *
+ * För tester och docker-compose utan API-nyckel. Samma input ger alltid
+ * samma output, och tokens räknas som ~4 tecken per token.
+ *
+ * - Vanliga anrop ekar senaste användarmeddelandet
+ * - JSON-anrop (responseFormat json_object) returnerar MOCK_LLM_JSON, eller
+ *   ett ofarligt säkerhetsomdöme så att hela chat-flödet går igenom
+ */
+
+const DEFAULT_JSON_RESPONSE = '{"suspicious": false, "reason": "Mock provider", "riskLevel": 0}';
+
+function countTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function buildResponse(request) {
+  if (request.responseFormat?.type === 'json_object') {
+    return process.env.MOCK_LLM_JSON || DEFAULT_JSON_RESPONSE;
+  }
+
+  const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+  const text = (lastUser?.content || '').substring(0, 200);
+  return `[mock:${request.model}] Du skrev: "${text}"`;
+}
+
+function buildUsage(request, content) {
+  const promptTokens = request.messages.reduce((sum, m) => sum + countTokens(m.content), 0);
+  const completionTokens = countTokens(content);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    serviceName: 'Mock LLM',
+    defaultModel: 'mock-small',
+
+    async *stream(request, { signal } = {}) {
+      const content = buildResponse(request);
+
+      // Ett ord per chunk, så att SSE-klienter ser riktiga deltas
+      for (const word of content.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          const error = new Error('Request aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
+        yield { content: word };
+      }
+      yield { usage: buildUsage(request, content) };
+    },
+
+    async complete(request) {
+      const content = buildResponse(request);
+      return { content, usage: buildUsage(request, content) };
+    }
+  };
+}
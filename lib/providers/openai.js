@@ -0,0 +1,117 @@
+/**
+ * OpenAI-compatible provider - för självhostade EU-endpoints
+ *
+ * Fungerar mot alla servrar som implementerar /v1/chat/completions
+ * (vLLM, Ollama, LocalAI, Scaleway Generative APIs m.fl.)
+ *
+ * Konfiguration:
+ * - OPENAI_COMPAT_BASE_URL  t.ex. http://vllm.internal:8000/v1
+ * - OPENAI_COMPAT_API_KEY   valfri, skickas som Bearer token
+ * - OPENAI_COMPAT_MODEL     default-modell om tenanten inte anger någon
+ */
+
+function getConfig() {
+  const baseUrl = process.env.OPENAI_COMPAT_BASE_URL;
+  if (!baseUrl) {
+    throw new Error('OPENAI_COMPAT_BASE_URL not set - check environment variables');
+  }
+  return {
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_COMPAT_API_KEY
+  };
+}
+
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? 0,
+    completionTokens: usage.completion_tokens ?? 0,
+    totalTokens: usage.total_tokens ?? ((usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0))
+  };
+}
+
+function toOpenAIRequest(request, stream) {
+  const { model, messages, temperature, maxTokens, responseFormat } = request;
+  return {
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    stream,
+    ...(stream && { stream_options: { include_usage: true } }),
+    ...(responseFormat && { response_format: responseFormat })
+  };
+}
+
+async function post(request, stream, signal) {
+  const { baseUrl, apiKey } = getConfig();
+
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+    },
+    body: JSON.stringify(toOpenAIRequest(request, stream)),
+    signal
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    const error = new Error(`OpenAI-compatible API error ${response.status}: ${body.substring(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+export function createOpenAIProvider() {
+  return {
+    name: 'openai',
+    serviceName: 'OpenAI-compatible API',
+    get defaultModel() {
+      return process.env.OPENAI_COMPAT_MODEL || 'mistral-small';
+    },
+
+    async *stream(request, { signal } = {}) {
+      const response = await post(request, true, signal);
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+
+        // SSE: en händelse per rad som börjar med "data: "
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+
+          const chunk = JSON.parse(data);
+          const content = chunk.choices?.[0]?.delta?.content;
+          if (content) {
+            yield { content };
+          }
+          if (chunk.usage) {
+            yield { usage: normalizeUsage(chunk.usage) };
+          }
+        }
+      }
+    },
+
+    async complete(request, { signal } = {}) {
+      const response = await post(request, false, signal);
+      const body = await response.json();
+
+      return {
+        content: body.choices?.[0]?.message?.content || '',
+        usage: normalizeUsage(body.usage)
+      };
+    }
+  };
+}
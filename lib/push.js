@@ -0,0 +1,272 @@
+/**
+ * Push - personalens push-prenumerationer och push-kanalen för notifications
+ *
+ *   GET    /api/push/vapid-public-key   -               { publicKey } för PushManager.subscribe()
+ *   POST   /api/push/subscriptions      messages:read   { customerId, endpoint, expirationTime?, keys: { p256dh, auth } }
+ *   DELETE /api/push/subscriptions      staff-token     { endpoint }
+ *
+ * En prenumeration = en webbläsare/enhet (unik endpoint) för en användare och
+ * en kund. Samma endpoint igen (ny kund, nya nycklar) skriver över raden.
+ *
+ * notificationWorker.js skickar varje notifikation till prenumerationerna för
+ * recipients.userIds (alla kundens prenumerationer när listan är tom), om inte
+ * recipients.push = false. Användare som inte längre har access till kunden
+ * hoppas över. Push-tjänstens 404/410 tar bort prenumerationen, och rader vars
+ * expires_at passerats rensas av workern (pruneExpiredSubscriptions).
+ *
+ * Protokollet (VAPID + kryptering) ligger i webPush.js.
+ */
+
+import { getDb } from './db.js';
+import { validateInput } from './tenantAdmin.js';
+import { isAllowedOutboundUrl } from './outbound.js';
+import { isValidSubscriptionKeys, sendPush } from './webPush.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const pushLogger = createComponentLogger('push');
+
+const PUSH_SUBSCRIPTION_FIELDS = {
+  customerId: { type: 'uuid', required: true },
+  endpoint: { type: 'string', required: true, maxLength: 2000 },
+  expirationTime: { type: 'number', nullable: true, min: 0, max: Number.MAX_SAFE_INTEGER },
+  keys: { type: 'object', required: true }
+};
+
+const PUSH_CONFIG = {
+  ttlSeconds: 24 * 60 * 60,      // Samma som notificationWorkers maxAgeHours
+  bodyMaxLength: 200
+};
+
+async function runQuery(operation, requestId, details, fn) {
+  const db = getDb();
+  const logger = pushLogger.child({ requestId, operation });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', details);
+
+  try {
+    const result = await fn(db);
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: !result?.error });
+    return result;
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation, ...details });
+    throw error;
+  }
+}
+
+function validationError(errors) {
+  return { error: 'Validation failed', status: 400, details: errors };
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Register (or refresh) the caller's push subscription for a customer
+ *
+ * Behörigheten (messages:read på customerId) kontrolleras av servern innan anropet.
+ *
+ * @param {object} principal - Kräver en användare (userId) - API-nycklar har ingen enhet
+ * @param {object} input - PushSubscription.toJSON() + customerId
+ * @returns {Promise<{ subscription, created: boolean } | { error, status, details? }>}
+ */
+export async function subscribePush(principal, input, requestId) {
+  if (!principal.userId) {
+    return { error: 'Push subscriptions require a staff user token', status: 403 };
+  }
+
+  const { values, errors } = validateInput(PUSH_SUBSCRIPTION_FIELDS, input);
+  if (errors.length === 0 && !isAllowedOutboundUrl(values.endpoint)) {
+    errors.push({ field: 'endpoint', message: 'must be a public https URL' });
+  }
+  if (errors.length === 0 && !isValidSubscriptionKeys(values.keys)) {
+    errors.push({ field: 'keys', message: 'must contain p256dh (P-256 public key) and auth (16 bytes), base64url' });
+  }
+  if (errors.length > 0) return validationError(errors);
+
+  const expiresAt = values.expirationTime ? new Date(values.expirationTime) : null;
+
+  return runQuery('subscribePush', requestId, { query: 'UPSERT push_subscription', customerId: values.customerId.substring(0, 8) }, async (db) => {
+    const [subscription] = await db`
+      INSERT INTO push_subscriptions (user_id, customer_id, endpoint, p256dh, auth, expires_at)
+      VALUES (${principal.userId}, ${values.customerId}, ${values.endpoint}, ${values.keys.p256dh}, ${values.keys.auth}, ${expiresAt})
+      ON CONFLICT (endpoint) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        customer_id = EXCLUDED.customer_id,
+        p256dh = EXCLUDED.p256dh,
+        auth = EXCLUDED.auth,
+        expires_at = EXCLUDED.expires_at,
+        updated_at = NOW()
+      RETURNING id, user_id, customer_id, endpoint, expires_at, last_success_at, created_at, updated_at, (xmax = 0) AS created
+    `;
+
+    const { created, ...rest } = subscription;
+    return { subscription: rest, created };
+  });
+}
+
+/**
+ * Remove one of the caller's subscriptions (PushSubscription.unsubscribe())
+ *
+ * Superadmin kan ta bort vilken endpoint som helst.
+ *
+ * @returns {Promise<{ deleted: { id, endpoint } } | { error, status, details? }>}
+ */
+export async function unsubscribePush(principal, input, requestId) {
+  if (!principal.userId) {
+    return { error: 'Push subscriptions require a staff user token', status: 403 };
+  }
+
+  const { values, errors } = validateInput({ endpoint: PUSH_SUBSCRIPTION_FIELDS.endpoint }, input);
+  if (errors.length > 0) return validationError(errors);
+
+  return runQuery('unsubscribePush', requestId, { query: 'DELETE push_subscription' }, async (db) => {
+    const [deleted] = await db`
+      DELETE FROM push_subscriptions
+      WHERE endpoint = ${values.endpoint}
+        AND (${principal.isSuperadmin === true} OR user_id = ${principal.userId})
+      RETURNING id, endpoint
+    `;
+    if (!deleted) return { error: 'Push subscription not found', status: 404 };
+
+    return { deleted };
+  });
+}
+
+/**
+ * Delete subscriptions whose expirationTime has passed
+ *
+ * @returns {Promise<number>} antal borttagna
+ */
+export async function pruneExpiredSubscriptions(requestId) {
+  return runQuery('pruneExpiredSubscriptions', requestId, { query: 'DELETE expired push_subscriptions' }, async (db) => {
+    const result = await db`
+      DELETE FROM push_subscriptions
+      WHERE expires_at IS NOT NULL AND expires_at <= NOW()
+    `;
+    return result.count;
+  });
+}
+
+// ============================================
+// DELIVERY (notificationWorker)
+// ============================================
+
+/**
+ * Prenumerationer för mottagarna som fortfarande har access till kunden
+ */
+async function loadSubscriptions(db, notification) {
+  const userIds = notification.recipients?.userIds || [];
+
+  return db`
+    SELECT s.id, s.user_id, s.endpoint, s.p256dh, s.auth
+    FROM push_subscriptions s
+    WHERE s.customer_id = ${notification.customer_id}
+      AND (${userIds.length === 0} OR s.user_id = ANY(${userIds}::uuid[]))
+      AND (s.expires_at IS NULL OR s.expires_at > NOW())
+      AND (
+        EXISTS (SELECT 1 FROM superadmins a WHERE a.user_id = s.user_id)
+        OR EXISTS (
+          SELECT 1 FROM user_memberships m
+          LEFT JOIN teams t ON t.id = m.team_id
+          JOIN customers c ON c.id = s.customer_id
+          WHERE m.user_id = s.user_id
+            AND (COALESCE(m.customer_id, t.customer_id) = c.id
+              OR (m.customer_id IS NULL AND m.team_id IS NULL AND m.organization_id = c.organization_id))
+        )
+        OR EXISTS (
+          SELECT 1 FROM dashboard_users d
+          WHERE d.user_id = s.user_id AND d.customer_id = s.customer_id AND d.status = 'active'
+        )
+      )
+  `;
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Send a notification to the recipients' devices
+ *
+ * @param {object} db
+ * @param {object} vapid - getVapidConfig()
+ * @param {object} notification - Raden från notificationWorker (recipients, attempts...)
+ * @param {{ title: string, customerName: string, url: string }} message
+ * @returns {Promise<{ outcome: 'sent'|'skipped'|'retry'|'failed', reason?, error?, sent?, expired? }>}
+ *   sent = minst en enhet tog emot, retry = inget skickat men 429/5xx/nätverksfel
+ */
+export async function pushNotification(db, vapid, notification, { title, customerName, url }) {
+  const logger = pushLogger.child({
+    operation: 'pushNotification',
+    notificationId: notification.id.substring(0, 8),
+    type: notification.type
+  });
+
+  if (notification.recipients?.push === false) {
+    return { outcome: 'skipped', reason: 'push disabled for this notification' };
+  }
+
+  const subscriptions = await loadSubscriptions(db, notification);
+  if (subscriptions.length === 0) {
+    return { outcome: 'skipped', reason: 'no push subscriptions' };
+  }
+
+  const payload = {
+    title: customerName ? `${title} - ${customerName}` : title,
+    body: truncate(notification.summary || '', PUSH_CONFIG.bodyMaxLength),
+    url,
+    tag: notification.session_id ? `session-${notification.session_id}` : `notification-${notification.id}`,
+    notificationId: notification.id,
+    sessionId: notification.session_id,
+    type: notification.type,
+    priority: notification.priority
+  };
+  const urgency = ['high', 'urgent'].includes(notification.priority) ? 'high' : 'normal';
+
+  const counts = { sent: 0, expired: 0, retryable: 0, failed: 0 };
+  let lastError = null;
+
+  // En i taget - oftast en handfull enheter per notifikation
+  for (const subscription of subscriptions) {
+    const host = new URL(subscription.endpoint).host;
+    const timer = createTimer();
+    boundaryLog.outgoing(logger, 'WebPush', { host, attempt: notification.attempts });
+
+    try {
+      const result = await sendPush(vapid, {
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+      }, payload, { ttlSeconds: PUSH_CONFIG.ttlSeconds, urgency });
+      boundaryLog.incoming(logger, 'WebPush', timer.elapsed(), { host, statusCode: result.statusCode, success: result.sent });
+
+      if (result.sent) {
+        counts.sent++;
+        await db`UPDATE push_subscriptions SET last_success_at = NOW() WHERE id = ${subscription.id}`;
+      } else if (result.expired) {
+        // Webbläsaren har avregistrerat sig - prenumerationen kommer aldrig att fungera igen
+        counts.expired++;
+        await db`DELETE FROM push_subscriptions WHERE id = ${subscription.id}`;
+        logger.info({
+          event: 'PUSH_SUBSCRIPTION_EXPIRED',
+          subscriptionId: subscription.id.substring(0, 8),
+          statusCode: result.statusCode
+        }, `🗑️ Push subscription removed (${result.statusCode} from ${host})`);
+      } else {
+        counts[result.retryable ? 'retryable' : 'failed']++;
+        lastError = `push service ${host} responded ${result.statusCode}`;
+      }
+    } catch (error) {
+      boundaryLog.incoming(logger, 'WebPush', timer.elapsed(), { host, success: false });
+      counts.retryable++;
+      lastError = error.message;
+    }
+  }
+
+  if (counts.sent > 0) return { outcome: 'sent', sent: counts.sent, expired: counts.expired };
+  if (counts.retryable > 0) return { outcome: 'retry', error: lastError, expired: counts.expired };
+  if (counts.failed > 0) return { outcome: 'failed', error: lastError, expired: counts.expired };
+  return { outcome: 'skipped', reason: 'all push subscriptions expired', expired: counts.expired };
+}
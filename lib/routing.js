@@ -0,0 +1,427 @@
+/**
+ * Routing - tilldelar sessioner till team/användare via routing_rules
+ *
+ * Körs efter varje tur så länge sessionen saknar tilldelning. Aktiva regler
+ * utvärderas i priority-ordning (lägst värde först) och den första som
+ * matchar vinner:
+ *
+ * | trigger_type | trigger_config                       | Matchar                                   |
+ * |--------------|--------------------------------------|-------------------------------------------|
+ * | needs_human  | { intents? }                         | chat_sessions.needs_human (ev. bara vissa intents) |
+ * | suspicious   | { min_risk_level? }                  | chat_sessions.suspicious                  |
+ * | risk_level   | { min }                              | judge-risken för turen är minst min       |
+ * | keyword      | { keywords }                         | besökarens meddelande (början av ord)     |
+ * | regex        | { pattern }                          | besökarens meddelande ("/mönster/flaggor") |
+ * | intent       | { intents }                          | konversationsanalysens intents (analysis.js) |
+ *
+ * Regeln skriver assigned_team_id / assigned_user_id / routed_by_rule_id /
+ * escalation_level. Saknar regeln team och användare används kundens
+ * default-team (teams.is_default). Behöver sessionen personal (needs_human
+ * eller suspicious) utan att någon regel matchar går den också till
+ * default-teamet.
+ *
+ * notification_config avgör vem som larmas:
+ *
+ * | Fält   | Default | Effekt                                                    |
+ * |--------|---------|-----------------------------------------------------------|
+ * | push   | true    | Kanal - push till mottagarna                              |
+ * | email  | true    | Kanal - e-post till mottagarna                            |
+ * | urgent | false   | Även kundens admins/owners larmas, priority urgent, escalation_level 1 |
+ *
+ * Mottagare är den tilldelade användaren, annars teamets medlemmar. Med
+ * push och email avstängda tilldelas sessionen utan notifikation.
+ */
+
+import { getDb, createNotification } from './db.js';
+import { compilePattern, testPattern, parseKeywords, findKeywords, ANALYSIS_RULES } from './analysis.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const routingLogger = createComponentLogger('routing');
+
+export const ROUTING_TRIGGER_TYPES = ['needs_human', 'suspicious', 'risk_level', 'keyword', 'regex', 'intent'];
+
+export const DEFAULT_NOTIFICATION_CONFIG = { push: true, email: true, urgent: false };
+
+const INTENTS = ANALYSIS_RULES.map(rule => rule.type);
+const NOTIFICATION_FLAGS = Object.keys(DEFAULT_NOTIFICATION_CONFIG);
+
+const TRIGGER_LABELS = {
+  needs_human: 'behöver personal',
+  suspicious: 'flaggad som misstänkt',
+  risk_level: 'förhöjd risk',
+  keyword: 'nyckelord',
+  regex: 'mönster',
+  intent: 'intent'
+};
+
+const SUMMARY_EXCERPT_LENGTH = 200;
+
+// ============================================
+// VALIDATION (används av tenantAdmin)
+// ============================================
+
+function isRiskLevel(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 10;
+}
+
+/**
+ * Validate trigger_config and notification_config against trigger_type
+ *
+ * @param {{ trigger_type, trigger_config, notification_config }} rule - Hela raden (efter merge vid PATCH)
+ * @returns {Array<{ field, message }>}
+ */
+export function validateRoutingRule(rule) {
+  const errors = [];
+  const config = rule.trigger_config || {};
+  const allowed = {
+    needs_human: ['intents'],
+    suspicious: ['min_risk_level'],
+    risk_level: ['min'],
+    keyword: ['keywords'],
+    regex: ['pattern'],
+    intent: ['intents']
+  }[rule.trigger_type] || [];
+
+  for (const key of Object.keys(config)) {
+    if (!allowed.includes(key)) {
+      errors.push({ field: `trigger_config.${key}`, message: `unknown field for trigger_type ${rule.trigger_type}` });
+    }
+  }
+
+  switch (rule.trigger_type) {
+    case 'needs_human':
+    case 'intent': {
+      const intents = config.intents;
+      if (intents === undefined && rule.trigger_type === 'needs_human') break;
+      if (!Array.isArray(intents) || intents.length === 0 || intents.some(intent => !INTENTS.includes(intent))) {
+        errors.push({ field: 'trigger_config.intents', message: `must be a non-empty array of: ${INTENTS.join(', ')}` });
+      }
+      break;
+    }
+    case 'suspicious':
+      if (config.min_risk_level !== undefined && !isRiskLevel(config.min_risk_level)) {
+        errors.push({ field: 'trigger_config.min_risk_level', message: 'must be an integer between 1 and 10' });
+      }
+      break;
+    case 'risk_level':
+      if (!isRiskLevel(config.min)) {
+        errors.push({ field: 'trigger_config.min', message: 'must be an integer between 1 and 10' });
+      }
+      break;
+    case 'keyword': {
+      const keywords = Array.isArray(config.keywords) ? config.keywords.join(',') : config.keywords;
+      if (typeof keywords !== 'string' || parseKeywords(keywords).length === 0) {
+        errors.push({ field: 'trigger_config.keywords', message: 'must contain at least one keyword' });
+      }
+      break;
+    }
+    case 'regex':
+      if (typeof config.pattern !== 'string' || !compilePattern(config.pattern)) {
+        errors.push({ field: 'trigger_config.pattern', message: 'must be a valid regular expression without nested quantifiers' });
+      }
+      break;
+  }
+
+  const notificationConfig = rule.notification_config || {};
+  for (const [key, value] of Object.entries(notificationConfig)) {
+    if (!NOTIFICATION_FLAGS.includes(key)) {
+      errors.push({ field: `notification_config.${key}`, message: `unknown field - allowed: ${NOTIFICATION_FLAGS.join(', ')}` });
+    } else if (typeof value !== 'boolean') {
+      errors.push({ field: `notification_config.${key}`, message: 'must be a boolean' });
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Does a routing rule match the session? (ingen I/O)
+ *
+ * @param {object} context - { needsHuman, suspicious, riskLevel, userMessage, intents }
+ */
+export function routingRuleMatches(rule, context) {
+  const config = rule.trigger_config || {};
+  const intents = context.intents || [];
+
+  switch (rule.trigger_type) {
+    case 'needs_human':
+      return !!context.needsHuman && (!config.intents || config.intents.some(intent => intents.includes(intent)));
+    case 'suspicious':
+      return !!context.suspicious && (context.riskLevel || 0) >= (config.min_risk_level || 0);
+    case 'risk_level':
+      return (context.riskLevel || 0) >= config.min;
+    case 'keyword': {
+      const keywords = Array.isArray(config.keywords) ? config.keywords.join(',') : config.keywords;
+      return findKeywords(context.userMessage, parseKeywords(keywords)).length > 0;
+    }
+    case 'regex':
+      return testPattern(compilePattern(config.pattern), context.userMessage);
+    case 'intent':
+      return (config.intents || []).some(intent => intents.includes(intent));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Pick the rule (or default team) for a session (ingen I/O)
+ *
+ * @returns {{ rule: object|null, teamId, userId, notificationConfig } | null}
+ *   null = ingen regel matchar och sessionen behöver inte personal
+ */
+export function selectRoute(rules, defaultTeam, context) {
+  const rule = rules.find(candidate => routingRuleMatches(candidate, context)) || null;
+
+  if (rule) {
+    const userId = rule.route_to_user_id || null;
+    return {
+      rule,
+      teamId: rule.route_to_team_id || (userId ? null : defaultTeam?.id || null),
+      userId,
+      notificationConfig: { ...DEFAULT_NOTIFICATION_CONFIG, ...rule.notification_config }
+    };
+  }
+
+  if (context.needsHuman || context.suspicious) {
+    return {
+      rule: null,
+      teamId: defaultTeam?.id || null,
+      userId: null,
+      notificationConfig: DEFAULT_NOTIFICATION_CONFIG
+    };
+  }
+
+  return null;
+}
+
+// ============================================
+// ROUTING
+// ============================================
+
+function describeTrigger(route, context) {
+  if (route.rule) {
+    return `regel "${route.rule.name}" (${TRIGGER_LABELS[route.rule.trigger_type] || route.rule.trigger_type})`;
+  }
+  return `standardteam (${context.suspicious ? TRIGGER_LABELS.suspicious : TRIGGER_LABELS.needs_human})`;
+}
+
+function buildSummary(route, targetName, context) {
+  const text = (context.userMessage || '').replace(/\s+/g, ' ').trim();
+  const excerpt = text.length > SUMMARY_EXCERPT_LENGTH ? `${text.substring(0, SUMMARY_EXCERPT_LENGTH)}…` : text;
+  return `Tilldelad ${targetName} via ${describeTrigger(route, context)}${excerpt ? `: "${excerpt}"` : ''}`;
+}
+
+/**
+ * Check that the team belongs to the customer and that the user has access to it
+ *
+ * Används av routing_rules (tenantAdmin) och eskaleringar.
+ *
+ * @returns {Promise<{ teamValid: boolean, userValid: boolean }>} true när id saknas
+ */
+export async function checkAssignmentTargets(db, customerId, { teamId, userId }) {
+  let teamValid = true;
+  let userValid = true;
+
+  if (teamId) {
+    const teams = await db`
+      SELECT 1 FROM teams WHERE id = ${teamId} AND customer_id = ${customerId}
+    `;
+    teamValid = teams.length > 0;
+  }
+
+  if (userId) {
+    const members = await db`
+      SELECT 1 FROM user_memberships m
+      LEFT JOIN teams t ON t.id = m.team_id
+      JOIN customers c ON c.id = ${customerId}
+      WHERE m.user_id = ${userId}
+        AND (m.customer_id = c.id OR t.customer_id = c.id
+          OR (m.customer_id IS NULL AND m.team_id IS NULL AND m.organization_id = c.organization_id))
+      UNION ALL
+      SELECT 1 FROM dashboard_users d
+      WHERE d.user_id = ${userId} AND d.customer_id = ${customerId} AND d.status = 'active'
+    `;
+    userValid = members.length > 0;
+  }
+
+  return { teamValid, userValid };
+}
+
+/**
+ * Staff to alert - tilldelad användare, annars teamets medlemmar (+ admins vid urgent)
+ */
+export async function resolveRecipientIds(db, customerId, { teamId, userId, urgent }) {
+  const memberTeamId = userId ? null : teamId;
+
+  const rows = await db`
+    SELECT DISTINCT user_id FROM (
+      SELECT m.user_id FROM user_memberships m
+      WHERE m.team_id = ${memberTeamId}::uuid
+      UNION
+      SELECT d.user_id FROM dashboard_users d
+      WHERE d.team_id = ${memberTeamId}::uuid AND d.status = 'active'
+      UNION
+      SELECT m.user_id FROM user_memberships m
+      JOIN customers c ON c.id = ${customerId}
+      WHERE ${urgent} AND m.role IN ('admin', 'owner')
+        AND (m.customer_id = c.id OR (m.customer_id IS NULL AND m.team_id IS NULL AND m.organization_id = c.organization_id))
+      UNION
+      SELECT d.user_id FROM dashboard_users d
+      WHERE ${urgent} AND d.customer_id = ${customerId} AND d.role IN ('admin', 'owner') AND d.status = 'active'
+    ) recipients
+    WHERE user_id IS NOT NULL
+  `;
+
+  const userIds = rows.map(row => row.user_id);
+  if (userId && !userIds.includes(userId)) userIds.unshift(userId);
+  return userIds;
+}
+
+/**
+ * Route an unassigned session
+ *
+ * Flaggorna needs_human / suspicious läses från sessionen - analysis.js,
+ * customer_actions och security judge har redan skrivit dem för turen.
+ *
+ * @param {object} turn
+ * @param {string} turn.customerId
+ * @param {string} turn.sessionId
+ * @param {string} [turn.userMessage]
+ * @param {number} [turn.riskLevel] - Judge-risken för turen
+ * @param {string[]} [turn.intents] - Från runConversationAnalysis
+ * @returns {Promise<{ routed: boolean, reason?, assignment?, rule?, recipients?, notification?, dbTime }>}
+ */
+export async function routeSession(turn, requestId) {
+  const { customerId, sessionId, userMessage = '', riskLevel = 0, intents = [] } = turn;
+  const db = getDb();
+  const logger = routingLogger.child({ requestId, operation: 'routeSession' });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', {
+    query: 'SELECT session + routing_rules',
+    sessionId: sessionId?.substring(0, 8)
+  });
+
+  try {
+    const [session] = await db`
+      SELECT needs_human, suspicious, risk_level, assigned_team_id, assigned_user_id
+      FROM chat_sessions
+      WHERE id = ${sessionId} AND customer_id = ${customerId}
+    `;
+
+    if (!session) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { routed: false });
+      return { routed: false, reason: 'session_not_found', dbTime: timer.elapsed() };
+    }
+
+    // Redan tilldelad - flytt mellan team/användare sker via eskalering
+    if (session.assigned_team_id || session.assigned_user_id) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { routed: false, reason: 'already_assigned' });
+      return { routed: false, reason: 'already_assigned', dbTime: timer.elapsed() };
+    }
+
+    const rules = await db`
+      SELECT id, name, priority, trigger_type, trigger_config, route_to_team_id, route_to_user_id, notification_config
+      FROM routing_rules
+      WHERE customer_id = ${customerId} AND is_active = true
+      ORDER BY priority ASC, created_at ASC
+    `;
+    const teams = await db`
+      SELECT id, name, is_default FROM teams WHERE customer_id = ${customerId}
+      ORDER BY is_default DESC, created_at ASC
+    `;
+    const defaultTeam = teams.find(team => team.is_default) || null;
+
+    const context = {
+      needsHuman: session.needs_human,
+      suspicious: session.suspicious,
+      riskLevel: Math.max(riskLevel || 0, session.risk_level || 0),
+      userMessage,
+      intents
+    };
+    const route = selectRoute(rules, defaultTeam, context);
+
+    if (!route) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { routed: false, rules: rules.length });
+      return { routed: false, reason: 'no_match', dbTime: timer.elapsed() };
+    }
+
+    if (!route.teamId && !route.userId) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { routed: false, reason: 'no_default_team' });
+      return { routed: false, reason: 'no_default_team', dbTime: timer.elapsed() };
+    }
+
+    const { urgent } = route.notificationConfig;
+    const escalationLevel = urgent ? 1 : 0;
+
+    // Villkoret skyddar mot att två samtidiga turer tilldelar olika team
+    const [assigned] = await db`
+      UPDATE chat_sessions SET
+        assigned_team_id = ${route.teamId},
+        assigned_user_id = ${route.userId},
+        assigned_type = ${route.userId ? 'user' : 'team'},
+        assigned_at = NOW(),
+        routed_by_rule_id = ${route.rule?.id || null},
+        escalation_level = GREATEST(COALESCE(escalation_level, 0), ${escalationLevel}),
+        updated_at = NOW()
+      WHERE id = ${sessionId} AND assigned_team_id IS NULL AND assigned_user_id IS NULL
+      RETURNING assigned_team_id, assigned_user_id, routed_by_rule_id, escalation_level
+    `;
+
+    if (!assigned) {
+      boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { routed: false, reason: 'already_assigned' });
+      return { routed: false, reason: 'already_assigned', dbTime: timer.elapsed() };
+    }
+
+    const assignment = {
+      teamId: assigned.assigned_team_id,
+      userId: assigned.assigned_user_id,
+      ruleId: assigned.routed_by_rule_id,
+      escalationLevel: assigned.escalation_level
+    };
+
+    let recipients = null;
+    let notification = null;
+
+    if (route.notificationConfig.push || route.notificationConfig.email) {
+      const userIds = await resolveRecipientIds(db, customerId, { teamId: route.teamId, userId: route.userId, urgent });
+      recipients = {
+        userIds,
+        teamId: route.teamId,
+        push: route.notificationConfig.push,
+        email: route.notificationConfig.email,
+        urgent
+      };
+
+      const team = teams.find(candidate => candidate.id === route.teamId);
+      const targetName = route.userId ? 'en medarbetare' : `team ${team?.name || route.teamId}`;
+
+      const result = await createNotification({
+        customerId,
+        sessionId,
+        type: 'routed',
+        priority: urgent ? 'urgent' : 'high',
+        summary: buildSummary(route, targetName, context),
+        recipients
+      }, requestId, { dedupeUnread: true });
+      notification = result.notification;
+    }
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, {
+      routed: true,
+      ruleId: route.rule?.id?.substring(0, 8) || null,
+      recipients: recipients?.userIds.length || 0
+    });
+
+    return { routed: true, assignment, rule: route.rule, recipients, notification, dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'routeSession', sessionId: sessionId?.substring(0, 8) });
+    throw error;
+  }
+}
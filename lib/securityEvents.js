@@ -0,0 +1,189 @@
+/**
+ * Security events - varje säkerhetsomdöme i chatten, sparat för utredning
+ *
+ *   GET /api/admin/customers/:id/security-events   security:read   filter, se SECURITY_EVENT_FILTERS
+ *
+ * chatEngine.js sparar en rad per omdöme:
+ *
+ * | stage       | När                                                            |
+ * |-------------|----------------------------------------------------------------|
+ * | `prefilter` | Inga misstänkta mönster - risk 0 utan judge-anrop               |
+ * | `cache`     | Samma omdöme som nyligen för samma meddelande och fönster      |
+ * | `judge`     | AI-judge bedömde meddelandet                                   |
+ * | `fallback`  | Judge svarade inte - judge_failure_policy avgjorde             |
+ * | `output`    | Output guard stoppade AI:ns svar (outputGuard.js)               |
+ *
+ * outcome = 'blocked' | 'allowed'. Besökarens text sparas inte, bara prompt_hash
+ * (samma normalisering som judge-cachen). Att spara ett omdöme får aldrig fälla
+ * chatten - fel loggas och turen fortsätter.
+ */
+
+import { getDb } from './db.js';
+import { parseFilterValue, parsePageValue } from './sessions.js';
+import { hashPrompt } from './securityJudge.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const securityEventsLogger = createComponentLogger('securityEvents');
+
+export const SECURITY_EVENT_STAGES = ['prefilter', 'cache', 'judge', 'fallback', 'output'];
+export const SECURITY_EVENT_OUTCOMES = ['allowed', 'blocked'];
+
+const SECURITY_EVENT_FILTERS = {
+  stage: SECURITY_EVENT_STAGES,
+  outcome: SECURITY_EVENT_OUTCOMES,
+  risk_level: 'risk',       // exakt
+  min_risk_level: 'risk',
+  session_id: 'uuid',
+  prompt_hash: 'hash',
+  from: 'date',             // created_at >= from
+  to: 'date'                // created_at < to
+};
+
+const SECURITY_EVENT_PAGE = { defaultLimit: 50, maxLimit: 500 };
+const SECURITY_EVENT_PARAMS = ['limit', 'offset'];
+const REASON_MAX_LENGTH = 500;
+
+async function runQuery(operation, requestId, details, fn) {
+  const db = getDb();
+  const logger = securityEventsLogger.child({ requestId, operation });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', details);
+
+  try {
+    const result = await fn(db);
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: !result?.error });
+    return result;
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation, ...details });
+    throw error;
+  }
+}
+
+// ============================================
+// RECORD (chatEngine)
+// ============================================
+
+/**
+ * Record one verdict
+ *
+ * @param {{ customerId, sessionId?, stage, outcome, riskLevel, reason?, prompt, details? }} event
+ *   prompt = besökarens meddelande (bara hashen sparas), details = t.ex. trigger, policy, leakType
+ * @returns {Promise<{ dbTime: number, error?: string }>} kastar aldrig
+ */
+export async function recordSecurityEvent(event, requestId) {
+  const timer = createTimer();
+  const { customerId, sessionId = null, stage, outcome, riskLevel, reason = null, prompt, details = {} } = event;
+
+  try {
+    await runQuery('recordSecurityEvent', requestId, { query: 'INSERT security_event', stage, outcome }, (db) => db`
+      INSERT INTO security_events (customer_id, session_id, stage, outcome, risk_level, reason, prompt_hash, details)
+      VALUES (
+        ${customerId}, ${sessionId}, ${stage}, ${outcome}, ${riskLevel ?? 0},
+        ${reason ? String(reason).substring(0, REASON_MAX_LENGTH) : null}, ${hashPrompt(prompt)}, ${db.json(details)}
+      )
+    `);
+    return { dbTime: timer.elapsed() };
+  } catch (error) {
+    return { dbTime: timer.elapsed(), error: error.message };
+  }
+}
+
+/**
+ * Judge-resultatets fält som är värda att spara (utan null/undefined)
+ */
+export function judgeEventDetails(securityResult, extra = {}) {
+  const { trigger, multiTurn, chunks, failure, policy } = securityResult;
+  return Object.fromEntries(
+    Object.entries({ trigger, multiTurn, chunks, failure, policy, ...extra }).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+// ============================================
+// QUERY (admin)
+// ============================================
+
+/**
+ * Validate security event query parameters (ingen I/O)
+ *
+ * @returns {{ filters: object, limit: number, offset: number, errors: Array<{ field, message }> }}
+ */
+export function parseSecurityEventQuery(query) {
+  const filters = {};
+  const errors = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (SECURITY_EVENT_PARAMS.includes(key)) continue;
+    const type = SECURITY_EVENT_FILTERS[key];
+    if (!type) {
+      errors.push({ field: key, message: 'unknown filter' });
+      continue;
+    }
+
+    if (Array.isArray(type)) {
+      if (type.includes(raw)) filters[key] = raw;
+      else errors.push({ field: key, message: `must be one of: ${type.join(', ')}` });
+      continue;
+    }
+    if (type === 'hash') {
+      if (/^[0-9a-f]{64}$/i.test(raw)) filters[key] = raw.toLowerCase();
+      else errors.push({ field: key, message: 'must be a sha256 hex digest' });
+      continue;
+    }
+
+    const parsed = parseFilterValue(type, raw);
+    if (parsed.error) errors.push({ field: key, message: parsed.error });
+    else filters[key] = parsed.value;
+  }
+
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    errors.push({ field: 'to', message: 'must be after from' });
+  }
+
+  const limit = parsePageValue(query.limit, { min: 1, max: SECURITY_EVENT_PAGE.maxLimit, fallback: SECURITY_EVENT_PAGE.defaultLimit });
+  const offset = parsePageValue(query.offset, { min: 0, max: 100000, fallback: 0 });
+  if (limit.error) errors.push({ field: 'limit', message: limit.error });
+  if (offset.error) errors.push({ field: 'offset', message: offset.error });
+
+  return { filters, limit: limit.value, offset: offset.value, errors };
+}
+
+/**
+ * List a customer's security events, nyast först
+ *
+ * @param {object} query - Query-parametrar, se SECURITY_EVENT_FILTERS
+ * @returns {Promise<{ events, total, limit, offset } | { error, status, details }>}
+ */
+export async function listSecurityEvents(customerId, query, requestId) {
+  const { filters, limit, offset, errors } = parseSecurityEventQuery(query);
+  if (errors.length > 0) {
+    return { error: 'Validation failed', status: 400, details: errors };
+  }
+
+  return runQuery('listSecurityEvents', requestId, { query: 'SELECT security_events', customerId: customerId.substring(0, 8), filters: Object.keys(filters) }, async (db) => {
+    const where = db`
+      e.customer_id = ${customerId}
+      ${filters.stage !== undefined ? db`AND e.stage = ${filters.stage}` : db``}
+      ${filters.outcome !== undefined ? db`AND e.outcome = ${filters.outcome}` : db``}
+      ${filters.risk_level !== undefined ? db`AND e.risk_level = ${filters.risk_level}` : db``}
+      ${filters.min_risk_level !== undefined ? db`AND e.risk_level >= ${filters.min_risk_level}` : db``}
+      ${filters.session_id !== undefined ? db`AND e.session_id = ${filters.session_id}` : db``}
+      ${filters.prompt_hash !== undefined ? db`AND e.prompt_hash = ${filters.prompt_hash}` : db``}
+      ${filters.from !== undefined ? db`AND e.created_at >= ${filters.from}` : db``}
+      ${filters.to !== undefined ? db`AND e.created_at < ${filters.to}` : db``}
+    `;
+
+    const [{ total }] = await db`SELECT COUNT(*)::int AS total FROM security_events e WHERE ${where}`;
+
+    const events = await db`
+      SELECT e.id, e.session_id, e.stage, e.outcome, e.risk_level, e.reason, e.prompt_hash, e.details, e.created_at
+      FROM security_events e
+      WHERE ${where}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+
+    return { events, total, limit, offset };
+  });
+}
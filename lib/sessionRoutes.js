@@ -0,0 +1,210 @@
+/**
+ * Session Routes - /api/sessions/*
+ *
+ * Personalens inkorg och åtgärder på en session (se sessions.js):
+ *
+ *   GET    /api/sessions?customerId=                     messages:read   filter, se INBOX_FILTERS
+ *   POST   /api/sessions/:id/read                        messages:read
+ *   POST   /api/sessions/:id/takeover                    messages:write
+ *   POST   /api/sessions/:id/messages                    messages:write  { content }
+ *   POST   /api/sessions/:id/handback                    messages:write
+ *   POST   /api/sessions/:id/escalate                    messages:write  { to_team_id?, to_user_id?, reason?, note?, urgent? }
+ *   GET    /api/sessions/:id/escalations                 escalations:read (se escalations.js)
+ *   POST   /api/sessions/:id/typing                      messages:write  { typing } (även besökartoken)
+ *   GET    /api/sessions/:id/events                      messages:read   SSE (även besökartoken, se events.js)
+ *
+ * Behörigheten gäller sessionens kund (inkorgen: customerId). Kräver staff-token eller API-nyckel -
+ * typing och events tar även besökartoken för den egna sessionen.
+ * events tar token som ?access_token= eftersom EventSource inte kan skicka headers.
+ */
+
+import { authenticate, authorize, describePrincipal, isSessionVisitor } from './auth.js';
+import { getSessionCustomerId } from './db.js';
+import { takeOverSession, postStaffMessage, handBackSession, setTyping, listSessions, markSessionRead } from './sessions.js';
+import { escalateSession, getEscalationTimeline } from './escalations.js';
+import { openEventStream, parseLastEventId } from './events.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  return res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return body ? JSON.parse(body) : {};
+}
+
+function isEventStream(method, segments) {
+  return method === 'GET' && segments.length === 2 && segments[1] === 'events';
+}
+
+/**
+ * Map method + path to a permission and a sessions.js call
+ *
+ * visitor = besökartoken för sessionen räcker. stream = svaret är en SSE-ström.
+ * customerId = routen gäller en kund istället för en session (inkorgen).
+ *
+ * @returns {{ permission, visitor?, stream?, customerId?, run?: Function } | null} null om ingen route matchar
+ */
+function route(method, segments, { body, query, principal, requestId }) {
+  const [sessionId, action, extra] = segments;
+
+  if (segments.length === 0 && method === 'GET') {
+    return { permission: 'messages:read', customerId: query.customerId || null, run: () => listSessions(query.customerId, query, requestId) };
+  }
+  if (!sessionId || extra !== undefined) return null;
+
+  if (isEventStream(method, segments)) {
+    return { permission: 'messages:read', visitor: true, stream: true };
+  }
+  if (method === 'GET' && action === 'escalations') {
+    return { permission: 'escalations:read', run: () => getEscalationTimeline(sessionId, requestId) };
+  }
+  if (method !== 'POST') return null;
+
+  switch (action) {
+    case 'takeover':
+      return { permission: 'messages:write', run: () => takeOverSession(sessionId, principal, requestId) };
+    case 'messages':
+      return { permission: 'messages:write', run: async () => postStaffMessage(sessionId, principal, await body(), requestId) };
+    case 'handback':
+      return { permission: 'messages:write', run: () => handBackSession(sessionId, principal, requestId) };
+    case 'typing':
+      return { permission: 'messages:write', visitor: true, run: async () => setTyping(sessionId, principal, await body(), requestId) };
+    case 'escalate':
+      return { permission: 'messages:write', run: async () => escalateSession(sessionId, principal, await body(), requestId) };
+    case 'read':
+      return { permission: 'messages:read', run: () => markSessionRead(sessionId, principal, requestId) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Path segments after /api/sessions, URL-decoded - null om kodningen är trasig (t.ex. %E0)
+ */
+function pathSegments(path) {
+  try {
+    return path.replace(/^\/api\/sessions\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Handle /api/sessions/* requests
+ */
+export async function handleSessionRequest(req, res, { path, logger, requestTimer, requestId }) {
+  const segments = pathSegments(path);
+  if (!segments) {
+    logger.warn({ event: 'NOT_FOUND', path, method: req.method }, `Route not found: ${req.method} ${path}`);
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const auth = await authenticate(req, requestId, { allowQueryToken: isEventStream(req.method, segments) });
+  if (auth.error || !auth.principal) {
+    const statusCode = auth.status || 401;
+    logger.warn({ event: 'AUTH_REQUIRED', path, statusCode }, `🔒 Session request rejected: ${auth.error || 'no credentials'}`);
+    return sendJson(res, statusCode, { error: auth.error || 'Authentication required' });
+  }
+
+  const { principal } = auth;
+  const url = new URL(req.url, 'http://localhost');
+  const query = Object.fromEntries(url.searchParams);
+
+  let invalidJson = false;
+  const body = () => readJson(req).catch(() => {
+    invalidJson = true;
+    return null;
+  });
+
+  const matched = route(req.method, segments, { body, query, principal, requestId });
+  if (!matched) {
+    logger.warn({ event: 'NOT_FOUND', path, method: req.method }, `Route not found: ${req.method} ${path}`);
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  const [sessionId] = segments;
+  const customerScoped = matched.customerId !== undefined;
+
+  if (customerScoped && !UUID_PATTERN.test(matched.customerId || '')) {
+    logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid customerId' }, 'customerId must be a UUID');
+    return sendJson(res, 400, { error: 'customerId parameter required (UUID)' });
+  }
+
+  const customerId = customerScoped
+    ? matched.customerId
+    : UUID_PATTERN.test(sessionId) ? await getSessionCustomerId(sessionId, requestId) : null;
+
+  const visitor = matched.visitor && isSessionVisitor(principal, sessionId);
+
+  // Okänd session ger 403 för alla utom superadmin - avslöja inte vilka som finns
+  if (!visitor && !authorize(principal, matched.permission, customerId)) {
+    logger.warn({
+      event: 'FORBIDDEN',
+      path,
+      method: req.method,
+      permission: matched.permission,
+      principal: describePrincipal(principal)
+    }, `⛔ ${req.method} ${path} requires ${matched.permission}`);
+    return sendJson(res, 403, { error: 'Forbidden' });
+  }
+
+  if (!customerScoped && !customerId) {
+    logger.warn({ event: 'NOT_FOUND', path, sessionId: sessionId.substring(0, 8) }, 'Session not found');
+    return sendJson(res, 404, { error: 'Session not found' });
+  }
+
+  if (matched.stream) {
+    return openEventStream(res, { customerId, sessionId, visitor }, {
+      lastEventId: parseLastEventId(req.headers['last-event-id'] || query.lastEventId),
+      logger,
+      requestId
+    });
+  }
+
+  const result = await matched.run();
+
+  if (invalidJson) {
+    logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid JSON' }, 'Invalid JSON body');
+    return sendJson(res, 400, { error: 'Invalid JSON body' });
+  }
+
+  if (result.error) {
+    logger.warn({
+      event: 'SESSION_REQUEST_REJECTED',
+      path,
+      method: req.method,
+      statusCode: result.status,
+      error: result.error,
+      details: result.details
+    }, `◀ ${req.method} ${path} ${result.status} - ${result.error}`);
+
+    return sendJson(res, result.status, {
+      error: result.error,
+      ...(result.details && { details: result.details })
+    });
+  }
+
+  const statusCode = result.message || result.escalation ? 201 : 200;
+
+  logger.info({
+    event: 'SESSION_REQUEST_END',
+    path,
+    method: req.method,
+    statusCode,
+    sessionId: sessionId?.substring(0, 8) || null,
+    customerId: customerScoped ? customerId.substring(0, 8) : undefined,
+    ...(result.sessions && { sessionCount: result.sessions.length, total: result.total }),
+    humanActive: !!result.session?.human_takeover_at,
+    principal: describePrincipal(principal),
+    latencyMs: requestTimer.elapsed()
+  }, `◀ ${req.method} ${path} ${statusCode} (${requestTimer.elapsed()}ms)`);
+
+  return sendJson(res, statusCode, result);
+}
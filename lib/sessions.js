@@ -0,0 +1,383 @@
+/**
+ * Sessions - personalens inkorg och åtgärder på en pågående session
+ *
+ * Inkorg: listSessions filtrerar kundens sessioner (flaggor, status, läst,
+ * tilldelning, datum) med förhandsvisning av senaste meddelandet.
+ * markSessionRead sätter is_read / read_at / read_by - ett nytt meddelande
+ * från besökaren gör sessionen oläst igen (saveMessage).
+ *
+ * Human takeover:
+ * - takeover: personalen tar över, AI:n pausas (human_takeover_at sätts)
+ * - message: personalen svarar - tar över implicit om ingen annan gjort det
+ * - handback: AI:n tar över igen och ser personalens svar i historiken
+ * - typing: besökaren eller personalen skriver (visitor_typing / staff_typing)
+ *
+ * Personalens svar sparas som role "assistant" med sender_type "human" så att
+ * besökaren ser dem via GET /api/messages och modellen får dem som
+ * [PERSONALENS SVAR] (se callMistral). Så länge sessionen är övertagen sparar
+ * /api/chat bara besökarens meddelanden och svarar utan AI.
+ *
+ * Varje ändring publiceras på sessionens händelseström (events.js) efter commit.
+ *
+ * Alla funktioner returnerar { error, status } vid konflikter - samma mönster
+ * som tenantAdmin.
+ */
+
+import { getDb } from './db.js';
+import { HISTORY_LIMITS } from './chatHistory.js';
+import { isSessionVisitor } from './auth.js';
+import { publishSessionEvent, publishMessageEvent, publishSessionState } from './events.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const sessionsLogger = createComponentLogger('sessions');
+
+// Samma gräns som för besökarens historik
+const STAFF_MESSAGE_MAX_LENGTH = HISTORY_LIMITS.maxMessageLength;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Inkorgens filter - query-parametrar, alltså strängar
+const INBOX_FILTERS = {
+  needs_human: 'boolean',
+  suspicious: 'boolean',
+  is_read: 'boolean',
+  risk_level: 'risk',       // exakt
+  min_risk_level: 'risk',
+  status: 'string',
+  team_id: 'uuid',          // assigned_team_id
+  user_id: 'uuid',          // assigned_user_id
+  from: 'date',             // created_at >= from
+  to: 'date'                // created_at < to
+};
+
+const INBOX_PAGE = { defaultLimit: 50, maxLimit: 200 };
+// customerId och paginering är inga filter
+const INBOX_PARAMS = ['customerId', 'limit', 'offset'];
+const PREVIEW_LENGTH = 140;
+
+async function runQuery(operation, requestId, details, fn) {
+  const db = getDb();
+  const logger = sessionsLogger.child({ requestId, operation });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', details);
+
+  try {
+    const result = await fn(db);
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: !result?.error });
+    return result;
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation, ...details });
+    throw error;
+  }
+}
+
+function takenOverByOther(session, userId) {
+  return session.human_takeover_at && session.human_takeover_by && session.human_takeover_by !== userId;
+}
+
+function takeoverConflict() {
+  return { error: 'Session is already taken over by another staff member', status: 409 };
+}
+
+/**
+ * Pausa AI:n och tilldela sessionen till personalen (om det är en person)
+ */
+async function applyTakeover(tx, sessionId, userId) {
+  const [session] = await tx`
+    UPDATE chat_sessions SET
+      human_takeover_at = COALESCE(human_takeover_at, NOW()),
+      human_takeover_by = COALESCE(human_takeover_by, ${userId}::uuid),
+      needs_human = false,
+      assigned_at = CASE WHEN ${userId}::uuid IS NOT NULL AND assigned_user_id IS DISTINCT FROM ${userId}::uuid THEN NOW() ELSE assigned_at END,
+      assigned_user_id = COALESCE(${userId}::uuid, assigned_user_id),
+      assigned_type = CASE WHEN ${userId}::uuid IS NOT NULL THEN 'user' ELSE assigned_type END,
+      updated_at = NOW()
+    WHERE id = ${sessionId}
+    RETURNING id, human_takeover_at, human_takeover_by, assigned_team_id, assigned_user_id, needs_human
+  `;
+  return session;
+}
+
+async function lockSession(tx, sessionId) {
+  const [session] = await tx`
+    SELECT id, customer_id, human_takeover_at, human_takeover_by
+    FROM chat_sessions
+    WHERE id = ${sessionId}
+    FOR UPDATE
+  `;
+  return session;
+}
+
+/**
+ * Tell the session's listeners about a takeover change (takeover + session)
+ */
+async function publishTakeover(customerId, sessionId, humanActive, requestId) {
+  await publishSessionEvent({ customerId, sessionId, type: 'takeover', data: { humanActive } }, requestId);
+  await publishSessionState(sessionId, requestId);
+}
+
+/**
+ * Take over a session - AI:n svarar inte förrän sessionen lämnas tillbaka
+ *
+ * @param {object} principal - userId sparas som human_takeover_by (null för API-nycklar)
+ */
+export async function takeOverSession(sessionId, principal, requestId) {
+  const userId = principal.userId || null;
+
+  const result = await runQuery('takeOverSession', requestId, { query: 'UPDATE session takeover', sessionId: sessionId.substring(0, 8) }, (db) => db.begin(async (tx) => {
+    const existing = await lockSession(tx, sessionId);
+    if (!existing) return { error: 'Session not found', status: 404 };
+    if (takenOverByOther(existing, userId)) return takeoverConflict();
+
+    const session = await applyTakeover(tx, sessionId, userId);
+    return { session, tookOver: !existing.human_takeover_at, customerId: existing.customer_id };
+  }));
+
+  if (result.error) return result;
+  if (result.tookOver) await publishTakeover(result.customerId, sessionId, true, requestId);
+
+  return { session: result.session, tookOver: result.tookOver };
+}
+
+/**
+ * Post a staff reply in the session (tar över sessionen om den inte redan är övertagen)
+ *
+ * @param {{ content: string }} input
+ */
+export async function postStaffMessage(sessionId, principal, input, requestId) {
+  const userId = principal.userId || null;
+  const content = typeof input?.content === 'string' ? input.content.trim() : '';
+
+  if (!content) {
+    return { error: 'Validation failed', status: 400, details: [{ field: 'content', message: 'must be a non-empty string' }] };
+  }
+  if (content.length > STAFF_MESSAGE_MAX_LENGTH) {
+    return { error: 'Validation failed', status: 400, details: [{ field: 'content', message: `must be at most ${STAFF_MESSAGE_MAX_LENGTH} characters` }] };
+  }
+
+  const result = await runQuery('postStaffMessage', requestId, { query: 'INSERT staff message', sessionId: sessionId.substring(0, 8), contentLength: content.length }, (db) => db.begin(async (tx) => {
+    const existing = await lockSession(tx, sessionId);
+    if (!existing) return { error: 'Session not found', status: 404 };
+    if (takenOverByOther(existing, userId)) return takeoverConflict();
+
+    const session = await applyTakeover(tx, sessionId, userId);
+
+    const [message] = await tx`
+      INSERT INTO chat_messages (session_id, role, content, sender_type, sent_by)
+      VALUES (${sessionId}, 'assistant', ${content}, 'human', ${userId})
+      RETURNING id, role, content, sender_type, timestamp AS created_at
+    `;
+
+    return { message, session, tookOver: !existing.human_takeover_at, customerId: existing.customer_id };
+  }));
+
+  if (result.error) return result;
+  await publishMessageEvent(result.customerId, sessionId, result.message, requestId);
+  if (result.tookOver) await publishTakeover(result.customerId, sessionId, true, requestId);
+
+  return { message: result.message, session: result.session, tookOver: result.tookOver };
+}
+
+/**
+ * Hand the session back to the AI
+ */
+export async function handBackSession(sessionId, principal, requestId) {
+  const result = await runQuery('handBackSession', requestId, { query: 'UPDATE session handback', sessionId: sessionId.substring(0, 8) }, (db) => db.begin(async (tx) => {
+    const existing = await lockSession(tx, sessionId);
+    if (!existing) return { error: 'Session not found', status: 404 };
+    if (!existing.human_takeover_at) return { error: 'Session is not taken over', status: 409 };
+
+    const [session] = await tx`
+      UPDATE chat_sessions SET
+        human_takeover_at = NULL,
+        human_takeover_by = NULL,
+        staff_typing = false,
+        updated_at = NOW()
+      WHERE id = ${sessionId}
+      RETURNING id, human_takeover_at, human_takeover_by, assigned_team_id, assigned_user_id, needs_human
+    `;
+    return { session, handedBackBy: principal.userId || null, customerId: existing.customer_id };
+  }));
+
+  if (result.error) return result;
+  await publishTakeover(result.customerId, sessionId, false, requestId);
+
+  return { session: result.session, handedBackBy: result.handedBackBy };
+}
+
+/**
+ * Typing indicator - besökaren (besökartoken) eller personalen
+ *
+ * Sparas i visitor_typing / staff_typing och skickas som "typing" på
+ * händelseströmmen. Ett nytt meddelande betyder inte att klienten slutat skriva -
+ * skicka { typing: false }.
+ *
+ * @param {{ typing: boolean }} input
+ */
+export async function setTyping(sessionId, principal, input, requestId) {
+  if (typeof input?.typing !== 'boolean') {
+    return { error: 'Validation failed', status: 400, details: [{ field: 'typing', message: 'must be a boolean' }] };
+  }
+
+  const by = isSessionVisitor(principal, sessionId) ? 'visitor' : 'staff';
+  const { typing } = input;
+
+  const result = await runQuery('setTyping', requestId, { query: 'UPDATE session typing', sessionId: sessionId.substring(0, 8), by }, async (db) => {
+    const [session] = by === 'visitor'
+      ? await db`UPDATE chat_sessions SET visitor_typing = ${typing} WHERE id = ${sessionId} RETURNING customer_id`
+      : await db`UPDATE chat_sessions SET staff_typing = ${typing} WHERE id = ${sessionId} RETURNING customer_id`;
+    return session ? { customerId: session.customer_id } : { error: 'Session not found', status: 404 };
+  });
+
+  if (result.error) return result;
+  await publishSessionEvent({ customerId: result.customerId, sessionId, type: 'typing', data: { by, typing } }, requestId);
+
+  return { typing: { by, typing } };
+}
+
+/**
+ * Parse one query filter value - används även av securityEvents.js
+ */
+export function parseFilterValue(type, value) {
+  switch (type) {
+    case 'boolean':
+      return value === 'true' || value === 'false' ? { value: value === 'true' } : { error: 'must be true or false' };
+    case 'risk': {
+      const level = Number(value);
+      return /^\d+$/.test(value) && level <= 10 ? { value: level } : { error: 'must be an integer between 0 and 10' };
+    }
+    case 'string':
+      return value.trim() && value.length <= 50 ? { value: value.trim() } : { error: 'must be 1-50 characters' };
+    case 'uuid':
+      return UUID_PATTERN.test(value) ? { value } : { error: 'must be a UUID' };
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? { error: 'must be an ISO 8601 date or timestamp' } : { value: date };
+    }
+    default:
+      return { error: `unsupported type ${type}` };
+  }
+}
+
+export function parsePageValue(value, { min, max, fallback }) {
+  if (value === undefined) return { value: fallback };
+  const number = Number(value);
+  return /^\d+$/.test(value) && number >= min && number <= max ? { value: number } : { error: `must be an integer between ${min} and ${max}` };
+}
+
+/**
+ * Validate inbox query parameters (ingen I/O)
+ *
+ * @param {object} query - Alla query-parametrar som strängar
+ * @returns {{ filters: object, limit: number, offset: number, errors: Array<{ field, message }> }}
+ */
+export function parseInboxQuery(query) {
+  const filters = {};
+  const errors = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (INBOX_PARAMS.includes(key)) continue;
+    if (!INBOX_FILTERS[key]) {
+      errors.push({ field: key, message: 'unknown filter' });
+      continue;
+    }
+    const parsed = parseFilterValue(INBOX_FILTERS[key], raw);
+    if (parsed.error) errors.push({ field: key, message: parsed.error });
+    else filters[key] = parsed.value;
+  }
+
+  const limit = parsePageValue(query.limit, { min: 1, max: INBOX_PAGE.maxLimit, fallback: INBOX_PAGE.defaultLimit });
+  const offset = parsePageValue(query.offset, { min: 0, max: 100000, fallback: 0 });
+  if (limit.error) errors.push({ field: 'limit', message: limit.error });
+  if (offset.error) errors.push({ field: 'offset', message: offset.error });
+
+  return { filters, limit: limit.value, offset: offset.value, errors };
+}
+
+/**
+ * List a customer's sessions for the staff inbox
+ *
+ * Nyast aktivitet först (senaste meddelandet, annars när sessionen skapades).
+ *
+ * @param {object} query - Query-parametrar, se INBOX_FILTERS
+ * @returns {Promise<{ sessions, total, limit, offset } | { error, status, details }>}
+ */
+export async function listSessions(customerId, query, requestId) {
+  const { filters, limit, offset, errors } = parseInboxQuery(query);
+  if (errors.length > 0) {
+    return { error: 'Validation failed', status: 400, details: errors };
+  }
+
+  return runQuery('listSessions', requestId, { query: 'SELECT sessions (inbox)', customerId: customerId.substring(0, 8), filters: Object.keys(filters) }, async (db) => {
+    const where = db`
+      s.customer_id = ${customerId} AND s.deleted_at IS NULL
+      ${filters.needs_human !== undefined ? db`AND COALESCE(s.needs_human, false) = ${filters.needs_human}` : db``}
+      ${filters.suspicious !== undefined ? db`AND COALESCE(s.suspicious, false) = ${filters.suspicious}` : db``}
+      ${filters.is_read !== undefined ? db`AND COALESCE(s.is_read, false) = ${filters.is_read}` : db``}
+      ${filters.risk_level !== undefined ? db`AND COALESCE(s.risk_level, 0) = ${filters.risk_level}` : db``}
+      ${filters.min_risk_level !== undefined ? db`AND COALESCE(s.risk_level, 0) >= ${filters.min_risk_level}` : db``}
+      ${filters.status !== undefined ? db`AND s.status = ${filters.status}` : db``}
+      ${filters.team_id !== undefined ? db`AND s.assigned_team_id = ${filters.team_id}` : db``}
+      ${filters.user_id !== undefined ? db`AND s.assigned_user_id = ${filters.user_id}` : db``}
+      ${filters.from !== undefined ? db`AND s.created_at >= ${filters.from}` : db``}
+      ${filters.to !== undefined ? db`AND s.created_at < ${filters.to}` : db``}
+    `;
+
+    const [{ total }] = await db`SELECT COUNT(*)::int AS total FROM chat_sessions s WHERE ${where}`;
+
+    const rows = await db`
+      SELECT
+        s.id, s.status, s.needs_human, s.suspicious, s.risk_level,
+        s.is_read, s.read_at, s.read_by,
+        s.assigned_team_id, s.assigned_user_id, s.escalation_level, s.human_takeover_at,
+        s.metadata->>'companion' AS companion, s.created_at, s.updated_at,
+        (SELECT COUNT(*)::int FROM chat_messages m WHERE m.session_id = s.id) AS message_count,
+        last.content AS last_content, last.role AS last_role, last.sender_type AS last_sender_type,
+        last.timestamp AS last_message_at
+      FROM chat_sessions s
+      LEFT JOIN LATERAL (
+        SELECT LEFT(m.content, ${PREVIEW_LENGTH}) AS content, m.role, m.sender_type, m.timestamp
+        FROM chat_messages m
+        WHERE m.session_id = s.id
+        ORDER BY m.timestamp DESC
+        LIMIT 1
+      ) last ON true
+      WHERE ${where}
+      ORDER BY COALESCE(last.timestamp, s.created_at) DESC, s.id
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+
+    const sessions = rows.map(({ last_content, last_role, last_sender_type, last_message_at, ...session }) => ({
+      ...session,
+      last_message: last_message_at
+        ? { content: last_content, role: last_role, sender_type: last_sender_type, created_at: last_message_at }
+        : null
+    }));
+
+    return { sessions, total, limit, offset };
+  });
+}
+
+/**
+ * Mark a session as read by the caller (read_by = null för API-nycklar)
+ */
+export async function markSessionRead(sessionId, principal, requestId) {
+  const result = await runQuery('markSessionRead', requestId, { query: 'UPDATE session read', sessionId: sessionId.substring(0, 8) }, async (db) => {
+    const [session] = await db`
+      UPDATE chat_sessions SET
+        is_read = true,
+        read_at = NOW(),
+        read_by = ${principal.userId || null}
+      WHERE id = ${sessionId}
+      RETURNING id, is_read, read_at, read_by
+    `;
+    return session ? { session } : { error: 'Session not found', status: 404 };
+  });
+
+  if (result.error) return result;
+  await publishSessionState(sessionId, requestId);
+
+  return result;
+}
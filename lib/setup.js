@@ -1,422 +1,16 @@
 // lib/setup.js
-// Complete database setup - mirrors Supabase production schema
-// Includes: Tables, RLS Policies, Functions, Demo Data
+// Demo data seed - mirrors Supabase production data
+// Schema is owned by migrations/ (see lib/migrations.js)
 
 import { getDb } from './db.js';
 
 // ============================================
-// MAIN SETUP FUNCTION
+// SEED DEMO DATA
 // ============================================
-export async function setupDatabase() {
+export async function seedDemoData() {
   const db = getDb();
-  const results = {
-    tables: [],
-    functions: [],
-    policies: [],
-    seeds: [],
-    errors: []
-  };
-
-  try {
-    console.log('🚀 Starting database setup...');
-
-    // Step 1: Create tables first
-    await createTables(db, results);
-
-    // Step 2: Seed demo data
-    await seedDemoData(db, results);
-
-    console.log('✅ Database setup complete!');
-    return { success: true, results };
-
-  } catch (error) {
-    console.error('❌ Setup failed:', error);
-    results.errors.push(error.message);
-    return { success: false, error: error.message, results };
-  }
-}
-
-// ============================================
-// TABLES
-// ============================================
-async function createTables(db, results) {
-  console.log('📦 Creating tables...');
-
-  // organizations
-  await db`
-    CREATE TABLE IF NOT EXISTS organizations (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      name TEXT NOT NULL,
-      slug TEXT NOT NULL UNIQUE,
-      plan TEXT DEFAULT 'free',
-      billing_email TEXT,
-      settings JSONB DEFAULT '{}',
-      metadata JSONB DEFAULT '{}',
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('organizations');
-
-  // superadmins
-  await db`
-    CREATE TABLE IF NOT EXISTS superadmins (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id UUID,
-      email TEXT NOT NULL UNIQUE,
-      name TEXT,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      created_by UUID
-    )
-  `;
-  results.tables.push('superadmins');
-
-  // customers
-  await db`
-    CREATE TABLE IF NOT EXISTS customers (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      name TEXT NOT NULL,
-      slug TEXT NOT NULL UNIQUE,
-      organization_id UUID REFERENCES organizations(id),
-      plan VARCHAR DEFAULT 'starter',
-      logo_url TEXT,
-      settings JSONB DEFAULT '{}',
-      metadata JSONB DEFAULT '{}',
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('customers');
-
-  // teams
-  await db`
-    CREATE TABLE IF NOT EXISTS teams (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
-      name TEXT NOT NULL,
-      description TEXT,
-      is_default BOOLEAN DEFAULT false,
-      notification_settings JSONB DEFAULT '{"push": true, "email": true}',
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('teams');
-
-  // user_profiles
-  await db`
-    CREATE TABLE IF NOT EXISTS user_profiles (
-      user_id UUID PRIMARY KEY,
-      email VARCHAR NOT NULL,
-      full_name VARCHAR,
-      avatar_url TEXT,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('user_profiles');
-
-  // user_memberships
-  await db`
-    CREATE TABLE IF NOT EXISTS user_memberships (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id UUID NOT NULL,
-      organization_id UUID REFERENCES organizations(id),
-      customer_id UUID REFERENCES customers(id),
-      team_id UUID REFERENCES teams(id),
-      role TEXT NOT NULL DEFAULT 'member',
-      permissions JSONB DEFAULT '{}',
-      invited_by UUID,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('user_memberships');
-
-  // dashboard_users (legacy compatibility)
-  await db`
-    CREATE TABLE IF NOT EXISTS dashboard_users (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id UUID,
-      customer_id UUID REFERENCES customers(id),
-      team_id UUID REFERENCES teams(id),
-      role TEXT DEFAULT 'admin',
-      status VARCHAR DEFAULT 'active',
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('dashboard_users');
-
-  // customer_ai_config
-  await db`
-    CREATE TABLE IF NOT EXISTS customer_ai_config (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-      ai_name TEXT NOT NULL DEFAULT 'Assistant',
-      ai_role TEXT DEFAULT 'kundtjänst',
-      personality TEXT DEFAULT 'Vänlig och hjälpsam',
-      greeting TEXT DEFAULT 'Hej! Hur kan jag hjälpa dig?',
-      language TEXT DEFAULT 'sv',
-      system_prompt TEXT,
-      knowledge_base TEXT,
-      temperature NUMERIC DEFAULT 0.7,
-      max_tokens INTEGER DEFAULT 500,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW(),
-      UNIQUE(customer_id)
-    )
-  `;
-  results.tables.push('customer_ai_config');
-
-  // customer_companions (for Mimre/ElderCare)
-  await db`
-    CREATE TABLE IF NOT EXISTS customer_companions (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
-      companion_key VARCHAR NOT NULL,
-      ai_name VARCHAR NOT NULL,
-      ai_role VARCHAR,
-      avatar VARCHAR,
-      greeting TEXT,
-      system_prompt TEXT NOT NULL,
-      knowledge_base TEXT,
-      personality VARCHAR,
-      language VARCHAR DEFAULT 'no',
-      temperature NUMERIC DEFAULT 0.7,
-      max_tokens INTEGER DEFAULT 500,
-      is_default BOOLEAN DEFAULT false,
-      is_active BOOLEAN DEFAULT true,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW(),
-      UNIQUE(customer_id, companion_key)
-    )
-  `;
-  results.tables.push('customer_companions');
-
-  // customer_analysis_config
-  await db`
-    CREATE TABLE IF NOT EXISTS customer_analysis_config (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-      enable_analysis BOOLEAN DEFAULT true,
-      min_messages_before_analysis INTEGER DEFAULT 4,
-      email_pattern VARCHAR DEFAULT '/@/',
-      phone_pattern VARCHAR,
-      complaint_keywords TEXT DEFAULT 'klagomål,missnöjd,dålig,besviken,arg,fel,problem,klaga',
-      human_request_keywords TEXT DEFAULT 'prata med,tala med,personal,chef,människa,riktig person',
-      special_request_keywords TEXT DEFAULT 'kosher,halal,vegan,privat event,kalas,bröllop,firmafest,allergisk',
-      ai_unsure_patterns TEXT DEFAULT 'vet tyvärr inte,kan inte svara på,får du kontakta,rekommenderar att du ringer',
-      staff_email VARCHAR,
-      from_email VARCHAR DEFAULT 'sofia@eryai.tech',
-      from_name VARCHAR DEFAULT 'Sofia',
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW(),
-      UNIQUE(customer_id)
-    )
-  `;
-  results.tables.push('customer_analysis_config');
-
-  // customer_actions
-  await db`
-    CREATE TABLE IF NOT EXISTS customer_actions (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-      trigger_type TEXT NOT NULL,
-      trigger_value TEXT NOT NULL,
-      action_type TEXT NOT NULL,
-      action_config JSONB DEFAULT '{}',
-      priority INTEGER DEFAULT 10,
-      is_active BOOLEAN DEFAULT true,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('customer_actions');
-
-  // chat_sessions
-  await db`
-    CREATE TABLE IF NOT EXISTS chat_sessions (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
-      visitor_id TEXT,
-      session_start TIMESTAMPTZ DEFAULT NOW(),
-      session_end TIMESTAMPTZ,
-      message_count INTEGER DEFAULT 0,
-      metadata JSONB DEFAULT '{}',
-      status TEXT DEFAULT 'active',
-      needs_human BOOLEAN DEFAULT false,
-      visitor_typing BOOLEAN DEFAULT false,
-      staff_typing BOOLEAN DEFAULT false,
-      suspicious BOOLEAN DEFAULT false,
-      suspicious_reason TEXT,
-      risk_level INTEGER DEFAULT 0,
-      routed_to_superadmin BOOLEAN DEFAULT false,
-      assigned_team_id UUID REFERENCES teams(id),
-      assigned_user_id UUID,
-      assigned_to UUID,
-      assigned_type VARCHAR DEFAULT 'user',
-      assigned_at TIMESTAMPTZ,
-      assigned_by UUID,
-      escalation_level INTEGER DEFAULT 0,
-      routed_by_rule_id UUID,
-      visibility TEXT DEFAULT 'team',
-      is_read BOOLEAN DEFAULT false,
-      read_at TIMESTAMPTZ,
-      read_by UUID,
-      deleted_at TIMESTAMPTZ,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('chat_sessions');
-
-  // chat_messages
-  await db`
-    CREATE TABLE IF NOT EXISTS chat_messages (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      session_id UUID REFERENCES chat_sessions(id) ON DELETE CASCADE,
-      role TEXT NOT NULL,
-      content TEXT NOT NULL,
-      sender_type TEXT DEFAULT 'ai',
-      response_time_ms INTEGER,
-      tokens_used INTEGER,
-      timestamp TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('chat_messages');
-
-  // notifications
-  await db`
-    CREATE TABLE IF NOT EXISTS notifications (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-      session_id UUID REFERENCES chat_sessions(id),
-      type TEXT NOT NULL,
-      priority TEXT DEFAULT 'normal',
-      status TEXT DEFAULT 'unread',
-      summary TEXT,
-      guest_name TEXT,
-      guest_email TEXT,
-      guest_phone TEXT,
-      reservation_details JSONB,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      read_at TIMESTAMPTZ,
-      handled_at TIMESTAMPTZ,
-      handled_by UUID
-    )
-  `;
-  results.tables.push('notifications');
-
-  // push_subscriptions
-  await db`
-    CREATE TABLE IF NOT EXISTS push_subscriptions (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id UUID,
-      customer_id UUID REFERENCES customers(id),
-      endpoint TEXT NOT NULL,
-      p256dh TEXT NOT NULL,
-      auth TEXT NOT NULL,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('push_subscriptions');
-
-  // routing_rules
-  await db`
-    CREATE TABLE IF NOT EXISTS routing_rules (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
-      name TEXT NOT NULL,
-      description TEXT,
-      priority INTEGER DEFAULT 10,
-      is_active BOOLEAN DEFAULT true,
-      trigger_type TEXT NOT NULL,
-      trigger_config JSONB NOT NULL DEFAULT '{}',
-      route_to_team_id UUID REFERENCES teams(id),
-      route_to_user_id UUID,
-      notification_config JSONB DEFAULT '{"push": true, "email": true, "urgent": false}',
-      created_by TEXT,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('routing_rules');
-
-  // session_escalations
-  await db`
-    CREATE TABLE IF NOT EXISTS session_escalations (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
-      from_user_id UUID,
-      from_team_id UUID REFERENCES teams(id),
-      to_user_id UUID,
-      to_team_id UUID REFERENCES teams(id),
-      reason TEXT,
-      note TEXT,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      created_by UUID
-    )
-  `;
-  results.tables.push('session_escalations');
-
-  // email_templates
-  await db`
-    CREATE TABLE IF NOT EXISTS email_templates (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
-      template_name VARCHAR NOT NULL,
-      subject VARCHAR NOT NULL,
-      html_body TEXT NOT NULL,
-      template_type VARCHAR NOT NULL,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('email_templates');
-
-  // user_invites
-  await db`
-    CREATE TABLE IF NOT EXISTS user_invites (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      customer_id UUID REFERENCES customers(id),
-      email VARCHAR NOT NULL,
-      role VARCHAR DEFAULT 'member',
-      team_id UUID REFERENCES teams(id),
-      invited_by UUID,
-      status VARCHAR DEFAULT 'pending',
-      token VARCHAR,
-      expires_at TIMESTAMPTZ,
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      accepted_at TIMESTAMPTZ
-    )
-  `;
-  results.tables.push('user_invites');
-
-  // user_recovery_codes
-  await db`
-    CREATE TABLE IF NOT EXISTS user_recovery_codes (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id UUID,
-      code_hash TEXT NOT NULL,
-      used_at TIMESTAMPTZ,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `;
-  results.tables.push('user_recovery_codes');
-
-  // Create indexes
-  await db`CREATE INDEX IF NOT EXISTS idx_customers_slug ON customers(slug)`;
-  await db`CREATE INDEX IF NOT EXISTS idx_sessions_customer ON chat_sessions(customer_id)`;
-  await db`CREATE INDEX IF NOT EXISTS idx_messages_session ON chat_messages(session_id)`;
-  await db`CREATE INDEX IF NOT EXISTS idx_companions_customer ON customer_companions(customer_id, companion_key)`;
+  const results = { seeds: [] };
 
-  console.log(`✅ Created ${results.tables.length} tables`);
-}
-
-// ============================================
-// SEED DEMO DATA
-// ============================================
-async function seedDemoData(db, results) {
   console.log('🌱 Seeding demo data...');
 
   // 1. Create superadmin
@@ -511,7 +105,54 @@ async function seedDemoData(db, results) {
   `;
   results.seeds.push('analysis_config: eldercare');
 
+  // 8. Bella Italia (restaurang)
+  const bellaRows = await db`
+    INSERT INTO customers (name, slug)
+    VALUES ('Bella Italia', 'bella-italia')
+    ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name
+    RETURNING id
+  `;
+  await db`
+    INSERT INTO customer_ai_config (customer_id, ai_name, greeting, language, system_prompt, knowledge_base)
+    VALUES (
+      ${bellaRows[0].id},
+      'Sofia',
+      'Ciao! 🍝 Välkommen till Bella Italia! Jag är Sofia, hur kan jag hjälpa dig idag?',
+      'sv',
+      ${getSofiaPrompt()},
+      'MENY: Pizza Margherita 139kr, Pasta Carbonara 169kr, Tiramisu 89kr. Vegetariskt finns. Glutenfri pasta +25kr.'
+    )
+    ON CONFLICT (customer_id) DO UPDATE SET
+      system_prompt = EXCLUDED.system_prompt,
+      greeting = EXCLUDED.greeting
+  `;
+  results.seeds.push('customer: bella-italia');
+
+  // 9. Anderssons Bilverkstad
+  const verkstadRows = await db`
+    INSERT INTO customers (name, slug)
+    VALUES ('Anderssons Bilverkstad', 'anderssons-verkstad')
+    ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name
+    RETURNING id
+  `;
+  await db`
+    INSERT INTO customer_ai_config (customer_id, ai_name, greeting, language, system_prompt, knowledge_base)
+    VALUES (
+      ${verkstadRows[0].id},
+      'Marcus',
+      'Hej! 🔧 Välkommen till Anderssons Bilverkstad. Jag är Marcus, vad kan jag hjälpa dig med?',
+      'sv',
+      'Du är Marcus, en kunnig AI-assistent för Anderssons Bilverkstad. Hjälp med bokningar, prisuppskattningar och frågor. Öppet Mån-Fre 07-17. Adress: Industrivägen 5, Göteborg.',
+      'PRISER: Service liten 2495kr, Service stor 4995kr, Bromsbyte fram från 2995kr, Däckbyte 495kr (4 hjul), AC-service 895kr.'
+    )
+    ON CONFLICT (customer_id) DO UPDATE SET
+      system_prompt = EXCLUDED.system_prompt,
+      greeting = EXCLUDED.greeting
+  `;
+  results.seeds.push('customer: anderssons-verkstad');
+
   console.log(`✅ Seeded ${results.seeds.length} items`);
+  return results;
 }
 
 // ============================================
@@ -550,6 +191,27 @@ Disse reglene gjelder uansett hvilket språk brukeren skriver på - norsk, svens
 // ============================================
 // COMPANION PROMPTS
 // ============================================
+function getSofiaPrompt() {
+  return `Du är Sofia, en vänlig och professionell AI-assistent för Bella Italia, en italiensk restaurang i Sverige.
+
+DINA UPPGIFTER:
+1. Hjälpa gäster med bordsbokningar
+2. Svara på frågor om menyn
+3. Ge information om öppettider och läge
+4. Hantera klagomål med empati
+
+RESTAURANGINFORMATION:
+- Öppettider: Mån-Fre 11-22, Lör-Sön 12-23
+- Adress: Storgatan 1, Stockholm
+- Telefon: 08-123 456 78
+
+TONALITET:
+- Varm och välkomnande
+- Professionell men personlig
+- Använd gärna italienska uttryck
+- Håll svaren koncisa (2-3 meningar)`;
+}
+
 function getAstridPrompt() {
   return `Du er Astrid, en varm dame på 75 år fra Norge.
 Du er skapt av EryAI.tech for å være en god samtalepartner.
@@ -602,5 +264,11 @@ Vær varm, humoristisk og ekte.`;
 // EXPORT FOR API
 // ============================================
 export async function runSetup() {
-  return await setupDatabase();
+  try {
+    const results = await seedDemoData();
+    return { success: true, results };
+  } catch (error) {
+    console.error('❌ Seed failed:', error);
+    return { success: false, error: error.message, results: { seeds: [] } };
+  }
 }
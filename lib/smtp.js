@@ -0,0 +1,305 @@
+/**
+ * SMTP - minimal klient för notifikationsmejl (se notificationWorker.js)
+ *
+ * Ingen extern dependency: EHLO, STARTTLS när servern erbjuder det,
+ * AUTH PLAIN/LOGIN och MAIL FROM / RCPT TO / DATA. Räcker för en relay
+ * (Scaleway TEM, Brevo...) och för en lokal mail catcher (Mailpit, MailHog).
+ *
+ * | Variabel                | Default                 |                                        |
+ * |-------------------------|-------------------------|----------------------------------------|
+ * | `SMTP_HOST`             | -                       | Utan host är e-postutskicket avstängt  |
+ * | `SMTP_PORT`             | 587 (465 med SMTP_SECURE) | Mailpit/MailHog: 1025                |
+ * | `SMTP_SECURE`           | false                   | TLS direkt istället för STARTTLS       |
+ * | `SMTP_USER`/`SMTP_PASS` | -                       | AUTH PLAIN, annars LOGIN               |
+ * | `SMTP_ALLOW_PLAINTEXT_AUTH` | false               | AUTH utan TLS - bara lokala catchers   |
+ *
+ * Lösenordet skickas aldrig okrypterat: utan SMTP_SECURE och utan STARTTLS från
+ * servern (eller om någon på vägen tagit bort det) avbryts utskicket före AUTH.
+ *
+ * Brödtexten skickas base64-kodad (text + HTML), så ingen dot-stuffing behövs.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+const TIMEOUT_MS = 15000;
+// Byte per encoded-word i headers (base64 + "=?UTF-8?B?...?=" håller raden under 75)
+const HEADER_CHUNK_BYTES = 45;
+
+/**
+ * Read SMTP settings from the environment
+ *
+ * @returns {{ host, port, secure, user, pass } | null} null när SMTP_HOST saknas
+ */
+export function getSmtpConfig() {
+  const host = process.env.SMTP_HOST;
+  if (!host) return null;
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || '',
+    allowPlaintextAuth: process.env.SMTP_ALLOW_PLAINTEXT_AUTH === 'true'
+  };
+}
+
+// ============================================
+// CONNECTION
+// ============================================
+
+function smtpError(verb, response) {
+  const error = new Error(`SMTP ${verb} failed: ${response.code} ${response.lines.join(' ')}`.trim());
+  error.name = 'SmtpError';
+  error.responseCode = response.code;
+  // 5xx = servern kommer aldrig att acceptera meddelandet - ingen idé att försöka igen
+  error.permanent = response.code >= 500;
+  return error;
+}
+
+function waitFor(socket, event) {
+  return new Promise((resolve, reject) => {
+    socket.once(event, () => {
+      socket.off('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function connect(config) {
+  const options = { host: config.host, port: config.port, servername: config.host };
+  const socket = config.secure ? tls.connect(options) : net.connect(options);
+  socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`SMTP timeout after ${TIMEOUT_MS}ms`)));
+  return waitFor(socket, config.secure ? 'secureConnect' : 'connect');
+}
+
+async function upgradeToTls(socket, host) {
+  const secureSocket = tls.connect({ socket, servername: host });
+  secureSocket.setTimeout(TIMEOUT_MS, () => secureSocket.destroy(new Error(`SMTP timeout after ${TIMEOUT_MS}ms`)));
+  return waitFor(secureSocket, 'secureConnect');
+}
+
+/**
+ * Läser svar rad för rad - "250-..." fortsätter, "250 ..." avslutar svaret
+ */
+function createReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const responses = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (responses.length > 0 || failure)) {
+      const next = waiting.shift();
+      if (responses.length > 0) next.resolve(responses.shift());
+      else next.reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        responses.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(failure || new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+/**
+ * Send one command and check the reply code
+ *
+ * Bara verbet hamnar i felmeddelandet - AUTH-rader innehåller credentials.
+ */
+async function command(connection, line, expected, verb = line?.split(' ')[0]) {
+  if (line !== null) connection.socket.write(`${line}\r\n`);
+  const response = await connection.reader.next();
+  if (!expected.includes(response.code)) {
+    throw smtpError(verb, response);
+  }
+  return response;
+}
+
+function extensions(ehlo) {
+  return ehlo.lines.slice(1).map(line => line.toUpperCase());
+}
+
+async function authenticate(connection, ehlo, config) {
+  const auth = extensions(ehlo).find(line => line.startsWith('AUTH'));
+  const mechanisms = auth ? auth.split(/[ =]/).slice(1) : ['PLAIN'];
+  const encode = (value) => Buffer.from(value, 'utf8').toString('base64');
+
+  if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+    await command(connection, `AUTH PLAIN ${encode(`\0${config.user}\0${config.pass}`)}`, [235]);
+    return;
+  }
+
+  await command(connection, 'AUTH LOGIN', [334]);
+  await command(connection, encode(config.user), [334], 'AUTH LOGIN');
+  await command(connection, encode(config.pass), [235], 'AUTH LOGIN');
+}
+
+// ============================================
+// MESSAGE
+// ============================================
+
+// Headers får aldrig innehålla radbrytningar (header injection)
+function headerText(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * RFC 2047 encoded-words för icke-ASCII (å, ä, ö i ämnesrader och namn)
+ */
+function encodeHeader(value) {
+  const text = headerText(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+  // Dela aldrig ett tecken mellan två encoded-words
+  const chunks = [''];
+  for (const char of text) {
+    const current = chunks[chunks.length - 1];
+    if (Buffer.byteLength(current + char, 'utf8') > HEADER_CHUNK_BYTES) chunks.push(char);
+    else chunks[chunks.length - 1] = current + char;
+  }
+  return chunks
+    .map(chunk => `=?UTF-8?B?${Buffer.from(chunk, 'utf8').toString('base64')}?=`)
+    .join('\r\n ');
+}
+
+function formatAddress({ name, address }) {
+  const display = headerText(name).replace(/"/g, '');
+  if (!display) return `<${address}>`;
+  return /^[\x20-\x7e]*$/.test(display) ? `"${display}" <${address}>` : `${encodeHeader(display)} <${address}>`;
+}
+
+function base64Body(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(br|\/p|\/div|\/h\d|\/li|\/tr)\s*\/?>/gi, '\n')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function buildMessage({ from, to, subject, html, messageId }) {
+  const boundary = `eryai-${randomUUID()}`;
+
+  return [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.map(address => `<${address}>`).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Auto-Submitted: auto-generated',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(htmlToText(html)),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+/**
+ * Send one email
+ *
+ * @param {object} config - getSmtpConfig()
+ * @param {{ from: { name?, address }, to: string[], subject: string, html: string }} mail
+ * @returns {Promise<{ messageId: string, response: string }>}
+ * @throws {Error} error.permanent = true vid 5xx-svar och när AUTH skulle ske utan TLS
+ */
+export async function sendMail(config, { from, to, subject, html }) {
+  const messageId = `<${randomUUID()}@${from.address.split('@')[1] || 'eryai.tech'}>`;
+  const socket = await connect(config);
+  const connection = { socket, reader: createReader(socket) };
+
+  try {
+    await command(connection, null, [220], 'greeting');
+    let ehlo = await command(connection, `EHLO ${os.hostname()}`, [250]);
+    let encrypted = config.secure;
+
+    if (!config.secure && extensions(ehlo).includes('STARTTLS')) {
+      await command(connection, 'STARTTLS', [220]);
+      connection.reader.detach();
+      connection.socket = await upgradeToTls(connection.socket, config.host);
+      connection.reader = createReader(connection.socket);
+      ehlo = await command(connection, `EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (config.user && !encrypted && !config.allowPlaintextAuth) {
+      const error = new Error(`${config.host} offered no STARTTLS - refusing to send SMTP credentials unencrypted (SMTP_ALLOW_PLAINTEXT_AUTH)`);
+      error.permanent = true;
+      throw error;
+    }
+
+    if (config.user) {
+      await authenticate(connection, ehlo, config);
+    }
+
+    await command(connection, `MAIL FROM:<${from.address}>`, [250]);
+    for (const address of to) {
+      await command(connection, `RCPT TO:<${address}>`, [250, 251]);
+    }
+    await command(connection, 'DATA', [354]);
+    const accepted = await command(connection, `${buildMessage({ from, to, subject, html, messageId })}\r\n.`, [250], 'message');
+
+    await command(connection, 'QUIT', [221]).catch(() => {});
+    return { messageId, response: `${accepted.code} ${accepted.lines.join(' ')}`.trim() };
+  } finally {
+    connection.reader.detach();
+    connection.socket.destroy();
+  }
+}
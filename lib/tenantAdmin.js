@@ -0,0 +1,1046 @@
+/**
+ * Tenant Admin - CRUD för kunder och deras konfiguration
+ *
+ * Täcker customers, customer_ai_config, customer_companions,
+ * customer_analysis_config, customer_actions, teams, routing_rules och
+ * email_templates så
+ * att nya kunder kan onboardas utan deploy.
+ *
+ * - Validering per tabell (okända fält avvisas)
+ * - Slug / companion_key måste vara unika
+ * - updated_at sätts vid varje ändring
+ *
+ * Alla funktioner returnerar { error, status, details? } vid valideringsfel
+ * eller konflikter - samma mönster som chatEngine.
+ */
+
+import { getDb } from './db.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+import { LIMITS, LANGUAGES } from './generationSettings.js';
+import { PROVIDER_NAMES } from './providers/index.js';
+import { ROLE_RANK, generateApiKey } from './auth.js';
+import { PLAN_LIMITS } from './usage.js';
+import { compilePattern } from './analysis.js';
+import { TRIGGER_TYPES, ACTION_TYPES, validateAction } from './customerActions.js';
+import { ROUTING_TRIGGER_TYPES, validateRoutingRule, checkAssignmentTargets } from './routing.js';
+import { findUnknownVariables } from './notificationWorker.js';
+import { JUDGE_FAILURE_POLICIES } from './securityJudge.js';
+
+const adminLogger = createComponentLogger('tenantAdmin');
+
+// Planer med token-/kostnadstak (se usage.js)
+export const PLANS = Object.keys(PLAN_LIMITS);
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Postgres unique_violation / foreign_key_violation
+const UNIQUE_VIOLATION = '23505';
+const FOREIGN_KEY_VIOLATION = '23503';
+
+// ============================================
+// FIELD DEFINITIONS
+// ============================================
+
+const generationFields = {
+  temperature: { type: 'number', min: LIMITS.temperature.min, max: LIMITS.temperature.max },
+  max_tokens: { type: 'integer', min: LIMITS.maxTokens.min, max: LIMITS.maxTokens.max },
+  language: { type: 'string', enum: Object.keys(LANGUAGES) },
+  personality: { type: 'string', maxLength: LIMITS.personalityMaxLength, nullable: true }
+};
+
+const CUSTOMER_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  slug: { type: 'slug', required: true, maxLength: 100 },
+  plan: { type: 'string', enum: PLANS },
+  organization_id: { type: 'uuid', nullable: true },
+  logo_url: { type: 'string', maxLength: 2000, nullable: true },
+  settings: { type: 'object' },
+  metadata: { type: 'object' }
+};
+
+const AI_CONFIG_FIELDS = {
+  ai_name: { type: 'string', maxLength: 100 },
+  ai_role: { type: 'string', maxLength: 200, nullable: true },
+  greeting: { type: 'string', maxLength: 2000, nullable: true },
+  system_prompt: { type: 'string', maxLength: 20000, nullable: true },
+  knowledge_base: { type: 'string', maxLength: 100000, nullable: true },
+  llm_provider: { type: 'string', enum: PROVIDER_NAMES, nullable: true },
+  llm_model: { type: 'string', maxLength: 100, nullable: true },
+  judge_failure_policy: { type: 'string', enum: JUDGE_FAILURE_POLICIES, nullable: true },
+  ...generationFields
+};
+
+const COMPANION_FIELDS = {
+  companion_key: { type: 'slug', required: true, maxLength: 50 },
+  ai_name: { type: 'string', required: true, maxLength: 100 },
+  ai_role: { type: 'string', maxLength: 200, nullable: true },
+  avatar: { type: 'string', maxLength: 20, nullable: true },
+  greeting: { type: 'string', maxLength: 2000, nullable: true },
+  system_prompt: { type: 'string', required: true, maxLength: 20000 },
+  knowledge_base: { type: 'string', maxLength: 100000, nullable: true },
+  is_default: { type: 'boolean' },
+  is_active: { type: 'boolean' },
+  ...generationFields
+};
+
+const API_KEY_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  // owner är förbehållet personer
+  role: { type: 'string', enum: Object.keys(ROLE_RANK).filter(role => role !== 'owner') },
+  expires_at: { type: 'timestamp', nullable: true }
+};
+
+const ACTION_FIELDS = {
+  trigger_type: { type: 'string', required: true, enum: TRIGGER_TYPES },
+  trigger_value: { type: 'string', required: true, maxLength: 500 },
+  action_type: { type: 'string', required: true, enum: ACTION_TYPES },
+  action_config: { type: 'object' },
+  priority: { type: 'integer', min: 0, max: 1000 },
+  is_active: { type: 'boolean' }
+};
+
+const TEAM_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string', maxLength: 2000, nullable: true },
+  is_default: { type: 'boolean' },
+  notification_settings: { type: 'object' }
+};
+
+const ROUTING_RULE_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', maxLength: 2000, nullable: true },
+  priority: { type: 'integer', min: 0, max: 1000 },
+  is_active: { type: 'boolean' },
+  trigger_type: { type: 'string', required: true, enum: ROUTING_TRIGGER_TYPES },
+  trigger_config: { type: 'object' },
+  route_to_team_id: { type: 'uuid', nullable: true },
+  route_to_user_id: { type: 'uuid', nullable: true },
+  notification_config: { type: 'object' }
+};
+
+// template_type = notifikationstyp (routed, complaint...) eller "default"
+const EMAIL_TEMPLATE_FIELDS = {
+  template_name: { type: 'string', required: true, maxLength: 100 },
+  template_type: { type: 'string', required: true, maxLength: 50 },
+  subject: { type: 'string', required: true, maxLength: 200 },
+  html_body: { type: 'string', required: true, maxLength: 100000 }
+};
+
+const ANALYSIS_CONFIG_FIELDS = {
+  enable_analysis: { type: 'boolean' },
+  min_messages_before_analysis: { type: 'integer', min: 0, max: 100 },
+  email_pattern: { type: 'pattern', nullable: true },
+  phone_pattern: { type: 'pattern', nullable: true },
+  complaint_keywords: { type: 'keywords' },
+  human_request_keywords: { type: 'keywords' },
+  special_request_keywords: { type: 'keywords' },
+  ai_unsure_patterns: { type: 'keywords' },
+  staff_email: { type: 'email', nullable: true },
+  from_email: { type: 'email' },
+  from_name: { type: 'string', maxLength: 100 }
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function validateField(spec, value) {
+  if (value === null) {
+    return spec.nullable ? { value: null } : { error: 'may not be null' };
+  }
+
+  switch (spec.type) {
+    case 'string':
+    case 'slug':
+    case 'email':
+    case 'pattern': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      const text = value.trim();
+      if (!text) return spec.nullable ? { value: null } : { error: 'may not be empty' };
+      if (spec.maxLength && text.length > spec.maxLength) return { error: `must be at most ${spec.maxLength} characters` };
+      if (spec.enum && !spec.enum.includes(text)) return { error: `must be one of: ${spec.enum.join(', ')}` };
+      if (spec.type === 'slug' && !SLUG_PATTERN.test(text)) return { error: 'must be lowercase letters, digits and dashes' };
+      if (spec.type === 'email' && !EMAIL_PATTERN.test(text)) return { error: 'must be a valid email address' };
+      if (spec.type === 'pattern' && !compilePattern(text)) return { error: 'must be a valid regular expression without nested quantifiers' };
+      return { value: text };
+    }
+
+    case 'number':
+    case 'integer': {
+      const valid = spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (typeof value !== 'number' || !valid) return { error: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}` };
+      if (value < spec.min || value > spec.max) return { error: `must be between ${spec.min} and ${spec.max}` };
+      return { value };
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+
+    case 'uuid':
+      return typeof value === 'string' && UUID_PATTERN.test(value) ? { value } : { error: 'must be a UUID' };
+
+    case 'timestamp': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return { error: 'must be an ISO 8601 timestamp' };
+      if (date <= new Date()) return { error: 'must be in the future' };
+      return { value: date };
+    }
+
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? { value } : { error: 'must be an object' };
+
+    case 'keywords': {
+      // Lagras kommaseparerat - acceptera både "a,b" och ["a", "b"]
+      const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+      if (!list || list.some(item => typeof item !== 'string')) return { error: 'must be a comma-separated string or an array of strings' };
+      return { value: list.map(item => item.trim()).filter(Boolean).join(',') };
+    }
+
+    default:
+      return { error: `unsupported type ${spec.type}` };
+  }
+}
+
+/**
+ * Validate a request body against a field definition
+ *
+ * @param {object} fields - *_FIELDS
+ * @param {object} input - Request body
+ * @param {{ partial?: boolean }} options - partial = PATCH (required-fält kan utelämnas)
+ * @returns {{ values: object, errors: Array<{ field, message }> }}
+ */
+export function validateInput(fields, input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [{ field: null, message: 'Body must be a JSON object' }] };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!fields[key]) {
+      errors.push({ field: key, message: 'unknown field' });
+    }
+  }
+
+  for (const [key, spec] of Object.entries(fields)) {
+    if (input[key] === undefined) {
+      if (spec.required && !partial) errors.push({ field: key, message: 'is required' });
+      continue;
+    }
+
+    const result = validateField(spec, input[key]);
+    if (result.error) {
+      errors.push({ field: key, message: result.error });
+    } else {
+      values[key] = result.value;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push({ field: null, message: 'No fields to update' });
+  }
+
+  return { values, errors };
+}
+
+function validationError(errors) {
+  return { error: 'Validation failed', status: 400, details: errors };
+}
+
+// ============================================
+// QUERY HELPER
+// ============================================
+
+/**
+ * Kör en query med boundary logs - samma mönster som db.js
+ */
+async function runQuery(operation, requestId, details, fn) {
+  const db = getDb();
+  const logger = adminLogger.child({ requestId, operation });
+  const timer = createTimer();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', details);
+
+  try {
+    const result = await fn(db);
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: true });
+    return result;
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    if (error.code !== UNIQUE_VIOLATION && error.code !== FOREIGN_KEY_VIOLATION) {
+      logError(logger, error, { operation, ...details });
+    }
+    throw error;
+  }
+}
+
+// ============================================
+// CUSTOMERS
+// ============================================
+
+/**
+ * List customers
+ *
+ * @param {string[]|null} customerIds - null = alla (superadmin)
+ */
+export async function listCustomers(customerIds, requestId) {
+  const customers = await runQuery('listCustomers', requestId, { query: 'SELECT customers', filtered: customerIds !== null }, (db) => db`
+    SELECT c.id, c.name, c.slug, c.plan, c.organization_id, c.logo_url, c.created_at, c.updated_at,
+           ai.ai_name,
+           (SELECT COUNT(*)::int FROM customer_companions cc WHERE cc.customer_id = c.id) AS companion_count
+    FROM customers c
+    LEFT JOIN customer_ai_config ai ON ai.customer_id = c.id
+    ${customerIds === null ? db`` : db`WHERE c.id = ANY(${customerIds}::uuid[])`}
+    ORDER BY c.created_at ASC
+  `);
+
+  return { customers };
+}
+
+/**
+ * Hämta kund med AI-config, companions och analys-config
+ */
+export async function getCustomerDetails(customerId, requestId) {
+  if (!UUID_PATTERN.test(customerId)) {
+    return { error: 'Customer not found', status: 404 };
+  }
+
+  return runQuery('getCustomerDetails', requestId, { query: 'SELECT customer + config', customerId: customerId.substring(0, 8) }, async (db) => {
+    const [customer] = await db`SELECT * FROM customers WHERE id = ${customerId}`;
+    if (!customer) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const [aiConfig] = await db`SELECT * FROM customer_ai_config WHERE customer_id = ${customerId}`;
+    const companions = await db`
+      SELECT * FROM customer_companions WHERE customer_id = ${customerId} ORDER BY created_at ASC
+    `;
+    const [analysisConfig] = await db`SELECT * FROM customer_analysis_config WHERE customer_id = ${customerId}`;
+
+    return {
+      customer: {
+        ...customer,
+        aiConfig: aiConfig || null,
+        companions,
+        analysisConfig: analysisConfig || null
+      }
+    };
+  });
+}
+
+async function isSlugTaken(db, slug, excludeId = null) {
+  const rows = await db`
+    SELECT id FROM customers
+    WHERE slug = ${slug}
+      AND (${excludeId}::uuid IS NULL OR id <> ${excludeId}::uuid)
+    LIMIT 1
+  `;
+  return rows.length > 0;
+}
+
+function slugConflict(slug) {
+  return { error: `Slug "${slug}" is already in use`, status: 409 };
+}
+
+export async function createCustomer(input, requestId) {
+  const { values, errors } = validateInput(CUSTOMER_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+
+  try {
+    return await runQuery('createCustomer', requestId, { query: 'INSERT customer', slug: values.slug }, async (db) => {
+      if (await isSlugTaken(db, values.slug)) {
+        return slugConflict(values.slug);
+      }
+
+      const [customer] = await db`
+        INSERT INTO customers ${db(values)}
+        RETURNING *
+      `;
+      return { customer };
+    });
+  } catch (error) {
+    // Två samtidiga requests kan passera isSlugTaken
+    if (error.code === UNIQUE_VIOLATION) return slugConflict(values.slug);
+    throw error;
+  }
+}
+
+export async function updateCustomer(customerId, input, requestId) {
+  if (!UUID_PATTERN.test(customerId)) {
+    return { error: 'Customer not found', status: 404 };
+  }
+
+  const { values, errors } = validateInput(CUSTOMER_FIELDS, input, { partial: true });
+  if (errors.length > 0) return validationError(errors);
+
+  try {
+    return await runQuery('updateCustomer', requestId, { query: 'UPDATE customer', customerId: customerId.substring(0, 8), fields: Object.keys(values) }, async (db) => {
+      if (values.slug && await isSlugTaken(db, values.slug, customerId)) {
+        return slugConflict(values.slug);
+      }
+
+      const [customer] = await db`
+        UPDATE customers
+        SET ${db(values)}, updated_at = NOW()
+        WHERE id = ${customerId}
+        RETURNING *
+      `;
+      return customer ? { customer } : { error: 'Customer not found', status: 404 };
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) return slugConflict(values.slug);
+    throw error;
+  }
+}
+
+/**
+ * Delete a customer - config, companions och sessioner följer med (ON DELETE CASCADE)
+ */
+export async function deleteCustomer(customerId, requestId) {
+  if (!UUID_PATTERN.test(customerId)) {
+    return { error: 'Customer not found', status: 404 };
+  }
+
+  const rows = await runQuery('deleteCustomer', requestId, { query: 'DELETE customer', customerId: customerId.substring(0, 8) }, (db) => db`
+    DELETE FROM customers WHERE id = ${customerId} RETURNING id, slug
+  `);
+
+  return rows[0] ? { deleted: rows[0] } : { error: 'Customer not found', status: 404 };
+}
+
+// ============================================
+// AI CONFIG / ANALYSIS CONFIG (en rad per kund)
+// ============================================
+
+async function customerExists(db, customerId) {
+  if (!UUID_PATTERN.test(customerId)) return false;
+  const rows = await db`SELECT 1 FROM customers WHERE id = ${customerId}`;
+  return rows.length > 0;
+}
+
+const SINGLE_CONFIG_TABLES = {
+  aiConfig: { table: 'customer_ai_config', fields: AI_CONFIG_FIELDS },
+  analysisConfig: { table: 'customer_analysis_config', fields: ANALYSIS_CONFIG_FIELDS }
+};
+
+/**
+ * Get per-customer config row
+ *
+ * @param {'aiConfig'|'analysisConfig'} kind
+ */
+export async function getCustomerConfig(kind, customerId, requestId) {
+  const { table } = SINGLE_CONFIG_TABLES[kind];
+
+  return runQuery(`get_${table}`, requestId, { query: `SELECT ${table}`, customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const [config] = await db`SELECT * FROM ${db(table)} WHERE customer_id = ${customerId}`;
+    return config ? { config } : { error: 'Config not found', status: 404 };
+  });
+}
+
+/**
+ * Create or update per-customer config (PUT)
+ *
+ * Fält som utelämnas behåller sitt värde (eller tabellens default vid insert).
+ */
+export async function upsertCustomerConfig(kind, customerId, input, requestId) {
+  const { table, fields } = SINGLE_CONFIG_TABLES[kind];
+
+  const { values, errors } = validateInput(fields, input, { partial: true });
+  if (errors.length > 0) return validationError(errors);
+
+  return runQuery(`upsert_${table}`, requestId, { query: `UPSERT ${table}`, customerId: customerId.substring(0, 8), fields: Object.keys(values) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const [config] = await db`
+      INSERT INTO ${db(table)} ${db({ customer_id: customerId, ...values })}
+      ON CONFLICT (customer_id) DO UPDATE
+      SET ${db(values)}, updated_at = NOW()
+      RETURNING *, (xmax = 0) AS created
+    `;
+
+    const { created, ...row } = config;
+    return { config: row, created };
+  });
+}
+
+// ============================================
+// COMPANIONS
+// ============================================
+
+function companionConflict(key) {
+  return { error: `Companion "${key}" already exists for this customer`, status: 409 };
+}
+
+export async function listCompanions(customerId, requestId) {
+  return runQuery('listCompanions', requestId, { query: 'SELECT companions', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const companions = await db`
+      SELECT * FROM customer_companions WHERE customer_id = ${customerId} ORDER BY created_at ASC
+    `;
+    return { companions };
+  });
+}
+
+/**
+ * Endast en default-companion per kund - övriga nollställs i samma transaktion
+ */
+async function clearOtherDefaults(tx, customerId, companionKey) {
+  await tx`
+    UPDATE customer_companions
+    SET is_default = false, updated_at = NOW()
+    WHERE customer_id = ${customerId} AND companion_key <> ${companionKey} AND is_default = true
+  `;
+}
+
+export async function createCompanion(customerId, input, requestId) {
+  const { values, errors } = validateInput(COMPANION_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+
+  try {
+    return await runQuery('createCompanion', requestId, { query: 'INSERT companion', customerId: customerId.substring(0, 8), companionKey: values.companion_key }, async (db) => {
+      if (!await customerExists(db, customerId)) {
+        return { error: 'Customer not found', status: 404 };
+      }
+
+      return db.begin(async (tx) => {
+        const existing = await tx`
+          SELECT 1 FROM customer_companions
+          WHERE customer_id = ${customerId} AND companion_key = ${values.companion_key}
+        `;
+        if (existing.length > 0) {
+          return companionConflict(values.companion_key);
+        }
+
+        if (values.is_default) {
+          await clearOtherDefaults(tx, customerId, values.companion_key);
+        }
+
+        const [companion] = await tx`
+          INSERT INTO customer_companions ${tx({ customer_id: customerId, ...values })}
+          RETURNING *
+        `;
+        return { companion };
+      });
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) return companionConflict(values.companion_key);
+    throw error;
+  }
+}
+
+export async function updateCompanion(customerId, companionKey, input, requestId) {
+  const { values, errors } = validateInput(COMPANION_FIELDS, input, { partial: true });
+  if (errors.length > 0) return validationError(errors);
+
+  const newKey = values.companion_key ?? companionKey;
+
+  try {
+    return await runQuery('updateCompanion', requestId, { query: 'UPDATE companion', customerId: customerId.substring(0, 8), companionKey, fields: Object.keys(values) }, async (db) => {
+      if (!await customerExists(db, customerId)) {
+        return { error: 'Customer not found', status: 404 };
+      }
+
+      return db.begin(async (tx) => {
+        if (newKey !== companionKey) {
+          const existing = await tx`
+            SELECT 1 FROM customer_companions
+            WHERE customer_id = ${customerId} AND companion_key = ${newKey}
+          `;
+          if (existing.length > 0) return companionConflict(newKey);
+        }
+
+        if (values.is_default) {
+          await clearOtherDefaults(tx, customerId, companionKey);
+        }
+
+        const [companion] = await tx`
+          UPDATE customer_companions
+          SET ${tx(values)}, updated_at = NOW()
+          WHERE customer_id = ${customerId} AND companion_key = ${companionKey}
+          RETURNING *
+        `;
+        return companion ? { companion } : { error: 'Companion not found', status: 404 };
+      });
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) return companionConflict(newKey);
+    throw error;
+  }
+}
+
+export async function deleteCompanion(customerId, companionKey, requestId) {
+  if (!UUID_PATTERN.test(customerId)) {
+    return { error: 'Customer not found', status: 404 };
+  }
+
+  const rows = await runQuery('deleteCompanion', requestId, { query: 'DELETE companion', customerId: customerId.substring(0, 8), companionKey }, (db) => db`
+    DELETE FROM customer_companions
+    WHERE customer_id = ${customerId} AND companion_key = ${companionKey}
+    RETURNING id, companion_key
+  `);
+
+  return rows[0] ? { deleted: rows[0] } : { error: 'Companion not found', status: 404 };
+}
+
+// ============================================
+// API KEYS
+// ============================================
+
+export async function listApiKeys(customerId, requestId) {
+  return runQuery('listApiKeys', requestId, { query: 'SELECT api_keys', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    // Aldrig key_hash ut ur API:t
+    const apiKeys = await db`
+      SELECT id, name, key_prefix, role, created_by, last_used_at, expires_at, revoked_at, created_at
+      FROM api_keys
+      WHERE customer_id = ${customerId}
+      ORDER BY created_at ASC
+    `;
+    return { apiKeys };
+  });
+}
+
+/**
+ * Create an API key - klartextnyckeln returneras endast i detta svar
+ */
+export async function createApiKey(customerId, input, createdBy, requestId) {
+  const { values, errors } = validateInput(API_KEY_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+
+  return runQuery('createApiKey', requestId, { query: 'INSERT api_key', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const [apiKey] = await db`
+      INSERT INTO api_keys ${db({
+        customer_id: customerId,
+        key_prefix: prefix,
+        key_hash: hash,
+        created_by: createdBy,
+        ...values
+      })}
+      RETURNING id, name, key_prefix, role, created_by, expires_at, created_at
+    `;
+    return { apiKey: { ...apiKey, key } };
+  });
+}
+
+export async function revokeApiKey(customerId, keyId, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(keyId)) {
+    return { error: 'API key not found', status: 404 };
+  }
+
+  const rows = await runQuery('revokeApiKey', requestId, { query: 'UPDATE api_key', keyId: keyId.substring(0, 8) }, (db) => db`
+    UPDATE api_keys SET revoked_at = NOW()
+    WHERE id = ${keyId} AND customer_id = ${customerId} AND revoked_at IS NULL
+    RETURNING id, name, key_prefix, revoked_at
+  `);
+
+  return rows[0] ? { revoked: rows[0] } : { error: 'API key not found', status: 404 };
+}
+
+// ============================================
+// CUSTOMER ACTIONS (regler, se customerActions.js)
+// ============================================
+
+export async function listActions(customerId, requestId) {
+  return runQuery('listActions', requestId, { query: 'SELECT customer_actions', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const actions = await db`
+      SELECT * FROM customer_actions
+      WHERE customer_id = ${customerId}
+      ORDER BY priority ASC, created_at ASC
+    `;
+    return { actions };
+  });
+}
+
+export async function createAction(customerId, input, requestId) {
+  const { values, errors } = validateInput(ACTION_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+
+  const actionErrors = validateAction(values);
+  if (actionErrors.length > 0) return validationError(actionErrors);
+
+  return runQuery('createAction', requestId, { query: 'INSERT customer_action', customerId: customerId.substring(0, 8), actionType: values.action_type }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const [action] = await db`
+      INSERT INTO customer_actions ${db({ customer_id: customerId, ...values })}
+      RETURNING *
+    `;
+    return { action };
+  });
+}
+
+/**
+ * Update an action - trigger och action valideras tillsammans med befintliga värden
+ */
+export async function updateAction(customerId, actionId, input, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(actionId)) {
+    return { error: 'Action not found', status: 404 };
+  }
+
+  const { values, errors } = validateInput(ACTION_FIELDS, input, { partial: true });
+  if (errors.length > 0) return validationError(errors);
+
+  return runQuery('updateAction', requestId, { query: 'UPDATE customer_action', actionId: actionId.substring(0, 8), fields: Object.keys(values) }, async (db) => {
+    return db.begin(async (tx) => {
+      const [existing] = await tx`
+        SELECT * FROM customer_actions
+        WHERE id = ${actionId} AND customer_id = ${customerId}
+        FOR UPDATE
+      `;
+      if (!existing) return { error: 'Action not found', status: 404 };
+
+      const actionErrors = validateAction({ ...existing, ...values });
+      if (actionErrors.length > 0) return validationError(actionErrors);
+
+      const [action] = await tx`
+        UPDATE customer_actions
+        SET ${tx(values)}, updated_at = NOW()
+        WHERE id = ${actionId}
+        RETURNING *
+      `;
+      return { action };
+    });
+  });
+}
+
+export async function deleteAction(customerId, actionId, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(actionId)) {
+    return { error: 'Action not found', status: 404 };
+  }
+
+  const rows = await runQuery('deleteAction', requestId, { query: 'DELETE customer_action', actionId: actionId.substring(0, 8) }, (db) => db`
+    DELETE FROM customer_actions
+    WHERE id = ${actionId} AND customer_id = ${customerId}
+    RETURNING id, trigger_type, action_type
+  `);
+
+  return rows[0] ? { deleted: rows[0] } : { error: 'Action not found', status: 404 };
+}
+
+// ============================================
+// TEAMS
+// ============================================
+
+/**
+ * Endast ett default-team per kund (routing.js faller tillbaka på det)
+ */
+async function clearOtherDefaultTeams(tx, customerId, teamId) {
+  await tx`
+    UPDATE teams
+    SET is_default = false, updated_at = NOW()
+    WHERE customer_id = ${customerId} AND id <> ${teamId} AND is_default = true
+  `;
+}
+
+export async function listTeams(customerId, requestId) {
+  return runQuery('listTeams', requestId, { query: 'SELECT teams', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const teams = await db`
+      SELECT t.*,
+             (SELECT COUNT(*)::int FROM user_memberships m WHERE m.team_id = t.id) AS member_count
+      FROM teams t
+      WHERE t.customer_id = ${customerId}
+      ORDER BY t.created_at ASC
+    `;
+    return { teams };
+  });
+}
+
+export async function createTeam(customerId, input, requestId) {
+  const { values, errors } = validateInput(TEAM_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+
+  return runQuery('createTeam', requestId, { query: 'INSERT team', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    return db.begin(async (tx) => {
+      const [team] = await tx`
+        INSERT INTO teams ${tx({ customer_id: customerId, ...values })}
+        RETURNING *
+      `;
+      if (values.is_default) {
+        await clearOtherDefaultTeams(tx, customerId, team.id);
+      }
+      return { team };
+    });
+  });
+}
+
+export async function updateTeam(customerId, teamId, input, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(teamId)) {
+    return { error: 'Team not found', status: 404 };
+  }
+
+  const { values, errors } = validateInput(TEAM_FIELDS, input, { partial: true });
+  if (errors.length > 0) return validationError(errors);
+
+  return runQuery('updateTeam', requestId, { query: 'UPDATE team', teamId: teamId.substring(0, 8), fields: Object.keys(values) }, async (db) => {
+    return db.begin(async (tx) => {
+      const [team] = await tx`
+        UPDATE teams
+        SET ${tx(values)}, updated_at = NOW()
+        WHERE id = ${teamId} AND customer_id = ${customerId}
+        RETURNING *
+      `;
+      if (!team) return { error: 'Team not found', status: 404 };
+
+      if (values.is_default) {
+        await clearOtherDefaultTeams(tx, customerId, teamId);
+      }
+      return { team };
+    });
+  });
+}
+
+/**
+ * Delete a team - avvisas (409) så länge sessioner, regler eller medlemmar pekar på det
+ */
+export async function deleteTeam(customerId, teamId, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(teamId)) {
+    return { error: 'Team not found', status: 404 };
+  }
+
+  try {
+    const rows = await runQuery('deleteTeam', requestId, { query: 'DELETE team', teamId: teamId.substring(0, 8) }, (db) => db`
+      DELETE FROM teams
+      WHERE id = ${teamId} AND customer_id = ${customerId}
+      RETURNING id, name
+    `);
+
+    return rows[0] ? { deleted: rows[0] } : { error: 'Team not found', status: 404 };
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return { error: 'Team is still referenced by sessions, escalations, routing rules or memberships', status: 409 };
+    }
+    throw error;
+  }
+}
+
+// ============================================
+// ROUTING RULES (se routing.js)
+// ============================================
+
+/**
+ * Team måste tillhöra kunden och användaren måste ha tillgång till den
+ */
+async function validateRouteTargets(db, customerId, rule) {
+  const errors = [];
+  const { teamValid, userValid } = await checkAssignmentTargets(db, customerId, {
+    teamId: rule.route_to_team_id,
+    userId: rule.route_to_user_id
+  });
+
+  if (!teamValid) {
+    errors.push({ field: 'route_to_team_id', message: 'team not found for this customer' });
+  }
+  if (!userValid) {
+    errors.push({ field: 'route_to_user_id', message: 'user has no membership for this customer' });
+  }
+
+  return errors;
+}
+
+export async function listRoutingRules(customerId, requestId) {
+  return runQuery('listRoutingRules', requestId, { query: 'SELECT routing_rules', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const rules = await db`
+      SELECT * FROM routing_rules
+      WHERE customer_id = ${customerId}
+      ORDER BY priority ASC, created_at ASC
+    `;
+    return { rules };
+  });
+}
+
+export async function createRoutingRule(customerId, input, createdBy, requestId) {
+  const { values, errors } = validateInput(ROUTING_RULE_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+
+  const ruleErrors = validateRoutingRule(values);
+  if (ruleErrors.length > 0) return validationError(ruleErrors);
+
+  return runQuery('createRoutingRule', requestId, { query: 'INSERT routing_rule', customerId: customerId.substring(0, 8), triggerType: values.trigger_type }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const targetErrors = await validateRouteTargets(db, customerId, values);
+    if (targetErrors.length > 0) return validationError(targetErrors);
+
+    const [rule] = await db`
+      INSERT INTO routing_rules ${db({ customer_id: customerId, created_by: createdBy || null, ...values })}
+      RETURNING *
+    `;
+    return { rule };
+  });
+}
+
+/**
+ * Update a routing rule - trigger_config valideras mot den sammanslagna raden
+ */
+export async function updateRoutingRule(customerId, ruleId, input, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(ruleId)) {
+    return { error: 'Routing rule not found', status: 404 };
+  }
+
+  const { values, errors } = validateInput(ROUTING_RULE_FIELDS, input, { partial: true });
+  if (errors.length > 0) return validationError(errors);
+
+  return runQuery('updateRoutingRule', requestId, { query: 'UPDATE routing_rule', ruleId: ruleId.substring(0, 8), fields: Object.keys(values) }, async (db) => {
+    return db.begin(async (tx) => {
+      const [existing] = await tx`
+        SELECT * FROM routing_rules
+        WHERE id = ${ruleId} AND customer_id = ${customerId}
+        FOR UPDATE
+      `;
+      if (!existing) return { error: 'Routing rule not found', status: 404 };
+
+      const ruleErrors = validateRoutingRule({ ...existing, ...values });
+      if (ruleErrors.length > 0) return validationError(ruleErrors);
+
+      const targetErrors = await validateRouteTargets(tx, customerId, values);
+      if (targetErrors.length > 0) return validationError(targetErrors);
+
+      const [rule] = await tx`
+        UPDATE routing_rules
+        SET ${tx(values)}, updated_at = NOW()
+        WHERE id = ${ruleId}
+        RETURNING *
+      `;
+      return { rule };
+    });
+  });
+}
+
+export async function deleteRoutingRule(customerId, ruleId, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(ruleId)) {
+    return { error: 'Routing rule not found', status: 404 };
+  }
+
+  const rows = await runQuery('deleteRoutingRule', requestId, { query: 'DELETE routing_rule', ruleId: ruleId.substring(0, 8) }, (db) => db`
+    DELETE FROM routing_rules
+    WHERE id = ${ruleId} AND customer_id = ${customerId}
+    RETURNING id, name
+  `);
+
+  return rows[0] ? { deleted: rows[0] } : { error: 'Routing rule not found', status: 404 };
+}
+
+// ============================================
+// EMAIL TEMPLATES (se notificationWorker.js)
+// ============================================
+
+function validateTemplateVariables(values) {
+  const errors = [];
+  for (const field of ['subject', 'html_body']) {
+    const unknown = values[field] ? findUnknownVariables(values[field]) : [];
+    if (unknown.length > 0) {
+      errors.push({ field, message: `unknown variables: ${unknown.join(', ')}` });
+    }
+  }
+  return errors;
+}
+
+export async function listEmailTemplates(customerId, requestId) {
+  return runQuery('listEmailTemplates', requestId, { query: 'SELECT email_templates', customerId: customerId.substring(0, 8) }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const templates = await db`
+      SELECT * FROM email_templates
+      WHERE customer_id = ${customerId}
+      ORDER BY template_type ASC, created_at ASC
+    `;
+    return { templates };
+  });
+}
+
+export async function createEmailTemplate(customerId, input, requestId) {
+  const { values, errors } = validateInput(EMAIL_TEMPLATE_FIELDS, input);
+  if (errors.length > 0) return validationError(errors);
+
+  const variableErrors = validateTemplateVariables(values);
+  if (variableErrors.length > 0) return validationError(variableErrors);
+
+  return runQuery('createEmailTemplate', requestId, { query: 'INSERT email_template', customerId: customerId.substring(0, 8), templateType: values.template_type }, async (db) => {
+    if (!await customerExists(db, customerId)) {
+      return { error: 'Customer not found', status: 404 };
+    }
+
+    const [template] = await db`
+      INSERT INTO email_templates ${db({ customer_id: customerId, ...values })}
+      RETURNING *
+    `;
+    return { template };
+  });
+}
+
+export async function updateEmailTemplate(customerId, templateId, input, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(templateId)) {
+    return { error: 'Email template not found', status: 404 };
+  }
+
+  const { values, errors } = validateInput(EMAIL_TEMPLATE_FIELDS, input, { partial: true });
+  if (errors.length > 0) return validationError(errors);
+
+  const variableErrors = validateTemplateVariables(values);
+  if (variableErrors.length > 0) return validationError(variableErrors);
+
+  const rows = await runQuery('updateEmailTemplate', requestId, { query: 'UPDATE email_template', templateId: templateId.substring(0, 8), fields: Object.keys(values) }, (db) => db`
+    UPDATE email_templates
+    SET ${db(values)}, updated_at = NOW()
+    WHERE id = ${templateId} AND customer_id = ${customerId}
+    RETURNING *
+  `);
+
+  return rows[0] ? { template: rows[0] } : { error: 'Email template not found', status: 404 };
+}
+
+export async function deleteEmailTemplate(customerId, templateId, requestId) {
+  if (!UUID_PATTERN.test(customerId) || !UUID_PATTERN.test(templateId)) {
+    return { error: 'Email template not found', status: 404 };
+  }
+
+  const rows = await runQuery('deleteEmailTemplate', requestId, { query: 'DELETE email_template', templateId: templateId.substring(0, 8) }, (db) => db`
+    DELETE FROM email_templates
+    WHERE id = ${templateId} AND customer_id = ${customerId}
+    RETURNING id, template_name, template_type
+  `);
+
+  return rows[0] ? { deleted: rows[0] } : { error: 'Email template not found', status: 404 };
+}
@@ -0,0 +1,238 @@
+/**
+ * Usage - token- och kostnadstak per kund
+ *
+ * Alla LLM-anrop i chatflödet (chat, judge, sammanfattning) räknas på
+ * kunden i customer_usage - en rad per UTC-dag och en per UTC-månad.
+ * Innan ett nytt meddelande behandlas jämförs räknarna med planens gränser
+ * (customers.plan → PLAN_LIMITS). Är ett tak nått svarar vi vänligt på
+ * tenantens språk istället för att anropa modellen.
+ *
+ * Kontrollen görs före anropen och räknarna uppdateras efter, så samtidiga
+ * requests kan dra över taket med högst ett svar var.
+ */
+
+import { getDb } from './db.js';
+import { createComponentLogger, createTimer, boundaryLog, logError } from './logger.js';
+
+const usageLogger = createComponentLogger('usage');
+
+// Gränser per plan (null = obegränsat). Nycklarna är även giltiga värden för customers.plan.
+export const PLAN_LIMITS = {
+  trial: { dailyTokens: 50_000, monthlyTokens: 500_000, dailyCostEur: 0.05, monthlyCostEur: 0.5 },
+  free: { dailyTokens: 20_000, monthlyTokens: 200_000, dailyCostEur: 0.02, monthlyCostEur: 0.2 },
+  starter: { dailyTokens: 200_000, monthlyTokens: 3_000_000, dailyCostEur: 0.2, monthlyCostEur: 3 },
+  professional: { dailyTokens: 1_000_000, monthlyTokens: 20_000_000, dailyCostEur: 1, monthlyCostEur: 20 },
+  enterprise: { dailyTokens: null, monthlyTokens: null, dailyCostEur: null, monthlyCostEur: null }
+};
+
+// Samma som default för customers.plan
+const DEFAULT_PLAN = 'starter';
+
+const LIMIT_RESPONSES = {
+  sv: 'Tyvärr kan jag inte svara just nu eftersom tjänsten har nått sin användningsgräns. Försök gärna igen senare eller kontakta oss direkt.',
+  no: 'Beklager, jeg kan ikke svare akkurat nå fordi tjenesten har nådd bruksgrensen sin. Prøv gjerne igjen senere eller kontakt oss direkte.',
+  nb: 'Beklager, jeg kan ikke svare akkurat nå fordi tjenesten har nådd bruksgrensen sin. Prøv gjerne igjen senere eller kontakt oss direkte.',
+  nn: 'Beklagar, eg kan ikkje svare akkurat no fordi tenesta har nådd bruksgrensa si. Prøv gjerne igjen seinare eller kontakt oss direkte.',
+  da: 'Beklager, jeg kan ikke svare lige nu, fordi tjenesten har nået sin forbrugsgrænse. Prøv gerne igen senere eller kontakt os direkte.',
+  fi: 'Valitettavasti en voi vastata juuri nyt, koska palvelun käyttöraja on täynnä. Yritä myöhemmin uudelleen tai ota meihin yhteyttä suoraan.',
+  en: "Sorry, I can't reply right now because this service has reached its usage limit. Please try again later or contact us directly.",
+  de: 'Leider kann ich gerade nicht antworten, weil der Dienst sein Nutzungslimit erreicht hat. Bitte versuchen Sie es später erneut oder kontaktieren Sie uns direkt.'
+};
+
+export function getPlanLimits(plan) {
+  return PLAN_LIMITS[plan] || PLAN_LIMITS[DEFAULT_PLAN];
+}
+
+/**
+ * Localized refusal when a cap is reached
+ */
+export function getUsageLimitResponse(language) {
+  return LIMIT_RESPONSES[language] || LIMIT_RESPONSES.sv;
+}
+
+/**
+ * Current UTC day and month with reset times
+ */
+function currentPeriods(now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+
+  return {
+    day: {
+      start: new Date(Date.UTC(year, month, date)).toISOString().slice(0, 10),
+      resetsAt: new Date(Date.UTC(year, month, date + 1)).toISOString()
+    },
+    month: {
+      start: new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10),
+      resetsAt: new Date(Date.UTC(year, month + 1, 1)).toISOString()
+    }
+  };
+}
+
+function buildPeriodStatus(period, row, tokenLimit, costLimit) {
+  return {
+    start: period.start,
+    resetsAt: period.resetsAt,
+    requests: row?.requests || 0,
+    promptTokens: row?.prompt_tokens || 0,
+    completionTokens: row?.completion_tokens || 0,
+    totalTokens: row?.total_tokens || 0,
+    costEur: row?.cost_eur || 0,
+    limits: { tokens: tokenLimit, costEur: costLimit }
+  };
+}
+
+/**
+ * First cap that has been reached, or null
+ */
+function findExceeded(status) {
+  for (const periodName of ['day', 'month']) {
+    const period = status[periodName];
+    if (period.limits.tokens !== null && period.totalTokens >= period.limits.tokens) {
+      return { period: periodName, metric: 'tokens', used: period.totalTokens, limit: period.limits.tokens, resetsAt: period.resetsAt };
+    }
+    if (period.limits.costEur !== null && period.costEur >= period.limits.costEur) {
+      return { period: periodName, metric: 'costEur', used: period.costEur, limit: period.limits.costEur, resetsAt: period.resetsAt };
+    }
+  }
+  return null;
+}
+
+function buildStatus(customer, rows, periods) {
+  const plan = PLAN_LIMITS[customer.plan] ? customer.plan : DEFAULT_PLAN;
+  const limits = PLAN_LIMITS[plan];
+  const dayRow = rows.find(row => row.period === 'day');
+  const monthRow = rows.find(row => row.period === 'month');
+
+  const status = {
+    customerId: customer.id,
+    plan,
+    day: buildPeriodStatus(periods.day, dayRow, limits.dailyTokens, limits.dailyCostEur),
+    month: buildPeriodStatus(periods.month, monthRow, limits.monthlyTokens, limits.monthlyCostEur)
+  };
+  status.exceeded = findExceeded(status);
+  return status;
+}
+
+/**
+ * Usage for the current day and month against the plan's limits
+ *
+ * @param {string[]|null} customerIds - null = alla kunder (superadmin)
+ * @returns {Promise<{ usage: Array, dbTime: number }>}
+ */
+export async function listCustomerUsage(customerIds, requestId) {
+  const db = getDb();
+  const logger = usageLogger.child({ requestId, operation: 'listCustomerUsage' });
+  const timer = createTimer();
+  const periods = currentPeriods();
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', { query: 'SELECT customer_usage', filtered: customerIds !== null });
+
+  try {
+    const rows = await db`
+      SELECT
+        c.id, c.name, c.slug, c.plan,
+        u.period,
+        u.requests,
+        u.prompt_tokens::float8 AS prompt_tokens,
+        u.completion_tokens::float8 AS completion_tokens,
+        u.total_tokens::float8 AS total_tokens,
+        u.cost_eur::float8 AS cost_eur
+      FROM customers c
+      LEFT JOIN customer_usage u ON u.customer_id = c.id AND (
+        (u.period = 'day' AND u.period_start = ${periods.day.start}::date) OR
+        (u.period = 'month' AND u.period_start = ${periods.month.start}::date)
+      )
+      ${customerIds === null ? db`` : db`WHERE c.id = ANY(${customerIds}::uuid[])`}
+      ORDER BY c.created_at ASC
+    `;
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { rows: rows.length });
+
+    const byCustomer = new Map();
+    for (const row of rows) {
+      if (!byCustomer.has(row.id)) byCustomer.set(row.id, { customer: row, rows: [] });
+      if (row.period) byCustomer.get(row.id).rows.push(row);
+    }
+
+    const usage = [...byCustomer.values()].map(({ customer, rows: customerRows }) => ({
+      name: customer.name,
+      slug: customer.slug,
+      ...buildStatus(customer, customerRows, periods)
+    }));
+
+    return { usage, dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'listCustomerUsage' });
+    throw error;
+  }
+}
+
+/**
+ * Usage status for one customer (checked before each chat turn)
+ *
+ * @returns {Promise<{ status, dbTime } | null>} null om kunden inte finns
+ */
+export async function getCustomerUsage(customerId, requestId) {
+  const result = await listCustomerUsage([customerId], requestId);
+  const status = result.usage[0];
+  return status ? { status, dbTime: result.dbTime } : null;
+}
+
+/**
+ * Add one turn's LLM usage to the customer's day and month counters
+ *
+ * @param {{ input, output, total, costEur }} tokens - Summan av turens LLM-anrop
+ * @param {{ requests?: number }} options - requests = 0 för extra LLM-anrop i en tur som redan räknats
+ */
+export async function recordCustomerUsage(customerId, tokens, requestId, { requests = 1 } = {}) {
+  const db = getDb();
+  const logger = usageLogger.child({ requestId, operation: 'recordCustomerUsage' });
+  const timer = createTimer();
+  const periods = currentPeriods();
+
+  const values = [
+    [customerId, 'day', periods.day.start],
+    [customerId, 'month', periods.month.start]
+  ].map(([customer_id, period, period_start]) => ({
+    customer_id,
+    period,
+    period_start,
+    requests,
+    prompt_tokens: tokens.input || 0,
+    completion_tokens: tokens.output || 0,
+    total_tokens: tokens.total || 0,
+    cost_eur: tokens.costEur || 0
+  }));
+
+  boundaryLog.outgoing(logger, 'PostgreSQL', {
+    query: 'UPSERT customer_usage',
+    customerId: customerId?.substring(0, 8),
+    totalTokens: tokens.total
+  });
+
+  try {
+    await db`
+      INSERT INTO customer_usage ${db(values)}
+      ON CONFLICT (customer_id, period, period_start) DO UPDATE SET
+        requests = customer_usage.requests + EXCLUDED.requests,
+        prompt_tokens = customer_usage.prompt_tokens + EXCLUDED.prompt_tokens,
+        completion_tokens = customer_usage.completion_tokens + EXCLUDED.completion_tokens,
+        total_tokens = customer_usage.total_tokens + EXCLUDED.total_tokens,
+        cost_eur = customer_usage.cost_eur + EXCLUDED.cost_eur,
+        updated_at = NOW()
+    `;
+
+    const latencyMs = timer.elapsed();
+    boundaryLog.incoming(logger, 'PostgreSQL', latencyMs, { success: true });
+
+    return { dbTime: latencyMs };
+  } catch (error) {
+    boundaryLog.incoming(logger, 'PostgreSQL', timer.elapsed(), { success: false });
+    logError(logger, error, { operation: 'recordCustomerUsage' });
+    throw error;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Web Push - VAPID-signering (RFC 8292) och payload-kryptering (RFC 8291, aes128gcm)
+ *
+ * Protokollet mot push-tjänsterna (FCM, Mozilla autopush, Apple) utan extern
+ * dependency - samma roll som smtp.js har för e-post. Vilka prenumerationer
+ * som får vad avgörs i push.js.
+ *
+ * | Variabel            |                                                       |
+ * |---------------------|-------------------------------------------------------|
+ * | `VAPID_PUBLIC_KEY`  | base64url, okomprimerad P-256-punkt (65 byte)         |
+ * | `VAPID_PRIVATE_KEY` | base64url, 32 byte                                    |
+ * | `VAPID_SUBJECT`     | mailto: eller https: - kontakt för push-tjänsten      |
+ *
+ * Nycklar skapas med `npm run push:vapid-keys`. Utan nycklar skickas ingen push.
+ */
+
+import { createECDH, createPrivateKey, sign, hkdfSync, createCipheriv, randomBytes } from 'crypto';
+import { postOutbound } from './outbound.js';
+import { createComponentLogger } from './logger.js';
+
+const webPushLogger = createComponentLogger('webPush');
+
+const TIMEOUT_MS = 10000;
+const DEFAULT_SUBJECT = 'mailto:support@eryai.tech';
+const JWT_TTL_SECONDS = 12 * 60 * 60;  // Push-tjänsterna godtar max 24 h
+const RECORD_SIZE = 4096;
+// 4096 byte body - 86 byte header - 16 byte tag - 1 byte delimiter
+export const MAX_PAYLOAD_BYTES = 3993;
+
+let cachedConfig;
+
+function decodeKey(value) {
+  return typeof value === 'string' ? Buffer.from(value, 'base64url') : Buffer.alloc(0);
+}
+
+function loadSigningKey(publicKey, privateKey) {
+  const point = decodeKey(publicKey);
+  const d = decodeKey(privateKey);
+  if (point.length !== 65 || point[0] !== 0x04 || d.length === 0 || d.length > 32) {
+    throw new Error('expected a 65 byte public key and a 32 byte private key (base64url)');
+  }
+
+  return createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url'),
+      d: Buffer.concat([Buffer.alloc(32 - d.length), d]).toString('base64url')
+    },
+    format: 'jwk'
+  });
+}
+
+/**
+ * Read VAPID keys from the environment (en gång per process)
+ *
+ * @returns {{ publicKey, subject, signingKey } | null} null när nycklar saknas eller är ogiltiga
+ */
+export function getVapidConfig() {
+  if (cachedConfig !== undefined) return cachedConfig;
+
+  const { VAPID_PUBLIC_KEY: publicKey, VAPID_PRIVATE_KEY: privateKey } = process.env;
+  cachedConfig = null;
+  if (!publicKey || !privateKey) return cachedConfig;
+
+  try {
+    cachedConfig = {
+      publicKey,
+      subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT,
+      signingKey: loadSigningKey(publicKey, privateKey)
+    };
+  } catch (error) {
+    webPushLogger.error({ event: 'VAPID_KEYS_INVALID', error: error.message }, '❌ VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY are invalid - run "npm run push:vapid-keys"');
+  }
+  return cachedConfig;
+}
+
+/**
+ * New VAPID key pair (base64url, samma format som web-push-biblioteken)
+ */
+export function generateVapidKeys() {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: ecdh.getPublicKey('base64url'),
+    privateKey: ecdh.getPrivateKey().toString('base64url')
+  };
+}
+
+/**
+ * Giltiga nycklar från PushSubscription.toJSON() - p256dh en P-256-punkt, auth 16 byte
+ */
+export function isValidSubscriptionKeys(keys) {
+  const publicKey = decodeKey(keys?.p256dh);
+  if (decodeKey(keys?.auth).length !== 16 || publicKey.length !== 65) return false;
+
+  try {
+    const ecdh = createECDH('prime256v1');
+    ecdh.generateKeys();
+    ecdh.computeSecret(publicKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function base64Json(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Authorization-header: ES256-JWT med aud = push-tjänstens origin
+ */
+function vapidAuthorization(endpoint, vapid) {
+  const header = base64Json({ typ: 'JWT', alg: 'ES256' });
+  const claims = base64Json({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + JWT_TTL_SECONDS,
+    sub: vapid.subject
+  });
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key: vapid.signingKey, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${signature.toString('base64url')}, k=${vapid.publicKey}`;
+}
+
+/**
+ * Encrypt a payload for one subscription (aes128gcm, en record)
+ *
+ * Ny ECDH-nyckel och salt per meddelande. Headern bär salt, record size och
+ * vår publika nyckel så att webbläsaren kan härleda samma nyckel.
+ */
+export function encryptPayload(keys, payload) {
+  const userPublicKey = decodeKey(keys.p256dh);
+  const authSecret = decodeKey(keys.auth);
+
+  const ecdh = createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userPublicKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const salt = randomBytes(16);
+  const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 = sista (och enda) recorden, ingen padding
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([0x02])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header[20] = serverPublicKey.length;
+
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * Send one push message
+ *
+ * Nätverksfel och timeouts kastas (anroparen försöker igen). Endpointens adress
+ * kontrolleras vid anropet och redirects följs inte (outbound.js) - en 3xx är ett fel.
+ *
+ * @param {object} vapid - getVapidConfig()
+ * @param {{ endpoint: string, keys: { p256dh, auth } }} subscription
+ * @param {object} payload - skickas som JSON
+ * @param {{ ttlSeconds: number, urgency?: 'very-low'|'low'|'normal'|'high' }} options
+ * @returns {Promise<{ statusCode: number, sent: boolean, expired: boolean, retryable: boolean }>}
+ *   expired = 404/410, prenumerationen finns inte längre
+ */
+export async function sendPush(vapid, subscription, payload, { ttlSeconds, urgency = 'normal' }) {
+  const json = JSON.stringify(payload);
+  if (Buffer.byteLength(json) > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Push payload exceeds ${MAX_PAYLOAD_BYTES} bytes`);
+  }
+
+  const { status } = await postOutbound(subscription.endpoint, {
+    headers: {
+      Authorization: vapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: String(ttlSeconds),
+      Urgency: urgency
+    },
+    body: encryptPayload(subscription.keys, json),
+    timeoutMs: TIMEOUT_MS
+  });
+
+  return {
+    statusCode: status,
+    sent: status >= 200 && status < 300,
+    expired: status === 404 || status === 410,
+    retryable: status === 429 || status >= 500
+  };
+}
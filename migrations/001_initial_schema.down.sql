@@ -0,0 +1,23 @@
+-- 001_initial_schema (down)
+-- Tar bort HELA schemat - all data försvinner
+
+DROP TABLE IF EXISTS user_recovery_codes;
+DROP TABLE IF EXISTS user_invites;
+DROP TABLE IF EXISTS email_templates;
+DROP TABLE IF EXISTS session_escalations;
+DROP TABLE IF EXISTS routing_rules;
+DROP TABLE IF EXISTS push_subscriptions;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS chat_messages;
+DROP TABLE IF EXISTS chat_sessions;
+DROP TABLE IF EXISTS customer_actions;
+DROP TABLE IF EXISTS customer_analysis_config;
+DROP TABLE IF EXISTS customer_companions;
+DROP TABLE IF EXISTS customer_ai_config;
+DROP TABLE IF EXISTS dashboard_users;
+DROP TABLE IF EXISTS user_memberships;
+DROP TABLE IF EXISTS user_profiles;
+DROP TABLE IF EXISTS teams;
+DROP TABLE IF EXISTS customers;
+DROP TABLE IF EXISTS superadmins;
+DROP TABLE IF EXISTS organizations;
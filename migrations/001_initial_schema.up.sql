@@ -0,0 +1,295 @@
+-- 001_initial_schema
+-- Basschema - speglar Supabase-produktionen (tidigare lib/setup.js createTables)
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  plan TEXT DEFAULT 'free',
+  billing_email TEXT,
+  settings JSONB DEFAULT '{}',
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS superadmins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  organization_id UUID REFERENCES organizations(id),
+  plan VARCHAR DEFAULT 'starter',
+  logo_url TEXT,
+  settings JSONB DEFAULT '{}',
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS teams (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  is_default BOOLEAN DEFAULT false,
+  notification_settings JSONB DEFAULT '{"push": true, "email": true}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_profiles (
+  user_id UUID PRIMARY KEY,
+  email VARCHAR NOT NULL,
+  full_name VARCHAR,
+  avatar_url TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_memberships (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  organization_id UUID REFERENCES organizations(id),
+  customer_id UUID REFERENCES customers(id),
+  team_id UUID REFERENCES teams(id),
+  role TEXT NOT NULL DEFAULT 'member',
+  permissions JSONB DEFAULT '{}',
+  invited_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Legacy compatibility
+CREATE TABLE IF NOT EXISTS dashboard_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  customer_id UUID REFERENCES customers(id),
+  team_id UUID REFERENCES teams(id),
+  role TEXT DEFAULT 'admin',
+  status VARCHAR DEFAULT 'active',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS customer_ai_config (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  ai_name TEXT NOT NULL DEFAULT 'Assistant',
+  ai_role TEXT DEFAULT 'kundtjänst',
+  personality TEXT DEFAULT 'Vänlig och hjälpsam',
+  greeting TEXT DEFAULT 'Hej! Hur kan jag hjälpa dig?',
+  language TEXT DEFAULT 'sv',
+  system_prompt TEXT,
+  knowledge_base TEXT,
+  temperature NUMERIC DEFAULT 0.7,
+  max_tokens INTEGER DEFAULT 500,
+  llm_provider TEXT,
+  llm_model TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(customer_id)
+);
+
+-- Mimre/ElderCare
+CREATE TABLE IF NOT EXISTS customer_companions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  companion_key VARCHAR NOT NULL,
+  ai_name VARCHAR NOT NULL,
+  ai_role VARCHAR,
+  avatar VARCHAR,
+  greeting TEXT,
+  system_prompt TEXT NOT NULL,
+  knowledge_base TEXT,
+  personality VARCHAR,
+  language VARCHAR DEFAULT 'no',
+  temperature NUMERIC DEFAULT 0.7,
+  max_tokens INTEGER DEFAULT 500,
+  is_default BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(customer_id, companion_key)
+);
+
+CREATE TABLE IF NOT EXISTS customer_analysis_config (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  enable_analysis BOOLEAN DEFAULT true,
+  min_messages_before_analysis INTEGER DEFAULT 4,
+  email_pattern VARCHAR DEFAULT '/@/',
+  phone_pattern VARCHAR,
+  complaint_keywords TEXT DEFAULT 'klagomål,missnöjd,dålig,besviken,arg,fel,problem,klaga',
+  human_request_keywords TEXT DEFAULT 'prata med,tala med,personal,chef,människa,riktig person',
+  special_request_keywords TEXT DEFAULT 'kosher,halal,vegan,privat event,kalas,bröllop,firmafest,allergisk',
+  ai_unsure_patterns TEXT DEFAULT 'vet tyvärr inte,kan inte svara på,får du kontakta,rekommenderar att du ringer',
+  staff_email VARCHAR,
+  from_email VARCHAR DEFAULT 'sofia@eryai.tech',
+  from_name VARCHAR DEFAULT 'Sofia',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(customer_id)
+);
+
+CREATE TABLE IF NOT EXISTS customer_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  trigger_type TEXT NOT NULL,
+  trigger_value TEXT NOT NULL,
+  action_type TEXT NOT NULL,
+  action_config JSONB DEFAULT '{}',
+  priority INTEGER DEFAULT 10,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  visitor_id TEXT,
+  session_start TIMESTAMPTZ DEFAULT NOW(),
+  session_end TIMESTAMPTZ,
+  message_count INTEGER DEFAULT 0,
+  metadata JSONB DEFAULT '{}',
+  status TEXT DEFAULT 'active',
+  needs_human BOOLEAN DEFAULT false,
+  visitor_typing BOOLEAN DEFAULT false,
+  staff_typing BOOLEAN DEFAULT false,
+  suspicious BOOLEAN DEFAULT false,
+  suspicious_reason TEXT,
+  risk_level INTEGER DEFAULT 0,
+  routed_to_superadmin BOOLEAN DEFAULT false,
+  assigned_team_id UUID REFERENCES teams(id),
+  assigned_user_id UUID,
+  assigned_to UUID,
+  assigned_type VARCHAR DEFAULT 'user',
+  assigned_at TIMESTAMPTZ,
+  assigned_by UUID,
+  escalation_level INTEGER DEFAULT 0,
+  routed_by_rule_id UUID,
+  visibility TEXT DEFAULT 'team',
+  is_read BOOLEAN DEFAULT false,
+  read_at TIMESTAMPTZ,
+  read_by UUID,
+  deleted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  sender_type TEXT DEFAULT 'ai',
+  response_time_ms INTEGER,
+  tokens_used INTEGER,
+  generation_settings JSONB,
+  timestamp TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES chat_sessions(id),
+  type TEXT NOT NULL,
+  priority TEXT DEFAULT 'normal',
+  status TEXT DEFAULT 'unread',
+  summary TEXT,
+  guest_name TEXT,
+  guest_email TEXT,
+  guest_phone TEXT,
+  reservation_details JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  read_at TIMESTAMPTZ,
+  handled_at TIMESTAMPTZ,
+  handled_by UUID
+);
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  customer_id UUID REFERENCES customers(id),
+  endpoint TEXT NOT NULL,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS routing_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  priority INTEGER DEFAULT 10,
+  is_active BOOLEAN DEFAULT true,
+  trigger_type TEXT NOT NULL,
+  trigger_config JSONB NOT NULL DEFAULT '{}',
+  route_to_team_id UUID REFERENCES teams(id),
+  route_to_user_id UUID,
+  notification_config JSONB DEFAULT '{"push": true, "email": true, "urgent": false}',
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS session_escalations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  from_user_id UUID,
+  from_team_id UUID REFERENCES teams(id),
+  to_user_id UUID,
+  to_team_id UUID REFERENCES teams(id),
+  reason TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by UUID
+);
+
+CREATE TABLE IF NOT EXISTS email_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+  template_name VARCHAR NOT NULL,
+  subject VARCHAR NOT NULL,
+  html_body TEXT NOT NULL,
+  template_type VARCHAR NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID REFERENCES customers(id),
+  email VARCHAR NOT NULL,
+  role VARCHAR DEFAULT 'member',
+  team_id UUID REFERENCES teams(id),
+  invited_by UUID,
+  status VARCHAR DEFAULT 'pending',
+  token VARCHAR,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  accepted_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes (inkl. customer_id för prestanda vid scale)
+CREATE INDEX IF NOT EXISTS idx_customers_slug ON customers(slug);
+CREATE INDEX IF NOT EXISTS idx_sessions_customer ON chat_sessions(customer_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_customer_created ON chat_sessions(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_companions_customer ON customer_companions(customer_id, companion_key);
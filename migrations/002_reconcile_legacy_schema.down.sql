@@ -0,0 +1,3 @@
+-- 002_reconcile_legacy_schema (down)
+-- Avsiktligt tom: att återställa legacy-kolumnnamnen skulle bryta koden.
+-- Kolumnerna och indexet tas bort av 001 (down).
@@ -0,0 +1,82 @@
+-- 002_reconcile_legacy_schema
+-- Databaser skapade av gamla initSchema() (lib/db.js) hade andra kolumnnamn
+-- och saknade kolumner. 001 skapar bara tabeller som saknas, så här lyfts
+-- befintliga tabeller till samma form. På en ny databas är allt en no-op.
+
+-- chat_messages.created_at → timestamp
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'chat_messages' AND column_name = 'created_at')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.columns
+                     WHERE table_name = 'chat_messages' AND column_name = 'timestamp') THEN
+    ALTER TABLE chat_messages RENAME COLUMN created_at TO timestamp;
+  END IF;
+END $$;
+
+-- customer_companions.name → ai_name, emoji → avatar
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'customer_companions' AND column_name = 'name') THEN
+    ALTER TABLE customer_companions RENAME COLUMN name TO ai_name;
+  END IF;
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'customer_companions' AND column_name = 'emoji') THEN
+    ALTER TABLE customer_companions RENAME COLUMN emoji TO avatar;
+  END IF;
+END $$;
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS logo_url TEXT;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS settings JSONB DEFAULT '{}';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS ai_role TEXT DEFAULT 'kundtjänst';
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS personality TEXT;
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS language TEXT DEFAULT 'sv';
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS temperature NUMERIC DEFAULT 0.7;
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS max_tokens INTEGER DEFAULT 500;
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS llm_provider TEXT;
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS llm_model TEXT;
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS ai_role VARCHAR;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS avatar VARCHAR;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS knowledge_base TEXT;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS personality VARCHAR;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS language VARCHAR;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS temperature NUMERIC;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS max_tokens INTEGER;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS is_default BOOLEAN DEFAULT false;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE customer_companions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS visitor_id TEXT;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS session_start TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS session_end TIMESTAMPTZ;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS message_count INTEGER DEFAULT 0;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active';
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS visitor_typing BOOLEAN DEFAULT false;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS staff_typing BOOLEAN DEFAULT false;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS suspicious_reason TEXT;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS routed_to_superadmin BOOLEAN DEFAULT false;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS assigned_team_id UUID REFERENCES teams(id);
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS assigned_user_id UUID;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS assigned_to UUID;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS assigned_type VARCHAR DEFAULT 'user';
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS assigned_by UUID;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS escalation_level INTEGER DEFAULT 0;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS routed_by_rule_id UUID;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS visibility TEXT DEFAULT 'team';
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS read_by UUID;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS response_time_ms INTEGER;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS tokens_used INTEGER;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS generation_settings JSONB;
+
+-- Index på (session_id, timestamp) ersätter initSchemas (session_id, created_at)
+DROP INDEX IF EXISTS idx_messages_session;
+CREATE INDEX idx_messages_session ON chat_messages(session_id, timestamp);
@@ -0,0 +1,3 @@
+-- 003_customers_updated_at (down)
+
+ALTER TABLE customers DROP COLUMN IF EXISTS updated_at;
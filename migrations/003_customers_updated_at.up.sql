@@ -0,0 +1,7 @@
+-- 003_customers_updated_at
+-- Admin-API:t uppdaterar customers - samma updated_at som övriga config-tabeller
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Befintliga kunder: aldrig ändrade sedan de skapades
+UPDATE customers SET updated_at = created_at WHERE updated_at IS DISTINCT FROM created_at;
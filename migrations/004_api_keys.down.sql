@@ -0,0 +1,5 @@
+-- 004_api_keys (down)
+
+DROP INDEX IF EXISTS idx_dashboard_users_user;
+DROP INDEX IF EXISTS idx_memberships_user;
+DROP TABLE IF EXISTS api_keys;
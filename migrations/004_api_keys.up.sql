@@ -0,0 +1,21 @@
+-- 004_api_keys
+-- Per-tenant API-nycklar för server-till-server-anrop.
+-- Endast SHA-256-hashen sparas - klartextnyckeln visas en gång när den skapas.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  role TEXT NOT NULL DEFAULT 'member',
+  created_by UUID,
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_customer ON api_keys(customer_id);
+CREATE INDEX IF NOT EXISTS idx_memberships_user ON user_memberships(user_id);
+CREATE INDEX IF NOT EXISTS idx_dashboard_users_user ON dashboard_users(user_id);
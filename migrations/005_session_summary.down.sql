@@ -0,0 +1,5 @@
+-- 005_session_summary (down)
+
+ALTER TABLE chat_sessions DROP COLUMN IF EXISTS summary_updated_at;
+ALTER TABLE chat_sessions DROP COLUMN IF EXISTS summarized_until;
+ALTER TABLE chat_sessions DROP COLUMN IF EXISTS summary;
@@ -0,0 +1,7 @@
+-- 005_session_summary
+-- Rullande sammanfattning av äldre meddelanden (se lib/contextWindow.js).
+-- summarized_until = timestamp för senaste meddelandet som ingår i summary.
+
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS summarized_until TIMESTAMPTZ;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMPTZ;
@@ -0,0 +1,3 @@
+-- 006_customer_usage (down)
+
+DROP TABLE IF EXISTS customer_usage;
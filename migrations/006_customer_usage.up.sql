@@ -0,0 +1,16 @@
+-- 006_customer_usage
+-- Token- och kostnadsräknare per kund och period (UTC-dag / UTC-månad).
+-- Gränserna kommer från customers.plan (se lib/usage.js).
+
+CREATE TABLE IF NOT EXISTS customer_usage (
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  period TEXT NOT NULL CHECK (period IN ('day', 'month')),
+  period_start DATE NOT NULL,
+  requests INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens BIGINT NOT NULL DEFAULT 0,
+  completion_tokens BIGINT NOT NULL DEFAULT 0,
+  total_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_eur NUMERIC(14, 6) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (customer_id, period, period_start)
+);
@@ -0,0 +1,7 @@
+-- 007_session_routing (down)
+
+DROP INDEX IF EXISTS idx_memberships_team;
+DROP INDEX IF EXISTS idx_teams_customer;
+DROP INDEX IF EXISTS idx_routing_rules_customer;
+
+ALTER TABLE notifications DROP COLUMN IF EXISTS recipients;
@@ -0,0 +1,10 @@
+-- 007_session_routing
+-- Routing av sessioner till team/användare (se lib/routing.js).
+-- notifications.recipients = vilka som ska larmas och via vilka kanaler:
+-- { "userIds": [...], "teamId": ..., "push": true, "email": true, "urgent": false }
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS recipients JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_customer ON routing_rules(customer_id, priority);
+CREATE INDEX IF NOT EXISTS idx_teams_customer ON teams(customer_id);
+CREATE INDEX IF NOT EXISTS idx_memberships_team ON user_memberships(team_id);
@@ -0,0 +1,6 @@
+-- 008_human_takeover (down)
+
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS sent_by;
+
+ALTER TABLE chat_sessions DROP COLUMN IF EXISTS human_takeover_by;
+ALTER TABLE chat_sessions DROP COLUMN IF EXISTS human_takeover_at;
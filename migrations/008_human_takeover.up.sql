@@ -0,0 +1,8 @@
+-- 008_human_takeover
+-- Personal tar över en session (se lib/sessions.js). AI:n är pausad så länge
+-- human_takeover_at är satt. chat_messages.sent_by = personalens user_id.
+
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS human_takeover_at TIMESTAMPTZ;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS human_takeover_by UUID;
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS sent_by UUID;
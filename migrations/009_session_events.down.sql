@@ -0,0 +1,3 @@
+-- 009_session_events (down)
+
+DROP TABLE IF EXISTS session_events;
@@ -0,0 +1,17 @@
+-- 009_session_events
+-- Realtidshändelser per session (se lib/events.js). id är SSE-id:t som
+-- klienten skickar tillbaka som Last-Event-ID. Rader äldre än ett dygn rensas.
+-- typing-händelser sparas inte.
+
+CREATE TABLE IF NOT EXISTS session_events (
+  id BIGSERIAL PRIMARY KEY,
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_events_customer ON session_events(customer_id, id);
+CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id, id);
+CREATE INDEX IF NOT EXISTS idx_session_events_created ON session_events(created_at);
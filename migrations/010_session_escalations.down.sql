@@ -0,0 +1,3 @@
+-- 010_session_escalations (down)
+
+DROP INDEX IF EXISTS idx_session_escalations_session;
@@ -0,0 +1,4 @@
+-- 010_session_escalations
+-- Tidslinjen per session (se lib/escalations.js) läses i created_at-ordning.
+
+CREATE INDEX IF NOT EXISTS idx_session_escalations_session ON session_escalations(session_id, created_at);
@@ -0,0 +1,10 @@
+-- 011_notification_delivery (down)
+
+DROP INDEX IF EXISTS idx_email_templates_customer;
+DROP INDEX IF EXISTS idx_notifications_delivery;
+
+ALTER TABLE notifications DROP COLUMN IF EXISTS sent_at;
+ALTER TABLE notifications DROP COLUMN IF EXISTS last_error;
+ALTER TABLE notifications DROP COLUMN IF EXISTS next_attempt_at;
+ALTER TABLE notifications DROP COLUMN IF EXISTS attempts;
+ALTER TABLE notifications DROP COLUMN IF EXISTS delivery_status;
@@ -0,0 +1,18 @@
+-- 011_notification_delivery
+-- E-postleverans av notifications (se lib/notificationWorker.js).
+-- delivery_status spårar leveransen: pending → sending → sent / failed / skipped.
+-- status (läst/oläst) och read_at / handled_at rörs inte.
+-- Befintliga rader skapades innan det fanns ett utskick - de blir skipped och skickas inte i efterhand.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS delivery_status TEXT NOT NULL DEFAULT 'skipped'
+  CHECK (delivery_status IN ('pending', 'sending', 'sent', 'failed', 'skipped'));
+ALTER TABLE notifications ALTER COLUMN delivery_status SET DEFAULT 'pending';
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_delivery
+  ON notifications(next_attempt_at)
+  WHERE delivery_status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_email_templates_customer ON email_templates(customer_id, template_type);
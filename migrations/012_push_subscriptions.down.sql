@@ -0,0 +1,9 @@
+-- 012_push_subscriptions (down)
+
+ALTER TABLE notifications DROP COLUMN IF EXISTS channels;
+
+DROP INDEX IF EXISTS idx_push_subscriptions_customer;
+DROP INDEX IF EXISTS idx_push_subscriptions_endpoint;
+
+ALTER TABLE push_subscriptions DROP COLUMN IF EXISTS last_success_at;
+ALTER TABLE push_subscriptions DROP COLUMN IF EXISTS expires_at;
@@ -0,0 +1,18 @@
+-- 012_push_subscriptions
+-- Web Push till personalens enheter (se lib/push.js, lib/webPush.js).
+-- En rad per endpoint (webbläsare/enhet). expires_at = PushSubscription.expirationTime.
+-- notifications.channels = utfall per kanal, t.ex. { "email": "sent", "push": "skipped" },
+-- så att ett nytt försök bara skickar kanaler som inte redan är klara.
+
+DELETE FROM push_subscriptions a
+USING push_subscriptions b
+WHERE a.endpoint = b.endpoint
+  AND (COALESCE(a.updated_at, a.created_at), a.id) < (COALESCE(b.updated_at, b.created_at), b.id);
+
+ALTER TABLE push_subscriptions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE push_subscriptions ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_push_subscriptions_endpoint ON push_subscriptions(endpoint);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_customer ON push_subscriptions(customer_id, user_id);
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS channels JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,5 @@
+-- 013_lead_notifications (down)
+
+DROP INDEX IF EXISTS idx_notifications_lead_session;
+
+ALTER TABLE notifications DROP COLUMN IF EXISTS updated_at;
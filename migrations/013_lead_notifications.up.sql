@@ -0,0 +1,10 @@
+-- 013_lead_notifications
+-- En lead-notifikation per session (se lib/leads.js): gästens namn, e-post,
+-- telefon och bokningsönskemål uppdateras på samma rad när de kommer in
+-- över flera meddelanden. updated_at = senaste ändringen av leaden.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_lead_session
+  ON notifications(session_id)
+  WHERE type = 'lead';
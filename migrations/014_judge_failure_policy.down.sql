@@ -0,0 +1,3 @@
+-- 014_judge_failure_policy (down)
+
+ALTER TABLE customer_ai_config DROP COLUMN IF EXISTS judge_failure_policy;
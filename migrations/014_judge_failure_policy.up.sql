@@ -0,0 +1,6 @@
+-- 014_judge_failure_policy
+-- Vad chat-flödet gör när security judge inte ger något omdöme (timeout, fel,
+-- ogiltigt svar, öppen krets) - se lib/securityJudge.js. NULL = open.
+
+ALTER TABLE customer_ai_config ADD COLUMN IF NOT EXISTS judge_failure_policy TEXT
+  CHECK (judge_failure_policy IN ('open', 'closed', 'degrade'));
@@ -0,0 +1,4 @@
+-- 015_message_risk (down)
+
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS risk_reason;
+ALTER TABLE chat_messages DROP COLUMN IF EXISTS risk_level;
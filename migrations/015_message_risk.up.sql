@@ -0,0 +1,7 @@
+-- 015_message_risk
+-- Judge-omdömet per besökarmeddelande, så att nästa tur kan bedömas mot de
+-- senaste turerna och deras risk (se lib/securityJudge.js). NULL = inte bedömt
+-- (t.ex. meddelanden sparade innan den här migrationen).
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS risk_level SMALLINT;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS risk_reason TEXT;
@@ -0,0 +1,3 @@
+-- 016_security_events (down)
+
+DROP TABLE IF EXISTS security_events;
@@ -0,0 +1,32 @@
+-- 016_security_events
+-- Varje säkerhetsomdöme i chatten (se lib/securityEvents.js): judge
+-- (prefilter/cache/judge/fallback) och output guard. Besökarens text
+-- sparas inte - prompt_hash är sha256 efter normalisering, så att samma attack
+-- i flera sessioner eller hos flera kunder kan hittas.
+-- session_id blir NULL när sessionen raderas - omdömet finns kvar.
+--
+-- chat_sessions.metadata sparades som en JSON-sträng istället för ett objekt
+-- (JSON.stringify i getOrCreateSession) - packas upp så att updateSession kan
+-- slå ihop nycklar (suspicious_reason, blocked_at) och metadata->>'companion' fungerar.
+
+CREATE TABLE IF NOT EXISTS security_events (
+  id BIGSERIAL PRIMARY KEY,
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  stage TEXT NOT NULL CHECK (stage IN ('prefilter', 'cache', 'judge', 'fallback', 'output')),
+  outcome TEXT NOT NULL CHECK (outcome IN ('allowed', 'blocked')),
+  risk_level SMALLINT NOT NULL DEFAULT 0,
+  reason TEXT,
+  prompt_hash TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_customer ON security_events(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_risk ON security_events(customer_id, risk_level, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_session ON security_events(session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_prompt ON security_events(prompt_hash);
+
+UPDATE chat_sessions
+SET metadata = (metadata #>> '{}')::jsonb
+WHERE jsonb_typeof(metadata) = 'string' AND (metadata #>> '{}') LIKE '{%';
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Staff token CLI
+ *
+ * Användning:
+ *   node scripts/auth-token.js --email eric@eryai.tech [--ttl 12h]
+ *   node scripts/auth-token.js --user <user_id> [--email ...] [--ttl 30m]
+ *
+ * Kräver AUTH_TOKEN_SECRET och DATABASE_URL. Vägrar signera för användare
+ * som saknar roller (superadmins, user_memberships, dashboard_users).
+ */
+
+// Endast token på stdout (TOKEN=$(npm run -s auth:token ...)) - tysta info-loggar
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { closeDb } = await import('../lib/db.js');
+const { signToken, loadUserPrincipal, DEFAULT_TOKEN_TTL_SECONDS } = await import('../lib/auth.js');
+
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i]?.replace(/^--/, '');
+    if (!['email', 'user', 'ttl'].includes(key) || args[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${args[i]}" - expected --email, --user or --ttl`);
+    }
+    options[key] = args[i + 1];
+  }
+  return options;
+}
+
+function parseTtl(value) {
+  if (!value) return DEFAULT_TOKEN_TTL_SECONDS;
+  const match = /^(\d+)([smhd]?)$/.exec(value);
+  if (!match) {
+    throw new Error('--ttl expects e.g. 3600, 30m, 12h or 7d');
+  }
+  return Number(match[1]) * TTL_UNITS[match[2] || 's'];
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.email && !options.user) {
+    throw new Error('Pass --email and/or --user');
+  }
+
+  const claims = {
+    ...(options.user && { sub: options.user }),
+    ...(options.email && { email: options.email.toLowerCase() })
+  };
+
+  const principal = await loadUserPrincipal(claims);
+  if (!principal) {
+    throw new Error('User has no superadmin role or memberships - refusing to sign');
+  }
+
+  const ttlSeconds = parseTtl(options.ttl);
+  const token = signToken(claims, { ttlSeconds });
+
+  const roles = principal.memberships.map(m => `${m.role}@${m.customerId.substring(0, 8)}`);
+  console.error(`✅ Token for ${options.email || options.user} (${principal.isSuperadmin ? 'superadmin' : roles.join(', ')}), valid ${ttlSeconds}s`);
+  console.log(token);
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDb());
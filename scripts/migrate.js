@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ *
+ * Användning:
+ *   node scripts/migrate.js up [--to N]   Kör alla (eller upp till N) ej körda migrationer
+ *   node scripts/migrate.js down [steps]  Rulla tillbaka senaste (eller `steps` st) migrationer
+ *   node scripts/migrate.js status        Visa körda / ej körda migrationer
+ *   node scripts/migrate.js seed          Seeda demo-kunder (kräver aktuellt schema)
+ */
+
+import { closeDb } from '../lib/db.js';
+import { migrateUp, migrateDown, getMigrationStatus, assertSchemaCurrent, migrationLabel } from '../lib/migrations.js';
+import { seedDemoData } from '../lib/setup.js';
+
+function parseTo(args) {
+  const index = args.indexOf('--to');
+  if (index === -1) return Infinity;
+  const to = Number(args[index + 1]);
+  if (!Number.isInteger(to)) {
+    throw new Error('--to requires a migration version number');
+  }
+  return to;
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp({ to: parseTo(args) });
+      console.log(applied.length
+        ? `✅ Applied ${applied.length} migration(s): ${applied.map(migrationLabel).join(', ')}`
+        : '✅ Schema already up to date');
+      break;
+    }
+
+    case 'down': {
+      const steps = args[0] ? Number(args[0]) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down expects a positive number of steps');
+      }
+      const reverted = await migrateDown({ steps });
+      console.log(`⬇️ Reverted ${reverted.length} migration(s): ${reverted.map(migrationLabel).join(', ') || '-'}`);
+      break;
+    }
+
+    case 'status': {
+      const status = await getMigrationStatus();
+      console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+      for (const m of status.applied) {
+        console.log(`  ✅ ${migrationLabel(m)}  ${new Date(m.appliedAt).toISOString()}`);
+      }
+      for (const m of status.pending) {
+        console.log(`  ⏳ ${migrationLabel(m)}  (pending)`);
+      }
+      for (const m of status.mismatched) {
+        console.log(`  ❌ ${migrationLabel(m)}  (checksum mismatch - file changed after it was applied)`);
+      }
+      for (const m of status.unknown) {
+        console.log(`  ❓ ${migrationLabel(m)}  (applied but no file on disk)`);
+      }
+      process.exitCode = status.upToDate ? 0 : 1;
+      break;
+    }
+
+    case 'seed': {
+      await assertSchemaCurrent();
+      await seedDemoData();
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}" - expected up, down, status or seed`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDb());
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Lokal push-tjänst - ersätter FCM/autopush när push testas utan webbläsare
+ *
+ * Användning:
+ *   node scripts/push-endpoint.js [--port 8099] [--status 201]
+ *
+ * Skapar ett nyckelpar som en webbläsare skulle ha gjort och skriver ut
+ * prenumerationen (PushSubscription.toJSON()) att skicka till
+ * POST /api/push/subscriptions tillsammans med customerId. Varje push
+ * kontrolleras som en riktig push-tjänst gör: VAPID-JWT:n (ES256, aud, exp)
+ * verifieras och payloaden dekrypteras (aes128gcm) och loggas.
+ *
+ * --status 410 svarar som en avregistrerad webbläsare - servern ska då ta
+ * bort prenumerationen. --status 503 testar omförsök.
+ *
+ * Servern måste köra med OUTBOUND_ALLOW_PRIVATE=true för att http://localhost
+ * ska godkännas som endpoint.
+ */
+
+import http from 'http';
+import { createECDH, createPublicKey, verify, hkdfSync, createDecipheriv, randomBytes } from 'crypto';
+
+function parseArgs(args) {
+  const options = { port: 8099, status: 201 };
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i]?.replace(/^--/, '');
+    const value = Number(args[i + 1]);
+    if (!['port', 'status'].includes(key) || !Number.isInteger(value)) {
+      throw new Error(`Unknown or incomplete option "${args[i]}" - expected --port or --status`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+function publicKeyFromPoint(point) {
+  return createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url')
+    },
+    format: 'jwk'
+  });
+}
+
+/**
+ * "vapid t=<jwt>, k=<publik nyckel>" - kastar om något inte stämmer
+ */
+function verifyVapid(header, origin) {
+  const match = /^vapid t=([\w-]+\.[\w-]+\.[\w-]+),\s*k=([\w-]+)$/.exec(header || '');
+  if (!match) throw new Error('Authorization header is not "vapid t=..., k=..."');
+
+  const [token, publicKey] = [match[1], match[2]];
+  const [encodedHeader, encodedClaims, signature] = token.split('.');
+  const jwtHeader = JSON.parse(Buffer.from(encodedHeader, 'base64url'));
+  const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url'));
+
+  if (jwtHeader.alg !== 'ES256') throw new Error(`JWT alg ${jwtHeader.alg}, expected ES256`);
+  const valid = verify('sha256', Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    { key: publicKeyFromPoint(Buffer.from(publicKey, 'base64url')), dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url'));
+  if (!valid) throw new Error('JWT signature does not match k=');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== origin) throw new Error(`JWT aud ${claims.aud}, expected ${origin}`);
+  if (!(claims.exp > now && claims.exp <= now + 24 * 60 * 60)) throw new Error('JWT exp must be within 24h');
+  if (!/^(mailto:|https:)/.test(claims.sub || '')) throw new Error('JWT sub must be mailto: or https:');
+
+  return claims;
+}
+
+/**
+ * Webbläsarens sida av RFC 8291 - en record, padding-delimiter 0x02
+ */
+function decryptPayload(body, ecdh, authSecret) {
+  const salt = body.subarray(0, 16);
+  const idLength = body[20];
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  const delimiter = plaintext.lastIndexOf(0x02);
+  if (delimiter === -1) throw new Error('Missing record delimiter');
+  return plaintext.subarray(0, delimiter).toString('utf8');
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const origin = `http://localhost:${options.port}`;
+  const endpoint = `${origin}/push/${randomBytes(8).toString('hex')}`;
+
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  const authSecret = randomBytes(16);
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    try {
+      if (req.method !== 'POST' || `${origin}${req.url}` !== endpoint) {
+        res.writeHead(404);
+        return res.end();
+      }
+      if (req.headers['content-encoding'] !== 'aes128gcm') throw new Error('Content-Encoding must be aes128gcm');
+      if (!req.headers.ttl) throw new Error('TTL header missing');
+
+      const claims = verifyVapid(req.headers.authorization, origin);
+      const payload = decryptPayload(Buffer.concat(chunks), ecdh, authSecret);
+
+      console.log(`📲 Push (TTL ${req.headers.ttl}, urgency ${req.headers.urgency || 'normal'}, sub ${claims.sub}) → ${options.status}`);
+      console.log(JSON.stringify(JSON.parse(payload), null, 2));
+      res.writeHead(options.status);
+      res.end();
+    } catch (error) {
+      console.error(`❌ Rejected push: ${error.message}`);
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(error.message);
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.error(`✅ Push endpoint stand-in on ${origin} - answering ${options.status}`);
+    console.error('Subscription (POST /api/push/subscriptions with customerId):');
+    console.log(JSON.stringify({
+      endpoint,
+      expirationTime: null,
+      keys: { p256dh: ecdh.getPublicKey('base64url'), auth: authSecret.toString('base64url') }
+    }));
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * VAPID key CLI - nyckelpar för Web Push (se lib/webPush.js)
+ *
+ * Användning:
+ *   node scripts/vapid-keys.js >> .env
+ *
+ * Skriv ut nycklarna en gång per miljö och behåll dem - byts de måste alla
+ * enheter prenumerera på nytt (PushManager binder prenumerationen till den publika nyckeln).
+ */
+
+import { generateVapidKeys } from '../lib/webPush.js';
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.error('✅ New VAPID key pair - keep VAPID_PRIVATE_KEY secret');
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:support@eryai.tech');
@@ -11,11 +11,21 @@
 import http from 'http';
 import { URL } from 'url';
 import { handleChat } from './lib/chatEngine.js';
-import { getGreeting, getMessages } from './lib/db.js';
+import { getGreeting, getMessages, getSessionCustomerId } from './lib/db.js';
 import { healthCheck } from './lib/health.js';
 import { createRequestLogger, createTimer, logError } from './lib/logger.js';
 import { rateLimit } from './lib/rateLimit.js';
 import { runSetup } from './lib/setup.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
+import { handleAdminRequest } from './lib/adminRoutes.js';
+import { validateClientHistory } from './lib/chatHistory.js';
+import { authenticate, authorize, accessibleCustomerIds, describePrincipal, isSessionVisitor, signVisitorToken } from './lib/auth.js';
+import { listCustomerUsage } from './lib/usage.js';
+import { handleSessionRequest } from './lib/sessionRoutes.js';
+import { openEventStream, parseLastEventId, closeEventStreams } from './lib/events.js';
+import { startNotificationWorker, stopNotificationWorker } from './lib/notificationWorker.js';
+import { getVapidConfig } from './lib/webPush.js';
+import { subscribePush, unsubscribePush } from './lib/push.js';
 
 const PORT = process.env.PORT || 8080;
 
@@ -37,6 +47,101 @@ function parseQuery(url) {
   return params;
 }
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Authenticate and check one permission - skickar 401/403 själv vid nekad access
+ *
+ * Utan permission krävs bara en giltig credential. Med visitorSessionId
+ * släpps även besökartoken för just den sessionen igenom. allowQueryToken
+ * tar token från ?access_token= (SSE-strömmar).
+ *
+ * @returns {Promise<object|null>} principal, eller null om svaret redan skickats
+ */
+async function requirePermission(req, res, { permission, customerId, visitorSessionId, allowQueryToken, logger, requestId, path }) {
+  const auth = await authenticate(req, requestId, { allowQueryToken });
+
+  if (auth.error || !auth.principal) {
+    const statusCode = auth.status || 401;
+    logger.warn({ event: 'AUTH_REQUIRED', path, statusCode }, `🔒 ${path} requires authentication`);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+    res.end(JSON.stringify({ error: auth.error || 'Authentication required' }));
+    return null;
+  }
+
+  if (visitorSessionId && isSessionVisitor(auth.principal, visitorSessionId)) {
+    return auth.principal;
+  }
+
+  if (permission && !authorize(auth.principal, permission, customerId)) {
+    logger.warn({
+      event: 'FORBIDDEN',
+      path,
+      permission,
+      principal: describePrincipal(auth.principal)
+    }, `⛔ ${path} requires ${permission}`);
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Forbidden' }));
+    return null;
+  }
+
+  return auth.principal;
+}
+
+/**
+ * Besökartoken för GET /api/messages - utelämnas när AUTH_TOKEN_SECRET saknas
+ *
+ * Bara för en session som det här anropet skapade, eller som anroparen redan
+ * har en besökartoken för (förnyas). Ett känt sessions-UUID räcker aldrig.
+ */
+function withVisitorToken(result, visitorSessionId) {
+  if (!result.sessionId || result.limitReached) return {};
+  if (!result.sessionCreated && result.sessionId !== visitorSessionId) return {};
+
+  const visitorToken = signVisitorToken(result.sessionId);
+  return visitorToken ? { visitorToken } : {};
+}
+
+/**
+ * Session som chatten får fortsätta (chat är anonym - ogiltig token ignoreras)
+ *
+ * En befintlig session fortsätts bara med besökartoken för just den sessionen
+ * eller staff med messages:write på sessionens kund - annars startas en ny
+ * session. Ett känt sessions-UUID räcker aldrig, historiken är serverns.
+ *
+ * @returns {Promise<{ sessionId: string|undefined, visitorSessionId: string|null }>}
+ *   visitorSessionId = sessionen i anroparens besökartoken
+ */
+async function resolveChatSession(req, sessionId, { logger, requestId, path }) {
+  const auth = req.headers.authorization ? await authenticate(req, requestId) : { principal: null };
+  const visitorSessionId = auth.principal?.type === 'visitor' ? auth.principal.sessionId : null;
+
+  if (!sessionId || isSessionVisitor(auth.principal, sessionId)) {
+    return { sessionId, visitorSessionId };
+  }
+
+  if (auth.principal && auth.principal.type !== 'visitor') {
+    const customerId = await getSessionCustomerId(sessionId, requestId);
+    if (customerId && authorize(auth.principal, 'messages:write', customerId)) {
+      return { sessionId, visitorSessionId };
+    }
+  }
+
+  logger.warn({
+    event: 'CHAT_SESSION_NOT_AUTHORIZED',
+    path,
+    sessionId: sessionId.substring(0, 8),
+    principal: auth.principal ? describePrincipal(auth.principal) : null
+  }, '🔒 sessionId without a matching visitor token - starting a new session');
+  return { sessionId: undefined, visitorSessionId };
+}
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
 // Main request handler
 async function handleRequest(req, res) {
   const { logger, requestId } = createRequestLogger('server');
@@ -47,8 +152,8 @@ async function handleRequest(req, res) {
   
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Test-Mode, X-Request-ID');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Test-Mode, X-Request-ID');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -65,7 +170,7 @@ async function handleRequest(req, res) {
     event: 'REQUEST_START',
     method: req.method,
     path,
-    query,
+    query: query.access_token ? { ...query, access_token: '[redacted]' } : query,
     testMode: isTestMode,
     userAgent: req.headers['user-agent']?.substring(0, 50)
   }, `▶ ${req.method} ${path}`);
@@ -92,10 +197,14 @@ async function handleRequest(req, res) {
     }
 
     // ============================================
-    // POST /api/setup - Database setup (run once)
+    // POST /api/setup - Seed demo data (schema via npm run db:migrate)
+    // Superadmin only
     // ============================================
     if (path === '/api/setup' && req.method === 'POST') {
-      logger.info({ event: 'SETUP_START' }, '🔧 Running database setup...');
+      const principal = await requirePermission(req, res, { permission: 'setup:run', logger, requestId, path });
+      if (!principal) return;
+
+      logger.info({ event: 'SETUP_START' }, '🔧 Seeding demo data...');
       
       try {
         const result = await runSetup();
@@ -105,7 +214,7 @@ async function handleRequest(req, res) {
           res.writeHead(200, { 'Content-Type': 'application/json' });
           return res.end(JSON.stringify({
             success: true,
-            message: 'Database setup complete!',
+            message: 'Demo data seeded!',
             results: result.results
           }));
         } else {
@@ -158,7 +267,8 @@ async function handleRequest(req, res) {
     }
 
     // ============================================
-    // GET /api/messages
+    // GET /api/messages - Staff / API key with messages:read on the session's customer,
+    // or the visitor's own session (visitorToken from /api/chat)
     // ============================================
     if (path === '/api/messages' && req.method === 'GET') {
       const { sessionId } = query;
@@ -169,6 +279,24 @@ async function handleRequest(req, res) {
         return res.end(JSON.stringify({ error: 'sessionId parameter required' }));
       }
 
+      const customerId = UUID_PATTERN.test(sessionId) ? await getSessionCustomerId(sessionId, requestId) : null;
+      const principal = await requirePermission(req, res, {
+        permission: 'messages:read',
+        customerId,
+        visitorSessionId: sessionId,
+        logger,
+        requestId,
+        path
+      });
+      if (!principal) return;
+
+      // Okänd session ger 403 ovan för alla utom superadmin - avslöja inte vilka som finns
+      if (!customerId) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'NOT_FOUND', path, sessionId: sessionId.substring(0, 8) }, 'Session not found');
+        return res.end(JSON.stringify({ error: 'Session not found' }));
+      }
+
       const result = await getMessages(sessionId, requestId);
       
       res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -184,10 +312,168 @@ async function handleRequest(req, res) {
       return res.end(JSON.stringify(result));
     }
 
+    // ============================================
+    // GET /api/usage - Token/cost usage against plan limits (tenant:read)
+    // ============================================
+    if (path === '/api/usage' && req.method === 'GET') {
+      const { customerId } = query;
+
+      if (customerId !== undefined && !UUID_PATTERN.test(customerId)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid customerId' }, 'customerId must be a UUID');
+        return res.end(JSON.stringify({ error: 'customerId must be a UUID' }));
+      }
+
+      // Med customerId: den kunden, annars alla kunder principalen har tenant:read på
+      const principal = await requirePermission(req, res, {
+        permission: customerId ? 'tenant:read' : null,
+        customerId,
+        logger,
+        requestId,
+        path
+      });
+      if (!principal) return;
+
+      const result = await listCustomerUsage(customerId ? [customerId] : accessibleCustomerIds(principal), requestId);
+
+      if (customerId && result.usage.length === 0) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'NOT_FOUND', path, customerId: customerId.substring(0, 8) }, 'Customer not found');
+        return res.end(JSON.stringify({ error: 'Customer not found' }));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+
+      logger.info({
+        event: 'REQUEST_END',
+        path,
+        statusCode: 200,
+        latencyMs: requestTimer.elapsed(),
+        customerCount: result.usage.length
+      }, `◀ ${path} 200 (${requestTimer.elapsed()}ms) - ${result.usage.length} customers`);
+
+      return res.end(JSON.stringify(customerId ? { usage: result.usage[0] } : { usage: result.usage }));
+    }
+
+    // ============================================
+    // GET /api/events - SSE stream for all of a customer's sessions (messages:read)
+    // Staff inbox - utan customerId alla kunder (superadmin)
+    // ============================================
+    if (path === '/api/events' && req.method === 'GET') {
+      const { customerId } = query;
+
+      if (customerId !== undefined && !UUID_PATTERN.test(customerId)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid customerId' }, 'customerId must be a UUID');
+        return res.end(JSON.stringify({ error: 'customerId must be a UUID' }));
+      }
+
+      const principal = await requirePermission(req, res, {
+        permission: 'messages:read',
+        customerId,
+        allowQueryToken: true,
+        logger,
+        requestId,
+        path
+      });
+      if (!principal) return;
+
+      return openEventStream(res, { customerId: customerId || null, sessionId: null }, {
+        lastEventId: parseLastEventId(req.headers['last-event-id'] || query.lastEventId),
+        logger,
+        requestId
+      });
+    }
+
+    // ============================================
+    // GET /api/push/vapid-public-key - applicationServerKey för PushManager.subscribe()
+    // Publik nyckel, ingen auth
+    // ============================================
+    if (path === '/api/push/vapid-public-key' && req.method === 'GET') {
+      const vapid = getVapidConfig();
+
+      if (!vapid) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'PUSH_NOT_CONFIGURED', path }, 'VAPID keys not configured');
+        return res.end(JSON.stringify({ error: 'Push notifications are not configured' }));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      logger.info({ event: 'REQUEST_END', path, statusCode: 200, latencyMs: requestTimer.elapsed() }, `◀ ${path} 200`);
+      return res.end(JSON.stringify({ publicKey: vapid.publicKey }));
+    }
+
+    // ============================================
+    // POST/DELETE /api/push/subscriptions - Staff device registration (lib/push.js)
+    // POST kräver messages:read på customerId, DELETE bara egna prenumerationer
+    // ============================================
+    if (path === '/api/push/subscriptions' && (req.method === 'POST' || req.method === 'DELETE')) {
+      let body;
+      try {
+        body = await parseBody(req);
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid JSON' }, 'Invalid JSON body');
+        return res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+      }
+
+      const subscribing = req.method === 'POST';
+      const customerId = typeof body?.customerId === 'string' && UUID_PATTERN.test(body.customerId) ? body.customerId : null;
+
+      if (subscribing && !customerId) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid customerId' }, 'customerId must be a UUID');
+        return res.end(JSON.stringify({ error: 'customerId required (UUID)' }));
+      }
+
+      const principal = await requirePermission(req, res, {
+        permission: subscribing ? 'messages:read' : null,
+        customerId,
+        logger,
+        requestId,
+        path
+      });
+      if (!principal) return;
+
+      const result = subscribing
+        ? await subscribePush(principal, body, requestId)
+        : await unsubscribePush(principal, body, requestId);
+
+      if (result.error) {
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        logger.warn({
+          event: 'PUSH_SUBSCRIPTION_REJECTED',
+          path,
+          method: req.method,
+          statusCode: result.status,
+          error: result.error,
+          details: result.details
+        }, `◀ ${req.method} ${path} ${result.status} - ${result.error}`);
+        return res.end(JSON.stringify({ error: result.error, ...(result.details && { details: result.details }) }));
+      }
+
+      const statusCode = result.created ? 201 : 200;
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+
+      logger.info({
+        event: subscribing ? 'PUSH_SUBSCRIBED' : 'PUSH_UNSUBSCRIBED',
+        path,
+        statusCode,
+        customerId: customerId?.substring(0, 8),
+        principal: describePrincipal(principal),
+        latencyMs: requestTimer.elapsed()
+      }, `◀ ${req.method} ${path} ${statusCode} (${requestTimer.elapsed()}ms)`);
+
+      return res.end(JSON.stringify(result));
+    }
+
     // ============================================
     // POST /api/chat - Main chat endpoint
+    // POST /api/chat/stream - Same flow, streamed as SSE
     // ============================================
-    if (path === '/api/chat' && req.method === 'POST') {
+    if ((path === '/api/chat' || path === '/api/chat/stream') && req.method === 'POST') {
+      const isStream = path === '/api/chat/stream';
+
       // Rate limiting - protect Mistral budget
       if (!rateLimit(req, res)) {
         logger.warn({ event: 'RATE_LIMITED', path }, '⛔ Request rate limited');
@@ -195,7 +481,8 @@ async function handleRequest(req, res) {
       }
 
       const body = await parseBody(req);
-      const { prompt, history, sessionId, customerId, slug, companion } = body;
+      const { prompt, customerId, slug, companion } = body;
+      const stateless = body.stateless === true;
 
       // Validation
       if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
@@ -210,18 +497,71 @@ async function handleRequest(req, res) {
         return res.end(JSON.stringify({ error: 'slug or customerId required' }));
       }
 
+      if (body.sessionId !== undefined && (typeof body.sessionId !== 'string' || !UUID_PATTERN.test(body.sessionId))) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        logger.warn({ event: 'VALIDATION_ERROR', path, error: 'Invalid sessionId' }, 'sessionId is not a UUID');
+        return res.end(JSON.stringify({ error: 'sessionId must be a UUID' }));
+      }
+
+      // Historik kommer från chat_messages - klientens historik bara i stateless-läge
+      let history = [];
+      if (stateless) {
+        if (body.sessionId) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          logger.warn({ event: 'VALIDATION_ERROR', path, error: 'sessionId in stateless mode' }, 'sessionId cannot be combined with stateless mode');
+          return res.end(JSON.stringify({ error: 'sessionId cannot be combined with stateless mode' }));
+        }
+
+        const validated = validateClientHistory(body.history);
+        if (validated.errors.length > 0) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          logger.warn({
+            event: 'CLIENT_HISTORY_REJECTED',
+            path,
+            errors: validated.errors.slice(0, 5)
+          }, `⛔ Rejected client history (${validated.errors.length} error(s))`);
+          return res.end(JSON.stringify({ error: 'Invalid history', details: validated.errors }));
+        }
+        history = validated.history;
+      } else if (body.history !== undefined) {
+        logger.warn({
+          event: 'CLIENT_HISTORY_IGNORED',
+          path,
+          historyLength: Array.isArray(body.history) ? body.history.length : null
+        }, 'Ignoring client history - only accepted with stateless: true');
+      }
+
       logger.info({
         event: 'CHAT_START',
         slug,
         companion,
-        sessionId: sessionId?.substring(0, 8),
+        sessionId: body.sessionId?.substring(0, 8),
         promptLength: prompt.length,
-        historyLength: history?.length || 0
+        historyLength: history.length,
+        stateless,
+        stream: isStream
       }, `💬 Chat request: ${slug}${companion ? ` (${companion})` : ''}`);
 
+      const { sessionId, visitorSessionId } = await resolveChatSession(req, body.sessionId, { logger, requestId, path });
+
+      if (isStream) {
+        return handleChatStream(res, {
+          prompt: prompt.trim(),
+          history,
+          stateless,
+          sessionId,
+          customerId,
+          slug,
+          companion,
+          isTestMode,
+          requestId
+        }, { logger, requestTimer, path, visitorSessionId });
+      }
+
       const result = await handleChat({
         prompt: prompt.trim(),
         history,
+        stateless,
         sessionId,
         customerId,
         slug,
@@ -245,6 +585,26 @@ async function handleRequest(req, res) {
         return res.end(JSON.stringify({ error: result.error }));
       }
 
+      // Kundens token-/kostnadstak är nått - vänligt svar, men 429 för API-klienter
+      if (result.limitReached) {
+        const retryAfter = Math.max(1, Math.ceil((Date.parse(result.limitReached.resetsAt) - Date.now()) / 1000));
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) });
+
+        logger.warn({
+          event: 'CHAT_USAGE_LIMITED',
+          path,
+          statusCode: 429,
+          limitReached: result.limitReached,
+          latencyMs: requestTimer.elapsed()
+        }, `◀ ${path} 429 - ${result.limitReached.period} ${result.limitReached.metric} cap reached`);
+
+        return res.end(JSON.stringify({
+          response: result.response,
+          sessionId: result.sessionId,
+          limitReached: result.limitReached
+        }));
+      }
+
       // Add timing headers
       res.setHeader('X-Total-Time-Ms', String(requestTimer.elapsed()));
       res.setHeader('X-DB-Time-Ms', String(result.metrics?.dbTime || 0));
@@ -260,12 +620,15 @@ async function handleRequest(req, res) {
         latencyMs: requestTimer.elapsed(),
         metrics: result.metrics,
         sessionId: result.sessionId?.substring(0, 8),
-        responseLength: result.response?.length || 0
-      }, `◀ ${path} 200 (${requestTimer.elapsed()}ms) TTFT=${result.metrics?.ttft}ms`);
+        responseLength: result.response?.length || 0,
+        humanActive: !!result.humanActive
+      }, `◀ ${path} 200 (${requestTimer.elapsed()}ms) ${result.humanActive ? 'human active - AI paused' : `TTFT=${result.metrics?.ttft}ms`}`);
 
       return res.end(JSON.stringify({
         response: result.response,
         sessionId: result.sessionId,
+        ...(result.humanActive && { humanActive: true }),
+        ...withVisitorToken(result, visitorSessionId),
         _metrics: {
           totalTime: requestTimer.elapsed(),
           dbTime: result.metrics?.dbTime,
@@ -275,6 +638,21 @@ async function handleRequest(req, res) {
       }));
     }
 
+    // ============================================
+    // /api/sessions - Staff inbox, actions on a session (read, takeover, reply,
+    // handback), typing and the session's SSE event stream
+    // ============================================
+    if (path === '/api/sessions' || path.startsWith('/api/sessions/')) {
+      return handleSessionRequest(req, res, { path, logger, requestTimer, requestId });
+    }
+
+    // ============================================
+    // /api/admin/* - Tenant administration (staff token / API key)
+    // ============================================
+    if (path.startsWith('/api/admin/')) {
+      return handleAdminRequest(req, res, { path, logger, requestTimer, requestId });
+    }
+
     // 404 for unknown routes
     res.writeHead(404, { 'Content-Type': 'application/json' });
     logger.warn({ event: 'NOT_FOUND', path, method: req.method }, `Route not found: ${req.method} ${path}`);
@@ -296,13 +674,124 @@ async function handleRequest(req, res) {
   }
 }
 
+/**
+ * Stream chat response as Server-Sent Events
+ *
+ * Events:
+ * - delta: { content } för varje token-delta från Mistral (de sista ~200 tecknen
+ *          hålls tillbaka tills output guard har godkänt hela svaret)
+ * - replace: { content } när output guard stoppat svaret - ersätter allt som strömmats
+ * - done:  { sessionId, blocked?, limitReached?, humanActive?, visitorToken?, _metrics } när svaret är klart och sparat
+ * - error: { error, requestId } om flödet misslyckas
+ */
+async function handleChatStream(res, chatParams, { logger, requestTimer, path, visitorSessionId }) {
+  const abortController = new AbortController();
+  let finished = false;
+  let deltaCount = 0;
+
+  // Avbryt Mistral-strömmen om klienten kopplar ner innan vi är klara
+  res.on('close', () => {
+    if (!finished) {
+      abortController.abort();
+      logger.warn({ event: 'CHAT_STREAM_ABORTED', deltaCount }, '⏹️ Client disconnected during stream');
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const result = await handleChat({
+    ...chatParams,
+    signal: abortController.signal,
+    onDelta: (content) => {
+      deltaCount++;
+      sendEvent(res, 'delta', { content });
+    }
+  });
+
+  finished = true;
+
+  if (abortController.signal.aborted) {
+    return res.end();
+  }
+
+  if (result.error) {
+    logger.error({
+      event: 'CHAT_ERROR',
+      path,
+      statusCode: result.status || 500,
+      error: result.error,
+      stream: true,
+      latencyMs: requestTimer.elapsed()
+    }, `◀ ${path} ${result.status || 500} - ${result.error}`);
+
+    sendEvent(res, 'error', { error: result.error, requestId: chatParams.requestId });
+    return res.end();
+  }
+
+  // Blockerade svar genereras inte av Mistral - skicka hela texten som en delta
+  if (deltaCount === 0 && result.response) {
+    sendEvent(res, 'delta', { content: result.response });
+  } else if (result.outputBlocked) {
+    sendEvent(res, 'replace', { content: result.response });
+  }
+
+  logger.info({
+    event: 'CHAT_SUCCESS',
+    path,
+    statusCode: 200,
+    latencyMs: requestTimer.elapsed(),
+    metrics: result.metrics,
+    sessionId: result.sessionId?.substring(0, 8),
+    responseLength: result.response?.length || 0,
+    deltaCount,
+    stream: true
+  }, `◀ ${path} 200 (${requestTimer.elapsed()}ms) TTFT=${result.metrics?.ttft}ms [stream]`);
+
+  sendEvent(res, 'done', {
+    sessionId: result.sessionId,
+    ...(result.blocked && { blocked: true }),
+    ...(result.limitReached && { limitReached: result.limitReached }),
+    ...(result.humanActive && { humanActive: true }),
+    ...withVisitorToken(result, visitorSessionId),
+    _metrics: {
+      totalTime: requestTimer.elapsed(),
+      dbTime: result.metrics?.dbTime,
+      aiTime: result.metrics?.aiTime,
+      ttft: result.metrics?.ttft
+    }
+  });
+  return res.end();
+}
+
 // Create server
 const server = http.createServer(handleRequest);
 
-// Startup logging
-server.listen(PORT, () => {
+// Refuse to serve on an outdated schema
+async function start() {
   const { logger } = createRequestLogger('startup');
-  
+
+  try {
+    const status = await assertSchemaCurrent();
+    logger.info({ event: 'SCHEMA_CURRENT', schemaVersion: status.current }, `📦 Schema up to date (version ${status.current})`);
+  } catch (error) {
+    logError(logger, error, { event: 'SCHEMA_CHECK_FAILED' });
+    logger.fatal({ event: 'SERVER_START_REFUSED' }, '⛔ Refusing to start - run "npm run db:migrate" and check DATABASE_URL');
+    process.exit(1);
+  }
+
+  server.listen(PORT, () => onListening(logger));
+  // E-post och push för notifications (gör ingenting utan SMTP_HOST och VAPID-nycklar)
+  startNotificationWorker();
+}
+
+// Startup logging
+function onListening(logger) {
   logger.info({
     event: 'SERVER_START',
     port: PORT,
@@ -322,19 +811,33 @@ server.listen(PORT, () => {
     console.log('');
     console.log('Endpoints:');
     console.log(`  GET  /health              - Health check`);
-    console.log(`  POST /api/setup           - Initialize database`);
+    console.log(`  POST /api/setup           - Seed demo data (superadmin)`);
     console.log(`  GET  /api/greeting?slug=  - Get customer greeting`);
-    console.log(`  GET  /api/messages?sessionId= - Get session messages`);
+    console.log(`  GET  /api/messages?sessionId= - Get session messages (staff / API key)`);
+    console.log(`  GET  /api/usage?customerId= - Token/cost usage vs plan (staff / API key)`);
     console.log(`  POST /api/chat            - Chat with AI`);
+    console.log(`  POST /api/chat/stream     - Chat with AI (SSE)`);
+    console.log(`  GET  /api/sessions?customerId= - Staff inbox (filters + preview)`);
+    console.log(`  POST /api/sessions/:id/*  - Mark read, takeover, reply, handback, typing`);
+    console.log(`  GET  /api/sessions/:id/events - Session event stream (SSE)`);
+    console.log(`  GET  /api/events?customerId= - Customer event stream (SSE, staff)`);
+    console.log(`  GET  /api/push/vapid-public-key - Web Push key for the dashboard`);
+    console.log(`  POST /api/push/subscriptions - Register / remove (DELETE) a staff device`);
+    console.log(`  *    /api/admin/customers - Tenant admin (staff / API key)`);
     console.log('═══════════════════════════════════════════════════');
     console.log('');
   }
-});
+}
+
+start();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   const { logger } = createRequestLogger('shutdown');
   logger.info({ event: 'SERVER_SHUTDOWN' }, '⏹️ Received SIGTERM, shutting down gracefully');
+  // Öppna SSE-strömmar håller annars servern vid liv - klienterna återansluter till en annan instans
+  closeEventStreams();
+  stopNotificationWorker();
   server.close(() => {
     logger.info({ event: 'SERVER_CLOSED' }, '✅ Server closed');
     process.exit(0);
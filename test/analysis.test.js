@@ -0,0 +1,116 @@
+/**
+ * Conversation analysis - nyckelord, kontaktuppgifter och flaggning för personal
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeTurn, findKeywords, parseKeywords, compilePattern, runConversationAnalysis } from '../lib/analysis.js';
+import { closeDb } from '../lib/db.js';
+import { DATABASE_URL, SKIP_WITHOUT_DATABASE, openDb } from './helpers/testServer.js';
+
+const CONFIG = {
+  email_pattern: '/@/',
+  phone_pattern: '/\\+?\\d[\\d -]{6,}\\d/',
+  complaint_keywords: 'missnöjd, arg ,',
+  human_request_keywords: 'prata med',
+  special_request_keywords: 'vegan',
+  ai_unsure_patterns: 'vet tyvärr inte'
+};
+
+test('keywords are trimmed, lowercased and empty entries dropped', () => {
+  assert.deepEqual(parseKeywords(' Missnöjd, ARG ,,  '), ['missnöjd', 'arg']);
+  assert.deepEqual(parseKeywords(null), []);
+});
+
+test('keywords match at the start of a word only', () => {
+  assert.deepEqual(findKeywords('Jag är arga på er', ['arg']), ['arg']);
+  assert.deepEqual(findKeywords('Margareta här', ['arg']), []);
+  assert.deepEqual(findKeywords('Äntligen (vegan) mat!', ['vegan', 'kosher']), ['vegan']);
+  assert.deepEqual(findKeywords('Pris? 5.99 kr', ['5.99']), ['5.99']);
+});
+
+test('patterns are written as /source/flags or as a bare source', () => {
+  assert.equal(compilePattern('/HEJ/i').test('hej'), true);
+  assert.equal(compilePattern('@').test('anna@example.com'), true);
+  assert.equal(compilePattern('/[a-/'), null);
+  assert.equal(compilePattern(''), null);
+});
+
+test('a turn matches user rules on the visitor message and ai_unsure on the reply', () => {
+  const { matches } = analyzeTurn(CONFIG, {
+    userMessage: 'Jag är missnöjd och vill prata med en chef',
+    aiResponse: 'Det vet tyvärr inte jag.'
+  });
+
+  assert.deepEqual(matches.map(match => [match.type, match.priority, match.keywords]), [
+    ['complaint', 'high', ['missnöjd']],
+    ['human_request', 'high', ['prata med']],
+    ['ai_unsure', 'normal', ['vet tyvärr inte']]
+  ]);
+  assert.equal(matches[0].summary, 'Klagomål: "Jag är missnöjd och vill prata med en chef" (matchade: missnöjd)');
+});
+
+test('contact details are taken from the visitor message', () => {
+  const { matches, guestEmail, guestPhone } = analyzeTurn(CONFIG, {
+    userMessage: 'Boka gärna, nå mig på <anna@example.com>, eller 070-123 45 67.',
+    aiResponse: 'Tack!'
+  });
+
+  assert.deepEqual(matches, []);
+  assert.equal(guestEmail, 'anna@example.com');
+  assert.equal(guestPhone, '070-123 45 67');
+});
+
+describe('runConversationAnalysis', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let db;
+  let customerId;
+  let sessionId;
+
+  before(async () => {
+    process.env.DATABASE_URL = DATABASE_URL;
+    db = openDb();
+    [{ id: customerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Analysis test', ${`analysis-test-${process.pid}`}) RETURNING id
+    `;
+    [{ id: sessionId }] = await db`INSERT INTO chat_sessions (customer_id) VALUES (${customerId}) RETURNING id`;
+  });
+
+  after(async () => {
+    await db`DELETE FROM customers WHERE id = ${customerId}`;
+    await db.end();
+    await closeDb();
+  });
+
+  const turn = () => ({ customerId, sessionId, userMessage: 'Jag är missnöjd med maten', aiResponse: 'Det var tråkigt att höra.' });
+
+  test('below the threshold intents are reported but nothing is flagged', async () => {
+    const result = await runConversationAnalysis(turn());
+
+    assert.equal(result.analyzed, false);
+    assert.equal(result.reason, 'below_threshold');
+    assert.deepEqual(result.intents, ['complaint']);
+    assert.equal(result.needsHuman, false);
+  });
+
+  test('over the threshold the session needs a human, with one unread notification per type', async () => {
+    const first = await runConversationAnalysis({ ...turn(), extraMessages: 4 });
+    const second = await runConversationAnalysis({ ...turn(), extraMessages: 4 });
+
+    assert.equal(first.needsHuman, true);
+    assert.equal(first.notifications.length, 1);
+    assert.equal(second.notifications.length, 0);
+
+    const [session] = await db`SELECT needs_human FROM chat_sessions WHERE id = ${sessionId}`;
+    const notifications = await db`SELECT type, priority FROM notifications WHERE session_id = ${sessionId}`;
+    assert.equal(session.needs_human, true);
+    assert.deepEqual(notifications.map(row => ({ ...row })), [{ type: 'complaint', priority: 'high' }]);
+  });
+
+  test('a disabled analysis does nothing', async () => {
+    await db`INSERT INTO customer_analysis_config (customer_id, enable_analysis) VALUES (${customerId}, false)`;
+
+    const result = await runConversationAnalysis({ ...turn(), extraMessages: 10 });
+    assert.deepEqual({ analyzed: result.analyzed, reason: result.reason, contact: result.contact }, { analyzed: false, reason: 'disabled', contact: null });
+  });
+});
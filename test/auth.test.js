@@ -0,0 +1,192 @@
+/**
+ * Auth - signerade tokens, API-nycklar, roller och 401/403 över HTTP
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, randomUUID } from 'node:crypto';
+
+import {
+  signToken, signVisitorToken, verifyToken, hashApiKey, generateApiKey,
+  authorize, isSessionVisitor, accessibleCustomerIds
+} from '../lib/auth.js';
+import {
+  AUTH_TOKEN_SECRET, SKIP_WITHOUT_DATABASE, startTestServer, request, openDb, createStaff, removeStaff, superadminToken
+} from './helpers/testServer.js';
+
+const CUSTOMER = randomUUID();
+const OTHER_CUSTOMER = randomUUID();
+
+// Token med godtycklig header/payload, signerad med testhemligheten
+function forgeToken(header, claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode(header)}.${encode(claims)}`;
+  return `${data}.${createHmac('sha256', AUTH_TOKEN_SECRET).update(data).digest('base64url')}`;
+}
+
+function user(role, permissions = {}) {
+  return { type: 'user', userId: randomUUID(), isSuperadmin: false, memberships: [{ customerId: CUSTOMER, role, permissions }] };
+}
+
+test('a signed token verifies and keeps its claims', () => {
+  const { claims } = verifyToken(signToken({ sub: 'user-1', scope: 'visitor' }));
+
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(claims.iss, 'eryai-engine');
+  assert.equal(claims.scope, undefined, 'staff tokens may not claim the visitor scope');
+});
+
+test('expired, tampered and foreign tokens are rejected', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const [header, payload, signature] = signToken({ sub: 'user-1' }).split('.');
+  const otherPayload = Buffer.from(JSON.stringify({ sub: 'superadmin', iss: 'eryai-engine', exp: now + 60 })).toString('base64url');
+
+  assert.deepEqual(verifyToken(signToken({ sub: 'user-1' }, { ttlSeconds: -1 })), { error: 'Token expired' });
+  assert.deepEqual(verifyToken(`${header}.${otherPayload}.${signature}`), { error: 'Invalid token signature' });
+  assert.deepEqual(verifyToken(`${header}.${payload}`), { error: 'Malformed token' });
+  assert.deepEqual(verifyToken(forgeToken({ alg: 'none' }, { sub: 'user-1', iss: 'eryai-engine', exp: now + 60 })), { error: 'Unsupported token algorithm' });
+  assert.deepEqual(verifyToken(forgeToken({ alg: 'HS256' }, { sub: 'user-1', iss: 'someone-else', exp: now + 60 })), { error: 'Invalid token issuer' });
+});
+
+test('without a secret of at least 32 characters nothing is signed or verified', (t) => {
+  t.after(() => { process.env.AUTH_TOKEN_SECRET = AUTH_TOKEN_SECRET; });
+  const token = signToken({ sub: 'user-1' });
+  process.env.AUTH_TOKEN_SECRET = 'too-short';
+
+  assert.throws(() => signToken({ sub: 'user-1' }), /at least 32 characters/);
+  assert.equal(signVisitorToken(randomUUID()), null);
+  assert.deepEqual(verifyToken(token), { error: 'Token auth not configured' });
+});
+
+test('visitor tokens are only signed for session ids', () => {
+  const sessionId = randomUUID();
+  const { claims } = verifyToken(signVisitorToken(sessionId));
+
+  assert.equal(claims.scope, 'visitor');
+  assert.equal(claims.sid, sessionId);
+  assert.equal(signVisitorToken('not-a-session'), null);
+  assert.throws(() => signToken({}), /needs a sub/);
+});
+
+test('API keys are random, prefixed and stored as a sha256 hash', () => {
+  const first = generateApiKey();
+  const second = generateApiKey();
+
+  assert.match(first.key, /^ery_[A-Za-z0-9_-]{32}$/);
+  assert.equal(first.prefix, first.key.substring(0, 12));
+  assert.equal(first.hash, hashApiKey(first.key));
+  assert.match(first.hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(first.key, second.key);
+});
+
+test('roles grant permissions per customer and overrides win', () => {
+  assert.equal(authorize(user('member'), 'messages:read', CUSTOMER), true);
+  assert.equal(authorize(user('member'), 'tenant:write', CUSTOMER), false);
+  assert.equal(authorize(user('admin'), 'tenant:write', CUSTOMER), true);
+  assert.equal(authorize(user('admin'), 'tenant:write', OTHER_CUSTOMER), false);
+  assert.equal(authorize(user('owner'), 'customers:manage', CUSTOMER), false);
+  assert.equal(authorize(user('unknown'), 'messages:read', CUSTOMER), false);
+
+  assert.equal(authorize(user('member', { 'tenant:write': true }), 'tenant:write', CUSTOMER), true);
+  assert.equal(authorize(user('owner', { 'messages:read': false }), 'messages:read', CUSTOMER), false);
+
+  assert.equal(authorize({ isSuperadmin: true, memberships: [] }, 'setup:run'), true);
+  assert.equal(authorize(null, 'messages:read', CUSTOMER), false);
+});
+
+test('API keys never manage API keys, whatever their role', () => {
+  const apiKey = { ...user('admin'), type: 'api_key' };
+
+  assert.equal(authorize(apiKey, 'tenant:write', CUSTOMER), true);
+  assert.equal(authorize(apiKey, 'api_keys:manage', CUSTOMER), false);
+  assert.equal(authorize(user('admin'), 'api_keys:manage', CUSTOMER), true);
+});
+
+test('a visitor owns exactly one session and no customers', () => {
+  const sessionId = randomUUID();
+  const visitor = { type: 'visitor', sessionId, isSuperadmin: false, memberships: [] };
+
+  assert.equal(isSessionVisitor(visitor, sessionId), true);
+  assert.equal(isSessionVisitor(visitor, randomUUID()), false);
+  assert.equal(isSessionVisitor(user('owner'), sessionId), false);
+  assert.deepEqual(accessibleCustomerIds(visitor), []);
+  assert.equal(accessibleCustomerIds({ isSuperadmin: true }), null);
+});
+
+describe('authentication over HTTP', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+  let bellaId;
+  let member;
+  const userIds = [];
+  const apiKeyIds = [];
+
+  before(async () => {
+    db = openDb();
+    [{ id: bellaId }] = await db`SELECT id FROM customers WHERE slug = 'bella-italia'`;
+    member = await createStaff(db, { customerId: bellaId, role: 'member' });
+    userIds.push(member.userId);
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    if (apiKeyIds.length > 0) await db`DELETE FROM api_keys WHERE id IN ${db(apiKeyIds)}`;
+    await removeStaff(db, userIds);
+    await db.end();
+  });
+
+  test('invalid credentials get 401', async () => {
+    for (const headers of [
+      { Authorization: 'Basic dXNlcjpwYXNz' },
+      { Authorization: `Bearer ${signToken({ sub: 'user-1' }, { ttlSeconds: -1 })}` },
+      { Authorization: `Bearer ${signToken({ sub: randomUUID() })}` },
+      { Authorization: 'Bearer ery_unknownkey' }
+    ]) {
+      const response = await request(server.baseUrl, '/api/admin/customers', { headers });
+      assert.equal(response.status, 401, headers.Authorization);
+    }
+  });
+
+  test('a member may read the tenant but gets 403 for admin actions', async () => {
+    const read = await request(server.baseUrl, `/api/admin/customers/${bellaId}`, { token: member.token });
+    assert.equal(read.status, 200);
+
+    const write = await request(server.baseUrl, `/api/admin/customers/${bellaId}/ai-config`, {
+      method: 'PUT',
+      token: member.token,
+      body: { ai_name: 'Sofia' }
+    });
+    assert.equal(write.status, 403);
+  });
+
+  test('a visitor token gives no admin access', async () => {
+    const response = await request(server.baseUrl, `/api/admin/customers/${bellaId}`, { token: signVisitorToken(randomUUID()) });
+    assert.equal(response.status, 403);
+  });
+
+  test('an API key works for its customer until it is revoked', async () => {
+    const created = await request(server.baseUrl, `/api/admin/customers/${bellaId}/api-keys`, {
+      method: 'POST',
+      token: superadminToken(),
+      body: { name: 'auth-test', role: 'admin' }
+    });
+    assert.equal(created.status, 201);
+    const { apiKey } = await created.json();
+    apiKeyIds.push(apiKey.id);
+
+    const read = await request(server.baseUrl, `/api/admin/customers/${bellaId}`, { token: apiKey.key });
+    assert.equal(read.status, 200);
+
+    const newKey = await request(server.baseUrl, `/api/admin/customers/${bellaId}/api-keys`, {
+      method: 'POST',
+      token: apiKey.key,
+      body: { name: 'from-a-key' }
+    });
+    assert.equal(newKey.status, 403);
+
+    await request(server.baseUrl, `/api/admin/customers/${bellaId}/api-keys/${apiKey.id}`, { method: 'DELETE', token: superadminToken() });
+    const revoked = await request(server.baseUrl, `/api/admin/customers/${bellaId}`, { token: apiKey.key });
+    assert.equal(revoked.status, 401);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * POST /api/chat/stream - samma flöde som /api/chat, strömmat som SSE
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SKIP_WITHOUT_DATABASE, startTestServer, request, chat, readEvents } from './helpers/testServer.js';
+
+describe('POST /api/chat/stream', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server?.stop());
+
+  test('the reply arrives as delta events followed by done', async () => {
+    // Output guard håller tillbaka de sista ~200 tecknen - svaret måste vara längre för flera deltas
+    const prompt = 'Hej! Vi är sex personer som vill äta middag hos er på lördag kväll, helst vid sjutiden. Har ni ett bord ledigt då, och går det att beställa glutenfri pizza till två av oss?';
+    const response = await request(server.baseUrl, '/api/chat/stream', {
+      method: 'POST',
+      body: { slug: 'bella-italia', prompt }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readEvents(response);
+    const deltas = events.filter(event => event.event === 'delta');
+    const done = events.at(-1);
+
+    assert.ok(deltas.length > 1, 'expected the reply in several deltas');
+    assert.equal(deltas.map(event => event.data.content).join(''), `[mock:mock-small] Du skrev: "${prompt}"`);
+    assert.equal(done.event, 'done');
+    assert.match(done.data.sessionId, /^[0-9a-f-]{36}$/);
+    assert.ok(done.data.visitorToken);
+    assert.equal(typeof done.data._metrics.totalTime, 'number');
+  });
+
+  test('the streamed turn is saved like a normal chat turn', async () => {
+    const response = await request(server.baseUrl, '/api/chat/stream', {
+      method: 'POST',
+      body: { slug: 'bella-italia', prompt: 'Första frågan' }
+    });
+    const done = (await readEvents(response)).at(-1).data;
+
+    const next = await chat(server.baseUrl, { prompt: 'Andra frågan', sessionId: done.sessionId }, done.visitorToken);
+    assert.equal(next.body.sessionId, done.sessionId);
+
+    const messages = await request(server.baseUrl, `/api/messages?sessionId=${done.sessionId}`, { token: done.visitorToken });
+    const { messages: saved } = await messages.json();
+    assert.deepEqual(saved.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+  });
+
+  test('validation errors are plain JSON, not a stream', async () => {
+    const response = await request(server.baseUrl, '/api/chat/stream', { method: 'POST', body: { slug: 'bella-italia' } });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Invalid prompt' });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Context window - historik inom budget, överskottet viks in i sammanfattningen
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fitHistory, estimateTokens, getHistoryBudget, summarizeHistory, HISTORY_BUDGETS } from '../lib/contextWindow.js';
+import { SKIP_WITHOUT_DATABASE, startTestServer, chat, openDb } from './helpers/testServer.js';
+
+// Varje meddelande = 25 + 4 (overhead) tokens
+function messages(count) {
+  return Array.from({ length: count }, (_, index) => ({ role: index % 2 ? 'assistant' : 'user', content: `${index}`.padEnd(100, '.') }));
+}
+
+function fakeProvider(content) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      name: 'fake',
+      serviceName: 'Fake',
+      async complete(request) {
+        calls.push(request);
+        return { content, usage: { promptTokens: 100, completionTokens: 20, totalTokens: 120 } };
+      }
+    }
+  };
+}
+
+test('budgets follow the model prefix and tokens are estimated at four characters each', () => {
+  assert.equal(getHistoryBudget('mistral-large-latest'), HISTORY_BUDGETS['mistral-large']);
+  assert.equal(getHistoryBudget('mock-small'), HISTORY_BUDGETS.default);
+  assert.equal(estimateTokens('12345'), 2);
+  assert.equal(estimateTokens(null), 0);
+});
+
+test('history within the budget is kept as it is', () => {
+  const history = messages(4);
+  const fitted = fitHistory(history, 'Tidigare: bokade bord', 1000);
+
+  assert.equal(fitted.withinBudget, true);
+  assert.equal(fitted.kept, history);
+  assert.deepEqual(fitted.overflow, []);
+  assert.equal(fitted.estimatedTokens, 4 * 29 + estimateTokens('Tidigare: bokade bord'));
+});
+
+test('over the budget the latest messages are kept within 60 % and the rest overflows', () => {
+  const history = messages(10);
+  const fitted = fitHistory(history, null, 200);
+
+  assert.equal(fitted.withinBudget, false);
+  assert.deepEqual(fitted.kept, history.slice(6), '120 tokens fit four messages');
+  assert.deepEqual(fitted.overflow, history.slice(0, 6));
+  assert.equal(fitted.estimatedTokens, 4 * 29);
+});
+
+test('the latest message is always kept, however long', () => {
+  const history = [...messages(2), { role: 'user', content: 'x'.repeat(4000) }];
+  const fitted = fitHistory(history, null, 100);
+
+  assert.deepEqual(fitted.kept, history.slice(2));
+  assert.equal(fitted.overflow.length, 2);
+});
+
+test('the summary prompt has the previous summary and labelled speakers', async () => {
+  const { provider, calls } = fakeProvider('  - Anna vill boka bord för fyra  ');
+  const result = await summarizeHistory('- Anna har ringt förut', [
+    { role: 'user', content: 'Jag heter Anna' },
+    { role: 'assistant', sender_type: 'human', content: 'Hej Anna, det här är Marco' }
+  ], { provider, model: 'mock-small' });
+
+  assert.equal(result.summary, '- Anna vill boka bord för fyra');
+  assert.equal(result.tokens.total, 120);
+  assert.equal(calls[0].messages[1].content, 'TIDIGARE SAMMANFATTNING:\n- Anna har ringt förut\n\nNYARE MEDDELANDEN:\nBesökare: Jag heter Anna\nPersonal: Hej Anna, det här är Marco');
+});
+
+test('an empty summary comes back empty so the caller can keep summarized_until', async () => {
+  const { provider } = fakeProvider('   ');
+  const result = await summarizeHistory(null, messages(2), { provider, model: 'mock-small' });
+
+  assert.equal(result.summary, '');
+});
+
+describe('long sessions over HTTP', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+
+  before(async () => {
+    db = openDb();
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    await db.end();
+  });
+
+  test('history over the budget is folded into the session summary', async () => {
+    const first = (await chat(server.baseUrl, { prompt: 'Hej, jag heter Anna' })).body;
+
+    // ~24 000 tecken äldre historik - mer än mock-modellens budget (4000 tokens)
+    for (let index = 0; index < 12; index++) {
+      await db`
+        INSERT INTO chat_messages (session_id, role, content, sender_type, timestamp)
+        VALUES (${first.sessionId}, ${index % 2 ? 'assistant' : 'user'}, ${`Meddelande ${index} `.padEnd(2000, 'x')}, ${index % 2 ? 'ai' : 'user'}, NOW() - INTERVAL '1 hour' + ${index} * INTERVAL '1 minute')
+      `;
+    }
+
+    const next = await chat(server.baseUrl, { prompt: 'Vad heter jag?', sessionId: first.sessionId }, first.visitorToken);
+    assert.equal(next.status, 200);
+
+    const [session] = await db`SELECT summary, summarized_until FROM chat_sessions WHERE id = ${first.sessionId}`;
+    assert.match(session.summary, /Meddelande 0/);
+    assert.ok(session.summarized_until, 'summarized_until is moved forward');
+  });
+});
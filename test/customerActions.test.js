@@ -0,0 +1,143 @@
+/**
+ * Customer actions - validering, matchning per fas och fasta svar
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateAction, actionMatches, runCustomerActions } from '../lib/customerActions.js';
+import { compilePattern, testPattern, PATTERN_MAX_INPUT } from '../lib/analysis.js';
+import { SKIP_WITHOUT_DATABASE, startTestServer, chat, openDb } from './helpers/testServer.js';
+
+let nextId = 1;
+
+function action(triggerType, triggerValue, actionType = 'notify', actionConfig = {}, priority = 10) {
+  const id = `00000000-0000-4000-8000-${String(nextId++).padStart(12, '0')}`;
+  return { id, trigger_type: triggerType, trigger_value: triggerValue, action_type: actionType, action_config: actionConfig, priority };
+}
+
+const context = {
+  customerId: '3d566d32-fd11-40c1-a8a2-ea631aa2f7c4',
+  sessionId: 'c71e87f5-1145-42a2-9ca8-ff59ab5cabaa',
+  userMessage: 'Jag är allergisk mot nötter, går det bra?',
+  aiResponse: 'Självklart, vi lagar allt utan nötter.',
+  riskLevel: 2,
+  messageCount: 4,
+  intents: ['special_request']
+};
+
+test('keywords match the start of words in the visitor message', () => {
+  assert.equal(actionMatches(action('keyword', 'allergi, gluten'), 'message', context), true);
+  assert.equal(actionMatches(action('keyword', 'gi'), 'message', context), false);
+  assert.equal(actionMatches(action('keyword', 'allergi'), 'reply', context), false);
+});
+
+test('action_config.match picks the visitor message, the reply or both', () => {
+  const onReply = action('keyword', 'lagar', 'notify', { match: 'reply' });
+  assert.equal(actionMatches(onReply, 'message', context), false);
+  assert.equal(actionMatches(onReply, 'reply', context), true);
+
+  const onBoth = action('regex', '/nötter/i', 'notify', { match: 'both' });
+  assert.equal(actionMatches(onBoth, 'message', context), true);
+  assert.equal(actionMatches(onBoth, 'reply', context), true);
+});
+
+test('risk_level, message_count and intent triggers match in their phase', () => {
+  assert.equal(actionMatches(action('risk_level', '2'), 'message', context), true);
+  assert.equal(actionMatches(action('risk_level', '3'), 'message', context), false);
+
+  // 4 meddelanden före turen + besökarens + AI:ns = 6
+  assert.equal(actionMatches(action('message_count', '6'), 'message', context), true);
+  assert.equal(actionMatches(action('message_count', '4'), 'message', context), false);
+
+  assert.equal(actionMatches(action('intent', 'special_request'), 'reply', context), true);
+  assert.equal(actionMatches(action('intent', 'special_request'), 'message', context), false);
+});
+
+test('validateAction rejects invalid triggers and configs', () => {
+  assert.deepEqual(validateAction(action('keyword', 'pris', 'reply', { message: 'Se menyn.' })), []);
+
+  const fields = (candidate) => validateAction(candidate).map(error => error.field);
+  assert.deepEqual(fields(action('regex', '/[/')), ['trigger_value']);
+  assert.deepEqual(fields(action('risk_level', '11')), ['trigger_value']);
+  assert.deepEqual(fields(action('intent', 'special_request', 'reply', { message: 'Hej' })), ['action_type']);
+  assert.deepEqual(fields(action('keyword', 'pris', 'webhook', { url: 'ftp://example.com' })), ['action_config.url']);
+});
+
+test('the first matching reply action replaces the AI reply', async () => {
+  const actions = [
+    action('keyword', 'allergi', 'reply', { message: '  Vi har en allergimeny.  ' }, 1),
+    action('keyword', 'nötter', 'reply', { message: 'Fråga personalen.' }, 2),
+    action('keyword', 'vegan', 'reply', { message: 'Vi har vegansk pizza.' }, 3)
+  ];
+
+  const result = await runCustomerActions('message', actions, context, 'test');
+
+  assert.deepEqual(result.reply, { actionId: actions[0].id, message: 'Vi har en allergimeny.' });
+  assert.deepEqual(result.executed.map(entry => entry.skipped), [false, true]);
+});
+
+test('reply actions do nothing in the reply phase', async () => {
+  const actions = [action('keyword', 'lagar', 'reply', { message: 'Hej', match: 'reply' })];
+
+  const result = await runCustomerActions('reply', actions, context, 'test');
+
+  assert.equal(result.reply, null);
+  assert.deepEqual(result.executed.map(entry => entry.skipped), [true]);
+});
+
+test('regexes with nested quantifiers are rejected', () => {
+  for (const pattern of ['(a+)+$', '/(\\w*x?)*y/i', '(?:a{2,})+', '((ab)*c)*']) {
+    assert.equal(compilePattern(pattern), null, pattern);
+  }
+  for (const pattern of ['(ab)+', '/\\d{3}-\\d+/', '[(+]+', '(a|b)?c*', '\\(a+\\)+']) {
+    assert.ok(compilePattern(pattern), pattern);
+  }
+
+  const [error] = validateAction(action('regex', '(a+)+$'));
+  assert.equal(error.field, 'trigger_value');
+  assert.match(error.message, /without nested quantifiers/);
+});
+
+test('tenant patterns only see the first 2000 characters', () => {
+  const late = `${'x'.repeat(PATTERN_MAX_INPUT)}nötter`;
+
+  assert.equal(testPattern(/nötter/, late), false);
+  assert.equal(testPattern(/nötter/, late.slice(10)), true);
+  assert.equal(actionMatches(action('regex', 'nötter'), 'message', { ...context, userMessage: late }), false);
+});
+
+describe('reply actions over HTTP', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+  let actionId;
+
+  before(async () => {
+    db = openDb();
+    const [bella] = await db`SELECT id FROM customers WHERE slug = 'bella-italia'`;
+    [{ id: actionId }] = await db`
+      INSERT INTO customer_actions (customer_id, trigger_type, trigger_value, action_type, action_config, priority)
+      VALUES (${bella.id}, 'keyword', 'provsmakning', 'reply', ${db.json({ message: 'Provsmakning är varje torsdag klockan 18.' })}, 0)
+      RETURNING id
+    `;
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    await db`DELETE FROM customer_actions WHERE id = ${actionId}`;
+    await db.end();
+  });
+
+  test('a matching reply action answers instead of the AI', async () => {
+    const result = await chat(server.baseUrl, { prompt: 'När har ni provsmakning?' });
+
+    assert.equal(result.status, 200);
+    assert.equal(result.body.response, 'Provsmakning är varje torsdag klockan 18.');
+  });
+
+  test('other messages still get the AI reply', async () => {
+    const result = await chat(server.baseUrl, { prompt: 'Har ni öppet ikväll?' });
+    assert.match(result.body.response, /^\[mock:/);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Eskalering - flytta en session till ett annat team eller en medarbetare,
+ * notifiera mottagarna och visa historiken
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+
+import { SKIP_WITHOUT_DATABASE, startTestServer, request, openDb, createStaff, superadminToken, removeStaff } from './helpers/testServer.js';
+
+describe('session escalation over HTTP', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+  let customerId;
+  let otherCustomerId;
+  let member;
+  let admin;
+  const teams = {};
+  const teamMemberId = randomUUID();
+
+  before(async () => {
+    db = openDb();
+    [{ id: customerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Escalation test', ${`escalation-test-${process.pid}`}) RETURNING id
+    `;
+    [{ id: otherCustomerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Escalation other', ${`escalation-other-${process.pid}`}) RETURNING id
+    `;
+    [{ id: teams.floor }] = await db`INSERT INTO teams (customer_id, name, is_default) VALUES (${customerId}, 'Servering', true) RETURNING id`;
+    [{ id: teams.kitchen }] = await db`INSERT INTO teams (customer_id, name) VALUES (${customerId}, 'Kök') RETURNING id`;
+    [{ id: teams.foreign }] = await db`INSERT INTO teams (customer_id, name) VALUES (${otherCustomerId}, 'Annan') RETURNING id`;
+    await db`INSERT INTO user_memberships (user_id, team_id) VALUES (${teamMemberId}, ${teams.kitchen})`;
+
+    member = await createStaff(db, { customerId });
+    admin = await createStaff(db, { customerId, role: 'admin' });
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    await removeStaff(db, [member.userId, admin.userId, teamMemberId]);
+    // session_escalations pekar på teams utan ON DELETE - ta bort dem före kunden
+    await db`DELETE FROM session_escalations WHERE session_id IN (SELECT id FROM chat_sessions WHERE customer_id = ${customerId})`;
+    await db`DELETE FROM customers WHERE id IN ${db([customerId, otherCustomerId])}`;
+    await db.end();
+  });
+
+  async function newSession() {
+    const [{ id }] = await db`
+      INSERT INTO chat_sessions (customer_id, assigned_team_id, assigned_type) VALUES (${customerId}, ${teams.floor}, 'team') RETURNING id
+    `;
+    return id;
+  }
+
+  async function escalate(sessionId, body, token = member.token) {
+    const response = await request(server.baseUrl, `/api/sessions/${sessionId}/escalate`, { method: 'POST', token, body });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('escalating to a team reassigns the session and notifies its members', async () => {
+    const sessionId = await newSession();
+    const { status, body } = await escalate(sessionId, { to_team_id: teams.kitchen, reason: 'Allergifråga', urgent: true });
+
+    assert.equal(status, 201);
+    assert.equal(body.session.assigned_team_id, teams.kitchen);
+    assert.equal(body.session.escalation_level, 1);
+    assert.deepEqual([body.escalation.from_team_id, body.escalation.to_team_id], [teams.floor, teams.kitchen]);
+    assert.equal(body.escalation.created_by, member.userId);
+    assert.deepEqual([...body.recipients.userIds].sort(), [teamMemberId, admin.userId].sort(), 'urgent also reaches the admins');
+
+    const [notification] = await db`SELECT type, priority FROM notifications WHERE session_id = ${sessionId}`;
+    assert.deepEqual({ ...notification }, { type: 'escalated', priority: 'urgent' });
+  });
+
+  test('the same assignment twice is a conflict', async () => {
+    const sessionId = await newSession();
+    assert.equal((await escalate(sessionId, { to_team_id: teams.floor })).status, 409);
+
+    assert.equal((await escalate(sessionId, { to_user_id: member.userId })).status, 201);
+    assert.equal((await escalate(sessionId, { to_user_id: member.userId })).status, 409);
+  });
+
+  test('a target is required and must belong to the session\'s customer', async () => {
+    const sessionId = await newSession();
+
+    const empty = await escalate(sessionId, { reason: 'Hjälp' });
+    assert.equal(empty.status, 400);
+    assert.deepEqual(empty.body.details, [{ field: null, message: 'to_team_id or to_user_id is required' }]);
+
+    const foreign = await escalate(sessionId, { to_team_id: teams.foreign, to_user_id: randomUUID() });
+    assert.equal(foreign.status, 400);
+    assert.deepEqual(foreign.body.details.map(detail => detail.field), ['to_team_id', 'to_user_id']);
+
+    assert.equal((await escalate(sessionId, { to_team_id: 'kitchen' })).status, 400);
+  });
+
+  test('an unknown session is 403 for staff and 404 for the superadmin', async () => {
+    const sessionId = randomUUID();
+    assert.equal((await escalate(sessionId, { to_team_id: teams.kitchen })).status, 403);
+    assert.equal((await escalate(sessionId, { to_team_id: teams.kitchen }, superadminToken())).status, 404);
+  });
+
+  test('admins read the timeline oldest first, members may not', async () => {
+    const sessionId = await newSession();
+    await escalate(sessionId, { to_team_id: teams.kitchen, note: 'Glutenfritt?' });
+    await escalate(sessionId, { to_user_id: member.userId });
+
+    const path = `/api/sessions/${sessionId}/escalations`;
+    assert.equal((await request(server.baseUrl, path, { token: member.token })).status, 403);
+
+    const response = await request(server.baseUrl, path, { token: admin.token });
+    assert.equal(response.status, 200);
+    const { current, escalations } = await response.json();
+
+    assert.equal(current.escalation_level, 2);
+    assert.equal(current.assigned_user_id, member.userId);
+    assert.deepEqual(escalations.map(escalation => [escalation.from_team_name, escalation.to_team_name, escalation.note]), [
+      ['Servering', 'Kök', 'Glutenfritt?'],
+      ['Kök', 'Kök', null]
+    ]);
+  });
+});
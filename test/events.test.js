@@ -0,0 +1,107 @@
+/**
+ * Session events - SSE per session och per kund, uppspelning med Last-Event-ID
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseLastEventId, sessionState } from '../lib/events.js';
+import { SKIP_WITHOUT_DATABASE, startTestServer, request, chat, readEvents, openDb, createStaff, removeStaff } from './helpers/testServer.js';
+
+test('Last-Event-ID must be a plain non-negative integer', () => {
+  assert.equal(parseLastEventId('42'), 42);
+  assert.equal(parseLastEventId('0'), 0);
+  for (const value of [undefined, '', '-1', '4.2', '1e3', ' 42', '1234567890123456']) {
+    assert.equal(parseLastEventId(value), null, String(value));
+  }
+});
+
+test('the session event carries flags and assignment with defaults', () => {
+  assert.deepEqual(sessionState({ needs_human: true, risk_level: null, human_takeover_at: new Date(), assigned_team_id: 'team-1' }), {
+    needsHuman: true,
+    suspicious: false,
+    riskLevel: 0,
+    teamId: 'team-1',
+    userId: null,
+    escalationLevel: 0,
+    humanActive: true,
+    isRead: false
+  });
+});
+
+describe('event streams over HTTP', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+  let bellaId;
+  let staff;
+
+  before(async () => {
+    db = openDb();
+    [{ id: bellaId }] = await db`SELECT id FROM customers WHERE slug = 'bella-italia'`;
+    staff = await createStaff(db, { customerId: bellaId });
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    await removeStaff(db, [staff.userId]);
+    await db.end();
+  });
+
+  const isReady = events => events.some(event => event.event === 'ready');
+
+  function openStream(path, token, headers = {}) {
+    return request(server.baseUrl, `${path}${path.includes('?') ? '&' : '?'}access_token=${token}`, { headers });
+  }
+
+  test('the visitor gets new messages live after ready', async () => {
+    const { sessionId, visitorToken } = (await chat(server.baseUrl, { prompt: 'Hej!' })).body;
+    const stream = await openStream(`/api/sessions/${sessionId}/events`, visitorToken);
+    assert.equal(stream.status, 200);
+
+    const reading = readEvents(stream, { until: events => events.filter(event => event.event === 'message').length >= 2 });
+    await chat(server.baseUrl, { prompt: 'Har ni öppet på söndag?', sessionId }, visitorToken);
+    const events = await reading;
+
+    assert.equal(events[0].event, 'ready');
+    assert.deepEqual(events.slice(1).map(event => [event.event, event.data.message.role]), [['message', 'user'], ['message', 'assistant']]);
+    assert.ok(Number(events[2].id) > Number(events[1].id));
+  });
+
+  test('a reconnecting visitor gets the missed events but never flags or assignment', async () => {
+    const { sessionId, visitorToken } = (await chat(server.baseUrl, { prompt: 'Hej!' })).body;
+    const first = await readEvents(await openStream(`/api/sessions/${sessionId}/events`, visitorToken), { until: isReady });
+    const lastEventId = first.at(-1).id;
+
+    await request(server.baseUrl, `/api/sessions/${sessionId}/takeover`, { method: 'POST', token: staff.token });
+    await request(server.baseUrl, `/api/sessions/${sessionId}/messages`, { method: 'POST', token: staff.token, body: { content: 'Hej, Marco här' } });
+
+    const resumed = await openStream(`/api/sessions/${sessionId}/events`, visitorToken, { 'Last-Event-ID': lastEventId });
+    const events = await readEvents(resumed, { until: isReady });
+
+    assert.deepEqual(events.map(event => event.event), ['takeover', 'message', 'ready']);
+    assert.equal(events[1].data.message.content, 'Hej, Marco här');
+    assert.equal(events.at(-1).data.replayed, 2);
+  });
+
+  test('staff on the customer stream also get session state', async () => {
+    const start = await readEvents(await openStream(`/api/events?customerId=${bellaId}`, staff.token), { until: isReady });
+    const { sessionId } = (await chat(server.baseUrl, { prompt: 'Hej!' })).body;
+    await request(server.baseUrl, `/api/sessions/${sessionId}/takeover`, { method: 'POST', token: staff.token });
+
+    const resumed = await openStream(`/api/events?customerId=${bellaId}&lastEventId=${start.at(-1).id}`, staff.token);
+    const events = (await readEvents(resumed, { until: isReady })).filter(event => event.data.sessionId === sessionId);
+
+    assert.deepEqual(events.map(event => event.event), ['message', 'message', 'takeover', 'session']);
+    assert.equal(events.at(-1).data.humanActive, true);
+  });
+
+  test('another session\'s visitor token cannot open the stream', async () => {
+    const own = (await chat(server.baseUrl, { prompt: 'Hej!' })).body;
+    const other = (await chat(server.baseUrl, { prompt: 'Hej igen!' })).body;
+
+    const response = await openStream(`/api/sessions/${other.sessionId}/events`, own.visitorToken);
+    assert.equal(response.status, 403);
+    await response.body.cancel();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Generation settings - companion före tenant, ogiltiga värden faller tillbaka
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveGenerationSettings, DEFAULT_SETTINGS } from '../lib/generationSettings.js';
+import { buildSystemPrompt } from '../lib/mistral.js';
+
+test('without settings the defaults are used', () => {
+  const settings = resolveGenerationSettings({ id: 'customer' });
+
+  assert.equal(settings.temperature, DEFAULT_SETTINGS.temperature);
+  assert.equal(settings.maxTokens, DEFAULT_SETTINGS.maxTokens);
+  assert.deepEqual(settings.sources, { temperature: 'default', maxTokens: 'default', language: 'default', personality: 'default' });
+});
+
+test('the companion wins over the tenant, field by field', () => {
+  const settings = resolveGenerationSettings(
+    { temperature: 0.3, max_tokens: 300, language: 'sv' },
+    { temperature: 0.9, language: 'NO', personality: '  Varm och tålmodig  ' }
+  );
+
+  assert.equal(settings.temperature, 0.9);
+  assert.equal(settings.maxTokens, 300);
+  assert.equal(settings.language, 'no');
+  assert.equal(settings.personality, 'Varm och tålmodig');
+  assert.deepEqual(settings.sources, { temperature: 'companion', maxTokens: 'tenant', language: 'companion', personality: 'companion' });
+});
+
+test('invalid values are skipped with a warning and the next source is used', () => {
+  const settings = resolveGenerationSettings(
+    { temperature: 0.4, max_tokens: 5000 },
+    { temperature: 3, language: 'xx', personality: 'x'.repeat(501) }
+  );
+
+  assert.equal(settings.temperature, 0.4);
+  assert.equal(settings.maxTokens, DEFAULT_SETTINGS.maxTokens);
+  assert.equal(settings.language, DEFAULT_SETTINGS.language);
+  assert.equal(settings.personality, null);
+  assert.deepEqual(settings.warnings.map(warning => `${warning.source}.${warning.column}`), [
+    'companion.temperature', 'tenant.max_tokens', 'companion.language', 'companion.personality'
+  ]);
+});
+
+test('personality and language end up in the system prompt', () => {
+  const prompt = buildSystemPrompt('Du är Sofia.', 'Öppet 17-23.', 'Ciao!', { personality: 'Glad', language: 'no' });
+
+  assert.match(prompt, /PERSONLIGHET: Glad/);
+  assert.match(prompt, /Svara på norska \(bokmål\)/);
+  assert.match(prompt, /KUNSKAPSBAS:\nÖppet 17-23\./);
+  assert.ok(prompt.indexOf('PERSONLIGHET') < prompt.indexOf('KUNSKAPSBAS'));
+});
@@ -0,0 +1,94 @@
+/**
+ * Fejkad push-tjänst - webbläsarens sida av Web Push för tester
+ *
+ * Varje subscription() är en "enhet" med egna nycklar. Tjänsten sparar
+ * mottagna anrop med dekrypterad payload och svarar med statusen i sökvägen
+ * (/410/enhet ger 410, annars 201). Jämför scripts/push-endpoint.js.
+ */
+
+import http from 'node:http';
+import { createECDH, createPublicKey, verify, hkdfSync, createDecipheriv, randomBytes } from 'node:crypto';
+
+/**
+ * RFC 8291 - en record, padding-delimiter 0x02
+ */
+export function decryptPayload(body, ecdh, authSecret) {
+  const salt = body.subarray(0, 16);
+  const recordSize = body.readUInt32BE(16);
+  const idLength = body[20];
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  if (plaintext.at(-1) !== 0x02) throw new Error('Missing record delimiter');
+  return { recordSize, payload: plaintext.subarray(0, -1).toString('utf8') };
+}
+
+/**
+ * "vapid t=<jwt>, k=<publik nyckel>" - kastar om signaturen inte stämmer
+ *
+ * @returns {{ claims: object, publicKey: string }}
+ */
+export function verifyVapid(header) {
+  const [, token, publicKey] = /^vapid t=([\w-]+\.[\w-]+\.[\w-]+), k=([\w-]+)$/.exec(header);
+  const [encodedHeader, encodedClaims, signature] = token.split('.');
+  const point = Buffer.from(publicKey, 'base64url');
+
+  const key = createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33, 65).toString('base64url') },
+    format: 'jwk'
+  });
+  const valid = verify('sha256', Buffer.from(`${encodedHeader}.${encodedClaims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'));
+  if (!valid) throw new Error('JWT signature does not match k=');
+
+  return { claims: JSON.parse(Buffer.from(encodedClaims, 'base64url')), publicKey };
+}
+
+export async function startPushService() {
+  const devices = new Map();
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const device = devices.get(req.url);
+      const [, status] = req.url.split('/');
+      received.push({
+        path: req.url,
+        headers: req.headers,
+        ...(device && decryptPayload(Buffer.concat(chunks), device.ecdh, device.authSecret))
+      });
+      res.writeHead(Number(status) || 201);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    received,
+    /**
+     * Ny enhet - PushSubscription.toJSON() för sökvägen
+     */
+    subscription(path = `/201/${randomBytes(4).toString('hex')}`) {
+      const ecdh = createECDH('prime256v1');
+      ecdh.generateKeys();
+      const authSecret = randomBytes(16);
+      devices.set(path, { ecdh, authSecret });
+      return { endpoint: `${origin}${path}`, keys: { p256dh: ecdh.getPublicKey('base64url'), auth: authSecret.toString('base64url') } };
+    },
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
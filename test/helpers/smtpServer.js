@@ -0,0 +1,84 @@
+/**
+ * Fejkad SMTP-server - tar emot allt i klartext och sparar kommandon och meddelanden
+ *
+ * reply(line) kan returnera ett eget svar ("451 Try later") för ett kommando,
+ * annars svarar servern som en vanlig relay. STARTTLS erbjuds aldrig.
+ */
+
+import { createServer } from 'node:net';
+
+export async function startSmtpServer({ reply = () => undefined } = {}) {
+  const commands = [];
+  const messages = [];
+
+  const server = createServer((socket) => {
+    let buffer = '';
+    let data = null;
+
+    const send = (line) => socket.write(`${line}\r\n`);
+    send('220 fake.test ESMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            send('250 OK queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        const custom = reply(line);
+
+        if (custom) send(custom);
+        else if (verb === 'EHLO') socket.write('250-fake.test\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        else if (verb === 'AUTH') send('235 Authenticated');
+        else if (verb === 'DATA') {
+          data = [];
+          send('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          send('221 Bye');
+          socket.end();
+        } else send('250 OK');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    commands,
+    messages,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Ämnesraden ur ett mottaget meddelande, RFC 2047-avkodad
+ */
+export function decodeSubject(message) {
+  const [, subject] = message.match(/^Subject: (.*(?:\r\n .*)*)/m);
+  return subject
+    .replace(/\r\n /g, '')
+    .replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (match, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+}
+
+/**
+ * En base64-kodad del (text/plain eller text/html) ur ett mottaget meddelande
+ */
+export function decodePart(message, type) {
+  const [, body] = message.match(new RegExp(`Content-Type: ${type}; charset=utf-8\\r\\nContent-Transfer-Encoding: base64\\r\\n\\r\\n([^-]*)`));
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
@@ -0,0 +1,188 @@
+/**
+ * Testserver - server.js som barnprocess mot TEST_DATABASE_URL med mock-providern
+ *
+ * Databasen ska vara migrerad och seedad (npm run db:init). Utan
+ * TEST_DATABASE_URL hoppas testerna som använder den här över (SKIP_WITHOUT_DATABASE).
+ * Personal skapas som user_memberships-rader med egna user_id:n och tas bort igen.
+ */
+
+import { spawn } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+import postgres from 'postgres';
+
+import { signToken } from '../../lib/auth.js';
+
+export const DATABASE_URL = process.env.TEST_DATABASE_URL;
+export const SKIP_WITHOUT_DATABASE = DATABASE_URL ? false : 'TEST_DATABASE_URL not set';
+
+// Samma hemlighet i testprocessen (signToken) som i servern
+export const AUTH_TOKEN_SECRET = 'test-secret-0123456789abcdef0123456789abcdef';
+process.env.AUTH_TOKEN_SECRET = AUTH_TOKEN_SECRET;
+
+const SERVER_PATH = fileURLToPath(new URL('../../server.js', import.meta.url));
+
+let clientCount = 0;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js - env läggs ovanpå testmiljön
+ *
+ * @returns {Promise<{ baseUrl: string, stop(): Promise<void> }>}
+ */
+export async function startTestServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      DATABASE_URL,
+      PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      AUTH_TOKEN_SECRET,
+      LOG_LEVEL: 'silent',
+      NODE_ENV: 'test',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      await fetch(`${baseUrl}/health`);
+      break;
+    } catch {
+      if (attempt >= 50) {
+        child.kill();
+        throw new Error('Server did not start');
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+
+  return {
+    baseUrl,
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    }
+  };
+}
+
+/**
+ * fetch mot testservern - varje anrop får en egen klient-IP (rate limit per IP)
+ *
+ * @param {{ method?, body?, token?, headers? }} options - body skickas som JSON
+ */
+export function request(baseUrl, path, { method = 'GET', body, token, headers = {} } = {}) {
+  clientCount++;
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'X-Forwarded-For': `10.99.${Math.floor(clientCount / 250)}.${clientCount % 250}`,
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+}
+
+/**
+ * POST /api/chat mot bella-italia (om inget annat anges)
+ *
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function chat(baseUrl, body, token) {
+  const response = await request(baseUrl, '/api/chat', { method: 'POST', body: { slug: 'bella-italia', ...body }, token });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Läs Server-Sent Events tills strömmen tar slut eller until(events) är sant
+ *
+ * @returns {Promise<Array<{ id?: string, event: string, data: any }>>}
+ */
+export async function readEvents(response, { until = () => false, timeoutMs = 5000 } = {}) {
+  const events = [];
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const timeout = setTimeout(() => reader.cancel(), timeoutMs);
+  let buffer = '';
+
+  try {
+    while (!until(events)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        const event = { event: 'message' };
+        for (const line of block.split('\n')) {
+          const [field, ...rest] = line.split(': ');
+          if (field === 'id' || field === 'event') event[field] = rest.join(': ');
+          if (field === 'data') event.data = JSON.parse(rest.join(': '));
+        }
+        if (event.data !== undefined) events.push(event);
+      }
+    }
+  } finally {
+    clearTimeout(timeout);
+    await reader.cancel().catch(() => {});
+  }
+  return events;
+}
+
+/**
+ * Databaskoppling för testets egna kontroller - stäng med db.end()
+ */
+export function openDb() {
+  return postgres(DATABASE_URL, { onnotice: () => {} });
+}
+
+/**
+ * Staff-token för en ny användare med en roll på kunden
+ *
+ * @returns {Promise<{ token: string, userId: string }>}
+ */
+export async function createStaff(db, { customerId, role = 'member', permissions = {} }) {
+  const userId = randomUUID();
+  await db`
+    INSERT INTO user_memberships (user_id, customer_id, role, permissions)
+    VALUES (${userId}, ${customerId}, ${role}, ${db.json(permissions)})
+  `;
+  return { token: signToken({ sub: userId }), userId };
+}
+
+/**
+ * Staff-token för seedens superadmin
+ */
+export function superadminToken() {
+  return signToken({ email: 'eric@eryai.tech' });
+}
+
+/**
+ * Ta bort användarna som createStaff skapade
+ */
+export async function removeStaff(db, userIds) {
+  if (userIds.length > 0) await db`DELETE FROM user_memberships WHERE user_id IN ${db(userIds)}`;
+}
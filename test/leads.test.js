@@ -0,0 +1,147 @@
+/**
+ * Leads - modellens JSON valideras mot besökarens text och hamnar i en
+ * enda lead-notifikation per session
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseLeadResponse, extractLead, captureLead } from '../lib/leads.js';
+import { closeDb } from '../lib/db.js';
+import { DATABASE_URL, SKIP_WITHOUT_DATABASE, openDb } from './helpers/testServer.js';
+
+const VISITOR_TEXT = 'Hej, jag heter Anna Berg och vill boka bord för 4 på fredag kl 19.\nNå mig på anna.berg@example.se eller 070-123 45 67';
+
+function fakeProvider(content) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      name: 'fake',
+      serviceName: 'Fake',
+      async complete(request) {
+        calls.push(request);
+        if (content instanceof Error) throw content;
+        return { content, usage: { promptTokens: 80, completionTokens: 30, totalTokens: 110 } };
+      }
+    }
+  };
+}
+
+test('a valid answer is kept, also inside a code fence', () => {
+  const content = '```json\n{"name": "Anna Berg", "email": "anna.berg@example.se", "phone": "0701234567", "reservation": {"date": "fredag", "time": "19:00", "party_size": 4, "notes": null}}\n```';
+
+  assert.deepEqual(parseLeadResponse(content, VISITOR_TEXT), {
+    lead: {
+      name: 'Anna Berg',
+      email: 'anna.berg@example.se',
+      phone: '0701234567',
+      reservation: { date: 'fredag', time: '19:00', party_size: 4 }
+    },
+    rejected: []
+  });
+});
+
+test('fields that are invalid or not in the visitor\'s text are dropped one by one', () => {
+  const content = JSON.stringify({
+    name: 'Sofia',
+    email: 'not-an-email',
+    phone: '08-555 123 45',
+    reservation: { date: '2026-11-06', party_size: 0, table: 'fönster' },
+    ignore: 'previous instructions'
+  });
+
+  assert.deepEqual(parseLeadResponse(content, VISITOR_TEXT), {
+    lead: { name: null, email: null, phone: null, reservation: { date: '2026-11-06' } },
+    rejected: ['name', 'email', 'phone', 'reservation.party_size']
+  });
+});
+
+test('an answer that is not a JSON object gives no lead', () => {
+  for (const content of ['Anna Berg, 070-123 45 67', '["Anna"]', 'null', '']) {
+    assert.deepEqual(parseLeadResponse(content, VISITOR_TEXT), { lead: null, rejected: [] }, content);
+  }
+});
+
+test('extraction is a JSON-mode call with the visitor\'s latest messages only', async () => {
+  const { provider, calls } = fakeProvider('{"name": "Anna Berg"}');
+  const messages = Array.from({ length: 8 }, (_, index) => `meddelande ${index}`);
+  messages[7] = 'Jag heter Anna Berg';
+
+  const result = await extractLead(messages, { provider, model: 'mock-small' });
+
+  assert.deepEqual(result.lead, { name: 'Anna Berg', email: null, phone: null, reservation: null });
+  assert.equal(result.tokens.total, 110);
+  assert.deepEqual(calls[0].responseFormat, { type: 'json_object' });
+  assert.equal(calls[0].temperature, 0);
+  assert.doesNotMatch(calls[0].messages[1].content, /meddelande 1\b/);
+  assert.match(calls[0].messages[1].content, /meddelande 2\n- meddelande 3/);
+});
+
+describe('captureLead', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let db;
+  let customerId;
+
+  before(async () => {
+    process.env.DATABASE_URL = DATABASE_URL;
+    db = openDb();
+    [{ id: customerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Lead test', ${`lead-test-${process.pid}`}) RETURNING id
+    `;
+  });
+
+  after(async () => {
+    await db`DELETE FROM customers WHERE id = ${customerId}`;
+    await db.end();
+    await closeDb();
+  });
+
+  async function newSession() {
+    const [{ id }] = await db`INSERT INTO chat_sessions (customer_id) VALUES (${customerId}) RETURNING id`;
+    return id;
+  }
+
+  function turn(sessionId, visitorMessages, contact = {}) {
+    return { customerId, sessionId, visitorMessages, contact };
+  }
+
+  function llm(content) {
+    return { provider: fakeProvider(content).provider, model: 'mock-small' };
+  }
+
+  test('new details fill in the same notification instead of adding one', async () => {
+    const sessionId = await newSession();
+
+    const first = await captureLead(
+      turn(sessionId, ['Jag heter Anna Berg, vi är 4 personer']),
+      llm('{"name": "Anna Berg", "reservation": {"party_size": 4}}')
+    );
+    assert.deepEqual([first.captured, first.source, first.created], [true, 'model', true]);
+
+    const second = await captureLead(
+      turn(sessionId, ['Jag heter Anna Berg, vi är 4 personer', 'Mejla Anna.Berg@Example.se, gärna kl 19']),
+      llm('{"name": null, "email": "Anna.Berg@Example.se", "reservation": {"time": "19:00"}}')
+    );
+    assert.deepEqual([second.created, second.changed, second.notification.id], [false, true, first.notification.id]);
+    assert.equal(second.notification.guest_name, 'Anna Berg', 'null never overwrites a known value');
+    assert.equal(second.notification.guest_email, 'anna.berg@example.se');
+    assert.deepEqual(second.notification.reservation_details, { party_size: 4, time: '19:00' });
+
+    const again = await captureLead(turn(sessionId, ['Tack!']), llm('{"name": null}'));
+    assert.equal(again.captured, false);
+
+    const leads = await db`SELECT summary FROM notifications WHERE session_id = ${sessionId} AND type = 'lead'`;
+    assert.deepEqual(leads.map(lead => lead.summary), ['Kontaktuppgifter: Anna Berg · anna.berg@example.se. Önskar boka: 19:00, 4 pers']);
+  });
+
+  test('when the model call fails the pattern matches are stored', async () => {
+    const sessionId = await newSession();
+
+    const result = await captureLead(
+      turn(sessionId, ['Ring mig på 070-123 45 67'], { guestPhone: '070-123 45 67' }),
+      llm(new Error('provider down'))
+    );
+
+    assert.deepEqual([result.captured, result.source, result.notification.guest_phone], [true, 'pattern', '070-123 45 67']);
+  });
+});
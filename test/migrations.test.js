@@ -0,0 +1,135 @@
+/**
+ * Migrations - filerna, checksums och up/down mot en tom testdatabas
+ *
+ * Databastesterna skapar en egen databas bredvid TEST_DATABASE_URL och tar
+ * bort den efteråt (rollen behöver CREATEDB).
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import postgres from 'postgres';
+
+import { loadMigrations, migrationLabel, getMigrationStatus, migrateUp, migrateDown, assertSchemaCurrent } from '../lib/migrations.js';
+import { closeDb } from '../lib/db.js';
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+async function migrationDir(files) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'eryai-migrations-'));
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('the migrations in the repo are numbered without gaps and all have an up file', async () => {
+  const migrations = await loadMigrations();
+
+  assert.deepEqual(migrations.map(migration => migration.version), migrations.map((_, index) => index + 1));
+  for (const migration of migrations) {
+    assert.match(migration.checksum, /^[0-9a-f]{64}$/);
+    assert.equal(typeof migration.down, 'string', `${migrationLabel(migration)} has no down file`);
+  }
+});
+
+test('files are sorted by version, other files are ignored and the checksum follows the up file', async (t) => {
+  const dir = await migrationDir({
+    '010_second.up.sql': 'SELECT 2;',
+    '002_first.up.sql': 'SELECT 1;',
+    '002_first.down.sql': '',
+    'README.md': '# not a migration'
+  });
+  t.after(() => rm(dir, { recursive: true }));
+
+  const migrations = await loadMigrations(dir);
+  assert.deepEqual(migrations.map(migrationLabel), ['002_first', '010_second']);
+  assert.equal(migrations[0].down, '');
+  assert.equal(migrations[1].down, undefined);
+
+  await writeFile(path.join(dir, '002_first.up.sql'), 'SELECT 1; -- changed');
+  const [changed] = await loadMigrations(dir);
+  assert.notEqual(changed.checksum, migrations[0].checksum);
+});
+
+test('a missing up file or two names for one version is an error', async (t) => {
+  const onlyDown = await migrationDir({ '001_init.down.sql': 'DROP TABLE x;' });
+  const conflicting = await migrationDir({ '001_init.up.sql': '', '001_other.down.sql': '' });
+  t.after(() => Promise.all([rm(onlyDown, { recursive: true }), rm(conflicting, { recursive: true })]));
+
+  await assert.rejects(loadMigrations(onlyDown), /001_init is missing its \.up\.sql file/);
+  await assert.rejects(loadMigrations(conflicting), /conflicting names/);
+});
+
+describe('migrations against an empty database', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, () => {
+  const name = `eryai_migrations_test_${process.pid}`;
+  let admin;
+
+  before(async () => {
+    admin = postgres(TEST_DATABASE_URL, { onnotice: () => {} });
+    await admin.unsafe(`DROP DATABASE IF EXISTS ${name}`);
+    await admin.unsafe(`CREATE DATABASE ${name}`);
+
+    const url = new URL(TEST_DATABASE_URL);
+    url.pathname = `/${name}`;
+    process.env.DATABASE_URL = url.toString();
+  });
+
+  after(async () => {
+    await closeDb();
+    await admin.unsafe(`DROP DATABASE IF EXISTS ${name}`);
+    await admin.end();
+  });
+
+  test('the status of an empty database is read without creating schema_migrations', async () => {
+    const status = await getMigrationStatus();
+    const latest = (await loadMigrations()).length;
+
+    assert.equal(status.current, 0);
+    assert.equal(status.pending.length, latest);
+    assert.equal(status.upToDate, false);
+    await assert.rejects(assertSchemaCurrent(), /Schema is behind \(at 0/);
+
+    const db = postgres(process.env.DATABASE_URL, { onnotice: () => {} });
+    const [{ exists }] = await db`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+    await db.end();
+    assert.equal(exists, false);
+  });
+
+  test('up applies every migration and the server may start', async () => {
+    const applied = await migrateUp();
+    const status = await assertSchemaCurrent();
+
+    assert.equal(applied.length, status.latest);
+    assert.equal(status.current, status.latest);
+    assert.deepEqual(await migrateUp(), []);
+  });
+
+  test('an edited migration is refused by up and at startup', async () => {
+    const db = postgres(process.env.DATABASE_URL, { onnotice: () => {} });
+    try {
+      await db`UPDATE schema_migrations SET checksum = 'edited' WHERE version = 1`;
+
+      await assert.rejects(assertSchemaCurrent(), /Schema checksum mismatch: 001_initial_schema/);
+      await assert.rejects(migrateUp(), /never edit an applied migration/);
+    } finally {
+      const [first] = await loadMigrations();
+      await db`UPDATE schema_migrations SET checksum = ${first.checksum} WHERE version = 1`;
+      await db.end();
+    }
+  });
+
+  test('down rolls back the latest migrations in reverse order', async () => {
+    const start = await getMigrationStatus();
+
+    const reverted = await migrateDown({ steps: 2 });
+    assert.deepEqual(reverted.map(migration => migration.version), [start.current, start.current - 1]);
+    assert.equal((await getMigrationStatus()).current, start.current - 2);
+
+    assert.equal((await migrateUp()).length, 2);
+    assert.equal((await migrateDown({ steps: start.current })).length, start.current);
+    assert.equal((await getMigrationStatus()).current, 0);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Notification worker - mallar, leverans via SMTP och delivery_status
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderTemplate, findUnknownVariables, processNotifications } from '../lib/notificationWorker.js';
+import { closeDb } from '../lib/db.js';
+import { DATABASE_URL, SKIP_WITHOUT_DATABASE, openDb } from './helpers/testServer.js';
+import { startSmtpServer, decodeSubject, decodePart } from './helpers/smtpServer.js';
+
+test('variables are substituted and HTML-escaped only in the body', () => {
+  const rendered = renderTemplate(
+    { subject: '{{title}}: {{ guest_name }}', html_body: '<p>{{summary}}</p><p>{{guest_phone}}{{unknown}}</p>' },
+    { title: 'Ny gäst', guest_name: 'Åsa <Test>', summary: 'Vill boka "bord" & <b>vin</b>', guest_phone: null }
+  );
+
+  assert.deepEqual(rendered, {
+    subject: 'Ny gäst: Åsa <Test>',
+    html: '<p>Vill boka &quot;bord&quot; &amp; &lt;b&gt;vin&lt;/b&gt;</p><p></p>'
+  });
+});
+
+test('unknown template variables are reported once each', () => {
+  assert.deepEqual(findUnknownVariables('{{guest_name}} {{ table }} {{table}} {{Title}} {{session_link}} {{price}}'), ['table', 'price']);
+  assert.deepEqual(findUnknownVariables('Hej {{guest_name}}'), []);
+});
+
+describe('processNotifications', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let db;
+  let smtp;
+  let customerId;
+  let retryCustomerId;
+
+  before(async () => {
+    smtp = await startSmtpServer({ reply: line => (line.includes('retry-') ? '451 Try again later' : undefined) });
+    process.env.DATABASE_URL = DATABASE_URL;
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+
+    db = openDb();
+    [{ id: customerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Trattoria Test', ${`notify-test-${process.pid}`}) RETURNING id
+    `;
+    [{ id: retryCustomerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Retry Test', ${`notify-retry-${process.pid}`}) RETURNING id
+    `;
+    await db`
+      INSERT INTO customer_analysis_config (customer_id, staff_email, from_email, from_name) VALUES
+        (${customerId}, ${` Staff-${process.pid}@Trattoria.test `}, 'marco@trattoria.test', 'Marco'),
+        (${retryCustomerId}, ${`retry-${process.pid}@retry.test`}, 'sofia@retry.test', 'Sofia')
+    `;
+    await db`
+      INSERT INTO email_templates (customer_id, template_name, template_type, subject, html_body)
+      VALUES (${customerId}, 'Lead', 'lead', '{{title}}: {{guest_name}}', '<p>{{summary}}</p><a href="{{session_link}}">Öppna</a>')
+    `;
+  });
+
+  after(async () => {
+    for (const key of ['SMTP_HOST', 'SMTP_PORT']) delete process.env[key];
+    await db`DELETE FROM customers WHERE id IN ${db([customerId, retryCustomerId])}`;
+    await db.end();
+    await closeDb();
+    await smtp.stop();
+  });
+
+  // next_attempt_at långt bak i tiden - våra rader tas före allt annat i testdatabasen
+  async function notify(customer, fields) {
+    const [{ id }] = await db`
+      INSERT INTO notifications ${db({ customer_id: customer, type: 'lead', next_attempt_at: new Date('2000-01-01'), ...fields })}
+      RETURNING id
+    `;
+    return id;
+  }
+
+  async function delivery(id) {
+    const [row] = await db`
+      SELECT delivery_status, channels, attempts, last_error, sent_at, next_attempt_at FROM notifications WHERE id = ${id}
+    `;
+    return row;
+  }
+
+  test('a notification is mailed with the customer\'s template and marked sent', async () => {
+    const [session] = await db`INSERT INTO chat_sessions (customer_id) VALUES (${customerId}) RETURNING id`;
+    const id = await notify(customerId, { session_id: session.id, guest_name: 'Åsa <Test>', summary: 'Vill boka <b>bord</b>' });
+    const received = smtp.messages.length;
+
+    await processNotifications();
+
+    const row = await delivery(id);
+    assert.equal(row.delivery_status, 'sent');
+    assert.deepEqual(row.channels, { email: 'sent', push: 'skipped' });
+    assert.equal(row.attempts, 1);
+    assert.ok(row.sent_at);
+
+    const message = smtp.messages.slice(received).find(text => decodeSubject(text).includes('Åsa'));
+    assert.equal(decodeSubject(message), 'Kontaktuppgifter från gäst: Åsa <Test>');
+    assert.match(message, new RegExp(`^To: <staff-${process.pid}@trattoria\\.test>$`, 'm'));
+    assert.match(decodePart(message, 'text/html'), new RegExp(`^<p>Vill boka &lt;b&gt;bord&lt;/b&gt;</p><a href="https://[^"]+/sessions/${session.id}">`));
+  });
+
+  test('nothing to send on any channel is skipped with the reason', async () => {
+    const disabled = await notify(customerId, { recipients: db.json({ userIds: [], email: false }) });
+    const stale = await notify(customerId, { created_at: new Date(Date.now() - 25 * 60 * 60 * 1000) });
+
+    await processNotifications();
+
+    const row = await delivery(disabled);
+    assert.equal(row.delivery_status, 'skipped');
+    assert.equal(row.last_error, 'email: email disabled for this notification; push: push not configured');
+    assert.equal((await delivery(stale)).last_error, 'older than 24h');
+  });
+
+  test('a temporary SMTP error is retried later and fails on the last attempt', async () => {
+    const id = await notify(retryCustomerId, {});
+
+    await processNotifications();
+
+    const row = await delivery(id);
+    assert.equal(row.delivery_status, 'pending');
+    assert.equal(row.channels.email, 'retry');
+    assert.equal(row.last_error, 'email: SMTP RCPT failed: 451 Try again later');
+    assert.ok(row.next_attempt_at.getTime() > Date.now() + 50 * 1000, 'the next attempt waits about a minute');
+
+    await db`UPDATE notifications SET attempts = 4, next_attempt_at = '2000-01-01' WHERE id = ${id}`;
+    await processNotifications();
+
+    const last = await delivery(id);
+    assert.deepEqual([last.delivery_status, last.attempts, last.channels.email], ['failed', 5, 'failed']);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Outbound - webhooks och push-endpoints når bara publika https-adresser
+ * (om inte OUTBOUND_ALLOW_PRIVATE=true)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { isAllowedOutboundUrl, isPrivateAddress, postOutbound } from '../lib/outbound.js';
+
+let server;
+let requests = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests++;
+    req.resume();
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  delete process.env.OUTBOUND_ALLOW_PRIVATE;
+  server.close();
+});
+
+function allowPrivate(t) {
+  process.env.OUTBOUND_ALLOW_PRIVATE = 'true';
+  t.after(() => { delete process.env.OUTBOUND_ALLOW_PRIVATE; });
+}
+
+test('internal, reserved and IPv4-carrying IPv6 addresses are private', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.31.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '192.0.2.10', '198.51.100.7', '203.0.113.5', '224.0.0.1',
+    '::1', '::', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'fec0::1', 'ff02::1',
+    '64:ff9b::7f00:1', '64:ff9b:1::a00:1', '2002:7f00:1::1', '2001::1', '2001:db8::1', '100::1', '3fff::1',
+    'not-an-ip'
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+
+  for (const address of ['93.184.216.34', '1.1.1.1', '::ffff:8.8.8.8', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('only https to public hosts is allowed by default', () => {
+  assert.equal(isAllowedOutboundUrl('https://hooks.example.com/eryai'), true);
+  for (const url of ['http://hooks.example.com', 'https://localhost/hook', 'https://10.0.0.5', 'https://printer.local', 'https://[::1]/', 'ftp://example.com', 'not a url']) {
+    assert.equal(isAllowedOutboundUrl(url), false, url);
+  }
+});
+
+test('OUTBOUND_ALLOW_PRIVATE=true allows http and local hosts, whatever NODE_ENV says', (t) => {
+  allowPrivate(t);
+  assert.equal(isAllowedOutboundUrl('http://localhost:3000/hook'), true);
+  assert.equal(isAllowedOutboundUrl('ftp://example.com'), false);
+});
+
+test('calls to http or private addresses are refused before connecting', async () => {
+  const { port } = server.address();
+  const sent = requests;
+
+  await assert.rejects(postOutbound(`http://127.0.0.1:${port}/`, { headers: {}, body: '{}', timeoutMs: 1000 }), /require https/);
+  await assert.rejects(postOutbound(`https://127.0.0.1:${port}/`, { headers: {}, body: '{}', timeoutMs: 1000 }), /127\.0\.0\.1 is a private address/);
+  await assert.rejects(postOutbound(`https://[::1]:${port}/`, { headers: {}, body: '{}', timeoutMs: 1000 }), /is a private address/);
+  assert.equal(requests, sent);
+});
+
+test('a hostname that resolves to a private address is refused at connect time', async () => {
+  await assert.rejects(
+    postOutbound(`https://localhost:${server.address().port}/`, { headers: {}, body: '{}', timeoutMs: 1000 }),
+    /localhost resolves to a private address/
+  );
+});
+
+test('redirects are returned as a status, never followed', async (t) => {
+  allowPrivate(t);
+  const sent = requests;
+
+  const result = await postOutbound(`http://127.0.0.1:${server.address().port}/hook`, {
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"event": "test"}',
+    timeoutMs: 1000
+  });
+
+  assert.deepEqual(result, { status: 302 });
+  assert.equal(requests, sent + 1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Token usage och kostnad - per modell, per anrop och per sparat meddelande
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateCostEur, getModelPricing, MODEL_PRICING } from '../lib/pricing.js';
+import { recordUsage, getMistralMetrics } from '../lib/mistral.js';
+import { SKIP_WITHOUT_DATABASE, startTestServer, chat, openDb } from './helpers/testServer.js';
+
+test('prices follow the longest model prefix and unknown models cost the default', () => {
+  assert.equal(getModelPricing('mistral-small-2503'), MODEL_PRICING['mistral-small']);
+  assert.equal(getModelPricing('ministral-3b-latest'), MODEL_PRICING['ministral-3b']);
+  assert.equal(getModelPricing('llama-3-70b'), MODEL_PRICING.default);
+});
+
+test('cost is EUR per million input and output tokens', () => {
+  assert.equal(calculateCostEur({ promptTokens: 1_000_000, completionTokens: 500_000 }, 'mistral-large-latest'), 5);
+  assert.equal(calculateCostEur({ promptTokens: 1000 }, 'mock-small'), 0);
+});
+
+test('provider usage is recorded per model and purpose', () => {
+  const model = `mistral-medium-test-${process.pid}`;
+  const tokens = recordUsage({ provider: { name: 'mistral' }, model, purpose: 'chat', usage: { promptTokens: 1000, completionTokens: 500 } });
+  recordUsage({ provider: { name: 'mistral' }, model, purpose: 'judge', estimate: { promptTokens: 100, completionTokens: 10 } });
+
+  assert.deepEqual(tokens, { input: 1000, output: 500, total: 1500, costEur: 0.0014, estimated: false });
+
+  const stats = getMistralMetrics().byModel[model];
+  assert.equal(stats.provider, 'mistral');
+  assert.equal(stats.calls, 2);
+  assert.equal(stats.estimatedCalls, 1);
+  assert.equal(stats.totalTokens, 1610);
+  assert.deepEqual(stats.byPurpose, { chat: { calls: 1, totalTokens: 1500 }, judge: { calls: 1, totalTokens: 110 } });
+});
+
+test('a call without usage or estimate counts as zero tokens, estimated', () => {
+  const tokens = recordUsage({ provider: { name: 'openai' }, model: 'gpt-test', purpose: 'chat' });
+  assert.deepEqual(tokens, { input: 0, output: 0, total: 0, costEur: 0, estimated: true });
+});
+
+describe('token usage on saved messages', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+
+  before(async () => {
+    db = openDb();
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    await db.end();
+  });
+
+  test('the assistant reply stores the tokens the provider reported', async () => {
+    const { body } = await chat(server.baseUrl, { prompt: 'Hej, har ni glutenfri pasta?' });
+
+    const [reply] = await db`
+      SELECT tokens_used FROM chat_messages
+      WHERE session_id = ${body.sessionId} AND role = 'assistant'
+    `;
+    assert.ok(reply.tokens_used > 0);
+  });
+});
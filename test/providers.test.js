@@ -0,0 +1,142 @@
+/**
+ * LLM providers - registry, mock-providern och OpenAI-kompatibla endpoints
+ * mot en lokal fejkserver (inget nätverk)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { getProvider, resolveModel, findByModelPrefix, PROVIDER_NAMES } from '../lib/providers/index.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+import { createOpenAIProvider } from '../lib/providers/openai.js';
+
+const REQUEST = {
+  model: 'test-model',
+  messages: [{ role: 'system', content: 'Du är en assistent.' }, { role: 'user', content: 'Hej där' }],
+  temperature: 0.5,
+  maxTokens: 50
+};
+
+let server;
+let received = [];
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    received.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+
+    const { stream } = JSON.parse(body);
+    if (req.headers.authorization === 'Bearer wrong') {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      return res.end('{"error": "invalid key"}');
+    }
+    if (!stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        choices: [{ message: { content: 'Hej tillbaka' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 }
+      }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const content of ['Hej', ' till', 'baka']) {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+    }
+    res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_COMPAT_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+after(() => {
+  delete process.env.OPENAI_COMPAT_BASE_URL;
+  delete process.env.OPENAI_COMPAT_API_KEY;
+  server.close();
+});
+
+async function collect(iterator) {
+  const parts = [];
+  for await (const part of iterator) parts.push(part);
+  return parts;
+}
+
+test('the registry knows mistral, openai and mock and caches instances', () => {
+  assert.deepEqual(PROVIDER_NAMES, ['mistral', 'openai', 'mock']);
+  assert.equal(getProvider('mock'), getProvider('mock'));
+  assert.throws(() => getProvider('gpt'), /Unknown LLM provider "gpt"/);
+});
+
+test('the tenant model wins over the provider default', () => {
+  assert.equal(resolveModel({ llm_provider: 'mock' }).model, 'mock-small');
+  assert.equal(resolveModel({ llm_provider: 'mock', llm_model: 'mock-large' }).model, 'mock-large');
+});
+
+test('model tables match the longest prefix, otherwise default', () => {
+  const table = { default: 1, mistral: 2, 'mistral-small': 3 };
+  assert.equal(findByModelPrefix(table, 'mistral-small-2503'), 3);
+  assert.equal(findByModelPrefix(table, 'mistral-large-latest'), 2);
+  assert.equal(findByModelPrefix(table, 'llama-3'), 1);
+});
+
+test('the mock provider echoes the last user message, streamed one word at a time', async () => {
+  const provider = createMockProvider();
+  const completed = await provider.complete(REQUEST);
+  assert.equal(completed.content, '[mock:test-model] Du skrev: "Hej där"');
+  assert.equal(completed.usage.totalTokens, completed.usage.promptTokens + completed.usage.completionTokens);
+
+  const parts = await collect(provider.stream(REQUEST));
+  assert.equal(parts.filter(part => part.content).map(part => part.content).join(''), completed.content);
+  assert.ok(parts.filter(part => part.content).length > 1);
+  assert.deepEqual(parts.at(-1), { usage: completed.usage });
+});
+
+test('the mock provider answers JSON calls with MOCK_LLM_JSON', async (t) => {
+  t.after(() => { delete process.env.MOCK_LLM_JSON; });
+  const provider = createMockProvider();
+  const request = { ...REQUEST, responseFormat: { type: 'json_object' } };
+
+  assert.equal(JSON.parse((await provider.complete(request)).content).suspicious, false);
+
+  process.env.MOCK_LLM_JSON = '{"name": "Anna"}';
+  assert.equal((await provider.complete(request)).content, '{"name": "Anna"}');
+});
+
+test('the mock stream stops when the signal is aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(collect(createMockProvider().stream(REQUEST, { signal: controller.signal })), { name: 'AbortError' });
+});
+
+test('the OpenAI-compatible provider sends chat completions and normalizes usage', async () => {
+  received = [];
+  process.env.OPENAI_COMPAT_API_KEY = 'local-key';
+  const provider = createOpenAIProvider();
+
+  const completed = await provider.complete({ ...REQUEST, responseFormat: { type: 'json_object' } });
+  assert.deepEqual(completed, { content: 'Hej tillbaka', usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 } });
+
+  assert.equal(received[0].url, '/v1/chat/completions');
+  assert.equal(received[0].authorization, 'Bearer local-key');
+  assert.equal(received[0].body.max_tokens, 50);
+  assert.deepEqual(received[0].body.response_format, { type: 'json_object' });
+});
+
+test('the OpenAI-compatible stream yields deltas and usage until [DONE]', async () => {
+  received = [];
+  const parts = await collect(createOpenAIProvider().stream(REQUEST));
+
+  assert.deepEqual(parts, [
+    { content: 'Hej' }, { content: ' till' }, { content: 'baka' },
+    { usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 } }
+  ]);
+  assert.deepEqual(received[0].body.stream_options, { include_usage: true });
+});
+
+test('OpenAI-compatible API errors carry the status', async (t) => {
+  t.after(() => { delete process.env.OPENAI_COMPAT_API_KEY; });
+  process.env.OPENAI_COMPAT_API_KEY = 'wrong';
+  await assert.rejects(createOpenAIProvider().complete(REQUEST), { status: 401, message: /error 401/ });
+});
@@ -0,0 +1,138 @@
+/**
+ * Push - prenumerationer via API:t och push-kanalen i notificationWorker
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { processNotifications } from '../lib/notificationWorker.js';
+import { generateVapidKeys } from '../lib/webPush.js';
+import { closeDb } from '../lib/db.js';
+import { DATABASE_URL, SKIP_WITHOUT_DATABASE, startTestServer, request, openDb, createStaff, removeStaff } from './helpers/testServer.js';
+import { startPushService } from './helpers/pushService.js';
+
+const VAPID_KEYS = generateVapidKeys();
+const PUSH_ENV = { VAPID_PUBLIC_KEY: VAPID_KEYS.publicKey, VAPID_PRIVATE_KEY: VAPID_KEYS.privateKey, OUTBOUND_ALLOW_PRIVATE: 'true' };
+
+describe('push subscriptions and delivery', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let service;
+  let db;
+  let customerId;
+  let otherCustomerId;
+  let staff;
+  let colleague;
+
+  before(async () => {
+    process.env.DATABASE_URL = DATABASE_URL;
+    Object.assign(process.env, PUSH_ENV);
+    delete process.env.SMTP_HOST;
+
+    db = openDb();
+    [{ id: customerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Push test', ${`push-test-${process.pid}`}) RETURNING id
+    `;
+    [{ id: otherCustomerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Push other', ${`push-other-${process.pid}`}) RETURNING id
+    `;
+    staff = await createStaff(db, { customerId });
+    colleague = await createStaff(db, { customerId });
+
+    service = await startPushService();
+    server = await startTestServer(PUSH_ENV);
+  });
+
+  after(async () => {
+    for (const key of Object.keys(PUSH_ENV)) delete process.env[key];
+    await server?.stop();
+    await service.stop();
+    await removeStaff(db, [staff.userId, colleague.userId]);
+    await db`DELETE FROM push_subscriptions WHERE customer_id IN ${db([customerId, otherCustomerId])}`;
+    await db`DELETE FROM customers WHERE id IN ${db([customerId, otherCustomerId])}`;
+    await db.end();
+    await closeDb();
+  });
+
+  async function subscribe(token, body, method = 'POST') {
+    const response = await request(server.baseUrl, '/api/push/subscriptions', { method, token, body });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('the dashboard gets the public VAPID key without credentials', async () => {
+    const response = await request(server.baseUrl, '/api/push/vapid-public-key');
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { publicKey: VAPID_KEYS.publicKey });
+  });
+
+  test('a device subscribes once per endpoint and only for its own customers', async () => {
+    const device = service.subscription();
+
+    const created = await subscribe(staff.token, { customerId, ...device });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.subscription.user_id, staff.userId);
+
+    const refreshed = await subscribe(staff.token, { customerId, ...device, expirationTime: Date.now() + 60 * 1000 });
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.body.subscription.id, created.body.subscription.id);
+
+    assert.equal((await subscribe(staff.token, { customerId: otherCustomerId, ...service.subscription() })).status, 403);
+
+    const invalid = await subscribe(staff.token, { customerId, endpoint: 'ftp://push.test/1', keys: { p256dh: 'abc', auth: 'def' } });
+    assert.deepEqual(invalid.body.details.map(detail => detail.field), ['endpoint']);
+    const badKeys = await subscribe(staff.token, { customerId, endpoint: device.endpoint, keys: { ...device.keys, auth: 'c2hvcnQ' } });
+    assert.deepEqual(badKeys.body.details.map(detail => detail.field), ['keys']);
+  });
+
+  test('only the owner removes a subscription', async () => {
+    const device = service.subscription();
+    await subscribe(staff.token, { customerId, ...device });
+
+    assert.equal((await subscribe(colleague.token, { endpoint: device.endpoint }, 'DELETE')).status, 404);
+    const removed = await subscribe(staff.token, { endpoint: device.endpoint }, 'DELETE');
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.deleted.endpoint, device.endpoint);
+  });
+
+  test('a notification is pushed to the recipients\' devices and gone devices are removed', async () => {
+    await db`DELETE FROM push_subscriptions WHERE customer_id = ${customerId}`;
+    const [session] = await db`INSERT INTO chat_sessions (customer_id) VALUES (${customerId}) RETURNING id`;
+
+    const phone = service.subscription();
+    const gone = service.subscription('/410/old-laptop');
+    const colleaguePhone = service.subscription();
+    await subscribe(staff.token, { customerId, ...phone });
+    await subscribe(staff.token, { customerId, ...gone });
+    await subscribe(colleague.token, { customerId, ...colleaguePhone });
+
+    const [{ id }] = await db`
+      INSERT INTO notifications (customer_id, session_id, type, priority, summary, recipients, next_attempt_at)
+      VALUES (${customerId}, ${session.id}, 'human_request', 'urgent', 'Gästen vill prata med personal',
+              ${db.json({ userIds: [staff.userId] })}, '2000-01-01')
+      RETURNING id
+    `;
+    const received = service.received.length;
+
+    await processNotifications();
+
+    const [row] = await db`SELECT delivery_status, channels FROM notifications WHERE id = ${id}`;
+    assert.deepEqual({ ...row }, { delivery_status: 'sent', channels: { email: 'skipped', push: 'sent' } });
+
+    const pushes = service.received.slice(received).filter(push => push.payload?.includes(id));
+    assert.deepEqual(pushes.map(push => push.path).sort(), [new URL(gone.endpoint).pathname, new URL(phone.endpoint).pathname].sort());
+    assert.equal(pushes[0].headers.urgency, 'high');
+    const { url, ...payload } = JSON.parse(pushes[0].payload);
+    assert.ok(url.endsWith(`/sessions/${session.id}`));
+    assert.deepEqual(payload, {
+      title: 'Gästen vill prata med personal - Push test',
+      body: 'Gästen vill prata med personal',
+      tag: `session-${session.id}`,
+      notificationId: id,
+      sessionId: session.id,
+      type: 'human_request',
+      priority: 'urgent'
+    });
+
+    const remaining = await db`SELECT endpoint FROM push_subscriptions WHERE customer_id = ${customerId}`;
+    assert.deepEqual(remaining.map(subscription => subscription.endpoint).sort(), [phone.endpoint, colleaguePhone.endpoint].sort());
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Routing - regler per trigger_type, priority-ordning och default-teamet
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateRoutingRule, routingRuleMatches, selectRoute, routeSession, DEFAULT_NOTIFICATION_CONFIG } from '../lib/routing.js';
+import { closeDb } from '../lib/db.js';
+import { DATABASE_URL, SKIP_WITHOUT_DATABASE, openDb } from './helpers/testServer.js';
+
+const DEFAULT_TEAM = { id: 'team-default', name: 'Alla', is_default: true };
+
+function rule(trigger_type, trigger_config = {}, extra = {}) {
+  return { id: `rule-${trigger_type}`, name: trigger_type, trigger_type, trigger_config, notification_config: {}, ...extra };
+}
+
+function fields(candidate) {
+  return validateRoutingRule(candidate).map(error => error.field);
+}
+
+test('trigger_config is validated against the trigger type', () => {
+  assert.deepEqual(fields(rule('needs_human')), []);
+  assert.deepEqual(fields(rule('intent', { intents: ['complaint'] })), []);
+  assert.deepEqual(fields(rule('keyword', { keywords: ['allergi', 'gluten'] })), []);
+
+  assert.deepEqual(fields(rule('intent', { intents: ['angry'] })), ['trigger_config.intents']);
+  assert.deepEqual(fields(rule('risk_level', { min: 11 })), ['trigger_config.min']);
+  assert.deepEqual(fields(rule('suspicious', { min_risk_level: 0 })), ['trigger_config.min_risk_level']);
+  assert.deepEqual(fields(rule('keyword', { keywords: ' , ' })), ['trigger_config.keywords']);
+  assert.deepEqual(fields(rule('regex', { pattern: '(\\d+)*$' })), ['trigger_config.pattern']);
+  assert.deepEqual(fields(rule('keyword', { keywords: 'pris', min: 3 })), ['trigger_config.min']);
+});
+
+test('notification_config only takes known boolean flags', () => {
+  const candidate = rule('needs_human', {}, { notification_config: { urgent: true, push: 'yes', sms: true } });
+  assert.deepEqual(fields(candidate), ['notification_config.push', 'notification_config.sms']);
+});
+
+test('each trigger type matches its part of the session', () => {
+  const context = { needsHuman: true, suspicious: false, riskLevel: 6, userMessage: 'Jag vill boka bröllopsmiddag', intents: ['special_request'] };
+
+  assert.equal(routingRuleMatches(rule('needs_human'), context), true);
+  assert.equal(routingRuleMatches(rule('needs_human', { intents: ['complaint'] }), context), false);
+  assert.equal(routingRuleMatches(rule('suspicious'), context), false);
+  assert.equal(routingRuleMatches(rule('risk_level', { min: 6 }), context), true);
+  assert.equal(routingRuleMatches(rule('keyword', { keywords: 'bröllop' }), context), true);
+  assert.equal(routingRuleMatches(rule('regex', { pattern: '/BOKA/i' }), context), true);
+  assert.equal(routingRuleMatches(rule('intent', { intents: ['special_request'] }), context), true);
+});
+
+test('the first matching rule wins and falls back to the default team', () => {
+  const rules = [
+    rule('keyword', { keywords: 'faktura' }, { route_to_team_id: 'team-ekonomi' }),
+    rule('risk_level', { min: 5 }, { route_to_user_id: 'user-1', notification_config: { urgent: true } }),
+    rule('needs_human', {}, { route_to_team_id: 'team-kock' })
+  ];
+
+  const route = selectRoute(rules, DEFAULT_TEAM, { riskLevel: 7, needsHuman: true, userMessage: 'Hej' });
+  assert.equal(route.rule, rules[1]);
+  assert.equal(route.teamId, null);
+  assert.equal(route.userId, 'user-1');
+  assert.deepEqual(route.notificationConfig, { ...DEFAULT_NOTIFICATION_CONFIG, urgent: true });
+
+  const withoutTarget = selectRoute([rule('keyword', { keywords: 'hej' })], DEFAULT_TEAM, { userMessage: 'Hej' });
+  assert.equal(withoutTarget.teamId, DEFAULT_TEAM.id);
+});
+
+test('a session that needs staff goes to the default team, otherwise nowhere', () => {
+  assert.deepEqual(selectRoute([], DEFAULT_TEAM, { suspicious: true }), {
+    rule: null, teamId: DEFAULT_TEAM.id, userId: null, notificationConfig: DEFAULT_NOTIFICATION_CONFIG
+  });
+  assert.equal(selectRoute([], DEFAULT_TEAM, { userMessage: 'Hej' }), null);
+});
+
+describe('routeSession', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let db;
+  let customerId;
+  let teamId;
+  let ruleId;
+
+  before(async () => {
+    process.env.DATABASE_URL = DATABASE_URL;
+    db = openDb();
+    [{ id: customerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Routing test', ${`routing-test-${process.pid}`}) RETURNING id
+    `;
+    await db`INSERT INTO teams (customer_id, name, is_default) VALUES (${customerId}, 'Alla', true)`;
+    [{ id: teamId }] = await db`INSERT INTO teams (customer_id, name) VALUES (${customerId}, 'Event') RETURNING id`;
+    [{ id: ruleId }] = await db`
+      INSERT INTO routing_rules (customer_id, name, trigger_type, trigger_config, route_to_team_id, notification_config)
+      VALUES (${customerId}, 'Bröllop', 'keyword', ${db.json({ keywords: 'bröllop' })}, ${teamId}, ${db.json({ urgent: true })})
+      RETURNING id
+    `;
+  });
+
+  after(async () => {
+    await db`DELETE FROM customers WHERE id = ${customerId}`;
+    await db.end();
+    await closeDb();
+  });
+
+  async function newSession() {
+    const [{ id }] = await db`INSERT INTO chat_sessions (customer_id) VALUES (${customerId}) RETURNING id`;
+    return id;
+  }
+
+  test('a matching rule assigns the session once and notifies urgently', async () => {
+    const sessionId = await newSession();
+
+    const routed = await routeSession({ customerId, sessionId, userMessage: 'Vi planerar ett bröllop i juni' });
+    assert.equal(routed.routed, true);
+    assert.deepEqual(routed.assignment, { teamId, userId: null, ruleId, escalationLevel: 1 });
+    assert.equal(routed.notification.priority, 'urgent');
+
+    const again = await routeSession({ customerId, sessionId, userMessage: 'Vi planerar ett bröllop i juni' });
+    assert.deepEqual({ routed: again.routed, reason: again.reason }, { routed: false, reason: 'already_assigned' });
+  });
+
+  test('without a match only sessions that need staff are routed', async () => {
+    const quiet = await routeSession({ customerId, sessionId: await newSession(), userMessage: 'Har ni öppet?' });
+    assert.equal(quiet.reason, 'no_match');
+
+    const sessionId = await newSession();
+    await db`UPDATE chat_sessions SET needs_human = true WHERE id = ${sessionId}`;
+    const routed = await routeSession({ customerId, sessionId, userMessage: 'Jag vill prata med en människa' });
+
+    assert.equal(routed.routed, true);
+    assert.equal(routed.assignment.ruleId, null);
+    assert.notEqual(routed.assignment.teamId, teamId);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Staff inbox - filter, paginering, förhandsvisning och lästmarkering
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseInboxQuery, parseFilterValue, parsePageValue } from '../lib/sessions.js';
+import { SKIP_WITHOUT_DATABASE, startTestServer, request, openDb, createStaff, removeStaff } from './helpers/testServer.js';
+
+test('filter values are parsed by type', () => {
+  assert.deepEqual(parseFilterValue('boolean', 'false'), { value: false });
+  assert.deepEqual(parseFilterValue('boolean', '1'), { error: 'must be true or false' });
+  assert.deepEqual(parseFilterValue('risk', '7'), { value: 7 });
+  assert.ok(parseFilterValue('risk', '11').error);
+  assert.ok(parseFilterValue('risk', '-1').error);
+  assert.deepEqual(parseFilterValue('string', '  open '), { value: 'open' });
+  assert.ok(parseFilterValue('string', '   ').error);
+  assert.ok(parseFilterValue('uuid', 'team-1').error);
+  assert.deepEqual(parseFilterValue('date', '2026-01-01'), { value: new Date('2026-01-01') });
+  assert.ok(parseFilterValue('date', 'yesterday').error);
+});
+
+test('page values fall back to the default and stay within bounds', () => {
+  assert.deepEqual(parsePageValue(undefined, { min: 1, max: 200, fallback: 50 }), { value: 50 });
+  assert.deepEqual(parsePageValue('200', { min: 1, max: 200, fallback: 50 }), { value: 200 });
+  assert.ok(parsePageValue('0', { min: 1, max: 200, fallback: 50 }).error);
+  assert.ok(parsePageValue('2.5', { min: 1, max: 200, fallback: 50 }).error);
+});
+
+test('the inbox query takes known filters and reports every bad parameter', () => {
+  assert.deepEqual(parseInboxQuery({ customerId: 'x', needs_human: 'true', min_risk_level: '5', offset: '50' }), {
+    filters: { needs_human: true, min_risk_level: 5 },
+    limit: 50,
+    offset: 50,
+    errors: []
+  });
+
+  assert.deepEqual(parseInboxQuery({ unread: 'true', suspicious: 'yes', limit: '500' }).errors.map(error => error.field), ['unread', 'suspicious', 'limit']);
+});
+
+describe('GET /api/sessions', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+  let customerId;
+  let staff;
+  const sessions = {};
+
+  before(async () => {
+    db = openDb();
+    [{ id: customerId }] = await db`
+      INSERT INTO customers (name, slug) VALUES ('Inbox test', ${`inbox-test-${process.pid}`}) RETURNING id
+    `;
+    staff = await createStaff(db, { customerId });
+
+    [{ id: sessions.quiet }] = await db`INSERT INTO chat_sessions (customer_id, created_at) VALUES (${customerId}, NOW() - INTERVAL '2 days') RETURNING id`;
+    [{ id: sessions.urgent }] = await db`
+      INSERT INTO chat_sessions (customer_id, needs_human, risk_level) VALUES (${customerId}, true, 6) RETURNING id
+    `;
+    await db`
+      INSERT INTO chat_messages (session_id, role, content, sender_type, timestamp) VALUES
+        (${sessions.quiet}, 'user', 'Hej', 'user', NOW() - INTERVAL '2 days'),
+        (${sessions.urgent}, 'user', 'Jag vill prata med en människa', 'user', NOW() - INTERVAL '1 minute'),
+        (${sessions.urgent}, 'assistant', ${'Jag kopplar dig vidare. '.repeat(10)}, 'ai', NOW())
+    `;
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    await removeStaff(db, [staff.userId]);
+    await db`DELETE FROM customers WHERE id = ${customerId}`;
+    await db.end();
+  });
+
+  async function inbox(query = '') {
+    const response = await request(server.baseUrl, `/api/sessions?customerId=${customerId}${query}`, { token: staff.token });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('sessions are listed newest activity first with a short preview', async () => {
+    const { status, body } = await inbox();
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.sessions.map(session => session.id), [sessions.urgent, sessions.quiet]);
+    assert.equal(body.sessions[0].message_count, 2);
+    assert.equal(body.sessions[0].last_message.role, 'assistant');
+    assert.equal(body.sessions[0].last_message.content.length, 140);
+  });
+
+  test('filters and paging narrow the list', async () => {
+    assert.deepEqual((await inbox('&needs_human=true')).body.sessions.map(session => session.id), [sessions.urgent]);
+    assert.equal((await inbox('&min_risk_level=7')).body.total, 0);
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    assert.deepEqual((await inbox(`&to=${hourAgo}`)).body.sessions.map(session => session.id), [sessions.quiet]);
+
+    const page = (await inbox('&limit=1&offset=1')).body;
+    assert.deepEqual({ total: page.total, ids: page.sessions.map(session => session.id) }, { total: 2, ids: [sessions.quiet] });
+  });
+
+  test('invalid filters are a 400 with details', async () => {
+    const { status, body } = await inbox('&is_read=maybe&colour=red');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map(detail => detail.field), ['is_read', 'colour']);
+  });
+
+  test('marking a session read records who read it', async () => {
+    const response = await request(server.baseUrl, `/api/sessions/${sessions.quiet}/read`, { method: 'POST', token: staff.token });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).session.read_by, staff.userId);
+
+    assert.deepEqual((await inbox('&is_read=false')).body.sessions.map(session => session.id), [sessions.urgent]);
+  });
+
+  test('the inbox needs messages:read on the customer', async () => {
+    const response = await request(server.baseUrl, `/api/sessions?customerId=${customerId}`);
+    assert.equal(response.status, 401);
+  });
+});
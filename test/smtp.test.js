@@ -0,0 +1,98 @@
+/**
+ * SMTP - utskick mot en fejkad server, kodade headers och inga lösenord i klartext
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getSmtpConfig, sendMail } from '../lib/smtp.js';
+import { startSmtpServer, decodeSubject, decodePart } from './helpers/smtpServer.js';
+
+let smtp;
+
+before(async () => {
+  smtp = await startSmtpServer({
+    reply: (line) => {
+      if (line.includes('full@')) return '452 Mailbox full';
+      if (line.includes('nobody@')) return '550 No such user';
+      return undefined;
+    }
+  });
+});
+
+after(() => smtp.stop());
+
+function config(overrides = {}) {
+  return { host: '127.0.0.1', port: smtp.port, secure: false, user: null, pass: '', allowPlaintextAuth: false, ...overrides };
+}
+
+const MAIL = {
+  from: { name: 'Sofia på Bella Italia', address: 'sofia@bella.test' },
+  to: ['staff@bella.test', 'chef@bella.test'],
+  subject: 'Ny förfrågan från Åsa\r\nBcc: evil@attacker.test',
+  html: '<p>Gästen vill boka <b>bröllop</b></p><p><a href="https://dashboard.test/s/1">Öppna</a></p>'
+};
+
+test('SMTP settings come from the environment', (t) => {
+  t.after(() => {
+    for (const key of ['SMTP_HOST', 'SMTP_SECURE', 'SMTP_USER']) delete process.env[key];
+  });
+
+  assert.equal(getSmtpConfig(), null);
+
+  process.env.SMTP_HOST = 'smtp.test';
+  assert.deepEqual(getSmtpConfig(), { host: 'smtp.test', port: 587, secure: false, user: null, pass: '', allowPlaintextAuth: false });
+
+  process.env.SMTP_SECURE = 'true';
+  process.env.SMTP_USER = 'eryai';
+  assert.equal(getSmtpConfig().port, 465);
+  assert.equal(getSmtpConfig().user, 'eryai');
+});
+
+test('a message is sent to every recipient with encoded headers and both parts', async () => {
+  const sent = smtp.messages.length;
+  const result = await sendMail(config(), MAIL);
+
+  assert.match(result.messageId, /^<[0-9a-f-]+@bella\.test>$/);
+  assert.equal(result.response, '250 OK queued');
+  assert.deepEqual(smtp.commands.filter(line => /^(MAIL|RCPT)/.test(line)).slice(-3), [
+    'MAIL FROM:<sofia@bella.test>',
+    'RCPT TO:<staff@bella.test>',
+    'RCPT TO:<chef@bella.test>'
+  ]);
+
+  const message = smtp.messages[sent];
+  assert.equal(decodeSubject(message), 'Ny förfrågan från Åsa Bcc: evil@attacker.test');
+  assert.doesNotMatch(message, /^Bcc:/m, 'line breaks in the subject never start a new header');
+  assert.match(message, /^From: =\?UTF-8\?B\?.+\?= <sofia@bella\.test>$/m);
+  assert.equal(decodePart(message, 'text/html'), MAIL.html);
+  assert.equal(decodePart(message, 'text/plain'), 'Gästen vill boka bröllop\nÖppna (https://dashboard.test/s/1)');
+});
+
+test('credentials are never sent without TLS unless plaintext auth is allowed', async () => {
+  const commands = smtp.commands.length;
+
+  await assert.rejects(sendMail(config({ user: 'eryai', pass: 'hemligt' }), MAIL), (error) => {
+    assert.match(error.message, /refusing to send SMTP credentials unencrypted/);
+    assert.equal(error.permanent, true);
+    return true;
+  });
+  assert.ok(smtp.commands.slice(commands).every(line => !line.startsWith('AUTH')));
+
+  await sendMail(config({ user: 'eryai', pass: 'hemligt', allowPlaintextAuth: true }), MAIL);
+  const auth = smtp.commands.slice(commands).find(line => line.startsWith('AUTH'));
+  assert.equal(auth, `AUTH PLAIN ${Buffer.from('\0eryai\0hemligt').toString('base64')}`);
+});
+
+test('5xx replies are permanent, 4xx can be retried', async () => {
+  await assert.rejects(sendMail(config(), { ...MAIL, to: ['nobody@bella.test'] }), (error) => {
+    assert.equal(error.message, 'SMTP RCPT failed: 550 No such user');
+    assert.deepEqual([error.responseCode, error.permanent], [550, true]);
+    return true;
+  });
+
+  await assert.rejects(sendMail(config(), { ...MAIL, to: ['full@bella.test'] }), (error) => {
+    assert.deepEqual([error.responseCode, error.permanent], [452, false]);
+    return true;
+  });
+});
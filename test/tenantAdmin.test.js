@@ -0,0 +1,129 @@
+/**
+ * Tenant admin - validering av request bodies och /api/admin över HTTP
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateInput } from '../lib/tenantAdmin.js';
+import { SKIP_WITHOUT_DATABASE, startTestServer, request, superadminToken } from './helpers/testServer.js';
+
+const FIELDS = {
+  name: { type: 'string', required: true, maxLength: 10 },
+  slug: { type: 'slug', required: true, maxLength: 20 },
+  plan: { type: 'string', enum: ['starter', 'pro'] },
+  note: { type: 'string', maxLength: 100, nullable: true },
+  priority: { type: 'integer', min: 0, max: 10 },
+  pattern: { type: 'pattern', nullable: true },
+  keywords: { type: 'keywords' },
+  expires_at: { type: 'timestamp', nullable: true }
+};
+
+function messages(errors) {
+  return Object.fromEntries(errors.map(error => [error.field, error.message]));
+}
+
+test('valid input is trimmed and normalized', () => {
+  const { values, errors } = validateInput(FIELDS, {
+    name: '  Bella  ',
+    slug: 'bella-italia',
+    note: '   ',
+    keywords: [' pizza ', '', 'pasta'],
+    expires_at: new Date(Date.now() + 60_000).toISOString()
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(values.name, 'Bella');
+  assert.equal(values.note, null);
+  assert.equal(values.keywords, 'pizza,pasta');
+  assert.ok(values.expires_at instanceof Date);
+});
+
+test('unknown, missing and invalid fields are all reported', () => {
+  const { errors } = validateInput(FIELDS, {
+    slug: 'Bella Italia',
+    plan: 'gold',
+    priority: 1.5,
+    pattern: '(a+)+$',
+    keywords: 42,
+    expires_at: '2000-01-01T00:00:00Z',
+    is_admin: true
+  });
+
+  assert.deepEqual(messages(errors), {
+    is_admin: 'unknown field',
+    name: 'is required',
+    slug: 'must be lowercase letters, digits and dashes',
+    plan: 'must be one of: starter, pro',
+    priority: 'must be an integer',
+    pattern: 'must be a valid regular expression without nested quantifiers',
+    keywords: 'must be a comma-separated string or an array of strings',
+    expires_at: 'must be in the future'
+  });
+});
+
+test('partial input may leave out required fields but must change something', () => {
+  assert.deepEqual(validateInput(FIELDS, { priority: 3 }, { partial: true }), { values: { priority: 3 }, errors: [] });
+  assert.deepEqual(validateInput(FIELDS, {}, { partial: true }).errors, [{ field: null, message: 'No fields to update' }]);
+  assert.deepEqual(messages(validateInput(FIELDS, { name: null, priority: 11 }, { partial: true }).errors), {
+    name: 'may not be null',
+    priority: 'must be between 0 and 10'
+  });
+});
+
+test('a body that is not a JSON object is rejected as a whole', () => {
+  for (const input of [null, [], 'name=Bella']) {
+    assert.deepEqual(validateInput(FIELDS, input).errors, [{ field: null, message: 'Body must be a JSON object' }]);
+  }
+});
+
+describe('/api/admin over HTTP', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  const token = superadminToken();
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server?.stop());
+
+  test('requests without credentials get 401', async () => {
+    const response = await request(server.baseUrl, '/api/admin/customers');
+    assert.equal(response.status, 401);
+  });
+
+  test('a path with malformed percent-encoding is 404, not 500', async () => {
+    const response = await request(server.baseUrl, '/api/admin/customers/%E0', { token });
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Not found' });
+  });
+
+  test('an invalid body gets 400 with one detail per field', async () => {
+    const response = await request(server.baseUrl, '/api/admin/customers', {
+      method: 'POST',
+      token,
+      body: { name: 'Test', slug: 'Not A Slug', plan: 'gold' }
+    });
+
+    assert.equal(response.status, 400);
+    const { error, details } = await response.json();
+    assert.equal(error, 'Validation failed');
+    assert.deepEqual(details.map(detail => detail.field), ['slug', 'plan']);
+  });
+
+  test('a customer can be created, is unique by slug and can be deleted', async () => {
+    const slug = `test-admin-${process.pid}`;
+    const created = await request(server.baseUrl, '/api/admin/customers', { method: 'POST', token, body: { name: 'Testkund', slug } });
+    assert.equal(created.status, 201);
+    const { customer } = await created.json();
+
+    try {
+      const duplicate = await request(server.baseUrl, '/api/admin/customers', { method: 'POST', token, body: { name: 'Kopia', slug } });
+      assert.equal(duplicate.status, 409);
+    } finally {
+      const deleted = await request(server.baseUrl, `/api/admin/customers/${customer.id}`, { method: 'DELETE', token });
+      assert.equal(deleted.status, 200);
+    }
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Usage - plangränser, räknare per dag/månad och 429 när taket är nått
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getPlanLimits, getUsageLimitResponse, PLAN_LIMITS, recordCustomerUsage, getCustomerUsage } from '../lib/usage.js';
+import { closeDb } from '../lib/db.js';
+import { DATABASE_URL, SKIP_WITHOUT_DATABASE, startTestServer, request, chat, openDb, superadminToken } from './helpers/testServer.js';
+
+test('unknown plans get the starter limits and enterprise has none', () => {
+  assert.equal(getPlanLimits('gold'), PLAN_LIMITS.starter);
+  assert.equal(getPlanLimits(undefined), PLAN_LIMITS.starter);
+  assert.deepEqual(Object.values(getPlanLimits('enterprise')), [null, null, null, null]);
+});
+
+test('the limit reply follows the tenant language and falls back to Swedish', () => {
+  assert.match(getUsageLimitResponse('en'), /usage limit/);
+  assert.match(getUsageLimitResponse('nn'), /bruksgrensa/);
+  assert.equal(getUsageLimitResponse('xx'), getUsageLimitResponse('sv'));
+});
+
+describe('usage counters and caps', { skip: SKIP_WITHOUT_DATABASE }, () => {
+  let server;
+  let db;
+  let customer;
+
+  before(async () => {
+    process.env.DATABASE_URL = DATABASE_URL;
+    db = openDb();
+    [customer] = await db`
+      INSERT INTO customers (name, slug, plan)
+      VALUES ('Usage test', ${`usage-test-${process.pid}`}, 'free')
+      RETURNING id, slug
+    `;
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+    await db`DELETE FROM customers WHERE id = ${customer.id}`;
+    await db.end();
+    await closeDb();
+  });
+
+  test('each turn adds to the day and month counters, extra calls without a request', async () => {
+    await recordCustomerUsage(customer.id, { input: 100, output: 50, total: 150, costEur: 0.001 });
+    await recordCustomerUsage(customer.id, { input: 20, output: 10, total: 30, costEur: 0 }, undefined, { requests: 0 });
+
+    const { status } = await getCustomerUsage(customer.id);
+    for (const period of [status.day, status.month]) {
+      assert.equal(period.requests, 1);
+      assert.equal(period.totalTokens, 180);
+      assert.equal(period.costEur, 0.001);
+    }
+    assert.equal(status.plan, 'free');
+    assert.equal(status.exceeded, null);
+  });
+
+  test('staff see the counters against the plan limits', async () => {
+    const response = await request(server.baseUrl, `/api/usage?customerId=${customer.id}`, { token: superadminToken() });
+    const { usage } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(usage.day.totalTokens, 180);
+    assert.deepEqual(usage.day.limits, { tokens: PLAN_LIMITS.free.dailyTokens, costEur: PLAN_LIMITS.free.dailyCostEur });
+  });
+
+  test('a reached cap answers 429 with the limit reply instead of calling the model', async () => {
+    await recordCustomerUsage(customer.id, { input: PLAN_LIMITS.free.dailyTokens, output: 0, total: PLAN_LIMITS.free.dailyTokens, costEur: 0 });
+
+    const response = await request(server.baseUrl, '/api/chat', { method: 'POST', body: { slug: customer.slug, prompt: 'Hej' } });
+    const body = await response.json();
+
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    assert.equal(body.response, getUsageLimitResponse('sv'));
+    assert.deepEqual({ period: body.limitReached.period, metric: body.limitReached.metric }, { period: 'day', metric: 'tokens' });
+  });
+
+  test('other customers are not affected', async () => {
+    const { status } = await chat(server.baseUrl, { prompt: 'Hej' });
+    assert.equal(status, 200);
+  });
+});
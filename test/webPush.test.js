@@ -0,0 +1,107 @@
+/**
+ * Web Push - VAPID-nycklar, kryptering som webbläsaren kan läsa och utskick
+ * mot en fejkad push-tjänst
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createECDH, randomBytes } from 'node:crypto';
+
+import { generateVapidKeys, getVapidConfig, isValidSubscriptionKeys, encryptPayload, sendPush, MAX_PAYLOAD_BYTES } from '../lib/webPush.js';
+import { startPushService, decryptPayload, verifyVapid } from './helpers/pushService.js';
+
+const VAPID_KEYS = generateVapidKeys();
+let service;
+let vapid;
+
+before(async () => {
+  process.env.VAPID_PUBLIC_KEY = VAPID_KEYS.publicKey;
+  process.env.VAPID_PRIVATE_KEY = VAPID_KEYS.privateKey;
+  process.env.OUTBOUND_ALLOW_PRIVATE = 'true';
+  vapid = getVapidConfig();
+  service = await startPushService();
+});
+
+after(async () => {
+  for (const key of ['VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY', 'OUTBOUND_ALLOW_PRIVATE']) delete process.env[key];
+  await service.stop();
+});
+
+function browserKeys() {
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  const authSecret = randomBytes(16);
+  return { ecdh, authSecret, keys: { p256dh: ecdh.getPublicKey('base64url'), auth: authSecret.toString('base64url') } };
+}
+
+test('VAPID keys are an uncompressed P-256 point and a 32 byte scalar', () => {
+  assert.equal(Buffer.from(VAPID_KEYS.publicKey, 'base64url').length, 65);
+  assert.equal(Buffer.from(VAPID_KEYS.publicKey, 'base64url')[0], 0x04);
+  assert.ok(Buffer.from(VAPID_KEYS.privateKey, 'base64url').length <= 32);
+
+  assert.equal(vapid.publicKey, VAPID_KEYS.publicKey);
+  assert.equal(vapid.subject, 'mailto:support@eryai.tech');
+});
+
+test('subscription keys must be a point on the curve and a 16 byte auth secret', () => {
+  const { keys } = browserKeys();
+  assert.equal(isValidSubscriptionKeys(keys), true);
+
+  assert.equal(isValidSubscriptionKeys({ ...keys, auth: randomBytes(15).toString('base64url') }), false);
+  assert.equal(isValidSubscriptionKeys({ ...keys, p256dh: Buffer.concat([Buffer.from([0x04]), Buffer.alloc(64, 1)]).toString('base64url') }), false);
+  assert.equal(isValidSubscriptionKeys({ p256dh: keys.p256dh }), false);
+  assert.equal(isValidSubscriptionKeys(undefined), false);
+});
+
+test('the browser decrypts the payload, and every message has its own salt and key', () => {
+  const { ecdh, authSecret, keys } = browserKeys();
+
+  const first = encryptPayload(keys, '{"title": "Gäst väntar"}');
+  const second = encryptPayload(keys, '{"title": "Gäst väntar"}');
+
+  assert.deepEqual(decryptPayload(first, ecdh, authSecret), { recordSize: 4096, payload: '{"title": "Gäst väntar"}' });
+  assert.equal(first[20], 65);
+  assert.notDeepEqual(first.subarray(0, 16), second.subarray(0, 16));
+  assert.notDeepEqual(first.subarray(21, 86), second.subarray(21, 86));
+
+  const { authSecret: otherAuth } = browserKeys();
+  assert.throws(() => decryptPayload(first, ecdh, otherAuth));
+});
+
+test('a push is signed for the service origin and carries the encrypted JSON', async () => {
+  const subscription = service.subscription();
+
+  const result = await sendPush(vapid, subscription, { title: 'Ny konversation', url: '/sessions/1' }, { ttlSeconds: 3600, urgency: 'high' });
+  assert.deepEqual(result, { statusCode: 201, sent: true, expired: false, retryable: false });
+
+  const request = service.received.at(-1);
+  assert.equal(request.headers['content-encoding'], 'aes128gcm');
+  assert.equal(request.headers.ttl, '3600');
+  assert.equal(request.headers.urgency, 'high');
+  assert.deepEqual(JSON.parse(request.payload), { title: 'Ny konversation', url: '/sessions/1' });
+
+  const { claims, publicKey } = verifyVapid(request.headers.authorization);
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(publicKey, VAPID_KEYS.publicKey);
+  assert.equal(claims.aud, service.origin);
+  assert.equal(claims.sub, 'mailto:support@eryai.tech');
+  assert.ok(claims.exp > now && claims.exp <= now + 24 * 60 * 60);
+});
+
+test('the service status decides between sent, expired and retry', async () => {
+  const send = path => sendPush(vapid, service.subscription(path), { title: 'Hej' }, { ttlSeconds: 60 });
+
+  assert.deepEqual(await send('/410/gone'), { statusCode: 410, sent: false, expired: true, retryable: false });
+  assert.deepEqual(await send('/503/busy'), { statusCode: 503, sent: false, expired: false, retryable: true });
+  assert.deepEqual(await send('/400/bad'), { statusCode: 400, sent: false, expired: false, retryable: false });
+});
+
+test('payloads over one record are refused before sending', async () => {
+  const sent = service.received.length;
+
+  await assert.rejects(
+    sendPush(vapid, service.subscription(), { body: 'x'.repeat(MAX_PAYLOAD_BYTES) }, { ttlSeconds: 60 }),
+    new RegExp(`exceeds ${MAX_PAYLOAD_BYTES} bytes`)
+  );
+  assert.equal(service.received.length, sent);
+});